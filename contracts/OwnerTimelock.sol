@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title OwnerTimelock
+ * @notice Puts a delay in front of selected owner setters. A change is the ABI-encoded
+ * call to a timelocked setter: the owner queues it, and it can be executed once
+ * `timelockDelay` seconds have passed, or cancelled before that.
+ *
+ * While `timelockDelay` is 0 (the default after deployment) the owner may call the
+ * timelocked setters directly, so a deployment can be configured before a delay is
+ * set. `setTimelockDelay` is itself timelocked, so the delay cannot be lowered
+ * without notice.
+ */
+abstract contract OwnerTimelock is Ownable {
+    uint256 public timelockDelay;
+
+    // keccak256(data) => earliest execution time (0 = not queued).
+    mapping(bytes32 => uint256) public pendingChanges;
+
+    event ChangeQueued(bytes32 indexed id, bytes data, uint256 eta);
+    event ChangeExecuted(bytes32 indexed id, bytes data);
+    event ChangeCancelled(bytes32 indexed id, bytes data);
+
+    /// @dev Callable directly by the owner while there is no delay, otherwise only
+    /// through executeChange.
+    modifier timelocked() {
+        if (msg.sender != address(this)) {
+            _checkOwner();
+            require(timelockDelay == 0, "Change must be queued");
+        }
+        _;
+    }
+
+    function setTimelockDelay(uint256 _delay) external timelocked {
+        timelockDelay = _delay;
+    }
+
+    /**
+     * @notice Queue a call to a timelocked setter.
+     * @param data ABI-encoded call, e.g. abi.encodeCall(this.setSlashAmount, (amount))
+     * @return id keccak256(data), the key in pendingChanges
+     */
+    function queueChange(bytes calldata data) external onlyOwner returns (bytes32 id) {
+        require(data.length >= 4, "Invalid change");
+        bytes4 selector = bytes4(data[:4]);
+        require(
+            selector == this.setTimelockDelay.selector || _isTimelocked(selector),
+            "Not a timelocked function"
+        );
+        id = keccak256(data);
+        require(pendingChanges[id] == 0, "Change already queued");
+        uint256 eta = block.timestamp + timelockDelay;
+        pendingChanges[id] = eta;
+        emit ChangeQueued(id, data, eta);
+    }
+
+    /**
+     * @notice Execute a queued change whose delay has passed.
+     */
+    function executeChange(bytes calldata data) external onlyOwner {
+        bytes32 id = keccak256(data);
+        uint256 eta = pendingChanges[id];
+        require(eta != 0, "Change not queued");
+        require(block.timestamp >= eta, "Change not ready");
+        delete pendingChanges[id];
+        (bool success, bytes memory result) = address(this).call(data);
+        if (!success) {
+            // Bubble up the setter's revert reason.
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ChangeExecuted(id, data);
+    }
+
+    function cancelChange(bytes calldata data) external onlyOwner {
+        bytes32 id = keccak256(data);
+        require(pendingChanges[id] != 0, "Change not queued");
+        delete pendingChanges[id];
+        emit ChangeCancelled(id, data);
+    }
+
+    /// @dev Whether a setter must go through the timelock once a delay is set.
+    function _isTimelocked(bytes4 selector) internal pure virtual returns (bool);
+}
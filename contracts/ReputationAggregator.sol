@@ -2,8 +2,9 @@
 pragma solidity ^0.8.21;
 
 import "@chainlink/contracts/src/v0.8/ChainlinkClient.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./OwnerTimelock.sol";
 import "./ReputationKeeper.sol";
 
 /**
@@ -15,8 +16,12 @@ import "./ReputationKeeper.sol";
  *             maxOracleFee * (oraclesToPoll + clusterSize)
  *         The contract withdraws exactly the fee required for each oracle call (and later bonus payments).
  *         The caller also supplies parameters for oracle selection.
+ *
+ *         The owner can pause the contract in an emergency. While paused, new
+ *         requests are rejected; fulfill, finalizeEvaluationTimeout and the owner
+ *         functions keep working so that requests already in flight can finish.
  */
-contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
+contract ReputationAggregator is ChainlinkClient, OwnerTimelock, ReentrancyGuard, Pausable {
     using Chainlink for Chainlink.Request;
 
     // ------------------------------------------------------------------------
@@ -61,6 +66,7 @@ contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
         bool success
     );
     event EvaluationTimedOut(bytes32 indexed aggregatorRequestId);
+    event EvaluationFailed(bytes32 indexed aggregatorRequestId, uint256 responseCount, uint256 requiredResponses);
 
     // ------------------------------------------------------------------------
     // Structures
@@ -94,6 +100,31 @@ contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
         string combinedJustificationCIDs;
         // --- New field: record when the evaluation was created ---
         uint256 startTimestamp;
+        // Set when the evaluation timed out with fewer than requiredResponses answers.
+        bool failed;
+    }
+
+    // Lifecycle of an aggregator request as reported by getRequestStatus.
+    // Expired: past the response timeout but neither finalized nor failed yet;
+    // finalizeEvaluationTimeout moves it to Complete or Failed.
+    enum RequestState { Unknown, Pending, Expired, Complete, Failed }
+
+    // Snapshot returned by getRequestStatus. The per-slot arrays are indexed by
+    // poll slot (0..expectedResponses-1), matching polledOracles.
+    struct RequestStatus {
+        RequestState state;
+        address requester;
+        bool userFunded;
+        uint256 startTimestamp;
+        uint256 deadline;
+        uint256 responseCount;
+        uint256 requiredResponses;
+        uint256 expectedResponses;
+        uint256 clusterSize;
+        ReputationKeeper.OracleIdentity[] polledOracles;
+        uint256[] pollFees;
+        bool[] responded;
+        uint256[] responseTimestamps;  // 0 for slots that have not responded
     }
 
     // Mapping from aggregator-level requestId to its evaluation.
@@ -195,11 +226,24 @@ contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
         _setChainlinkToken(_link);
     }
 
-    // Set reputationKeeper.
-    function setReputationKeeper(address _reputationKeeper) external onlyOwner {
+    // Set reputationKeeper. Timelocked once a timelockDelay is set (see OwnerTimelock).
+    function setReputationKeeper(address _reputationKeeper) external timelocked {
         reputationKeeper = ReputationKeeper(_reputationKeeper);
     }
 
+    function _isTimelocked(bytes4 selector) internal pure override returns (bool) {
+        return selector == ReputationAggregator.setReputationKeeper.selector;
+    }
+
+    // Emergency stop for new requests (emits Paused / Unpaused). Not timelocked.
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     // ------------------------------------------------------------------------
     // New functionality:
     // requestAIEvaluationWithApproval: Initiates oracle requests using funds withdrawn via transferFrom.
@@ -220,6 +264,7 @@ contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
     ) 
         public 
         nonReentrant
+        whenNotPaused
         returns (bytes32) 
     {
         require(address(reputationKeeper) != address(0), "ReputationKeeper not set");
@@ -301,18 +346,54 @@ contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
 
     // ------------------------------------------------------------------------
     // New function: Finalize an evaluation if the response timeout has been exceeded.
-    // If not enough responses have been received when the timeout is reached, the function fails.
+    // If not enough responses have been received when the timeout is reached, the
+    // evaluation is marked failed instead: oracles that never answered get a
+    // timeliness penalty and later responses are rejected.
     // ------------------------------------------------------------------------
     function finalizeEvaluationTimeout(bytes32 aggregatorRequestId) external nonReentrant {
         AggregatedEvaluation storage aggEval = aggregatedEvaluations[aggregatorRequestId];
+        require(aggEval.startTimestamp > 0, "Unknown requestId");
         require(!aggEval.isComplete, "Aggregation already completed");
+        require(!aggEval.failed, "Evaluation already failed");
         require(block.timestamp >= aggEval.startTimestamp + responseTimeoutSeconds, "Evaluation not yet timed out");
-        require(aggEval.responseCount >= aggEval.requiredResponses, "Not enough responses; evaluation failed");
 
+        if (aggEval.responseCount < aggEval.requiredResponses) {
+            _failEvaluation(aggregatorRequestId);
+            return;
+        }
         _finalizeAggregation(aggregatorRequestId);
         emit EvaluationTimedOut(aggregatorRequestId);
     }
 
+    // ------------------------------------------------------------------------
+    // Helper: mark a timed-out evaluation failed and penalize the silent oracles.
+    // Oracles that did respond keep their scores and no bonus is paid.
+    // ------------------------------------------------------------------------
+    function _failEvaluation(bytes32 aggregatorRequestId) internal {
+        AggregatedEvaluation storage aggEval = aggregatedEvaluations[aggregatorRequestId];
+        aggEval.failed = true;
+
+        for (uint256 slot = 0; slot < aggEval.polledOracles.length; slot++) {
+            (bool responded, ) = _getResponseForSlot(aggEval.responses, slot);
+            if (responded) {
+                continue;
+            }
+            ReputationKeeper.OracleIdentity memory id = aggEval.polledOracles[slot];
+            (bool isActive, , , , , , , , ) = reputationKeeper.getOracleInfo(id.oracle, id.jobId);
+            if (!isActive) {
+                emit OracleScoreUpdateSkipped(id.oracle, id.jobId, "Inactive at failure");
+                continue;
+            }
+            try reputationKeeper.updateScores(id.oracle, id.jobId, int8(0), int8(-4)) {
+                // success
+            } catch {
+                emit OracleScoreUpdateSkipped(id.oracle, id.jobId, "updateScores failed for no response");
+            }
+        }
+
+        emit EvaluationFailed(aggregatorRequestId, aggEval.responseCount, aggEval.requiredResponses);
+    }
+
     // ------------------------------------------------------------------------
     // Helper: send a single Chainlink request.
     // ------------------------------------------------------------------------
@@ -343,6 +424,7 @@ contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
 
         AggregatedEvaluation storage aggEval = aggregatedEvaluations[aggregatorRequestId];
         require(!aggEval.isComplete, "Aggregation already completed");
+        require(!aggEval.failed, "Evaluation failed");
         require(aggEval.requestIds[_operatorRequestId], "Invalid requestId");
 
         uint256 pollIndex = requestIdToPollIndex[_operatorRequestId];
@@ -615,24 +697,67 @@ contract ReputationAggregator is ChainlinkClient, Ownable, ReentrancyGuard {
     // ------------------------------------------------------------------------
     // Evaluation getters (for front-end use)
     // ------------------------------------------------------------------------
+    // `failed` is true once the evaluation timed out without enough responses;
+    // likelihoods and justificationCID are then empty.
     function getEvaluation(bytes32 requestId)
         public
         view
         returns (
             uint256[] memory likelihoods,
             string memory justificationCID,
-            bool exists
+            bool exists,
+            bool failed
         )
     {
         AggregatedEvaluation storage aggEval = aggregatedEvaluations[requestId];
-        return (aggEval.aggregatedLikelihoods, aggEval.combinedJustificationCIDs, aggEval.responseCount > 0);
+        return (aggEval.aggregatedLikelihoods, aggEval.combinedJustificationCIDs, aggEval.responseCount > 0, aggEval.failed);
     }
 
     function evaluations(bytes32 requestId) public view returns (uint256[] memory, string memory) {
-        (uint256[] memory l, string memory j, ) = getEvaluation(requestId);
+        (uint256[] memory l, string memory j, , ) = getEvaluation(requestId);
         return (l, j);
     }
 
+    // Full status of a request, including the polled oracles and which poll
+    // slots have responded. The deadline uses the current responseTimeoutSeconds,
+    // as finalizeEvaluationTimeout does. Unknown IDs return state Unknown.
+    function getRequestStatus(bytes32 requestId) external view returns (RequestStatus memory status) {
+        AggregatedEvaluation storage aggEval = aggregatedEvaluations[requestId];
+        if (aggEval.startTimestamp == 0) {
+            return status;
+        }
+
+        status.requester = aggEval.requester;
+        status.userFunded = aggEval.userFunded;
+        status.startTimestamp = aggEval.startTimestamp;
+        status.deadline = aggEval.startTimestamp + responseTimeoutSeconds;
+        status.responseCount = aggEval.responseCount;
+        status.requiredResponses = aggEval.requiredResponses;
+        status.expectedResponses = aggEval.expectedResponses;
+        status.clusterSize = aggEval.clusterSize;
+        status.polledOracles = aggEval.polledOracles;
+        status.pollFees = aggEval.pollFees;
+
+        if (aggEval.isComplete) {
+            status.state = RequestState.Complete;
+        } else if (aggEval.failed) {
+            status.state = RequestState.Failed;
+        } else if (block.timestamp >= status.deadline) {
+            status.state = RequestState.Expired;
+        } else {
+            status.state = RequestState.Pending;
+        }
+
+        uint256 slots = aggEval.polledOracles.length;
+        status.responded = new bool[](slots);
+        status.responseTimestamps = new uint256[](slots);
+        for (uint256 i = 0; i < aggEval.responses.length; i++) {
+            uint256 slot = aggEval.responses[i].pollIndex;
+            status.responded[slot] = true;
+            status.responseTimestamps[slot] = aggEval.responses[i].timestamp;
+        }
+    }
+
     function getContractConfig()
         public
         view
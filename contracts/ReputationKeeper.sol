@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.21;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./OwnerTimelock.sol";
 import "./VerdiktaToken.sol";
 
 /// @notice Minimal interface to query an oracle contract's owner.
@@ -12,8 +12,10 @@ interface IOracleOwner {
 /**
  * @title ReputationKeeper
  * @notice Tracks oracle reputations using composite keys (oracle address and jobID).
+ * Changes to the slashing parameters, the staking token, the treasury and contract approvals
+ * are timelocked (see OwnerTimelock). Removing an approval takes effect immediately.
  */
-contract ReputationKeeper is Ownable {
+contract ReputationKeeper is OwnerTimelock {
     // A composite identity for an oracle.
     struct OracleIdentity {
         address oracle;
@@ -40,6 +42,7 @@ contract ReputationKeeper is Ownable {
         uint256 lockedUntil;    // Timestamp until which the oracle is locked (cannot be unregistered)
         bool blocked;           // If true, oracle is blocked from selection
         uint64[] classes;       // Classes for this oracle
+        bool registered;        // Set while registered; independent of stakeAmount, which slashing can take to zero
     }
     
     // Per–contract usage data.
@@ -82,15 +85,28 @@ contract ReputationKeeper is Ownable {
     // The maximum number of oracles to weight in the second-stage selection.
     // Default is 20 but can be updated by the owner.
     uint256 public shortlistSize = 20;
+
+    // VDKA taken from stakes by slashing and still held by this contract. It is
+    // accounted separately from oracle stakes and can only leave via withdrawSlashed.
+    uint256 public slashedFunds;
+    // Recipient of withdrawn slashed funds (the deployer until changed).
+    address public treasury;
     
     event OracleRegistered(address indexed oracle, bytes32 jobId, uint256 fee);
     event OracleDeregistered(address indexed oracle, bytes32 jobId);
-    event ScoreUpdated(address indexed oracle, int256 newQualityScore, int256 newTimelinessScore);
+    event ScoreUpdated(address indexed oracle, bytes32 indexed jobId, int256 newQualityScore, int256 newTimelinessScore);
     event OracleSlashed(address indexed oracle, bytes32 jobId, uint256 slashAmount, uint256 lockedUntil, bool blocked);
     event ContractApproved(address indexed contractAddress);
     event ContractRemoved(address indexed contractAddress);
     // Optional event for pausing/unpausing an oracle.
     event OracleActiveStatusUpdated(address indexed oracle, bytes32 jobId, bool isActive);
+    event OracleFeeUpdated(address indexed oracle, bytes32 jobId, uint256 oldFee, uint256 newFee);
+    event OracleClassesUpdated(address indexed oracle, bytes32 jobId, uint64[] classes);
+    event StakeToppedUp(address indexed oracle, bytes32 jobId, uint256 amount, uint256 newStakeAmount);
+    // `amount` is what was actually taken from the stake, which can be less than slashAmountConfig.
+    event SlashedFundsAccrued(address indexed oracle, bytes32 jobId, uint256 amount, uint256 slashedFunds);
+    event SlashedFundsWithdrawn(address indexed treasury, uint256 amount, uint256 slashedFunds);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
     
     /// @dev Generates a composite key from an oracle address and its job ID.
     function _oracleKey(address _oracle, bytes32 _jobId) internal pure returns (bytes32) {
@@ -99,6 +115,7 @@ contract ReputationKeeper is Ownable {
     
     constructor(address _verdiktaToken) Ownable(msg.sender) {
         verdiktaToken = VerdiktaToken(_verdiktaToken);
+        treasury = msg.sender;
     }
     
     /**
@@ -112,7 +129,7 @@ contract ReputationKeeper is Ownable {
     ) external {
         bytes32 key = _oracleKey(_oracle, _jobId);
         // Ensure the oracle is not already registered.
-        require(oracles[key].stakeAmount == 0, "Oracle already registered");
+        require(!oracles[key].registered, "Oracle already registered");
         require(fee > 0, "Fee must be greater than 0");
         require(_classes.length > 0, "At least one class must be provided");
         require(_classes.length <= 5, "A maximum of 5 classes allowed");
@@ -137,6 +154,7 @@ contract ReputationKeeper is Ownable {
         info.lockedUntil = 0;
         info.blocked = false;
         info.classes = _classes;
+        info.registered = true;
         
         // Record the identity if not already present.
         bool exists = false;
@@ -156,6 +174,55 @@ contract ReputationKeeper is Ownable {
         
         emit OracleRegistered(_oracle, _jobId, fee);
     }
+
+    /**
+     * @notice Change the LINK fee of a registered oracle identity.
+     * Scores, stake and lock state are kept.
+     */
+    function updateOracleFee(address _oracle, bytes32 _jobId, uint256 _fee) external {
+        bytes32 key = _oracleKey(_oracle, _jobId);
+        OracleInfo storage info = oracles[key];
+        require(info.registered, "Oracle not registered");
+        require(
+            msg.sender == owner() || msg.sender == IOracleOwner(_oracle).owner(),
+            "Not authorized to update oracle"
+        );
+        require(_fee > 0, "Fee must be greater than 0");
+
+        uint256 oldFee = info.fee;
+        info.fee = _fee;
+        emit OracleFeeUpdated(_oracle, _jobId, oldFee, _fee);
+    }
+
+    /**
+     * @notice Replace the classes of a registered oracle identity, both in its
+     * OracleInfo and in its registeredOracles entry (used by selection).
+     */
+    function updateOracleClasses(address _oracle, bytes32 _jobId, uint64[] memory _classes) external {
+        bytes32 key = _oracleKey(_oracle, _jobId);
+        OracleInfo storage info = oracles[key];
+        require(info.registered, "Oracle not registered");
+        require(
+            msg.sender == owner() || msg.sender == IOracleOwner(_oracle).owner(),
+            "Not authorized to update oracle"
+        );
+        require(_classes.length > 0, "At least one class must be provided");
+        require(_classes.length <= 5, "A maximum of 5 classes allowed");
+
+        info.classes = _classes;
+        _setRegisteredClasses(_oracle, _jobId, _classes);
+        emit OracleClassesUpdated(_oracle, _jobId, _classes);
+    }
+
+    /// @dev Overwrite the classes stored in the registeredOracles entry of an identity.
+    function _setRegisteredClasses(address _oracle, bytes32 _jobId, uint64[] memory _classes) internal {
+        for (uint256 i = 0; i < registeredOracles.length; i++) {
+            if (registeredOracles[i].oracle == _oracle && registeredOracles[i].jobId == _jobId) {
+                registeredOracles[i].classes = _classes;
+                return;
+            }
+        }
+    }
     
     /**
      * @notice Deregister an oracle identity.
@@ -164,16 +231,17 @@ contract ReputationKeeper is Ownable {
     function deregisterOracle(address _oracle, bytes32 _jobId) external {
         bytes32 key = _oracleKey(_oracle, _jobId);
         OracleInfo storage info = oracles[key];
-        // Check that the oracle is registered by ensuring stakeAmount is nonzero.
-        require(info.stakeAmount > 0, "Oracle not registered");
+        require(info.registered, "Oracle not registered");
         require(
             msg.sender == owner() || msg.sender == IOracleOwner(_oracle).owner(),
             "Not authorized to deregister oracle"
         );
         require(block.timestamp >= info.lockedUntil, "Oracle is locked and cannot be unregistered");
         
-        // Return the staked tokens.
-        verdiktaToken.transfer(msg.sender, info.stakeAmount);
+        // Return the remaining staked tokens (none if slashing took all of it).
+        if (info.stakeAmount > 0) {
+            verdiktaToken.transfer(msg.sender, info.stakeAmount);
+        }
         
         // Remove the oracle record completely.
         delete oracles[key];
@@ -198,10 +266,34 @@ contract ReputationKeeper is Ownable {
     function setOracleActive(address _oracle, bytes32 _jobId, bool _active) external onlyOwner {
         bytes32 key = _oracleKey(_oracle, _jobId);
         OracleInfo storage info = oracles[key];
-        require(info.stakeAmount > 0, "Oracle not registered");
+        require(info.registered, "Oracle not registered");
         info.isActive = _active;
         emit OracleActiveStatusUpdated(_oracle, _jobId, _active);
     }
+
+    /**
+     * @notice Add VDKA to the stake of a registered oracle identity, e.g. to
+     * restore STAKE_REQUIREMENT after slashing. The caller must have approved
+     * this contract for `_amount`.
+     */
+    function topUpStake(address _oracle, bytes32 _jobId, uint256 _amount) external {
+        bytes32 key = _oracleKey(_oracle, _jobId);
+        OracleInfo storage info = oracles[key];
+        require(info.registered, "Oracle not registered");
+        require(
+            msg.sender == owner() || msg.sender == IOracleOwner(_oracle).owner(),
+            "Not authorized to top up stake"
+        );
+        require(_amount > 0, "Amount must be greater than 0");
+
+        require(verdiktaToken.transferFrom(msg.sender, address(this), _amount), "Stake transfer failed");
+        info.stakeAmount += _amount;
+        emit StakeToppedUp(_oracle, _jobId, _amount, info.stakeAmount);
+    }
+
+    function isRegistered(address _oracle, bytes32 _jobId) external view returns (bool) {
+        return oracles[_oracleKey(_oracle, _jobId)].registered;
+    }
     
     /**
      * @notice Retrieve an oracle identity's info.
@@ -268,14 +360,10 @@ contract ReputationKeeper is Ownable {
         // Apply penalties if necessary.
         if (block.timestamp >= info.lockedUntil) {
             if (info.qualityScore < severeThreshold || info.timelinessScore < severeThreshold) {
-                if (info.stakeAmount >= slashAmountConfig) {
-                    info.stakeAmount -= slashAmountConfig;
-                } else {
-                    info.stakeAmount = 0;
-                }
+                uint256 slashed = _slash(info, _oracle, _jobId);
                 info.lockedUntil = block.timestamp + lockDurationConfig;
                 info.blocked = true;
-                emit OracleSlashed(_oracle, _jobId, slashAmountConfig, info.lockedUntil, true);
+                emit OracleSlashed(_oracle, _jobId, slashed, info.lockedUntil, true);
             }
             else if (info.qualityScore < mildThreshold || info.timelinessScore < mildThreshold) {
                 info.lockedUntil = block.timestamp + lockDurationConfig;
@@ -296,19 +384,24 @@ contract ReputationKeeper is Ownable {
                 }
             }
             if (qualityWorsening || timelinessWorsening) {
-                if (info.stakeAmount >= slashAmountConfig) {
-                    info.stakeAmount -= slashAmountConfig;
-                } else {
-                    info.stakeAmount = 0;
-                }
+                uint256 slashed = _slash(info, _oracle, _jobId);
                 info.lockedUntil = block.timestamp + lockDurationConfig;
                 info.blocked = true;
-                emit OracleSlashed(_oracle, _jobId, slashAmountConfig, info.lockedUntil, true);
+                emit OracleSlashed(_oracle, _jobId, slashed, info.lockedUntil, true);
                 delete info.recentScores;
             }
         }
         
-        emit ScoreUpdated(_oracle, info.qualityScore, info.timelinessScore);
+        emit ScoreUpdated(_oracle, _jobId, info.qualityScore, info.timelinessScore);
+    }
+
+    /// @dev Move up to slashAmountConfig from the oracle's stake to slashedFunds and
+    /// return the amount taken. As before, a stake smaller than slashAmountConfig is emptied.
+    function _slash(OracleInfo storage info, address _oracle, bytes32 _jobId) internal returns (uint256 amount) {
+        amount = info.stakeAmount >= slashAmountConfig ? slashAmountConfig : info.stakeAmount;
+        info.stakeAmount -= amount;
+        slashedFunds += amount;
+        emit SlashedFundsAccrued(_oracle, _jobId, amount, slashedFunds);
     }
     
     /**
@@ -358,7 +451,7 @@ contract ReputationKeeper is Ownable {
     /**
      * @notice Select a list of oracle identities based on their weighted scores.
      * Uses a two-stage approach:
-     *  1. Filter eligible oracles (active, fee <= maxFee, not blocked, supporting the requested class).
+     *  1. Filter eligible oracles (active, fee <= maxFee, full stake, not blocked, supporting the requested class).
      *  2. If eligible count > shortlistSize, randomly select a subset of size shortlistSize.
      *  3. Perform weighted selection on that shortlist.
      */
@@ -381,6 +474,7 @@ contract ReputationKeeper is Ownable {
             if (
                 oracles[key].isActive &&
                 oracles[key].fee <= maxFee &&
+                oracles[key].stakeAmount >= STAKE_REQUIREMENT &&
                 (!(oracles[key].blocked && block.timestamp < oracles[key].lockedUntil)) &&
                 _hasClass(id.classes, requestedClass)
             ) {
@@ -397,6 +491,7 @@ contract ReputationKeeper is Ownable {
             if (
                 oracles[key].isActive &&
                 oracles[key].fee <= maxFee &&
+                oracles[key].stakeAmount >= STAKE_REQUIREMENT &&
                 (!(oracles[key].blocked && block.timestamp < oracles[key].lockedUntil)) &&
                 _hasClass(id.classes, requestedClass)
             ) {
@@ -496,30 +591,59 @@ contract ReputationKeeper is Ownable {
     }
     
     // Owner setters for slashing configuration.
-    function setSlashAmount(uint256 _slashAmount) external onlyOwner {
+    function setSlashAmount(uint256 _slashAmount) external timelocked {
         slashAmountConfig = _slashAmount;
     }
     
-    function setLockDuration(uint256 _lockDuration) external onlyOwner {
+    function setLockDuration(uint256 _lockDuration) external timelocked {
         lockDurationConfig = _lockDuration;
     }
     
-    function setSevereThreshold(int256 _threshold) external onlyOwner {
+    function setSevereThreshold(int256 _threshold) external timelocked {
         severeThreshold = _threshold;
     }
     
-    function setMildThreshold(int256 _threshold) external onlyOwner {
+    function setMildThreshold(int256 _threshold) external timelocked {
         mildThreshold = _threshold;
     }
 
+    function setTreasury(address _treasury) external timelocked {
+        require(_treasury != address(0), "Invalid treasury address");
+        emit TreasuryUpdated(treasury, _treasury);
+        treasury = _treasury;
+    }
+
+    /**
+     * @notice Send slashed VDKA to the treasury. Oracle stakes cannot be withdrawn
+     * this way. Callable by the owner or the treasury.
+     */
+    function withdrawSlashed(uint256 _amount) external {
+        require(msg.sender == owner() || msg.sender == treasury, "Not authorized to withdraw slashed funds");
+        require(_amount > 0, "Amount must be greater than 0");
+        require(_amount <= slashedFunds, "Amount exceeds slashed funds");
+        slashedFunds -= _amount;
+        require(verdiktaToken.transfer(treasury, _amount), "Slashed funds transfer failed");
+        emit SlashedFundsWithdrawn(treasury, _amount, slashedFunds);
+    }
+
     /**
      * @notice Updates the reference to the VerdiktaToken contract.
      */
-    function setVerdiktaToken(address _newVerdiktaToken) external onlyOwner {
+    function setVerdiktaToken(address _newVerdiktaToken) external timelocked {
         require(_newVerdiktaToken != address(0), "Invalid token address");
         verdiktaToken = VerdiktaToken(_newVerdiktaToken);
     }
 
+    function _isTimelocked(bytes4 selector) internal pure override returns (bool) {
+        return selector == ReputationKeeper.setSlashAmount.selector ||
+            selector == ReputationKeeper.setLockDuration.selector ||
+            selector == ReputationKeeper.setSevereThreshold.selector ||
+            selector == ReputationKeeper.setMildThreshold.selector ||
+            selector == ReputationKeeper.setTreasury.selector ||
+            selector == ReputationKeeper.setVerdiktaToken.selector ||
+            selector == ReputationKeeper.approveContract.selector;
+    }
+
     // Return the count of registered oracles.
     function getRegisteredOraclesCount() external view returns (uint256) {
         return registeredOracles.length;
@@ -563,7 +687,7 @@ contract ReputationKeeper is Ownable {
     /**
      * @notice Approve a contract to use oracles.
      */
-    function approveContract(address contractAddress) external onlyOwner {
+    function approveContract(address contractAddress) external timelocked {
         approvedContracts[contractAddress].isApproved = true;
         emit ContractApproved(contractAddress);
     }
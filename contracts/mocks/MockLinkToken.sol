@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+interface IERC677Receiver {
+    function onTokenTransfer(address sender, uint256 amount, bytes calldata data) external;
+}
+
+/**
+ * @title MockLinkToken
+ * @notice LINK stand-in for local networks. Implements ERC677 transferAndCall,
+ *         which ChainlinkClient uses to pay an operator and deliver the request
+ *         in one call. Not for deployment outside development networks.
+ */
+contract MockLinkToken is ERC20 {
+    event Transfer(address indexed from, address indexed to, uint256 value, bytes data);
+
+    constructor() ERC20("ChainLink Token", "LINK") {
+        _mint(msg.sender, 1_000_000_000 * 1e18);
+    }
+
+    function transferAndCall(address to, uint256 value, bytes calldata data) external returns (bool) {
+        _transfer(msg.sender, to, value);
+        emit Transfer(msg.sender, to, value, data);
+        if (to.code.length > 0) {
+            IERC677Receiver(to).onTokenTransfer(msg.sender, value, data);
+        }
+        return true;
+    }
+}
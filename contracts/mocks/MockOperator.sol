@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title MockOperator
+ * @notice Minimal Chainlink Operator for local end-to-end runs.
+ *
+ * Accepts requests the same way as the Chainlink Operator (LINK
+ * transferAndCall carrying an operatorRequest call), emits the same
+ * OracleRequest event and is fulfilled with fulfillOracleRequest2, so the
+ * aggregator code path is unchanged. The off-chain side is
+ * scripts/mock-oracle-responder.js instead of a Chainlink node.
+ *
+ * Not for deployment outside development networks: there is no request
+ * cancellation, and commitments are stored in full rather than hashed.
+ */
+contract MockOperator is Ownable {
+    uint256 public constant EXPIRYTIME = 5 minutes;
+
+    struct Commitment {
+        uint256 payment;
+        address callbackAddress;
+        bytes4 callbackFunctionId;
+        uint256 expiration;
+    }
+
+    IERC20 public immutable linkToken;
+    mapping(bytes32 => Commitment) private commitments;
+    mapping(address => bool) private authorizedSenders;
+    uint256 private tokensInEscrow;
+
+    event OracleRequest(
+        bytes32 indexed specId,
+        address requester,
+        bytes32 requestId,
+        uint256 payment,
+        address callbackAddr,
+        bytes4 callbackFunctionId,
+        uint256 cancelExpiration,
+        uint256 dataVersion,
+        bytes data
+    );
+    event OracleResponse(bytes32 indexed requestId);
+    event AuthorizedSendersChanged(address[] senders, address changedBy);
+
+    constructor(address _link) Ownable(msg.sender) {
+        linkToken = IERC20(_link);
+    }
+
+    // ------------------------------------------------------------------------
+    // Requests
+    // ------------------------------------------------------------------------
+
+    /**
+     * @notice Called by LINK on transferAndCall. The payload must be an
+     *         operatorRequest call; its sender and payment are replaced with the
+     *         actual token sender and amount, as in the Chainlink Operator.
+     */
+    function onTokenTransfer(address sender, uint256 amount, bytes calldata data) external {
+        require(msg.sender == address(linkToken), "Must use LINK token");
+        require(bytes4(data[:4]) == this.operatorRequest.selector, "Must use whitelisted functions");
+        (, , bytes32 specId, bytes4 callbackFunctionId, uint256 nonce, uint256 dataVersion, bytes memory requestData) =
+            abi.decode(data[4:], (address, uint256, bytes32, bytes4, uint256, uint256, bytes));
+        _operatorRequest(sender, amount, specId, callbackFunctionId, nonce, dataVersion, requestData);
+    }
+
+    /**
+     * @notice Declared for the selector check and ABI only; requests must
+     *         arrive through LINK transferAndCall.
+     */
+    function operatorRequest(
+        address,
+        uint256,
+        bytes32,
+        bytes4,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external pure {
+        revert("Must use LINK token");
+    }
+
+    function _operatorRequest(
+        address sender,
+        uint256 payment,
+        bytes32 specId,
+        bytes4 callbackFunctionId,
+        uint256 nonce,
+        uint256 dataVersion,
+        bytes memory data
+    ) internal {
+        bytes32 requestId = keccak256(abi.encodePacked(sender, nonce));
+        require(commitments[requestId].callbackAddress == address(0), "Must use a unique ID");
+        uint256 expiration = block.timestamp + EXPIRYTIME;
+        commitments[requestId] = Commitment(payment, sender, callbackFunctionId, expiration);
+        tokensInEscrow += payment;
+        emit OracleRequest(specId, sender, requestId, payment, sender, callbackFunctionId, expiration, dataVersion, data);
+    }
+
+    // ------------------------------------------------------------------------
+    // Fulfillment
+    // ------------------------------------------------------------------------
+
+    /**
+     * @notice Deliver a multi-word response. `data` is the ABI-encoded callback
+     *         arguments and must start with the request ID. As in the Chainlink
+     *         Operator, a failing callback does not revert: the payment is
+     *         released and `false` is returned.
+     */
+    function fulfillOracleRequest2(
+        bytes32 requestId,
+        uint256 payment,
+        address callbackAddress,
+        bytes4 callbackFunctionId,
+        uint256 expiration,
+        bytes calldata data
+    ) external returns (bool) {
+        require(authorizedSenders[msg.sender] || msg.sender == owner(), "Not authorized sender");
+        Commitment memory c = commitments[requestId];
+        require(c.callbackAddress != address(0), "Must have a valid requestId");
+        require(
+            c.payment == payment &&
+            c.callbackAddress == callbackAddress &&
+            c.callbackFunctionId == callbackFunctionId &&
+            c.expiration == expiration,
+            "Params do not match request ID"
+        );
+        require(data.length >= 32 && bytes32(data[:32]) == requestId, "First word must be requestId");
+
+        delete commitments[requestId];
+        tokensInEscrow -= payment;
+        emit OracleResponse(requestId);
+
+        (bool success, ) = callbackAddress.call(abi.encodePacked(callbackFunctionId, data));
+        return success;
+    }
+
+    // ------------------------------------------------------------------------
+    // Administration
+    // ------------------------------------------------------------------------
+
+    function setAuthorizedSenders(address[] calldata senders) external onlyOwner {
+        for (uint256 i = 0; i < senders.length; i++) {
+            authorizedSenders[senders[i]] = true;
+        }
+        emit AuthorizedSendersChanged(senders, msg.sender);
+    }
+
+    function isAuthorizedSender(address sender) external view returns (bool) {
+        return authorizedSenders[sender];
+    }
+
+    /// @notice LINK held by the operator that is not owed to pending requests.
+    function withdrawable() public view returns (uint256) {
+        return linkToken.balanceOf(address(this)) - tokensInEscrow;
+    }
+
+    function withdraw(address recipient, uint256 amount) external onlyOwner {
+        require(amount <= withdrawable(), "Amount requested is greater than withdrawable balance");
+        require(linkToken.transfer(recipient, amount), "LINK transfer failed");
+    }
+}
@@ -0,0 +1,236 @@
+// lib/aggregator.js
+// Client for the ReputationAggregator contract.
+//
+// The ReputationKeeper address is not configured separately: it is read from
+// the aggregator's reputationKeeper() getter, as the command-line scripts do.
+
+const { ContractClient, toStr } = require('./contract');
+const { VerdiktaKeeper } = require('./keeper');
+const { LinkToken } = require('./tokens');
+
+// Decode the tuple returned by getEvaluation(requestId).
+function decodeEvaluation(raw) {
+  return {
+    likelihoods: raw.likelihoods.map(toStr),
+    justificationCID: raw.justificationCID,
+    exists: Boolean(raw.exists),
+    failed: Boolean(raw.failed)
+  };
+}
+
+// Decode the public aggregatedEvaluations(requestId) getter. The generated
+// getter omits the array and mapping members of AggregatedEvaluation.
+function decodeAggregatedEvaluation(raw) {
+  return {
+    responseCount: toStr(raw.responseCount),
+    expectedResponses: toStr(raw.expectedResponses),
+    requiredResponses: toStr(raw.requiredResponses),
+    clusterSize: toStr(raw.clusterSize),
+    isComplete: Boolean(raw.isComplete),
+    userFunded: Boolean(raw.userFunded),
+    requester: raw.requester,
+    combinedJustificationCIDs: raw.combinedJustificationCIDs,
+    startTimestamp: toStr(raw.startTimestamp),
+    failed: Boolean(raw.failed)
+  };
+}
+
+// Names of the RequestState enum values, in declaration order.
+const REQUEST_STATES = ['unknown', 'pending', 'expired', 'complete', 'failed'];
+
+// Decode the RequestStatus struct returned by getRequestStatus(requestId).
+// The per-slot arrays are folded into one `slots` entry per poll slot.
+function decodeRequestStatus(raw) {
+  const slots = raw.polledOracles.map((identity, slot) => ({
+    slot,
+    oracle: identity.oracle,
+    jobId: identity.jobId,
+    classes: identity.classes.map(toStr),
+    fee: toStr(raw.pollFees[slot]),
+    responded: Boolean(raw.responded[slot]),
+    responseTimestamp: toStr(raw.responseTimestamps[slot])
+  }));
+  return {
+    state: REQUEST_STATES[Number(raw.state)],
+    requester: raw.requester,
+    userFunded: Boolean(raw.userFunded),
+    startTimestamp: toStr(raw.startTimestamp),
+    deadline: toStr(raw.deadline),
+    responseCount: toStr(raw.responseCount),
+    requiredResponses: toStr(raw.requiredResponses),
+    expectedResponses: toStr(raw.expectedResponses),
+    clusterSize: toStr(raw.clusterSize),
+    totalFee: slots.reduce((sum, s) => sum + BigInt(s.fee), 0n).toString(),
+    slots
+  };
+}
+
+class VerdiktaAggregator extends ContractClient {
+  constructor(web3, address, options) {
+    super(web3, address, 'ReputationAggregator', options);
+    this._keeper = null;
+  }
+
+  async owner() {
+    return this.methods.owner().call();
+  }
+
+  // True while the owner has paused new requests (see pause-aggregator-cl.js).
+  async paused() {
+    return Boolean(await this.methods.paused().call());
+  }
+
+  async keeperAddress() {
+    return this.methods.reputationKeeper().call();
+  }
+
+  // Return a VerdiktaKeeper for the keeper this aggregator points to.
+  async keeper() {
+    const address = await this.keeperAddress();
+    if (!this._keeper || this._keeper.address.toLowerCase() !== address.toLowerCase()) {
+      this._keeper = new VerdiktaKeeper(this.web3, address);
+    }
+    return this._keeper;
+  }
+
+  // The LINK token address is only exposed through getContractConfig(); the
+  // remaining fields of that tuple are placeholders.
+  async linkTokenAddress() {
+    const config = await this.methods.getContractConfig().call();
+    return config.linkAddr;
+  }
+
+  async linkToken() {
+    return new LinkToken(this.web3, await this.linkTokenAddress());
+  }
+
+  async getConfig() {
+    const m = this.methods;
+    return {
+      oraclesToPoll: toStr(await m.oraclesToPoll().call()),
+      requiredResponses: toStr(await m.requiredResponses().call()),
+      clusterSize: toStr(await m.clusterSize().call()),
+      responseTimeoutSeconds: toStr(await m.responseTimeoutSeconds().call()),
+      alpha: toStr(await m.alpha().call()),
+      maxOracleFee: toStr(await m.maxOracleFee().call()),
+      baseFeePct: toStr(await m.baseFeePct().call()),
+      maxFeeBasedScalingFactor: toStr(await m.maxFeeBasedScalingFactor().call()),
+      timelockDelay: toStr(await m.timelockDelay().call())
+    };
+  }
+
+  async getLimits() {
+    const m = this.methods;
+    return {
+      maxCidCount: toStr(await m.MAX_CID_COUNT().call()),
+      maxCidLength: toStr(await m.MAX_CID_LENGTH().call()),
+      maxAddendumLength: toStr(await m.MAX_ADDENDUM_LENGTH().call())
+    };
+  }
+
+  // Selection parameters the aggregator would pass to selectOracles for a
+  // request with the given alpha and max oracle fee (both default to the
+  // aggregator's own settings). The base cost follows getEstimatedBaseCost,
+  // applied to the requested fee.
+  async getSelectionParams({ alpha, maxFee } = {}) {
+    const config = await this.getConfig();
+    const fee = maxFee !== undefined ? toStr(maxFee) : config.maxOracleFee;
+    return {
+      alpha: toStr(alpha !== undefined ? alpha : config.alpha),
+      maxFee: fee,
+      estimatedBaseCost: (BigInt(fee) * BigInt(config.baseFeePct) / 100n).toString(),
+      maxFeeBasedScalingFactor: config.maxFeeBasedScalingFactor
+    };
+  }
+
+  async getEstimatedBaseCost() {
+    return toStr(await this.methods.getEstimatedBaseCost().call());
+  }
+
+  async maxTotalFee(requestedMaxOracleFee) {
+    return toStr(await this.methods.maxTotalFee(requestedMaxOracleFee).call());
+  }
+
+  async getEvaluation(requestId) {
+    return decodeEvaluation(await this.methods.getEvaluation(requestId).call());
+  }
+
+  async getRequestStatus(requestId) {
+    return decodeRequestStatus(await this.methods.getRequestStatus(requestId).call());
+  }
+
+  async getAggregatedEvaluation(requestId) {
+    return decodeAggregatedEvaluation(await this.methods.aggregatedEvaluations(requestId).call());
+  }
+
+  // Requests that can no longer complete: past the response timeout with fewer
+  // than requiredResponses answers, and not yet marked failed. Calling
+  // finalizeEvaluationTimeout on them marks them failed. Returns
+  // [{ requestId, blockNumber, startTimestamp, deadline, responseCount,
+  //    requiredResponses, expectedResponses }] in request order.
+  async findStuckRequests({ fromBlock = 0, toBlock, chunkSize } = {}) {
+    const head = toBlock !== undefined ? Number(toBlock) : Number(await this.web3.eth.getBlockNumber());
+    const now = BigInt((await this.web3.eth.getBlock(head)).timestamp);
+    const timeout = BigInt(await this.methods.responseTimeoutSeconds().call());
+    const requests = await this.getPastEventsInChunks('RequestAIEvaluation', { fromBlock, toBlock: head, chunkSize });
+
+    const stuck = [];
+    for (const event of requests) {
+      const requestId = event.returnValues.requestId;
+      const evaluation = await this.getAggregatedEvaluation(requestId);
+      if (evaluation.isComplete || evaluation.failed) continue;
+      const deadline = BigInt(evaluation.startTimestamp) + timeout;
+      if (now < deadline) continue;
+      if (BigInt(evaluation.responseCount) >= BigInt(evaluation.requiredResponses)) continue;
+      stuck.push({
+        requestId,
+        blockNumber: Number(event.blockNumber),
+        startTimestamp: evaluation.startTimestamp,
+        deadline: deadline.toString(),
+        responseCount: evaluation.responseCount,
+        requiredResponses: evaluation.requiredResponses,
+        expectedResponses: evaluation.expectedResponses
+      });
+    }
+    return stuck;
+  }
+
+  // Map a Chainlink operator request ID back to its aggregator request ID.
+  async aggregatorRequestIdFor(operatorRequestId) {
+    return this.methods.requestIdToAggregatorId(operatorRequestId).call();
+  }
+
+  // Poll for the FulfillAIEvaluation event of an aggregator request ID.
+  // Resolves with { likelihoods, justificationCIDs, blockNumber, transactionHash }
+  // or with null if nothing arrived within timeoutMs. Polling (rather than a
+  // subscription) keeps this usable over plain HTTP providers.
+  async waitForFulfillment(requestId, { fromBlock = 0, timeoutMs = 10 * 60 * 1000, pollMs = 5000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const events = await this.getPastEvents('FulfillAIEvaluation', {
+        filter: { requestId },
+        fromBlock,
+        toBlock: 'latest'
+      });
+      const match = events.find(e => e.returnValues.requestId === requestId);
+      if (match) {
+        return {
+          likelihoods: match.returnValues.aggregatedLikelihoods.map(toStr),
+          justificationCIDs: match.returnValues.combinedJustificationCIDs,
+          blockNumber: Number(match.blockNumber),
+          transactionHash: match.transactionHash
+        };
+      }
+      if (Date.now() >= deadline) return null;
+      await new Promise(resolve => setTimeout(resolve, Math.min(pollMs, Math.max(deadline - Date.now(), 0))));
+    }
+  }
+}
+
+module.exports = {
+  VerdiktaAggregator,
+  REQUEST_STATES,
+  decodeAggregatedEvaluation,
+  decodeEvaluation,
+  decodeRequestStatus
+};
@@ -0,0 +1,290 @@
+// lib/alerts.js
+// Alert rules for watching a Verdikta deployment block by block.
+//
+// Rules are plain objects, e.g. loaded from a JSON file:
+//   { "type": "slashed" }                                  any OracleSlashed
+//   { "type": "timeout" }                                  any EvaluationTimedOut
+//   { "type": "failed" }                                   any EvaluationFailed
+//   { "type": "paused" }                                   aggregator paused
+//   { "type": "min-eligible", "class": 128, "min": 3 }     eligible oracles per class
+//                                                          ("class" may be a list)
+//   { "type": "link-balance", "min": "5000000000000000000" }   aggregator LINK (wei)
+//   { "type": "allowance", "owner": "0xRequester", "min": "1000000000000000000" }
+//
+// Event rules fire once per event. Condition rules fire when the condition
+// starts to hold, stay quiet while it keeps holding (optionally repeating
+// every `repeatAfter` seconds) and send a 'resolved' alert when it clears, so
+// a single slashing or a low balance does not fire on every block. Each
+// min-eligible rule tracks every one of its classes separately, so two rules
+// on the same class (say a warning and a critical minimum) do not mask each
+// other.
+//
+// Alerts are delivered to notifiers: functions taking an alert and returning a
+// promise. consoleNotifier prints to stdout, webhookNotifier POSTs JSON.
+
+const http = require('http');
+const https = require('https');
+
+const { readEvents } = require('./indexer');
+const { SelectionSimulator } = require('./selection');
+
+const EVENT_RULES = {
+  slashed: { contract: 'keeper', event: 'OracleSlashed' },
+  timeout: { contract: 'aggregator', event: 'EvaluationTimedOut' },
+  failed: { contract: 'aggregator', event: 'EvaluationFailed' }
+};
+
+const CONDITION_RULES = ['min-eligible', 'link-balance', 'allowance', 'paused'];
+
+// Check that a list of rules is well formed; throws on the first bad rule.
+function validateRules(rules) {
+  for (const rule of rules) {
+    if (EVENT_RULES[rule.type]) continue;
+    if (!CONDITION_RULES.includes(rule.type)) {
+      throw new Error(`Unknown alert rule type: ${rule.type}`);
+    }
+    if (rule.min === undefined && rule.type !== 'paused') throw new Error(`Alert rule ${rule.type} needs a "min" value`);
+    if (rule.type === 'min-eligible' && (rule.class === undefined || [].concat(rule.class).length === 0)) {
+      throw new Error('Alert rule min-eligible needs a "class"');
+    }
+    if (rule.type === 'allowance' && !rule.owner) {
+      throw new Error('Alert rule allowance needs an "owner"');
+    }
+  }
+  return rules;
+}
+
+function eventKey(event) {
+  const args = event.args;
+  if (event.event === 'OracleSlashed') {
+    return `OracleSlashed:${args.oracle.toLowerCase()}:${args.jobId}:${args.lockedUntil}`;
+  }
+  if (event.event === 'EvaluationTimedOut' || event.event === 'EvaluationFailed') {
+    return `${event.event}:${args.aggregatorRequestId}`;
+  }
+  return `${event.event}:${event.transactionHash}:${event.logIndex}`;
+}
+
+function eventMessage(event) {
+  const args = event.args;
+  if (event.event === 'OracleSlashed') {
+    return `Oracle ${args.oracle} (job ${args.jobId}) ` +
+      `${args.blocked ? `slashed ${args.slashAmount} wei VDKA and blocked` : 'locked'} until ${args.lockedUntil}`;
+  }
+  if (event.event === 'EvaluationTimedOut') {
+    return `Evaluation ${args.aggregatorRequestId} timed out`;
+  }
+  if (event.event === 'EvaluationFailed') {
+    return `Evaluation ${args.aggregatorRequestId} failed with ${args.responseCount}/${args.requiredResponses} responses`;
+  }
+  return `${event.event} in transaction ${event.transactionHash}`;
+}
+
+class AlertWatcher {
+  // options: {
+  //   aggregator, keeper, linkToken   clients (keeper and linkToken default to
+  //                                   the aggregator's)
+  //   rules, notifiers                see above
+  //   fromBlock                       first block for event rules (default: head
+  //                                   at the first check)
+  //   chunkSize, repeatAfter (seconds, 0 = never), log
+  // }
+  constructor({ aggregator, keeper, linkToken, rules, notifiers = [], fromBlock, chunkSize, repeatAfter = 0, log = () => {} }) {
+    this.aggregator = aggregator;
+    this.keeper = keeper;
+    this.linkToken = linkToken;
+    this.rules = validateRules(rules);
+    this.notifiers = notifiers;
+    this.chunkSize = chunkSize;
+    this.repeatAfter = repeatAfter;
+    this.log = log;
+    this.lastBlock = fromBlock !== undefined ? fromBlock - 1 : null;
+    this.seen = new Map();       // event alert key -> block it was sent for
+    this.active = new Map();     // failing condition key -> { notifiedAt }
+  }
+
+  get web3() {
+    return (this.aggregator || this.keeper).web3;
+  }
+
+  async _keeper() {
+    if (!this.keeper) this.keeper = await this.aggregator.keeper();
+    return this.keeper;
+  }
+
+  async _linkToken() {
+    if (!this.linkToken) this.linkToken = await this.aggregator.linkToken();
+    return this.linkToken;
+  }
+
+  // Evaluate every rule against the blocks since the last check and the
+  // current state. Returns the alerts that were sent.
+  async check() {
+    const web3 = this.web3;
+    const head = Number(await web3.eth.getBlockNumber());
+    const block = await web3.eth.getBlock(head);
+    const fromBlock = this.lastBlock === null ? head : this.lastBlock + 1;
+
+    const alerts = [];
+    if (fromBlock <= head) {
+      alerts.push(...await this._checkEvents(fromBlock, head));
+    }
+    alerts.push(...await this._checkConditions(head, Number(block.timestamp)));
+    this.lastBlock = head;
+
+    for (const alert of alerts) await this._notify(alert);
+    return alerts;
+  }
+
+  async _checkEvents(fromBlock, toBlock) {
+    // Checks read consecutive block ranges, so keys sent for blocks before
+    // this range cannot come up again.
+    for (const [key, blockNumber] of this.seen) {
+      if (blockNumber < fromBlock) this.seen.delete(key);
+    }
+    const alerts = [];
+    for (const rule of this.rules.filter(r => EVENT_RULES[r.type])) {
+      const { contract, event } = EVENT_RULES[rule.type];
+      const client = contract === 'keeper' ? await this._keeper() : this.aggregator;
+      if (!client) throw new Error(`Alert rule ${rule.type} needs an aggregator`);
+      const events = await readEvents(client, { events: [event], fromBlock, toBlock, chunkSize: this.chunkSize });
+      for (const e of events) {
+        const key = eventKey(e);
+        if (this.seen.has(key)) continue;
+        this.seen.set(key, Number(e.blockNumber));
+        alerts.push({
+          key,
+          rule: rule.type,
+          status: 'firing',
+          message: eventMessage(e),
+          blockNumber: e.blockNumber,
+          transactionHash: e.transactionHash,
+          details: e.args
+        });
+      }
+    }
+    return alerts;
+  }
+
+  async _checkConditions(blockNumber, timestamp) {
+    const alerts = [];
+    let simulator = null;
+    for (const [index, rule] of this.rules.entries()) {
+      if (!CONDITION_RULES.includes(rule.type)) continue;
+      const results = [];
+      if (rule.type === 'min-eligible') {
+        if (!simulator) simulator = await SelectionSimulator.fromKeeper(await this._keeper());
+        const maxFee = rule.maxFee !== undefined ? rule.maxFee : (await this.aggregator.getConfig()).maxOracleFee;
+        for (const cls of [].concat(rule.class)) {
+          const count = simulator.eligibleOracles(maxFee, cls).length;
+          results.push({
+            key: `min-eligible:${index}:${cls}`,
+            failing: count < Number(rule.min),
+            message: `${count} eligible oracle(s) in class ${cls} (minimum ${rule.min})`,
+            details: { class: String(cls), eligible: count, min: Number(rule.min) }
+          });
+        }
+      } else if (rule.type === 'link-balance') {
+        const link = await this._linkToken();
+        const account = rule.account || this.aggregator.address;
+        const balance = await link.balanceOf(account);
+        results.push({
+          key: `link-balance:${account.toLowerCase()}`,
+          failing: BigInt(balance) < BigInt(rule.min),
+          message: `LINK balance of ${account} is ${balance} wei (minimum ${rule.min})`,
+          details: { account, balance, min: String(rule.min) }
+        });
+      } else if (rule.type === 'paused') {
+        const paused = await this.aggregator.paused();
+        results.push({
+          key: `paused:${this.aggregator.address.toLowerCase()}`,
+          failing: paused,
+          message: `Aggregator ${this.aggregator.address} is ${paused ? 'paused: new requests are rejected' : 'no longer paused'}`,
+          details: { aggregator: this.aggregator.address, paused }
+        });
+      } else {
+        const link = await this._linkToken();
+        const spender = rule.spender || this.aggregator.address;
+        const allowance = await link.allowance(rule.owner, spender);
+        results.push({
+          key: `allowance:${rule.owner.toLowerCase()}:${spender.toLowerCase()}`,
+          failing: BigInt(allowance) < BigInt(rule.min),
+          message: `LINK allowance of ${rule.owner} to ${spender} is ${allowance} wei (minimum ${rule.min})`,
+          details: { owner: rule.owner, spender, allowance, min: String(rule.min) }
+        });
+      }
+
+      for (const result of results) {
+        alerts.push(...this._transition(rule, result, blockNumber, timestamp));
+      }
+    }
+    return alerts;
+  }
+
+  // Alerts for one evaluated condition: 'firing' when it starts to fail (or
+  // is due for a repeat), 'resolved' when it clears. A cleared condition is
+  // forgotten, so it fires again the next time it fails.
+  _transition(rule, result, blockNumber, timestamp) {
+    const previous = this.active.get(result.key);
+    const alert = { key: result.key, rule: rule.type, message: result.message, blockNumber, details: result.details };
+    if (result.failing) {
+      const repeat = previous && this.repeatAfter > 0 && timestamp - previous.notifiedAt >= this.repeatAfter;
+      if (!previous || repeat) {
+        this.active.set(result.key, { notifiedAt: timestamp });
+        return [{ ...alert, status: 'firing' }];
+      }
+    } else if (previous) {
+      this.active.delete(result.key);
+      return [{ ...alert, status: 'resolved' }];
+    }
+    return [];
+  }
+
+  // A failing notifier is logged and does not stop the others.
+  async _notify(alert) {
+    for (const notifier of this.notifiers) {
+      try {
+        await notifier(alert);
+      } catch (error) {
+        this.log(`Alert notification failed: ${error.message}`);
+      }
+    }
+  }
+}
+
+function consoleNotifier(print = console.log) {
+  return async alert => {
+    const tag = alert.status === 'resolved' ? 'RESOLVED' : 'ALERT';
+    print(`[${new Date().toISOString()}] ${tag} ${alert.rule} (block ${alert.blockNumber}): ${alert.message}`);
+  };
+}
+
+// POST each alert as JSON to `url`. Non-2xx responses are errors.
+function webhookNotifier(url, { timeout = 10000 } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  return alert => new Promise((resolve, reject) => {
+    const body = JSON.stringify({ source: 'verdikta-monitor', ...alert });
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout
+    }, response => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) resolve();
+        else reject(new Error(`Webhook ${url} returned HTTP ${response.statusCode}`));
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Webhook ${url} timed out`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = {
+  AlertWatcher,
+  consoleNotifier,
+  webhookNotifier,
+  validateRules
+};
@@ -0,0 +1,40 @@
+// lib/artifacts.js
+// Loads contract ABIs from the compiled Truffle artifacts so that every client
+// works from the same ABI as the deployed contracts.
+//
+// The artifacts are read from build/contracts (written by `truffle compile` or
+// `truffle migrate`). Set VERDIKTA_ARTIFACTS_DIR to read them from elsewhere.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, '..', 'build', 'contracts');
+
+// Cache of contract name → ABI, keyed per artifacts directory.
+const abiCache = new Map();
+
+function artifactsDir() {
+  return process.env.VERDIKTA_ARTIFACTS_DIR || DEFAULT_ARTIFACTS_DIR;
+}
+
+function loadArtifact(contractName) {
+  const file = path.join(artifactsDir(), `${contractName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Artifact for ${contractName} not found at ${file}. Run \`truffle compile\` first.`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadAbi(contractName) {
+  const cacheKey = `${artifactsDir()}:${contractName}`;
+  if (!abiCache.has(cacheKey)) {
+    abiCache.set(cacheKey, loadArtifact(contractName).abi);
+  }
+  return abiCache.get(cacheKey);
+}
+
+module.exports = {
+  DEFAULT_ARTIFACTS_DIR,
+  loadArtifact,
+  loadAbi
+};
@@ -0,0 +1,88 @@
+// lib/batch.js
+// Recording a script's transactions instead of sending them from accounts[0].
+//
+//   --safe-batch <file> --safe <address>   Safe Transaction Builder batch (lib/safe.js)
+//   --unsigned <file> --from <address>     unsigned transactions for offline signing (lib/offline.js)
+//
+// Both batches have add(target, method, { summary }), `from` (the account the
+// script acts as in its checks: ownership, balances, allowances), `length`,
+// summaryLines() and write(file). Scripts that deploy contracts, run as
+// services or wait for an evaluation's result have no batch mode.
+
+const { createSafeBatch } = require('./safe');
+const { createUnsignedBatch } = require('./offline');
+
+// Send `method` from `from` with an estimated gas limit plus a 20% buffer, or
+// add it to `batch` when there is one. Set `dependsOnBatch` when the call
+// needs an earlier call in the same batch (see UnsignedBatch.add). Resolves to
+// the receipt, or null when batched.
+async function sendOrBatch(target, method, { from, batch, summary, dependsOnBatch } = {}) {
+  if (batch) {
+    await batch.add(target, method, { summary, dependsOnBatch });
+    return null;
+  }
+  const gas = await method.estimateGas({ from });
+  return method.send({ from, gas: Math.floor(Number(gas) * 1.2) });
+}
+
+// Adds the batch options to a yargs instance.
+function withTransactionBatch(y) {
+  return y
+    .option('safe-batch', {
+      type: 'string',
+      description: 'Write the transactions to this Safe Transaction Builder JSON file instead of sending them'
+    })
+    .option('safe', {
+      type: 'string',
+      description: 'Safe that will execute the batch; used in place of accounts[0] for checks'
+    })
+    .option('unsigned', {
+      type: 'string',
+      description: 'Write unsigned transactions to this file instead of sending them; sign it offline with ' +
+        'scripts/sign-transactions.js, then send it with scripts/broadcast-transactions.js'
+    })
+    .option('from', {
+      type: 'string',
+      description: 'Account that will sign the unsigned transactions; used in place of accounts[0] for checks'
+    })
+    .implies('safe-batch', 'safe')
+    .implies('safe', 'safe-batch')
+    .implies('unsigned', 'from')
+    .implies('from', 'unsigned')
+    .conflicts('safe-batch', 'unsigned');
+}
+
+// The batch for a script run with --safe-batch or --unsigned, or null.
+async function openTransactionBatch(web3, argv, name) {
+  let batch = null;
+  if (argv.safeBatch) {
+    batch = await createSafeBatch(web3, { safe: argv.safe, name });
+    batch.file = argv.safeBatch;
+  } else if (argv.unsigned) {
+    batch = await createUnsignedBatch(web3, { from: argv.from, name });
+    batch.file = argv.unsigned;
+  }
+  return batch;
+}
+
+// Write the batch to its file and log its summary.
+function saveTransactionBatch(batch, log = console.log) {
+  if (batch.length === 0) {
+    log('\nNo transactions to record; nothing written.');
+    return;
+  }
+  batch.write(batch.file);
+  const kind = batch.safe ? `for Safe ${batch.safe}` : `unsigned from ${batch.from}`;
+  log(`\nWrote ${batch.length} transaction(s) ${kind} (chain ${batch.chainId}) to ${batch.file}:`);
+  batch.summaryLines().forEach(line => log(`  ${line}`));
+  if (!batch.safe) {
+    log('Sign them offline with scripts/sign-transactions.js, then send with scripts/broadcast-transactions.js.');
+  }
+}
+
+module.exports = {
+  sendOrBatch,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+};
@@ -0,0 +1,376 @@
+// lib/cluster.js
+// Replays the aggregator's clustering and scoring for a past request.
+//
+// loadRequestTrace() rebuilds what the contract saw: the poll slots (from the
+// request transaction's logs) and every recorded response (by decoding the
+// `fulfill` calldata of the transactions behind NewOracleResponseRecorded).
+// replayFinalization() then mirrors _finalizeAggregation: _findBestClusterFromResponses
+// with _calculateDistance over the selected responses, the score change each
+// slot receives in _processPollSlot, the averaged likelihoods and the combined
+// justification CIDs.
+//
+// Likelihoods and distances are handled as BigInt so the arithmetic matches
+// the contract exactly.
+
+const { toStr } = require('./contract');
+
+const QUALITY_REWARD = 4;
+const QUALITY_PENALTY = -4;
+const TIMELINESS_REWARD = 4;
+const TIMELINESS_PENALTY = -4;
+
+// ---------------------------------------------------------------------------
+// Pure replay
+// ---------------------------------------------------------------------------
+
+// Mirror of _calculateDistance: squared Euclidean distance.
+function calculateDistance(a, b) {
+  if (a.length !== b.length) throw new Error('Array length mismatch');
+  let sum = 0n;
+  for (let i = 0; i < a.length; i++) {
+    const diff = BigInt(a[i]) - BigInt(b[i]);
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+// Mirror of _findBestClusterFromResponses. Returns every compared pair (as
+// indices into selectedIndices) with its distance, the winning pair and the
+// 0/1 cluster flags. Ties keep the first pair found, as the strict `<` in the
+// contract does.
+function findBestCluster(responses, selectedIndices) {
+  if (selectedIndices.length < 2) throw new Error('Need at least 2 responses');
+  const pairs = [];
+  let best = null;
+  for (let i = 0; i < selectedIndices.length - 1; i++) {
+    for (let j = i + 1; j < selectedIndices.length; j++) {
+      const distance = calculateDistance(
+        responses[selectedIndices[i]].likelihoods,
+        responses[selectedIndices[j]].likelihoods
+      );
+      const pair = { i, j, responseA: selectedIndices[i], responseB: selectedIndices[j], distance };
+      pairs.push(pair);
+      if (best === null || distance < best.distance) best = pair;
+    }
+  }
+  const clusterResults = selectedIndices.map((_, x) => (x === best.i || x === best.j ? 1 : 0));
+  return { pairs, best, clusterResults };
+}
+
+// Mirror of _finalizeAggregation and _processPollSlot.
+//
+//   slots:     [{ oracle, jobId, fee }] in poll order
+//   responses: [{ pollIndex, likelihoods, justificationCID, operator }] in the
+//              order fulfill() recorded them
+//   requiredResponses: the request's requiredResponses
+//   inactiveSlots: slot indices whose oracle was inactive at finalization
+function replayFinalization({ slots, responses, requiredResponses, inactiveSlots = new Set() }) {
+  const required = Number(requiredResponses);
+  // fulfill() marks a response selected while fewer than requiredResponses
+  // had been recorded before it.
+  const selectedIndices = responses.map((_, idx) => idx).filter(idx => idx < required);
+
+  let clustering = null;
+  let clusterResults;
+  if (selectedIndices.length >= 2) {
+    clustering = findBestCluster(responses, selectedIndices);
+    clusterResults = clustering.clusterResults;
+  } else {
+    clusterResults = selectedIndices.map(() => 0);
+  }
+
+  const width = responses.length > 0 ? responses[0].likelihoods.length : 0;
+  const sums = new Array(width).fill(0n);
+  let clusterCount = 0;
+
+  const slotOutcomes = slots.map((slot, index) => {
+    const outcome = {
+      slot: index,
+      oracle: slot.oracle,
+      jobId: slot.jobId,
+      responseIndex: null,
+      outcome: null,
+      qualityChange: 0,
+      timelinessChange: 0,
+      bonus: '0'
+    };
+    if (inactiveSlots.has(index)) {
+      outcome.outcome = 'inactive at finalization (skipped)';
+      return outcome;
+    }
+    const respIndex = responses.findIndex(r => Number(r.pollIndex) === index);
+    if (respIndex === -1) {
+      outcome.outcome = 'no response';
+      outcome.timelinessChange = TIMELINESS_PENALTY;
+      return outcome;
+    }
+    outcome.responseIndex = respIndex;
+    const selIndex = selectedIndices.indexOf(respIndex);
+    if (selIndex === -1) {
+      outcome.outcome = 'responded, not selected';
+      outcome.timelinessChange = TIMELINESS_PENALTY;
+      return outcome;
+    }
+    if (clusterResults[selIndex] === 1) {
+      outcome.outcome = 'in cluster';
+      outcome.qualityChange = QUALITY_REWARD;
+      outcome.timelinessChange = TIMELINESS_REWARD;
+      outcome.bonus = toStr(slot.fee);
+      responses[respIndex].likelihoods.forEach((value, j) => { sums[j] += BigInt(value); });
+      clusterCount++;
+    } else {
+      outcome.outcome = 'outside cluster';
+      outcome.qualityChange = QUALITY_PENALTY;
+    }
+    return outcome;
+  });
+
+  const aggregatedLikelihoods = sums.map(sum => (clusterCount > 0 ? sum / BigInt(clusterCount) : sum).toString());
+  const combinedJustificationCIDs = selectedIndices
+    .filter((_, x) => clusterResults[x] === 1)
+    .map(idx => responses[idx].justificationCID)
+    .join(',');
+
+  return {
+    selectedIndices,
+    clustering,
+    slotOutcomes,
+    clusterCount,
+    aggregatedLikelihoods,
+    combinedJustificationCIDs
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Calldata decoding
+// ---------------------------------------------------------------------------
+
+const FULFILL = 'fulfill(bytes32,uint256[],string)';
+const FULFILL_ORACLE_REQUEST2 = 'fulfillOracleRequest2(bytes32,uint256,address,bytes4,uint256,bytes)';
+const FORWARD = 'forward(address,bytes)';
+
+// Find every fulfill(bytes32,uint256[],string) call in a transaction input.
+// Besides direct calls this unwraps Operator.fulfillOracleRequest2 (which
+// calls back with callbackFunctionId ++ data) and AuthorizedForwarder.forward,
+// the two routes a Chainlink node uses.
+function decodeFulfillCalls(web3, input) {
+  const abi = web3.eth.abi;
+  const selector = input.slice(0, 10).toLowerCase();
+  const args = `0x${input.slice(10)}`;
+
+  if (selector === abi.encodeFunctionSignature(FULFILL)) {
+    const decoded = abi.decodeParameters(['bytes32', 'uint256[]', 'string'], args);
+    return [{
+      operatorRequestId: decoded[0],
+      likelihoods: decoded[1].map(toStr),
+      justificationCID: decoded[2]
+    }];
+  }
+  if (selector === abi.encodeFunctionSignature(FULFILL_ORACLE_REQUEST2)) {
+    const decoded = abi.decodeParameters(['bytes32', 'uint256', 'address', 'bytes4', 'uint256', 'bytes'], args);
+    return decodeFulfillCalls(web3, decoded[3] + decoded[5].slice(2));
+  }
+  if (selector === abi.encodeFunctionSignature(FORWARD)) {
+    const decoded = abi.decodeParameters(['address', 'bytes'], args);
+    return decodeFulfillCalls(web3, decoded[1]);
+  }
+  return [];
+}
+
+// ---------------------------------------------------------------------------
+// Chain collection
+// ---------------------------------------------------------------------------
+
+function topicToAddress(web3, topic) {
+  return web3.utils.toChecksumAddress(`0x${topic.slice(26)}`);
+}
+
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// Rebuild the poll slots from the request transaction's logs. Each
+// _sendSingleOracleRequest emits ChainlinkRequested(id) and moves the fee to
+// the operator with LINK transferAndCall; a standard Operator also logs
+// OracleRequest with the job ID (specId).
+async function decodePollSlots(aggregator, receipt) {
+  const web3 = aggregator.web3;
+  const chainlinkRequested = web3.utils.sha3('ChainlinkRequested(bytes32)');
+  const erc20Transfer = web3.utils.sha3('Transfer(address,address,uint256)');
+  const oracleRequest = web3.utils.sha3(
+    'OracleRequest(bytes32,address,bytes32,uint256,address,bytes4,uint256,uint256,bytes)'
+  );
+
+  const slots = [];
+  const specIds = {};
+  let pending = null;
+  for (const log of receipt.logs) {
+    const topic = log.topics[0];
+    if (topic === chainlinkRequested && sameAddress(log.address, aggregator.address)) {
+      pending = { operatorRequestId: log.topics[1] };
+    } else if (topic === erc20Transfer && pending && log.topics.length === 3 &&
+               sameAddress(topicToAddress(web3, log.topics[1]), aggregator.address)) {
+      pending.oracle = topicToAddress(web3, log.topics[2]);
+      pending.fee = toStr(web3.eth.abi.decodeParameter('uint256', log.data));
+      slots.push(pending);
+      pending = null;
+    } else if (topic === oracleRequest) {
+      const requestId = `0x${log.data.slice(2 + 64, 2 + 128)}`;
+      specIds[requestId.toLowerCase()] = log.topics[1];
+    }
+  }
+
+  // Without an OracleRequest log (e.g. an oracle that is not a standard
+  // Operator) fall back to the keeper, if the operator has a single job.
+  let registered = null;
+  for (const slot of slots) {
+    slot.jobId = specIds[slot.operatorRequestId.toLowerCase()] || null;
+    if (!slot.jobId) {
+      if (!registered) registered = await (await aggregator.keeper()).getRegisteredOracles();
+      const jobs = registered.filter(r => sameAddress(r.oracle, slot.oracle));
+      if (jobs.length === 1) slot.jobId = jobs[0].jobId;
+    }
+  }
+  return slots;
+}
+
+// Collect everything needed to replay a request.
+//   options: { fromBlock, toBlock, txHash, chunkSize }
+// fromBlock bounds the search for the RequestAIEvaluation event; it is not
+// needed when the request transaction hash is given.
+async function loadRequestTrace(aggregator, requestId, { fromBlock = 0, toBlock, txHash, chunkSize } = {}) {
+  const web3 = aggregator.web3;
+  const latest = Number(await web3.eth.getBlockNumber());
+  const endBlock = toBlock !== undefined ? Number(toBlock) : latest;
+
+  // 1. The request transaction.
+  let receipt;
+  if (txHash) {
+    receipt = await web3.eth.getTransactionReceipt(txHash);
+    if (!receipt) throw new Error(`Transaction ${txHash} not found`);
+  } else {
+    const found = await aggregator.getPastEventsInChunks('RequestAIEvaluation', {
+      filter: { requestId }, fromBlock, toBlock: endBlock, chunkSize
+    });
+    const event = found.find(e => e.returnValues.requestId === requestId);
+    if (!event) throw new Error(`RequestAIEvaluation for ${requestId} not found in blocks ${fromBlock}-${endBlock}`);
+    receipt = await web3.eth.getTransactionReceipt(event.transactionHash);
+  }
+  const requestBlock = Number(receipt.blockNumber);
+  const evaluation = await aggregator.getAggregatedEvaluation(requestId);
+  const slots = await decodePollSlots(aggregator, receipt);
+  if (slots.length === 0) throw new Error(`No poll slots found in transaction ${receipt.transactionHash}`);
+
+  // 2. Fulfillment, if the request has been finalized.
+  const range = { fromBlock: requestBlock, toBlock: endBlock, chunkSize };
+  const fulfilled = (await aggregator.getPastEventsInChunks('FulfillAIEvaluation', { ...range, filter: { requestId } }))
+    .find(e => e.returnValues.requestId === requestId) || null;
+  const lastBlock = fulfilled ? Number(fulfilled.blockNumber) : endBlock;
+
+  // 3. Responses, in the order fulfill() recorded them.
+  const slotByRequestId = {};
+  slots.forEach((slot, index) => { slotByRequestId[slot.operatorRequestId.toLowerCase()] = index; });
+  const recorded = (await aggregator.getPastEventsInChunks('NewOracleResponseRecorded', {
+    fromBlock: requestBlock, toBlock: lastBlock, chunkSize
+  }))
+    .filter(e => slotByRequestId[e.returnValues.requestId.toLowerCase()] !== undefined)
+    .sort((a, b) => Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex));
+
+  const responses = [];
+  for (const event of recorded) {
+    const operatorRequestId = event.returnValues.requestId;
+    const tx = await web3.eth.getTransaction(event.transactionHash);
+    const call = decodeFulfillCalls(web3, tx.input)
+      .find(c => c.operatorRequestId.toLowerCase() === operatorRequestId.toLowerCase());
+    if (!call) throw new Error(`Could not decode fulfill calldata in transaction ${event.transactionHash}`);
+    responses.push({
+      operatorRequestId,
+      pollIndex: Number(event.returnValues.pollIndex),
+      operator: event.returnValues.operator,
+      likelihoods: call.likelihoods,
+      justificationCID: call.justificationCID,
+      blockNumber: Number(event.blockNumber),
+      transactionHash: event.transactionHash
+    });
+  }
+
+  // 4. What happened at finalization: skipped slots and keeper score updates.
+  let finalization = null;
+  const inactiveSlots = new Set();
+  if (fulfilled) {
+    const block = Number(fulfilled.blockNumber);
+    const inTx = e => e.transactionHash === fulfilled.transactionHash;
+    const skipped = (await aggregator.getPastEvents('OracleScoreUpdateSkipped', { fromBlock: block, toBlock: block }))
+      .filter(inTx)
+      .map(e => ({ oracle: e.returnValues.oracle, jobId: e.returnValues.jobId, reason: e.returnValues.reason }));
+    const keeper = await aggregator.keeper();
+    const scoreUpdates = (await keeper.getPastEvents('ScoreUpdated', { fromBlock: block, toBlock: block }))
+      .filter(inTx)
+      .map(e => ({
+        oracle: e.returnValues.oracle,
+        qualityScore: toStr(e.returnValues.newQualityScore),
+        timelinessScore: toStr(e.returnValues.newTimelinessScore)
+      }));
+    for (const skip of skipped.filter(s => s.reason === 'Inactive at finalization')) {
+      slots.forEach((slot, index) => {
+        if (sameAddress(slot.oracle, skip.oracle) && (!slot.jobId || slot.jobId === skip.jobId)) {
+          inactiveSlots.add(index);
+        }
+      });
+    }
+    finalization = {
+      blockNumber: block,
+      transactionHash: fulfilled.transactionHash,
+      aggregatedLikelihoods: fulfilled.returnValues.aggregatedLikelihoods.map(toStr),
+      combinedJustificationCIDs: fulfilled.returnValues.combinedJustificationCIDs,
+      skipped,
+      scoreUpdates
+    };
+  } else {
+    // Not finalized yet: project with the oracles' current active flags.
+    const keeper = await aggregator.keeper();
+    for (let index = 0; index < slots.length; index++) {
+      if (!slots[index].jobId) continue;
+      const info = await keeper.getOracleInfo(slots[index].oracle, slots[index].jobId);
+      if (!info.isActive) inactiveSlots.add(index);
+    }
+  }
+
+  return {
+    requestId,
+    requestBlock,
+    requestTransactionHash: receipt.transactionHash,
+    evaluation,
+    slots,
+    responses,
+    inactiveSlots,
+    finalization
+  };
+}
+
+// Load a request and replay its finalization.
+async function explainRequest(aggregator, requestId, options) {
+  const trace = await loadRequestTrace(aggregator, requestId, options);
+  const replay = replayFinalization({
+    slots: trace.slots,
+    responses: trace.responses,
+    requiredResponses: trace.evaluation.requiredResponses,
+    inactiveSlots: trace.inactiveSlots
+  });
+  let matchesChain = null;
+  if (trace.finalization) {
+    matchesChain =
+      replay.aggregatedLikelihoods.join(',') === trace.finalization.aggregatedLikelihoods.join(',') &&
+      replay.combinedJustificationCIDs === trace.finalization.combinedJustificationCIDs;
+  }
+  return { trace, replay, matchesChain };
+}
+
+module.exports = {
+  calculateDistance,
+  findBestCluster,
+  replayFinalization,
+  decodeFulfillCalls,
+  loadRequestTrace,
+  explainRequest
+};
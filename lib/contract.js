@@ -0,0 +1,97 @@
+// lib/contract.js
+// Common base for the Verdikta contract clients.
+//
+// Each client wraps a web3.eth.Contract built from the Truffle artifact ABI.
+// Read helpers return plain JS objects with named fields; numeric values are
+// returned as decimal strings so results look the same under web3 1.x (truffle
+// exec) and web3 4.x (standalone services). State-changing calls are made
+// through `client.methods`, exactly as with a raw web3 contract.
+//
+// Every client accepts an optional `{ abi }` as its last constructor argument,
+// used instead of the build artifact (e.g. `artifacts.require(...).abi` in
+// Truffle tests, where contracts are compiled to a temporary directory).
+//
+// A client can also carry `legacyEvents`: ABI fragments of events that older
+// deployments emit under another signature than the current ABI (e.g. before
+// a parameter was added). Their logs are returned by getPastEvents and
+// getPastEventsInChunks together with the current event of the same name, and
+// decoded by 'allEvents' reads, so existing deployments keep their history.
+
+const { loadAbi } = require('./artifacts');
+
+// Default block window for chunked log queries.
+const DEFAULT_CHUNK_SIZE = 2000;
+
+class ContractClient {
+  constructor(web3, address, contractName, { abi, legacyEvents = [] } = {}) {
+    if (!web3) throw new Error(`${contractName}: a web3 instance is required`);
+    if (!address) throw new Error(`${contractName}: a contract address is required`);
+    this.web3 = web3;
+    this.address = address;
+    this.contractName = contractName;
+    const currentAbi = abi || loadAbi(contractName);
+    const signature = fragment => web3.eth.abi.encodeEventSignature(fragment);
+    const current = new Set(currentAbi.filter(item => item.type === 'event').map(signature));
+    this.legacyEvents = legacyEvents.filter(fragment => !current.has(signature(fragment)));
+    // Appended, so the current event keeps its name in the contract object.
+    this.contract = new web3.eth.Contract(currentAbi.concat(this.legacyEvents), address);
+  }
+
+  get methods() {
+    return this.contract.methods;
+  }
+
+  async getPastEvents(eventName, options = {}) {
+    const events = await this.contract.getPastEvents(eventName, options);
+    return this._withLegacyEvents(eventName, events, options);
+  }
+
+  // Fetch events over [fromBlock, toBlock] in windows of chunkSize blocks.
+  // Public RPC endpoints reject (or silently truncate) large log ranges, so
+  // long histories must be read piecewise.
+  async getPastEventsInChunks(eventName, { fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE, filter } = {}) {
+    const events = [];
+    for (let start = Number(fromBlock); start <= Number(toBlock); start += chunkSize) {
+      const end = Math.min(start + chunkSize - 1, Number(toBlock));
+      const batch = await this.contract.getPastEvents(eventName, { filter, fromBlock: start, toBlock: end });
+      events.push(...await this._withLegacyEvents(eventName, batch, { filter, fromBlock: start, toBlock: end }));
+    }
+    return events;
+  }
+
+  // Add the logs of eventName's legacy signatures over the same range, decoded
+  // like contract events, in chain order.
+  async _withLegacyEvents(eventName, events, { filter = {}, fromBlock, toBlock }) {
+    const fragments = this.legacyEvents.filter(fragment => fragment.name === eventName);
+    if (fragments.length === 0) return events;
+    const abi = this.web3.eth.abi;
+    const legacy = [];
+    for (const fragment of fragments) {
+      const logs = await this.web3.eth.getPastLogs({
+        address: this.address,
+        topics: [abi.encodeEventSignature(fragment)],
+        fromBlock,
+        toBlock
+      });
+      for (const log of logs) {
+        const returnValues = abi.decodeLog(fragment.inputs, log.data, log.topics.slice(1));
+        const matches = Object.entries(filter).every(([name, value]) =>
+          returnValues[name] !== undefined && String(returnValues[name]).toLowerCase() === String(value).toLowerCase());
+        if (matches) legacy.push({ ...log, event: eventName, signature: log.topics[0], returnValues });
+      }
+    }
+    return events.concat(legacy).sort((a, b) =>
+      Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex));
+  }
+}
+
+// Normalise a uint/int return value (string, BN or bigint) to a decimal string.
+function toStr(value) {
+  return value === undefined || value === null ? value : value.toString();
+}
+
+module.exports = {
+  ContractClient,
+  DEFAULT_CHUNK_SIZE,
+  toStr
+};
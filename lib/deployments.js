@@ -0,0 +1,183 @@
+// lib/deployments.js
+// Per-network registry of deployed contract addresses.
+//
+// Each network has one file, deployments/<network>.json, written by the
+// migrations as they deploy:
+//
+//   {
+//     "network": "base_sepolia",
+//     "chainId": 84532,
+//     "contracts": {
+//       "reputationAggregator": { "address": "0x…", "blockNumber": 123, "transactionHash": "0x…" },
+//       ...
+//     },
+//     "updatedAt": "2025-07-13T12:00:00.000Z"
+//   }
+//
+// Fork networks (base_sepolia-fork) get their own file so a rehearsal never
+// overwrites the real addresses. Set VERDIKTA_DEPLOYMENTS_DIR to keep the
+// registry elsewhere.
+//
+// Scripts accept --profile <network> and take any address that was not given
+// explicitly from that network's file; see withProfile().
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+// Contracts tracked in the registry.
+const CONTRACT_NAMES = [
+  'verdiktaToken',
+  'wrappedVerdiktaToken',
+  'linkToken',
+  'reputationKeeper',
+  'reputationAggregator'
+];
+
+// Script option → registry contract it is resolved from. The special option
+// `network` takes the profile's network name (for standalone services).
+const PROFILE_OPTIONS = {
+  aggregator: 'reputationAggregator',
+  keeper: 'reputationKeeper',
+  wrappedverdikta: 'wrappedVerdiktaToken',
+  link: 'linkToken'
+};
+
+function deploymentsDir() {
+  return process.env.VERDIKTA_DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR;
+}
+
+function deploymentFile(network) {
+  if (!network || !/^[\w.-]+$/.test(network)) {
+    throw new Error(`Invalid network name: ${network}`);
+  }
+  return path.join(deploymentsDir(), `${network}.json`);
+}
+
+function listProfiles() {
+  const dir = deploymentsDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .sort();
+}
+
+// Returns the registry entry for a network, or null if nothing was recorded.
+function readDeployment(network) {
+  const file = deploymentFile(network);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadDeployment(network) {
+  const deployment = readDeployment(network);
+  if (!deployment) {
+    const known = listProfiles();
+    throw new Error(`No deployments recorded for ${network} in ${deploymentsDir()}` +
+      (known.length ? ` (known profiles: ${known.join(', ')})` : ''));
+  }
+  return deployment;
+}
+
+// Records one contract for a network. `entry` is { address, blockNumber,
+// transactionHash }; the block and hash are null for contracts deployed by
+// someone else (the LINK token).
+function recordDeployment(network, name, entry, { chainId } = {}) {
+  if (!CONTRACT_NAMES.includes(name)) {
+    throw new Error(`Unknown contract ${name}; expected one of ${CONTRACT_NAMES.join(', ')}`);
+  }
+  if (!entry || !/^0x[0-9a-fA-F]{40}$/.test(entry.address || '')) {
+    throw new Error(`Invalid address for ${name}: ${entry && entry.address}`);
+  }
+
+  const deployment = readDeployment(network) || { network, chainId: null, contracts: {} };
+  if (chainId !== undefined && chainId !== null) deployment.chainId = Number(chainId);
+  deployment.contracts[name] = {
+    address: entry.address,
+    blockNumber: entry.blockNumber !== undefined && entry.blockNumber !== null ? Number(entry.blockNumber) : null,
+    transactionHash: entry.transactionHash || null
+  };
+  deployment.updatedAt = new Date().toISOString();
+
+  const file = deploymentFile(network);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(deployment, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  return deployment;
+}
+
+// Records a contract deployed in a migration, looking up its deploy block from
+// the transaction receipt. `instance` is a Truffle contract instance.
+async function recordDeployedContract(web3, network, name, instance) {
+  const receipt = await web3.eth.getTransactionReceipt(instance.transactionHash);
+  const chainId = await web3.eth.getChainId();
+  const deployment = recordDeployment(network, name, {
+    address: instance.address,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    transactionHash: instance.transactionHash
+  }, { chainId });
+  console.log(`Recorded ${name} in ${deploymentFile(network)}`);
+  return deployment;
+}
+
+// Returns the block a contract was deployed in, looked up by address in the
+// recorded networks, or null when no registry file knows it. `network` is
+// searched first; files recorded for another chain than `chainId` are skipped.
+function findDeployBlock(address, { network, chainId } = {}) {
+  const networks = listProfiles();
+  const ordered = networks.includes(network) ? [network, ...networks.filter(n => n !== network)] : networks;
+  for (const name of ordered) {
+    const deployment = readDeployment(name);
+    if (chainId !== undefined && deployment.chainId !== null && deployment.chainId !== Number(chainId)) continue;
+    const contract = Object.values(deployment.contracts)
+      .find(c => c.address.toLowerCase() === address.toLowerCase() && c.blockNumber !== null);
+    if (contract) return contract.blockNumber;
+  }
+  return null;
+}
+
+// Fills unset options in parsed arguments from the profile named by
+// argv.profile; explicit options always win. With 'network' among the options
+// the network is taken from the profile too, unless --network or --rpc is set.
+function applyProfile(argv, options = Object.keys(PROFILE_OPTIONS)) {
+  if (!argv.profile) return argv;
+  const deployment = loadDeployment(argv.profile);
+  for (const option of options) {
+    if (option === 'network') {
+      if (argv.network === undefined && argv.rpc === undefined) argv.network = deployment.network;
+      continue;
+    }
+    if (!PROFILE_OPTIONS[option]) throw new Error(`Option --${option} cannot be taken from a profile`);
+    const contract = deployment.contracts[PROFILE_OPTIONS[option]];
+    if (argv[option] === undefined && contract) argv[option] = contract.address;
+  }
+  return argv;
+}
+
+// Adds --profile to a yargs instance. The profile is applied before
+// validation, so required address options are satisfied by it.
+function withProfile(y, options) {
+  return y
+    .option('profile', {
+      type: 'string',
+      description: 'Take contract addresses not given explicitly from deployments/<profile>.json'
+    })
+    .middleware(argv => { applyProfile(argv, options); }, true);
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  CONTRACT_NAMES,
+  PROFILE_OPTIONS,
+  listProfiles,
+  readDeployment,
+  loadDeployment,
+  recordDeployment,
+  recordDeployedContract,
+  findDeployBlock,
+  applyProfile,
+  withProfile
+};
@@ -0,0 +1,169 @@
+// lib/doctor.js
+// Checks that a live aggregator deployment is wired up correctly, so problems
+// show up before a request reverts on them.
+//
+// runDoctor() returns one result per check:
+//   { name, status: 'pass' | 'warn' | 'fail', message }
+// A failing check means requests will revert (or stakes are not covered); a
+// warning means requests work but not as configured (for example a class with
+// fewer eligible oracles than oraclesToPoll, so some are polled twice).
+//
+// Checks that need a contract which failed an earlier check are left out.
+
+const { WrappedVdka, LinkToken } = require('./tokens');
+const { SelectionSimulator } = require('./selection');
+const { reconcileStake } = require('./stake');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+class DoctorReport {
+  constructor() {
+    this.results = [];
+  }
+
+  add(name, status, message) {
+    this.results.push({ name, status, message });
+  }
+
+  // Run a check; a thrown error (usually a revert on a bad address) fails it.
+  async run(name, check) {
+    try {
+      const [status, message] = await check();
+      this.add(name, status, message);
+      return status !== 'fail';
+    } catch (error) {
+      this.add(name, 'fail', error.message);
+      return false;
+    }
+  }
+}
+
+async function hasCode(web3, address) {
+  if (!address || sameAddress(address, ZERO_ADDRESS)) return false;
+  const code = await web3.eth.getCode(address);
+  return code !== '0x' && code !== '0x0';
+}
+
+// aggregator:        VerdiktaAggregator client
+// wrappedVerdikta:   expected wVDKA address (optional; checked against the keeper)
+// link:              expected LINK token address (optional)
+// classes:           extra classes that must have eligible oracles (optional;
+//                    every class an oracle is registered for is checked anyway)
+async function runDoctor({ aggregator, wrappedVerdikta, link, classes = [] }) {
+  const web3 = aggregator.web3;
+  const report = new DoctorReport();
+
+  const aggregatorOk = await report.run('aggregator contract', async () =>
+    (await hasCode(web3, aggregator.address))
+      ? ['pass', `ReputationAggregator at ${aggregator.address}`]
+      : ['fail', `No contract code at ${aggregator.address}`]);
+  if (!aggregatorOk) return report.results;
+
+  let config = null;
+  await report.run('aggregator config', async () => {
+    config = await aggregator.getConfig();
+    const oraclesToPoll = Number(config.oraclesToPoll);
+    const problems = [];
+    if (Number(config.requiredResponses) > oraclesToPoll) {
+      problems.push(`requiredResponses (${config.requiredResponses}) > oraclesToPoll (${oraclesToPoll})`);
+    }
+    if (Number(config.clusterSize) > Number(config.requiredResponses)) {
+      problems.push(`clusterSize (${config.clusterSize}) > requiredResponses (${config.requiredResponses})`);
+    }
+    if (Number(config.requiredResponses) === 0) problems.push('requiredResponses is 0');
+    if (BigInt(config.responseTimeoutSeconds) === 0n) problems.push('responseTimeoutSeconds is 0');
+    return problems.length
+      ? ['fail', problems.join('; ')]
+      : ['pass', `poll ${oraclesToPoll}, require ${config.requiredResponses}, cluster ${config.clusterSize}, ` +
+        `timeout ${config.responseTimeoutSeconds}s`];
+  });
+
+  await report.run('LINK token', async () => {
+    const address = await aggregator.linkTokenAddress();
+    if (sameAddress(address, ZERO_ADDRESS)) return ['fail', 'The aggregator has no LINK token set'];
+    if (link && !sameAddress(address, link)) return ['fail', `The aggregator uses ${address}, expected ${link}`];
+    if (!(await hasCode(web3, address))) return ['fail', `No contract code at LINK token ${address}`];
+    await new LinkToken(web3, address).balanceOf(aggregator.address);
+    return ['pass', address];
+  });
+
+  let keeper = null;
+  const keeperOk = await report.run('keeper contract', async () => {
+    const address = await aggregator.keeperAddress();
+    if (sameAddress(address, ZERO_ADDRESS)) return ['fail', 'The aggregator has no ReputationKeeper set'];
+    if (!(await hasCode(web3, address))) return ['fail', `No contract code at ReputationKeeper ${address}`];
+    keeper = await aggregator.keeper();
+    return ['pass', address];
+  });
+  if (!keeperOk) return report.results;
+
+  await report.run('aggregator approved in keeper', async () =>
+    (await keeper.isContractApproved(aggregator.address))
+      ? ['pass', 'The keeper accepts calls from the aggregator']
+      : ['fail', `The keeper has not approved ${aggregator.address} (approveContract)`]);
+
+  const stakeOk = await report.run('keeper stake token', async () => {
+    const address = await keeper.verdiktaToken();
+    if (wrappedVerdikta && !sameAddress(address, wrappedVerdikta)) {
+      return ['fail', `The keeper stakes ${address}, expected wVDKA ${wrappedVerdikta}`];
+    }
+    if (!(await hasCode(web3, address))) return ['fail', `No contract code at stake token ${address}`];
+    const symbol = await new WrappedVdka(web3, address).symbol();
+    return wrappedVerdikta
+      ? ['pass', `${address} (${symbol})`]
+      : ['warn', `${address} (${symbol}); no wVDKA address given to compare with`];
+  });
+
+  if (stakeOk) {
+    await report.run('stake reconciliation', async () => {
+      const stakeToken = new WrappedVdka(web3, await keeper.verdiktaToken());
+      const { difference, balance, expected } = await reconcileStake(keeper, stakeToken);
+      const vdka = wei => `${web3.utils.fromWei(wei, 'ether')} wVDKA`;
+      if (BigInt(difference) < 0n) return ['fail', `The keeper holds ${vdka(balance)} but owes ${vdka(expected)}`];
+      return ['pass', `The keeper holds ${vdka(balance)} for ${vdka(expected)} of stakes and slashed funds`];
+    });
+  }
+
+  let simulator = null;
+  const oraclesOk = await report.run('registered oracles', async () => {
+    simulator = await SelectionSimulator.fromKeeper(keeper);
+    const active = simulator.oracles.filter(entry => entry.info.isActive).length;
+    if (simulator.oracles.length === 0) return ['fail', 'No oracles are registered'];
+    if (active === 0) return ['fail', `None of the ${simulator.oracles.length} registered oracles is active`];
+    return ['pass', `${active} of ${simulator.oracles.length} registered oracle identities active`];
+  });
+
+  if (!oraclesOk || !config) return report.results;
+
+  const oraclesToPoll = Number(config.oraclesToPoll);
+  const allClasses = new Set(classes.map(String));
+  for (const entry of simulator.oracles) entry.classes.forEach(cls => allClasses.add(String(cls)));
+  for (const cls of [...allClasses].sort((a, b) => Number(a) - Number(b))) {
+    await report.run(`class ${cls} eligibility`, async () => {
+      const count = simulator.eligibleOracles(config.maxOracleFee, cls).length;
+      const message = `${count} eligible oracle(s) at maxOracleFee, oraclesToPoll is ${oraclesToPoll}`;
+      if (count === 0) return ['fail', message];
+      return [count < oraclesToPoll ? 'warn' : 'pass', message];
+    });
+  }
+
+  return report.results;
+}
+
+const LABELS = { pass: 'PASS', warn: 'WARN', fail: 'FAIL' };
+
+function formatDoctorReport(results) {
+  const width = Math.max(...results.map(r => r.name.length));
+  const lines = results.map(r => `${LABELS[r.status]}  ${r.name.padEnd(width)}  ${r.message}`);
+  const count = status => results.filter(r => r.status === status).length;
+  lines.push('');
+  lines.push(`${count('pass')} passed, ${count('warn')} warning(s), ${count('fail')} failed`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  runDoctor,
+  formatDoctorReport
+};
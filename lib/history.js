@@ -0,0 +1,267 @@
+// lib/history.js
+// Long-term reputation history per oracle identity (oracle address + job ID).
+//
+// getRecentScores only keeps the last maxScoreHistory records and is cleared
+// after a worsening-trend slash, so the full series is rebuilt from keeper
+// events instead: ScoreUpdated gives the new quality/timeliness scores,
+// OracleSlashed opens a lock period (blocked or not), OracleActiveStatusUpdated
+// pauses and resumes, and OracleRegistered/OracleDeregistered bound each
+// registration (scores restart at 0 on re-registration).
+//
+// ScoreUpdated carries the job ID, except in logs of keepers deployed before
+// it was added. For those, an oracle with a single registered job gets the
+// update attributed to it; with several jobs the OracleSlashed event logged by
+// the same updateScores call is used when there is one, and otherwise the job
+// whose previous scores are closest to the new ones (such points are flagged
+// `inferred`).
+
+const { toStr } = require('./contract');
+
+const KEEPER_HISTORY_EVENTS = [
+  'OracleRegistered',
+  'OracleDeregistered',
+  'ScoreUpdated',
+  'OracleSlashed',
+  'OracleActiveStatusUpdated'
+];
+
+function identityKey(oracle, jobId) {
+  return `${oracle.toLowerCase()}:${jobId ? jobId.toLowerCase() : 'unknown'}`;
+}
+
+// Build the history from normalised keeper events (see lib/indexer.js) in
+// chain order. `identities` optionally restricts the result to
+// [{ oracle, jobId }] entries; a null jobId selects every job of the oracle.
+//
+// Returns a list of series:
+//   { oracle, jobId, timeline, locks, pauses, registrations }
+// where timeline entries are { type, blockNumber, timestamp, transactionHash,
+// quality, timeliness, qualityChange, timelinessChange, locked, blocked,
+// active, lockedUntil, slashAmount, inferred } and type is one of
+// 'registered', 'score', 'slashed', 'paused', 'resumed', 'deregistered'.
+function buildReputationHistory(events, { identities } = {}) {
+  const series = new Map();
+  const registeredJobs = new Map(); // oracle (lowercase) -> Set of keys
+  let pendingSlash = null;          // OracleSlashed awaiting its ScoreUpdated
+
+  const getSeries = (oracle, jobId) => {
+    const key = identityKey(oracle, jobId);
+    if (!series.has(key)) {
+      series.set(key, {
+        oracle,
+        jobId: jobId || null,
+        timeline: [],
+        locks: [],
+        pauses: [],
+        registrations: [],
+        state: { quality: 0, timeliness: 0, active: true, lockedUntil: 0, blocked: false }
+      });
+    }
+    return series.get(key);
+  };
+
+  const entry = (s, type, event, extra = {}) => {
+    const time = event.timestamp;
+    const locked = time !== null && time < s.state.lockedUntil;
+    const item = {
+      type,
+      blockNumber: event.blockNumber,
+      timestamp: time,
+      transactionHash: event.transactionHash,
+      quality: s.state.quality,
+      timeliness: s.state.timeliness,
+      qualityChange: 0,
+      timelinessChange: 0,
+      locked,
+      blocked: locked && s.state.blocked,
+      active: s.state.active,
+      lockedUntil: s.state.lockedUntil,
+      slashAmount: null,
+      inferred: false,
+      ...extra
+    };
+    s.timeline.push(item);
+    return item;
+  };
+
+  const closePause = (s, event) => {
+    const open = s.pauses[s.pauses.length - 1];
+    if (open && open.end === null) {
+      open.end = event.timestamp;
+      open.endBlock = event.blockNumber;
+    }
+  };
+
+  const resolveJob = (oracle, event) => {
+    const keys = [...(registeredJobs.get(oracle.toLowerCase()) || [])];
+    if (pendingSlash && pendingSlash.transactionHash === event.transactionHash &&
+        pendingSlash.oracle.toLowerCase() === oracle.toLowerCase()) {
+      return { jobId: pendingSlash.jobId, inferred: false };
+    }
+    if (keys.length === 0) return { jobId: null, inferred: false };
+    if (keys.length === 1) return { jobId: series.get(keys[0]).jobId, inferred: false };
+    const quality = Number(event.args.newQualityScore);
+    const timeliness = Number(event.args.newTimelinessScore);
+    let best = null;
+    for (const key of keys) {
+      const s = series.get(key);
+      const distance = Math.abs(quality - s.state.quality) + Math.abs(timeliness - s.state.timeliness);
+      if (best === null || distance < best.distance) best = { jobId: s.jobId, distance };
+    }
+    return { jobId: best.jobId, inferred: true };
+  };
+
+  for (const event of events) {
+    const args = event.args;
+    switch (event.event) {
+      case 'OracleRegistered': {
+        const s = getSeries(args.oracle, args.jobId);
+        s.state = { quality: 0, timeliness: 0, active: true, lockedUntil: 0, blocked: false };
+        s.registrations.push({ start: event.timestamp, startBlock: event.blockNumber, fee: toStr(args.fee), end: null, endBlock: null });
+        const key = identityKey(args.oracle, args.jobId);
+        if (!registeredJobs.has(args.oracle.toLowerCase())) registeredJobs.set(args.oracle.toLowerCase(), new Set());
+        registeredJobs.get(args.oracle.toLowerCase()).add(key);
+        entry(s, 'registered', event);
+        break;
+      }
+      case 'OracleDeregistered': {
+        const s = getSeries(args.oracle, args.jobId);
+        closePause(s, event);
+        const reg = s.registrations[s.registrations.length - 1];
+        if (reg && reg.end === null) {
+          reg.end = event.timestamp;
+          reg.endBlock = event.blockNumber;
+        }
+        const jobs = registeredJobs.get(args.oracle.toLowerCase());
+        if (jobs) jobs.delete(identityKey(args.oracle, args.jobId));
+        entry(s, 'deregistered', event);
+        break;
+      }
+      case 'OracleActiveStatusUpdated': {
+        const s = getSeries(args.oracle, args.jobId);
+        const active = args.isActive === true || args.isActive === 'true';
+        if (!active && s.state.active) {
+          s.pauses.push({ start: event.timestamp, startBlock: event.blockNumber, end: null, endBlock: null });
+        } else if (active && !s.state.active) {
+          closePause(s, event);
+        }
+        s.state.active = active;
+        entry(s, active ? 'resumed' : 'paused', event);
+        break;
+      }
+      case 'OracleSlashed': {
+        const s = getSeries(args.oracle, args.jobId);
+        const blocked = args.blocked === true || args.blocked === 'true';
+        s.state.lockedUntil = Number(args.lockedUntil);
+        s.state.blocked = blocked;
+        s.locks.push({
+          start: event.timestamp,
+          startBlock: event.blockNumber,
+          until: Number(args.lockedUntil),
+          blocked,
+          slashAmount: toStr(args.slashAmount)
+        });
+        entry(s, 'slashed', event, { slashAmount: toStr(args.slashAmount) });
+        pendingSlash = { oracle: args.oracle, jobId: args.jobId, transactionHash: event.transactionHash };
+        break;
+      }
+      case 'ScoreUpdated': {
+        const { jobId, inferred } = args.jobId
+          ? { jobId: args.jobId, inferred: false }
+          : resolveJob(args.oracle, event);
+        pendingSlash = null;
+        const s = getSeries(args.oracle, jobId);
+        const quality = Number(args.newQualityScore);
+        const timeliness = Number(args.newTimelinessScore);
+        const qualityChange = quality - s.state.quality;
+        const timelinessChange = timeliness - s.state.timeliness;
+        s.state.quality = quality;
+        s.state.timeliness = timeliness;
+        entry(s, 'score', event, { qualityChange, timelinessChange, inferred });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  const wanted = identities && identities.length > 0
+    ? s => identities.some(id =>
+      id.oracle.toLowerCase() === s.oracle.toLowerCase() &&
+      (!id.jobId || (s.jobId && id.jobId.toLowerCase() === s.jobId.toLowerCase())))
+    : () => true;
+
+  return [...series.values()]
+    .filter(wanted)
+    .map(({ state, ...rest }) => rest);
+}
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(fields) {
+  return fields.map(csvField).join(',');
+}
+
+function isoTime(timestamp) {
+  return timestamp === null || timestamp === undefined ? '' : new Date(timestamp * 1000).toISOString();
+}
+
+// Long layout: one row per timeline entry of every series.
+function historyToCsv(history, { label = s => `${s.oracle}:${s.jobId}` } = {}) {
+  const header = [
+    'series', 'oracle', 'jobId', 'type', 'blockNumber', 'timestamp', 'time', 'quality', 'timeliness',
+    'qualityChange', 'timelinessChange', 'locked', 'blocked', 'active', 'lockedUntil', 'slashAmount', 'inferred'
+  ];
+  const rows = [csvLine(header)];
+  for (const s of history) {
+    for (const t of s.timeline) {
+      rows.push(csvLine([
+        label(s), s.oracle, s.jobId, t.type, t.blockNumber, t.timestamp, isoTime(t.timestamp), t.quality, t.timeliness,
+        t.qualityChange, t.timelinessChange, t.locked, t.blocked, t.active, t.lockedUntil, t.slashAmount, t.inferred
+      ]));
+    }
+  }
+  return `${rows.join('\n')}\n`;
+}
+
+// Wide layout: one row per timeline entry across all series, with quality,
+// timeliness and state columns for each series side by side (values carry
+// forward between that series' own entries).
+function historyToWideCsv(history, { label = s => `${s.oracle}:${s.jobId}` } = {}) {
+  const merged = [];
+  history.forEach((s, index) => s.timeline.forEach(t => merged.push({ index, t })));
+  merged.sort((a, b) => a.t.blockNumber - b.t.blockNumber || a.index - b.index);
+
+  const header = ['blockNumber', 'timestamp', 'time'];
+  for (const s of history) {
+    header.push(`${label(s)} quality`, `${label(s)} timeliness`, `${label(s)} state`);
+  }
+  const state = s => (!s.active ? 'paused' : s.blocked ? 'blocked' : s.locked ? 'locked' : 'ok');
+  const last = history.map(() => null);
+  const rows = [csvLine(header)];
+  for (const { index, t } of merged) {
+    last[index] = t;
+    const fields = [t.blockNumber, t.timestamp, isoTime(t.timestamp)];
+    for (const current of last) {
+      if (current) fields.push(current.quality, current.timeliness, state(current));
+      else fields.push('', '', '');
+    }
+    rows.push(csvLine(fields));
+  }
+  return `${rows.join('\n')}\n`;
+}
+
+module.exports = {
+  KEEPER_HISTORY_EVENTS,
+  buildReputationHistory,
+  historyToCsv,
+  historyToWideCsv
+};
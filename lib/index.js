@@ -0,0 +1,204 @@
+// lib/index.js
+// Verdikta JavaScript client library.
+//
+// Usage inside `truffle exec` (web3 is a global there):
+//   const { VerdiktaAggregator } = require('../lib');
+//   const aggregator = new VerdiktaAggregator(web3, aggregatorAddress);
+//   const keeper = await aggregator.keeper();
+//   const info = await keeper.getOracleInfo(oracleAddress, jobId);
+//
+// Standalone services pass their own Web3 instance instead.
+
+const { DEFAULT_ARTIFACTS_DIR, loadAbi, loadArtifact } = require('./artifacts');
+const { ContractClient, DEFAULT_CHUNK_SIZE, toStr } = require('./contract');
+const {
+  VerdiktaAggregator,
+  REQUEST_STATES,
+  decodeAggregatedEvaluation,
+  decodeEvaluation,
+  decodeRequestStatus
+} = require('./aggregator');
+const {
+  VerdiktaKeeper,
+  decodeOracleInfo,
+  decodeOracleIdentity,
+  decodeScoreRecord
+} = require('./keeper');
+const { WrappedVdka, LinkToken } = require('./tokens');
+const { ChainlinkOperator, MockOperator } = require('./operator');
+const { connect, createProvider, createOfflineWeb3 } = require('./network');
+const { SelectionSimulator } = require('./selection');
+const {
+  calculateDistance,
+  findBestCluster,
+  replayFinalization,
+  decodeFulfillCalls,
+  loadRequestTrace,
+  explainRequest
+} = require('./cluster');
+const { EventIndexer, JsonlEventStore, openEventStore, readEvents, DEFAULT_INDEX_DIR } = require('./indexer');
+const {
+  KEEPER_HISTORY_EVENTS,
+  buildReputationHistory,
+  historyToCsv,
+  historyToWideCsv
+} = require('./history');
+const { MetricsCollector, createMetricsServer, renderMetrics } = require('./metrics');
+const { MockOracleResponder, decodeRequestParams, planResponse } = require('./mockoracle');
+const { AlertWatcher, consoleNotifier, webhookNotifier, validateRules } = require('./alerts');
+const {
+  loadManifest,
+  parseManifest,
+  normalizeManifest,
+  encodeJobId,
+  planRegistration,
+  formatPlan,
+  applyRegistration
+} = require('./registration');
+const { planTopUps, formatTopUps, applyTopUps, reconcileStake } = require('./stake');
+const { runDoctor, formatDoctorReport } = require('./doctor');
+const {
+  PARAMETERS,
+  normalizeParameters,
+  loadParameters,
+  currentParameters,
+  planParameters,
+  formatParameterPlan,
+  applyParameters
+} = require('./parameters');
+const {
+  TIMELOCKED_SETTERS,
+  isTimelocked,
+  timelockDelay,
+  encodeChange,
+  decodeChange,
+  listPendingChanges
+} = require('./timelock');
+const { SafeBatch, createSafeBatch, describeCall } = require('./safe');
+const {
+  UnsignedBatch,
+  createUnsignedBatch,
+  readTransactionFile,
+  writeTransactionFile,
+  formatTransactions,
+  signTransactions,
+  broadcastTransactions,
+  UNSIGNED_KIND,
+  SIGNED_KIND
+} = require('./offline');
+const { sendOrBatch, withTransactionBatch, openTransactionBatch, saveTransactionBatch } = require('./batch');
+const {
+  DEFAULT_DEPLOYMENTS_DIR,
+  CONTRACT_NAMES,
+  listProfiles,
+  readDeployment,
+  loadDeployment,
+  recordDeployment,
+  recordDeployedContract,
+  findDeployBlock,
+  applyProfile,
+  withProfile
+} = require('./deployments');
+
+module.exports = {
+  VerdiktaAggregator,
+  VerdiktaKeeper,
+  WrappedVdka,
+  LinkToken,
+  ChainlinkOperator,
+  MockOperator,
+  ContractClient,
+  SelectionSimulator,
+  EventIndexer,
+  JsonlEventStore,
+  openEventStore,
+  readEvents,
+  decodeAggregatedEvaluation,
+  decodeEvaluation,
+  decodeRequestStatus,
+  REQUEST_STATES,
+  decodeOracleInfo,
+  decodeOracleIdentity,
+  decodeScoreRecord,
+  toStr,
+  calculateDistance,
+  findBestCluster,
+  replayFinalization,
+  decodeFulfillCalls,
+  loadRequestTrace,
+  explainRequest,
+  buildReputationHistory,
+  historyToCsv,
+  historyToWideCsv,
+  KEEPER_HISTORY_EVENTS,
+  AlertWatcher,
+  consoleNotifier,
+  webhookNotifier,
+  validateRules,
+  MetricsCollector,
+  createMetricsServer,
+  renderMetrics,
+  MockOracleResponder,
+  decodeRequestParams,
+  planResponse,
+  loadManifest,
+  parseManifest,
+  normalizeManifest,
+  encodeJobId,
+  planRegistration,
+  formatPlan,
+  applyRegistration,
+  planTopUps,
+  formatTopUps,
+  applyTopUps,
+  reconcileStake,
+  runDoctor,
+  formatDoctorReport,
+  PARAMETERS,
+  normalizeParameters,
+  loadParameters,
+  currentParameters,
+  planParameters,
+  formatParameterPlan,
+  applyParameters,
+  TIMELOCKED_SETTERS,
+  isTimelocked,
+  timelockDelay,
+  encodeChange,
+  decodeChange,
+  listPendingChanges,
+  SafeBatch,
+  createSafeBatch,
+  describeCall,
+  UnsignedBatch,
+  createUnsignedBatch,
+  readTransactionFile,
+  writeTransactionFile,
+  formatTransactions,
+  signTransactions,
+  broadcastTransactions,
+  UNSIGNED_KIND,
+  SIGNED_KIND,
+  sendOrBatch,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch,
+  CONTRACT_NAMES,
+  listProfiles,
+  readDeployment,
+  loadDeployment,
+  recordDeployment,
+  recordDeployedContract,
+  findDeployBlock,
+  applyProfile,
+  withProfile,
+  connect,
+  createProvider,
+  createOfflineWeb3,
+  DEFAULT_CHUNK_SIZE,
+  loadAbi,
+  loadArtifact,
+  DEFAULT_ARTIFACTS_DIR,
+  DEFAULT_INDEX_DIR,
+  DEFAULT_DEPLOYMENTS_DIR
+};
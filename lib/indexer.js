@@ -0,0 +1,290 @@
+// lib/indexer.js
+// Resumable local index of keeper and aggregator events.
+//
+// EventIndexer reads every event ('allEvents') of the contracts it tracks in
+// block chunks and appends them to a JsonlEventStore: one JSON line per event
+// in <dir>/<chainId>/<address>.jsonl, plus a per-contract checkpoint in
+// <dir>/<chainId>/checkpoints.json. A later run continues after the
+// checkpoint, so history is never re-fetched in one large (and, on public RPC
+// endpoints, rejected) log query.
+//
+// Reorgs: the checkpoint keeps the hashes of the last few indexed chunk ends.
+// Before each sync they are compared with the chain; if they no longer match,
+// events after the newest block that still matches are dropped and re-read.
+// Staying `confirmations` blocks behind the head keeps this rare.
+
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_CHUNK_SIZE, toStr } = require('./contract');
+
+const DEFAULT_INDEX_DIR = '.verdikta-index';
+const DEFAULT_REORG_DEPTH = 12;
+
+// Keep only the named returnValues and normalise numbers to decimal strings.
+function normalizeValues(returnValues) {
+  const values = {};
+  for (const [key, value] of Object.entries(returnValues || {})) {
+    if (/^\d+$/.test(key) || key === '__length__') continue;
+    if (Array.isArray(value)) values[key] = value.map(v => (typeof v === 'boolean' ? v : toStr(v)));
+    else if (typeof value === 'boolean') values[key] = value;
+    else values[key] = toStr(value);
+  }
+  return values;
+}
+
+function normalizeEvent(event, contractName, timestamp) {
+  return {
+    contract: contractName,
+    address: event.address,
+    event: event.event,
+    blockNumber: Number(event.blockNumber),
+    blockHash: event.blockHash,
+    timestamp: timestamp === undefined ? null : Number(timestamp),
+    transactionHash: event.transactionHash,
+    logIndex: Number(event.logIndex),
+    args: normalizeValues(event.returnValues)
+  };
+}
+
+function matchesValue(actual, expected) {
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  return String(actual) === String(expected);
+}
+
+class JsonlEventStore {
+  constructor(rootDir, chainId) {
+    this.dir = path.join(rootDir, String(chainId));
+    this.checkpointFile = path.join(this.dir, 'checkpoints.json');
+    this._checkpoints = fs.existsSync(this.checkpointFile)
+      ? JSON.parse(fs.readFileSync(this.checkpointFile, 'utf8'))
+      : {};
+  }
+
+  _file(address) {
+    return path.join(this.dir, `${address.toLowerCase()}.jsonl`);
+  }
+
+  checkpoint(address) {
+    return this._checkpoints[address.toLowerCase()] || null;
+  }
+
+  checkpoints() {
+    return Object.values(this._checkpoints);
+  }
+
+  // Written through a temporary file so a crash never leaves a truncated file.
+  saveCheckpoint(checkpoint) {
+    const file = this._file(checkpoint.address);
+    checkpoint.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    this._checkpoints[checkpoint.address.toLowerCase()] = checkpoint;
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${this.checkpointFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this._checkpoints, null, 2));
+    fs.renameSync(tmp, this.checkpointFile);
+  }
+
+  append(address, events) {
+    if (events.length === 0) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this._file(address), events.map(e => `${JSON.stringify(e)}\n`).join(''));
+  }
+
+  // Drop anything written after the last checkpoint (e.g. by an interrupted
+  // sync), so those blocks are not indexed twice.
+  discardUncommitted(address) {
+    const file = this._file(address);
+    if (!fs.existsSync(file)) return;
+    const checkpoint = this.checkpoint(address);
+    const committed = checkpoint ? checkpoint.size || 0 : 0;
+    if (fs.statSync(file).size > committed) fs.truncateSync(file, committed);
+  }
+
+  // Remove events above blockNumber (used when rolling back a reorg).
+  truncateAfter(address, blockNumber) {
+    const kept = this.read(address).filter(e => e.blockNumber <= blockNumber);
+    fs.writeFileSync(this._file(address), kept.map(e => `${JSON.stringify(e)}\n`).join(''));
+  }
+
+  read(address) {
+    const file = this._file(address);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+  }
+
+  // Query stored events.
+  //   { address, contract, event, fromBlock, toBlock, where }
+  // `contract` is the contract name ('ReputationKeeper', ...); `event` may be
+  // a name or a list of names; `where` matches event arguments (addresses are
+  // compared case-insensitively). Results are in chain order.
+  query({ address, contract, event, fromBlock, toBlock, where = {} } = {}) {
+    const addresses = address ? [address] : this.checkpoints().map(cp => cp.address);
+    const names = event === undefined ? null : [].concat(event);
+    const results = [];
+    for (const addr of addresses) {
+      for (const e of this.read(addr)) {
+        if (contract && e.contract !== contract) continue;
+        if (names && !names.includes(e.event)) continue;
+        if (fromBlock !== undefined && e.blockNumber < fromBlock) continue;
+        if (toBlock !== undefined && e.blockNumber > toBlock) continue;
+        if (!Object.entries(where).every(([k, v]) => matchesValue(e.args[k], v))) continue;
+        results.push(e);
+      }
+    }
+    return results.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+}
+
+// Open the store for the chain web3 is connected to.
+async function openEventStore(web3, dir = DEFAULT_INDEX_DIR) {
+  const chainId = await web3.eth.getChainId();
+  return new JsonlEventStore(dir, toStr(chainId));
+}
+
+// Read events of one contract: from the local index up to its checkpoint, and
+// from the chain after it (or from fromBlock when there is no index) in
+// chunks. `events` is a list of event names (all events when omitted).
+// Returns normalised events in chain order; chain events get block timestamps
+// only when `timestamps` is set, as that costs one request per block.
+async function readEvents(client, { events, fromBlock = 0, toBlock, store, chunkSize = DEFAULT_CHUNK_SIZE, timestamps = false } = {}) {
+  const web3 = client.web3;
+  const latest = toBlock !== undefined ? Number(toBlock) : Number(await web3.eth.getBlockNumber());
+  const checkpoint = store ? store.checkpoint(client.address) : null;
+
+  let indexed = [];
+  let start = fromBlock;
+  if (checkpoint) {
+    indexed = store.query({ address: client.address, event: events, fromBlock, toBlock: latest });
+    start = Math.max(fromBlock, checkpoint.lastBlock + 1);
+  }
+
+  let raw = [];
+  if (start <= latest) {
+    const range = { fromBlock: start, toBlock: latest, chunkSize };
+    if (events) {
+      for (const name of events) raw.push(...await client.getPastEventsInChunks(name, range));
+    } else {
+      raw = await client.getPastEventsInChunks('allEvents', range);
+    }
+  }
+  const blockTimes = {};
+  if (timestamps) {
+    for (const blockNumber of new Set(raw.map(e => Number(e.blockNumber)))) {
+      blockTimes[blockNumber] = (await web3.eth.getBlock(blockNumber)).timestamp;
+    }
+  }
+  const live = raw.map(e => normalizeEvent(e, client.contractName, blockTimes[Number(e.blockNumber)]));
+
+  return indexed.concat(live).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+class EventIndexer {
+  constructor({ web3, store, chunkSize = DEFAULT_CHUNK_SIZE, confirmations = 0, reorgDepth = DEFAULT_REORG_DEPTH, log = () => {} }) {
+    this.web3 = web3;
+    this.store = store;
+    this.chunkSize = chunkSize;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+    this.log = log;
+    this.tracked = [];
+  }
+
+  // Track a ContractClient from startBlock (used only until a checkpoint exists).
+  track(client, { startBlock = 0 } = {}) {
+    this.tracked.push({ client, startBlock });
+    return this;
+  }
+
+  // Track an aggregator and the keeper it points to.
+  async trackAggregator(aggregator, options) {
+    this.track(aggregator, options);
+    this.track(await aggregator.keeper(), options);
+    return this;
+  }
+
+  // Index every tracked contract up to the head (less confirmations).
+  // Returns { [address]: number of new events }.
+  async sync() {
+    const head = Number(await this.web3.eth.getBlockNumber()) - this.confirmations;
+    const added = {};
+    for (const { client, startBlock } of this.tracked) {
+      added[client.address] = await this._syncContract(client, startBlock, head);
+    }
+    return added;
+  }
+
+  async _syncContract(client, startBlock, head) {
+    const store = this.store;
+    store.discardUncommitted(client.address);
+    const checkpoint = store.checkpoint(client.address) || {
+      address: client.address,
+      contract: client.contractName,
+      lastBlock: startBlock - 1,
+      recent: []
+    };
+    await this._rollbackReorg(client, checkpoint);
+
+    let count = 0;
+    for (let from = checkpoint.lastBlock + 1; from <= head; from += this.chunkSize) {
+      const to = Math.min(from + this.chunkSize - 1, head);
+      const events = await client.getPastEvents('allEvents', { fromBlock: from, toBlock: to });
+      const timestamps = {};
+      for (const blockNumber of new Set(events.map(e => Number(e.blockNumber)))) {
+        timestamps[blockNumber] = (await this.web3.eth.getBlock(blockNumber)).timestamp;
+      }
+      const normalized = events
+        .map(e => normalizeEvent(e, client.contractName, timestamps[Number(e.blockNumber)]))
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      store.append(client.address, normalized);
+
+      const end = await this.web3.eth.getBlock(to);
+      checkpoint.lastBlock = to;
+      checkpoint.recent = [...checkpoint.recent, { number: to, hash: end.hash }].slice(-this.reorgDepth);
+      store.saveCheckpoint(checkpoint);
+      count += normalized.length;
+      this.log(`${client.contractName} ${client.address}: blocks ${from}-${to}, ${normalized.length} event(s)`);
+    }
+    return count;
+  }
+
+  // Compare the recorded chunk-end hashes with the chain, newest first, and
+  // roll back to the newest block that is still canonical.
+  async _rollbackReorg(client, checkpoint) {
+    if (checkpoint.recent.length === 0) return;
+    const newest = checkpoint.recent[checkpoint.recent.length - 1];
+    const current = await this.web3.eth.getBlock(newest.number);
+    if (current && current.hash === newest.hash) return;
+
+    let ancestor = null;
+    for (let i = checkpoint.recent.length - 2; i >= 0; i--) {
+      const entry = checkpoint.recent[i];
+      const block = await this.web3.eth.getBlock(entry.number);
+      if (block && block.hash === entry.hash) {
+        ancestor = entry.number;
+        break;
+      }
+    }
+    // No recorded block survived: re-read everything after the oldest one.
+    const rollbackTo = ancestor !== null ? ancestor : checkpoint.recent[0].number - 1;
+    this.log(`Reorg detected for ${client.contractName} ${client.address}: ` +
+      `rolling back from block ${checkpoint.lastBlock} to ${rollbackTo}`);
+    this.store.truncateAfter(client.address, rollbackTo);
+    checkpoint.lastBlock = rollbackTo;
+    checkpoint.recent = checkpoint.recent.filter(entry => entry.number <= rollbackTo);
+    this.store.saveCheckpoint(checkpoint);
+  }
+}
+
+module.exports = {
+  EventIndexer,
+  JsonlEventStore,
+  openEventStore,
+  readEvents,
+  normalizeEvent,
+  DEFAULT_INDEX_DIR
+};
@@ -0,0 +1,149 @@
+// lib/keeper.js
+// Client for the ReputationKeeper contract.
+
+const { ContractClient, toStr } = require('./contract');
+
+// Decode the tuple returned by getOracleInfo(oracle, jobId).
+function decodeOracleInfo(raw) {
+  return {
+    isActive: Boolean(raw.isActive),
+    qualityScore: toStr(raw.qualityScore),
+    timelinessScore: toStr(raw.timelinessScore),
+    callCount: toStr(raw.callCount),
+    jobId: raw.jobId,
+    fee: toStr(raw.fee),
+    stakeAmount: toStr(raw.stakeAmount),
+    lockedUntil: toStr(raw.lockedUntil),
+    blocked: Boolean(raw.blocked)
+  };
+}
+
+// Decode one entry of the public registeredOracles array. The generated getter
+// omits the dynamic `classes` member, so only oracle and jobId are present.
+function decodeOracleIdentity(raw) {
+  return {
+    oracle: raw.oracle,
+    jobId: raw.jobId
+  };
+}
+
+// Decode a ScoreRecord returned by getRecentScores.
+function decodeScoreRecord(raw) {
+  return {
+    qualityScore: toStr(raw.qualityScore),
+    timelinessScore: toStr(raw.timelinessScore)
+  };
+}
+
+// Events of keepers deployed before the current ABI (see lib/contract.js).
+const LEGACY_EVENTS = [
+  // ScoreUpdated before it carried the job ID.
+  {
+    type: 'event',
+    name: 'ScoreUpdated',
+    anonymous: false,
+    inputs: [
+      { indexed: true, name: 'oracle', type: 'address' },
+      { indexed: false, name: 'newQualityScore', type: 'int256' },
+      { indexed: false, name: 'newTimelinessScore', type: 'int256' }
+    ]
+  }
+];
+
+class VerdiktaKeeper extends ContractClient {
+  constructor(web3, address, options = {}) {
+    super(web3, address, 'ReputationKeeper', { legacyEvents: LEGACY_EVENTS, ...options });
+  }
+
+  async owner() {
+    return this.methods.owner().call();
+  }
+
+  async verdiktaToken() {
+    return this.methods.verdiktaToken().call();
+  }
+
+  async stakeRequirement() {
+    return toStr(await this.methods.STAKE_REQUIREMENT().call());
+  }
+
+  async slashedFunds() {
+    return toStr(await this.methods.slashedFunds().call());
+  }
+
+  async treasury() {
+    return this.methods.treasury().call();
+  }
+
+  async getOracleInfo(oracle, jobId) {
+    return decodeOracleInfo(await this.methods.getOracleInfo(oracle, jobId).call());
+  }
+
+  async isRegistered(oracle, jobId) {
+    return Boolean(await this.methods.isRegistered(oracle, jobId).call());
+  }
+
+  async getOracleClasses(oracle, jobId) {
+    const classes = await this.methods.getOracleClassesByKey(oracle, jobId).call();
+    return classes.map(toStr);
+  }
+
+  async getRecentScores(oracle, jobId) {
+    const records = await this.methods.getRecentScores(oracle, jobId).call();
+    return records.map(decodeScoreRecord);
+  }
+
+  async getRegisteredOraclesCount() {
+    return Number(await this.methods.getRegisteredOraclesCount().call());
+  }
+
+  // Return every registered identity with its classes, in registry order.
+  async getRegisteredOracles() {
+    const count = await this.getRegisteredOraclesCount();
+    const identities = [];
+    for (let i = 0; i < count; i++) {
+      const identity = decodeOracleIdentity(await this.methods.registeredOracles(i).call());
+      const classes = await this.methods.getOracleClasses(i).call();
+      identities.push({ ...identity, classes: classes.map(toStr) });
+    }
+    return identities;
+  }
+
+  // Return every registered identity together with its decoded OracleInfo.
+  async listOracles() {
+    const identities = await this.getRegisteredOracles();
+    const oracles = [];
+    for (const identity of identities) {
+      const info = await this.getOracleInfo(identity.oracle, identity.jobId);
+      oracles.push({ ...identity, info });
+    }
+    return oracles;
+  }
+
+  async isContractApproved(contractAddress) {
+    // The public getter for approvedContracts only exposes the isApproved flag,
+    // which web3 returns as a bare value rather than a named result.
+    const result = await this.methods.approvedContracts(contractAddress).call();
+    return Boolean(typeof result === 'object' ? result.isApproved : result);
+  }
+
+  async getConfig() {
+    const m = this.methods;
+    return {
+      maxScoreHistory: toStr(await m.maxScoreHistory().call()),
+      slashAmount: toStr(await m.slashAmountConfig().call()),
+      lockDuration: toStr(await m.lockDurationConfig().call()),
+      severeThreshold: toStr(await m.severeThreshold().call()),
+      mildThreshold: toStr(await m.mildThreshold().call()),
+      shortlistSize: toStr(await m.shortlistSize().call()),
+      timelockDelay: toStr(await m.timelockDelay().call())
+    };
+  }
+}
+
+module.exports = {
+  VerdiktaKeeper,
+  decodeOracleInfo,
+  decodeOracleIdentity,
+  decodeScoreRecord
+};
@@ -0,0 +1,205 @@
+// lib/metrics.js
+// Prometheus metrics for a ReputationAggregator and its ReputationKeeper.
+//
+// Per-oracle gauges come from the same registeredOracles/getOracleInfo reads
+// as oracle-poller-cl.js (VerdiktaKeeper.listOracles). Aggregator gauges come
+// from its public config getters and paused(). The pending-evaluation gauge
+// and the bonus counters are kept up to date from RequestAIEvaluation, FulfillAIEvaluation,
+// EvaluationTimedOut, EvaluationFailed and BonusPayment events, read incrementally from
+// `fromBlock` (through the local event index when one is given).
+//
+// Output uses the Prometheus text exposition format (version 0.0.4).
+
+const http = require('http');
+
+const { readEvents } = require('./indexer');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const AGGREGATOR_EVENTS = ['RequestAIEvaluation', 'FulfillAIEvaluation', 'EvaluationTimedOut', 'EvaluationFailed', 'BonusPayment'];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// Readable form of a bytes32 job ID: the ASCII text when it is printable.
+function jobName(jobId) {
+  const bytes = Buffer.from(jobId.replace(/^0x/, ''), 'hex');
+  const text = bytes.toString('latin1').replace(/\0+$/, '');
+  return /^[\x20-\x7e]*$/.test(text) ? text : '';
+}
+
+// Render metric families [{ name, help, type, samples: [{ labels, value }] }].
+function renderMetrics(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(`${family.name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+class MetricsCollector {
+  // options: { aggregator, keeper (defaults to the aggregator's), store,
+  //            fromBlock, chunkSize, confirmations }
+  constructor({ aggregator, keeper, store, fromBlock = 0, chunkSize, confirmations = 0 }) {
+    this.aggregator = aggregator;
+    this.keeper = keeper;
+    this.web3 = aggregator.web3;
+    this.store = store;
+    this.chunkSize = chunkSize;
+    this.confirmations = confirmations;
+    this.lastBlock = fromBlock - 1;
+    this.pending = new Set();
+    this.failed = 0;
+    this.bonuses = new Map();   // operator (lowercase) -> { operator, count, total }
+  }
+
+  // Apply aggregator events in chain order to the pending set and bonus counters.
+  _apply(event) {
+    const args = event.args;
+    if (event.event === 'RequestAIEvaluation') {
+      this.pending.add(args.requestId);
+    } else if (event.event === 'FulfillAIEvaluation') {
+      this.pending.delete(args.requestId);
+    } else if (event.event === 'EvaluationTimedOut') {
+      this.pending.delete(args.aggregatorRequestId);
+    } else if (event.event === 'EvaluationFailed') {
+      this.pending.delete(args.aggregatorRequestId);
+      this.failed++;
+    } else if (event.event === 'BonusPayment') {
+      const key = args.operator.toLowerCase();
+      const entry = this.bonuses.get(key) || { operator: args.operator, count: 0, total: 0n };
+      entry.count++;
+      entry.total += BigInt(args.bonusFee);
+      this.bonuses.set(key, entry);
+    }
+  }
+
+  async _syncEvents() {
+    const head = Number(await this.web3.eth.getBlockNumber()) - this.confirmations;
+    if (head <= this.lastBlock) return;
+    const events = await readEvents(this.aggregator, {
+      events: AGGREGATOR_EVENTS,
+      fromBlock: this.lastBlock + 1,
+      toBlock: head,
+      store: this.store,
+      chunkSize: this.chunkSize
+    });
+    events.forEach(event => this._apply(event));
+    this.lastBlock = head;
+  }
+
+  // Read the current state and return the metric families.
+  async collect() {
+    await this._syncEvents();
+    const keeper = this.keeper || await this.aggregator.keeper();
+    const oracles = await keeper.listOracles();
+    const config = await this.aggregator.getConfig();
+    const paused = await this.aggregator.paused();
+
+    const oracleGauge = (name, help, value) => ({
+      name,
+      help,
+      type: 'gauge',
+      samples: oracles.map(entry => ({
+        labels: { oracle: entry.oracle, job_id: entry.jobId, job: jobName(entry.jobId) },
+        value: value(entry.info)
+      }))
+    });
+    const configGauge = (name, help, value) => ({ name, help, type: 'gauge', samples: [{ value }] });
+    const bonuses = [...this.bonuses.values()];
+
+    return [
+      oracleGauge('verdikta_oracle_quality_score', 'Oracle quality score.', info => info.qualityScore),
+      oracleGauge('verdikta_oracle_timeliness_score', 'Oracle timeliness score.', info => info.timelinessScore),
+      oracleGauge('verdikta_oracle_call_count', 'Number of score updates recorded for the oracle.', info => info.callCount),
+      oracleGauge('verdikta_oracle_stake_wei', 'VDKA staked for the oracle identity (wei).', info => info.stakeAmount),
+      oracleGauge('verdikta_oracle_locked_until_seconds', 'Unix time until which the oracle is locked (0 if never locked).', info => info.lockedUntil),
+      oracleGauge('verdikta_oracle_blocked', '1 if the oracle is blocked from selection while locked.', info => (info.blocked ? 1 : 0)),
+      oracleGauge('verdikta_oracle_active', '1 if the oracle identity is active.', info => (info.isActive ? 1 : 0)),
+      oracleGauge('verdikta_oracle_fee_wei', 'Oracle fee (LINK wei).', info => info.fee),
+      configGauge('verdikta_registered_oracles', 'Number of registered oracle identities.', oracles.length),
+      configGauge('verdikta_aggregator_oracles_to_poll', 'Oracles polled per evaluation.', config.oraclesToPoll),
+      configGauge('verdikta_aggregator_required_responses', 'Responses required to finalize an evaluation.', config.requiredResponses),
+      configGauge('verdikta_aggregator_cluster_size', 'Cluster size used in aggregation.', config.clusterSize),
+      configGauge('verdikta_aggregator_alpha', 'Quality/timeliness weighting (0-1000).', config.alpha),
+      configGauge('verdikta_aggregator_max_oracle_fee_wei', 'Maximum oracle fee (LINK wei).', config.maxOracleFee),
+      configGauge('verdikta_aggregator_response_timeout_seconds', 'Response timeout in seconds.', config.responseTimeoutSeconds),
+      configGauge('verdikta_aggregator_paused', '1 if the owner has paused new evaluation requests.', paused ? 1 : 0),
+      configGauge('verdikta_aggregator_pending_evaluations', 'Evaluations requested and not yet fulfilled, timed out or failed.', this.pending.size),
+      {
+        name: 'verdikta_aggregator_failed_evaluations_total',
+        help: 'Evaluations marked failed after timing out with too few responses.',
+        type: 'counter',
+        samples: [{ value: this.failed }]
+      },
+      {
+        name: 'verdikta_aggregator_bonus_payments_total',
+        help: 'Bonus payments made to clustered oracles.',
+        type: 'counter',
+        samples: bonuses.map(b => ({ labels: { operator: b.operator }, value: b.count }))
+      },
+      {
+        name: 'verdikta_aggregator_bonus_paid_wei_total',
+        help: 'Bonus LINK paid to clustered oracles (wei).',
+        type: 'counter',
+        samples: bonuses.map(b => ({ labels: { operator: b.operator }, value: b.total.toString() }))
+      },
+      configGauge('verdikta_metrics_last_block', 'Last block included in the event-based metrics.', this.lastBlock)
+    ];
+  }
+}
+
+// HTTP server exposing GET /metrics. Chain reads are shared between scrapes
+// arriving within `cacheSeconds` of each other; a failed read is served as
+// HTTP 500 with the error message.
+function createMetricsServer(collector, { cacheSeconds = 10, log = () => {} } = {}) {
+  let cached = null;      // { body, at }
+  let inFlight = null;
+
+  const refresh = async () => {
+    if (cached && Date.now() - cached.at < cacheSeconds * 1000) return cached.body;
+    if (!inFlight) {
+      inFlight = collector.collect()
+        .then(families => {
+          cached = { body: renderMetrics(families), at: Date.now() };
+          return cached.body;
+        })
+        .finally(() => { inFlight = null; });
+    }
+    return inFlight;
+  };
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Metrics are served at /metrics\n');
+      return;
+    }
+    refresh().then(body => {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(body);
+    }, error => {
+      log(`Metrics collection failed: ${error.message}`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`Metrics collection failed: ${error.message}\n`);
+    });
+  });
+}
+
+module.exports = {
+  MetricsCollector,
+  createMetricsServer,
+  renderMetrics
+};
@@ -0,0 +1,282 @@
+// lib/mockoracle.js
+// Off-chain side of the mock Chainlink oracles (contracts/mocks/MockOperator.sol).
+//
+// MockOracleResponder follows OracleRequest events on a set of operator
+// contracts, decodes the request parameters (the aggregator sends the
+// comma-separated CIDs as `cid`), decides on a response from each operator's
+// behaviour and calls fulfillOracleRequest2, which calls back
+// ReputationAggregator.fulfill(requestId, likelihoods, justificationCID).
+// The event and fulfill signatures are those of the Chainlink Operator, so the
+// responder also works against a real Operator that authorises its account.
+//
+// Behaviour (per operator):
+//   likelihoods: [60, 40]        fixed response vector
+//   random: { outcomes, total }  random vector of `outcomes` values summing to
+//                                `total` (default 2 and 100); used when no
+//                                fixed vector is given
+//   byCid: { "<cid>": [..] }     fixed vector per requested CID string
+//   vectorLength: n              truncate or zero-pad the vector to n values
+//                                (e.g. to send a wrong-length vector)
+//   delaySeconds: s              answer s seconds (chain time) after the request
+//   respond: false               never answer
+//   justificationCID: "..."      returned CID; {operator}, {requestId} and
+//                                {cid} are substituted (default "mock-{operator}")
+
+const { readEvents } = require('./indexer');
+
+// ---------------------------------------------------------------------------
+// Request decoding
+// ---------------------------------------------------------------------------
+
+// Decode one CBOR item at `offset`. Supports what Chainlink.Request produces:
+// integers, byte and text strings, and (possibly indefinite) arrays and maps.
+function decodeCborItem(buf, offset) {
+  const initial = buf[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  let pos = offset + 1;
+
+  if (info === 31) {
+    const items = [];
+    while (buf[pos] !== 0xff) {
+      const item = decodeCborItem(buf, pos);
+      items.push(item.value);
+      pos = item.offset;
+    }
+    pos++;
+    if (major === 4) return { value: items, offset: pos };
+    if (major === 5) return { value: pairsToObject(items), offset: pos };
+    throw new Error(`Unsupported indefinite CBOR major type ${major}`);
+  }
+
+  let length;
+  if (info < 24) {
+    length = BigInt(info);
+  } else {
+    const size = 1 << (info - 24);
+    length = BigInt(`0x${buf.slice(pos, pos + size).toString('hex')}`);
+    pos += size;
+  }
+
+  switch (major) {
+    case 0:
+      return { value: length, offset: pos };
+    case 1:
+      return { value: -1n - length, offset: pos };
+    case 2:
+      return { value: `0x${buf.slice(pos, pos + Number(length)).toString('hex')}`, offset: pos + Number(length) };
+    case 3:
+      return { value: buf.slice(pos, pos + Number(length)).toString('utf8'), offset: pos + Number(length) };
+    case 4:
+    case 5: {
+      const count = Number(length) * (major === 5 ? 2 : 1);
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        const item = decodeCborItem(buf, pos);
+        items.push(item.value);
+        pos = item.offset;
+      }
+      return { value: major === 5 ? pairsToObject(items) : items, offset: pos };
+    }
+    default:
+      throw new Error(`Unsupported CBOR major type ${major}`);
+  }
+}
+
+function pairsToObject(items) {
+  const result = {};
+  for (let i = 0; i < items.length; i += 2) result[String(items[i])] = items[i + 1];
+  return result;
+}
+
+// Chainlink request data is a CBOR map body without the map header (the node
+// wraps it in an indefinite-length map), i.e. alternating keys and values.
+function decodeRequestParams(data) {
+  const buf = Buffer.from(data.replace(/^0x/, ''), 'hex');
+  const items = [];
+  for (let offset = 0; offset < buf.length;) {
+    const item = decodeCborItem(buf, offset);
+    items.push(item.value);
+    offset = item.offset;
+  }
+  return pairsToObject(items);
+}
+
+// ---------------------------------------------------------------------------
+// Behaviour
+// ---------------------------------------------------------------------------
+
+function randomVector(outcomes, total, random) {
+  const cuts = Array.from({ length: outcomes - 1 }, () => Math.floor(random() * (total + 1))).sort((a, b) => a - b);
+  const bounds = [0, ...cuts, total];
+  return bounds.slice(1).map((bound, i) => bound - bounds[i]);
+}
+
+// Decide the response to one request: null for no response, otherwise
+// { likelihoods, justificationCID, delaySeconds }.
+function planResponse(behaviour = {}, request, random = Math.random) {
+  if (behaviour.respond === false) return null;
+
+  let likelihoods;
+  if (behaviour.byCid && behaviour.byCid[request.cid]) {
+    likelihoods = behaviour.byCid[request.cid];
+  } else if (behaviour.likelihoods) {
+    likelihoods = behaviour.likelihoods;
+  } else {
+    const { outcomes = 2, total = 100 } = behaviour.random || {};
+    likelihoods = randomVector(outcomes, total, random);
+  }
+  likelihoods = likelihoods.map(Number);
+  if (behaviour.vectorLength !== undefined) {
+    likelihoods = Array.from({ length: behaviour.vectorLength }, (_, i) => likelihoods[i] || 0);
+  }
+
+  const justificationCID = (behaviour.justificationCID || 'mock-{operator}')
+    .replace('{operator}', request.operator.toLowerCase())
+    .replace('{requestId}', request.requestId)
+    .replace('{cid}', request.cid || '');
+
+  return { likelihoods, justificationCID, delaySeconds: Number(behaviour.delaySeconds || 0) };
+}
+
+// ---------------------------------------------------------------------------
+// Responder
+// ---------------------------------------------------------------------------
+
+class MockOracleResponder {
+  // options: {
+  //   web3, from                    sending account (authorised on the operators)
+  //   operators: [{ client, behaviour }]   MockOperator clients
+  //   behaviourFor(request)         optional; overrides the per-operator
+  //                                 behaviour (request has operator, slot, cid, ...)
+  //   fromBlock (default: head at the first tick), chunkSize,
+  //   gasLimit, random, log
+  // }
+  constructor({ web3, from, operators, behaviourFor, fromBlock, chunkSize, gasLimit = 3000000, random = Math.random, log = () => {} }) {
+    this.web3 = web3;
+    this.from = from;
+    this.operators = operators;
+    this.behaviourFor = behaviourFor || (request => this._operator(request.operator).behaviour);
+    this.chunkSize = chunkSize;
+    this.gasLimit = gasLimit;
+    this.random = random;
+    this.log = log;
+    this.lastBlock = fromBlock !== undefined ? fromBlock - 1 : null;
+    this.queue = [];
+  }
+
+  _operator(address) {
+    return this.operators.find(op => op.client.address.toLowerCase() === address.toLowerCase());
+  }
+
+  // Read new OracleRequest events and queue the planned responses. Returns
+  // the requests seen, each with its planned response (or null).
+  async poll() {
+    const head = Number(await this.web3.eth.getBlockNumber());
+    const fromBlock = this.lastBlock === null ? head : this.lastBlock + 1;
+    if (fromBlock > head) return [];
+
+    const events = [];
+    for (const { client } of this.operators) {
+      events.push(...await readEvents(client, {
+        events: ['OracleRequest'],
+        fromBlock,
+        toBlock: head,
+        chunkSize: this.chunkSize,
+        timestamps: true
+      }));
+    }
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    this.lastBlock = head;
+
+    // The aggregator sends one request per poll slot, in slot order, from a
+    // single transaction, so slots are exact when every polled operator is
+    // watched by this responder.
+    const slots = new Map();
+    const requests = [];
+    for (const event of events) {
+      const args = event.args;
+      const slotKey = `${event.transactionHash}:${args.requester.toLowerCase()}`;
+      const slot = slots.has(slotKey) ? slots.get(slotKey) + 1 : 0;
+      slots.set(slotKey, slot);
+
+      const params = decodeRequestParams(args.data);
+      const request = {
+        operator: event.address,
+        requestId: args.requestId,
+        specId: args.specId,
+        requester: args.requester,
+        payment: args.payment,
+        callbackAddr: args.callbackAddr,
+        callbackFunctionId: args.callbackFunctionId,
+        expiration: args.cancelExpiration,
+        cid: params.cid,
+        params,
+        slot,
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp
+      };
+      const response = planResponse(this.behaviourFor(request), request, this.random);
+      requests.push({ ...request, response });
+
+      if (response) {
+        this.queue.push({ request, response, due: request.timestamp + response.delaySeconds });
+        this.log(`Request ${request.requestId} (slot ${slot}) to ${request.operator}: ` +
+          `answering [${response.likelihoods.join(', ')}] after ${response.delaySeconds}s`);
+      } else {
+        this.log(`Request ${request.requestId} (slot ${slot}) to ${request.operator}: not answering`);
+      }
+    }
+    return requests;
+  }
+
+  // Send every queued response that is due at the latest block's timestamp,
+  // in order of due time. Returns [{ requestId, operator, success, transactionHash }],
+  // where success is the result of the aggregator callback.
+  async fulfillDue() {
+    if (this.queue.length === 0) return [];
+    const now = Number((await this.web3.eth.getBlock('latest')).timestamp);
+    const due = this.queue.filter(item => item.due <= now).sort((a, b) => a.due - b.due);
+    this.queue = this.queue.filter(item => item.due > now);
+
+    const results = [];
+    for (const { request, response } of due) {
+      const data = this.web3.eth.abi.encodeParameters(
+        ['bytes32', 'uint256[]', 'string'],
+        [request.requestId, response.likelihoods, response.justificationCID]
+      );
+      const call = this._operator(request.operator).client.methods.fulfillOracleRequest2(
+        request.requestId,
+        request.payment,
+        request.callbackAddr,
+        request.callbackFunctionId,
+        request.expiration,
+        data
+      );
+      try {
+        // A failing callback does not revert the fulfillment, so check it first.
+        const success = Boolean(await call.call({ from: this.from, gas: this.gasLimit }));
+        const receipt = await call.send({ from: this.from, gas: this.gasLimit });
+        results.push({ requestId: request.requestId, operator: request.operator, success, transactionHash: receipt.transactionHash });
+        this.log(`Fulfilled ${request.requestId} in tx ${receipt.transactionHash}` +
+          (success ? '' : ' (aggregator callback reverted)'));
+      } catch (error) {
+        results.push({ requestId: request.requestId, operator: request.operator, success: false, error: error.message });
+        this.log(`Failed to fulfill ${request.requestId}: ${error.message}`);
+      }
+    }
+    return results;
+  }
+
+  async tick() {
+    const requests = await this.poll();
+    const fulfilled = await this.fulfillDue();
+    return { requests, fulfilled };
+  }
+}
+
+module.exports = {
+  MockOracleResponder,
+  decodeRequestParams,
+  planResponse
+};
@@ -0,0 +1,46 @@
+// lib/network.js
+// Builds a web3 instance for standalone Node processes (daemons, exporters)
+// that run outside `truffle exec`.
+//
+// The provider is taken from the named network in truffle-config.js, so the
+// same .env keys and RPC endpoints are used as for migrations and scripts.
+// An explicit RPC URL can be given instead for read-only use.
+
+function createProvider({ network, rpcUrl } = {}) {
+  if (rpcUrl) return rpcUrl;
+  if (!network) throw new Error('Either a network name or an RPC URL is required');
+
+  const truffleConfig = require('../truffle-config');
+  const netConfig = truffleConfig.networks[network];
+  if (!netConfig) throw new Error(`Unknown network in truffle-config.js: ${network}`);
+  if (netConfig.provider) return netConfig.provider();
+  return `http://${netConfig.host || '127.0.0.1'}:${netConfig.port || 8545}`;
+}
+
+function connect(options = {}) {
+  // Loaded here rather than at the top so that scripts running under
+  // `truffle exec` (which supplies its own web3) never load a second copy.
+  const { Web3 } = require('web3');
+  const provider = createProvider(options);
+  const web3 = new Web3(provider);
+  // HDWalletProvider keeps a polling engine alive; stop it so the process can exit.
+  const close = () => {
+    if (provider && provider.engine && typeof provider.engine.stop === 'function') {
+      provider.engine.stop();
+    }
+  };
+  return { web3, provider, close };
+}
+
+// A web3 instance without a provider, for work that must not touch the
+// network (signing on an air-gapped machine).
+function createOfflineWeb3() {
+  const { Web3 } = require('web3');
+  return new Web3();
+}
+
+module.exports = {
+  createProvider,
+  connect,
+  createOfflineWeb3
+};
@@ -0,0 +1,246 @@
+// lib/offline.js
+// Offline signing: build unsigned transactions online, sign them with a
+// keystore on an air-gapped machine, broadcast the signed file online.
+//
+// 1. A state-changing script run with --unsigned <file> --from <address>
+//    writes its calls with nonce, gas and fee fields instead of sending them:
+//
+//      {
+//        "kind": "verdikta-unsigned-transactions",
+//        "version": 1,
+//        "name": "configure-parameters",
+//        "chainId": "84532",
+//        "from": "0x…",
+//        "createdAt": "2025-07-13T12:00:00.000Z",
+//        "transactions": [
+//          { "summary": "ReputationKeeper.setSlashAmount(25000000000000000000)",
+//            "to": "0x…", "value": "0", "data": "0x…", "nonce": "17", "gas": "48213",
+//            "gasEstimated": true, "maxFeePerGas": "…", "maxPriorityFeePerGas": "…" }
+//        ]
+//      }
+//
+//    Nonces are consecutive from the account's pending nonce. Legacy chains
+//    get gasPrice instead of the EIP-1559 fields. A call that would revert is
+//    refused with the revert reason, except when the caller marks it
+//    dependsOnBatch (it needs an earlier call in the file to be mined first,
+//    e.g. a registration after its approval): it then gets DEFAULT_GAS_LIMIT,
+//    gasEstimated: false and the failed estimate's reason in gasNote.
+// 2. signTransactions decrypts a V3 keystore and adds rawTransaction and hash
+//    to every transaction (kind "verdikta-signed-transactions"). It makes no
+//    RPC calls.
+// 3. broadcastTransactions sends the raw transactions in nonce order and waits
+//    for each receipt. Transactions already mined are skipped, so an
+//    interrupted broadcast can be re-run.
+
+const fs = require('fs');
+const path = require('path');
+
+const { toStr } = require('./contract');
+const { describeCall } = require('./safe');
+
+const UNSIGNED_KIND = 'verdikta-unsigned-transactions';
+const SIGNED_KIND = 'verdikta-signed-transactions';
+const DEFAULT_GAS_LIMIT = 1000000;
+
+// EIP-1559 fees from the latest block: a tip of eth_gasPrice minus the base
+// fee (at least 1 wei) and a fee cap of twice the base fee plus the tip, which
+// stays valid through several full blocks. Legacy chains use eth_gasPrice.
+async function currentFees(web3) {
+  const [block, gasPrice] = await Promise.all([web3.eth.getBlock('latest'), web3.eth.getGasPrice()]);
+  if (block.baseFeePerGas === undefined || block.baseFeePerGas === null) {
+    return { gasPrice: toStr(gasPrice) };
+  }
+  const baseFee = BigInt(block.baseFeePerGas);
+  const suggested = BigInt(gasPrice) - baseFee;
+  const tip = suggested > 0n ? suggested : 1n;
+  return { maxFeePerGas: (2n * baseFee + tip).toString(), maxPriorityFeePerGas: tip.toString() };
+}
+
+class UnsignedBatch {
+  constructor(web3, { chainId, from, nonce, fees, name }) {
+    this.web3 = web3;
+    this.chainId = toStr(chainId);
+    this.from = from;
+    this.nonce = Number(nonce);
+    this.fees = fees;
+    this.name = name;
+    this.transactions = [];
+  }
+
+  // Add a contract call with the next nonce. `summary` replaces the generated
+  // "Contract.method(args)" line. Throws when the call would revert, unless
+  // `dependsOnBatch` says it needs an earlier transaction in this batch.
+  async add(target, method, { value = '0', summary, dependsOnBatch = false } = {}) {
+    const call = describeCall(this.web3, target, method);
+    const line = summary || call.summary;
+    let gas;
+    let gasNote;
+    try {
+      gas = Math.floor(Number(await method.estimateGas({ from: this.from, value: toStr(value) })) * 1.2);
+    } catch (error) {
+      if (!dependsOnBatch || this.transactions.length === 0) {
+        throw new Error(`${line} would fail from ${this.from}: ${error.message}`);
+      }
+      gas = DEFAULT_GAS_LIMIT;
+      gasNote = `depends on an earlier transaction in this file (estimate failed: ${error.message})`;
+    }
+    const transaction = {
+      summary: line,
+      to: call.to,
+      value: toStr(value),
+      data: call.data,
+      nonce: String(this.nonce + this.transactions.length),
+      gas: String(gas),
+      gasEstimated: gasNote === undefined,
+      ...(gasNote !== undefined ? { gasNote } : {}),
+      ...this.fees
+    };
+    this.transactions.push(transaction);
+    return transaction;
+  }
+
+  get length() {
+    return this.transactions.length;
+  }
+
+  summaryLines() {
+    return formatTransactions(this.toJSON());
+  }
+
+  toJSON() {
+    return {
+      kind: UNSIGNED_KIND,
+      version: 1,
+      name: this.name,
+      chainId: this.chainId,
+      from: this.from,
+      createdAt: new Date().toISOString(),
+      transactions: this.transactions
+    };
+  }
+
+  write(file) {
+    writeTransactionFile(file, this.toJSON());
+  }
+}
+
+async function createUnsignedBatch(web3, { from, name }) {
+  if (!web3.utils.isAddress(from || '')) throw new Error(`Invalid sender address: ${from}`);
+  const address = web3.utils.toChecksumAddress(from);
+  const [chainId, nonce, fees] = await Promise.all([
+    web3.eth.getChainId(),
+    web3.eth.getTransactionCount(address, 'pending'),
+    currentFees(web3)
+  ]);
+  return new UnsignedBatch(web3, { chainId, from: address, nonce, fees, name });
+}
+
+function writeTransactionFile(file, contents) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(contents, null, 2) + '\n');
+}
+
+function readTransactionFile(file, kind) {
+  const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (contents.kind !== kind) {
+    throw new Error(`${file} is not a ${kind} file (kind: ${contents.kind})`);
+  }
+  return contents;
+}
+
+// One line per transaction, for review before signing or broadcasting.
+function formatTransactions(file) {
+  return file.transactions.map(tx => {
+    const fee = tx.gasPrice !== undefined ? `gasPrice ${tx.gasPrice}` : `maxFeePerGas ${tx.maxFeePerGas}`;
+    const estimate = tx.gasEstimated ? '' : `, not estimated: ${tx.gasNote || 'no reason recorded'}`;
+    return `nonce ${tx.nonce}: ${tx.summary} on ${tx.to} (gas ${tx.gas}${estimate}, ${fee})`;
+  });
+}
+
+// Sign an unsigned-transactions file with a V3 keystore. `web3` needs no
+// provider. Returns the signed-transactions contents.
+async function signTransactions(web3, unsigned, keystore, password) {
+  if (unsigned.kind !== UNSIGNED_KIND) throw new Error(`Expected a ${UNSIGNED_KIND} file`);
+  const account = await web3.eth.accounts.decrypt(keystore, password);
+  if (account.address.toLowerCase() !== unsigned.from.toLowerCase()) {
+    throw new Error(`Keystore account ${account.address} does not match the transactions' sender ${unsigned.from}`);
+  }
+
+  const chainId = Number(unsigned.chainId);
+  // Given a full transaction and its chain, web3 signs without calling a node.
+  const common = { customChain: { name: 'custom', chainId, networkId: chainId }, baseChain: 'mainnet', hardfork: 'london' };
+  const transactions = [];
+  for (const tx of unsigned.transactions) {
+    const fees = tx.gasPrice !== undefined
+      ? { gasPrice: tx.gasPrice }
+      : { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+    const signed = await account.signTransaction({
+      from: unsigned.from,
+      to: tx.to,
+      value: tx.value,
+      data: tx.data,
+      nonce: tx.nonce,
+      gas: tx.gas,
+      chainId,
+      networkId: chainId,
+      ...fees,
+      common
+    });
+    transactions.push({ ...tx, hash: signed.transactionHash, rawTransaction: signed.rawTransaction });
+  }
+  return { ...unsigned, kind: SIGNED_KIND, signedAt: new Date().toISOString(), transactions };
+}
+
+async function findReceipt(web3, hash) {
+  try {
+    return await web3.eth.getTransactionReceipt(hash);
+  } catch (error) {
+    // web3 4.x throws instead of returning null for unknown transactions.
+    return null;
+  }
+}
+
+// Broadcast a signed-transactions file in order, waiting for each receipt.
+// Stops at the first failure. Returns [{ nonce, summary, hash, blockNumber, status }]
+// where status is 'mined' or 'already mined'.
+async function broadcastTransactions(web3, signed, { log = () => {} } = {}) {
+  if (signed.kind !== SIGNED_KIND) throw new Error(`Expected a ${SIGNED_KIND} file`);
+  const chainId = toStr(await web3.eth.getChainId());
+  if (chainId !== signed.chainId) {
+    throw new Error(`Transactions are for chain ${signed.chainId}, but the node is on chain ${chainId}`);
+  }
+
+  const results = [];
+  for (const tx of signed.transactions) {
+    let receipt = await findReceipt(web3, tx.hash);
+    let status = 'already mined';
+    if (!receipt) {
+      const nonce = Number(await web3.eth.getTransactionCount(signed.from));
+      if (nonce > Number(tx.nonce)) {
+        throw new Error(`Nonce ${tx.nonce} of ${signed.from} was used by another transaction; rebuild the file`);
+      }
+      log(`Sending nonce ${tx.nonce}: ${tx.summary} (${tx.hash})`);
+      receipt = await web3.eth.sendSignedTransaction(tx.rawTransaction);
+      status = 'mined';
+    }
+    if (!Number(receipt.status)) {
+      throw new Error(`Transaction ${tx.hash} (${tx.summary}) reverted in block ${receipt.blockNumber}`);
+    }
+    log(`${status === 'mined' ? 'Mined' : 'Already mined'} nonce ${tx.nonce} in block ${receipt.blockNumber}`);
+    results.push({ nonce: tx.nonce, summary: tx.summary, hash: tx.hash, blockNumber: Number(receipt.blockNumber), status });
+  }
+  return results;
+}
+
+module.exports = {
+  UNSIGNED_KIND,
+  SIGNED_KIND,
+  DEFAULT_GAS_LIMIT,
+  UnsignedBatch,
+  createUnsignedBatch,
+  readTransactionFile,
+  writeTransactionFile,
+  formatTransactions,
+  signTransactions,
+  broadcastTransactions
+};
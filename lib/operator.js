@@ -0,0 +1,49 @@
+// lib/operator.js
+// Client for a Chainlink Operator (oracle) contract, as registered in the
+// ReputationKeeper.
+
+const { ContractClient, toStr } = require('./contract');
+const { loadAbi } = require('./artifacts');
+
+class ChainlinkOperator extends ContractClient {
+  constructor(web3, address, options) {
+    super(web3, address, 'OperatorInterface', options);
+    // OperatorInterface does not declare owner(); read it through IOracleOwner,
+    // the same interface the keeper uses to authorise registrations.
+    this.ownerContract = new web3.eth.Contract(loadAbi('IOracleOwner'), address);
+  }
+
+  async owner() {
+    return this.ownerContract.methods.owner().call();
+  }
+
+  async withdrawable() {
+    return toStr(await this.methods.withdrawable().call());
+  }
+}
+
+// Client for contracts/mocks/MockOperator.sol, used on development networks.
+// Its OracleRequest event and fulfillOracleRequest2 match the Chainlink
+// Operator's.
+class MockOperator extends ContractClient {
+  constructor(web3, address, options) {
+    super(web3, address, 'MockOperator', options);
+  }
+
+  async owner() {
+    return this.methods.owner().call();
+  }
+
+  async withdrawable() {
+    return toStr(await this.methods.withdrawable().call());
+  }
+
+  async isAuthorizedSender(sender) {
+    return Boolean(await this.methods.isAuthorizedSender(sender).call());
+  }
+}
+
+module.exports = {
+  ChainlinkOperator,
+  MockOperator
+};
@@ -0,0 +1,261 @@
+// lib/parameters.js
+// Declarative aggregator and keeper parameters.
+//
+// A parameters file (JSON or YAML, one per network under config/) lists the
+// desired values. Parameters that are left out are not managed and keep their
+// on-chain value.
+//
+//   aggregator:
+//     oraclesToPoll: 4            # setConfig, together with the next three
+//     requiredResponses: 3
+//     clusterSize: 2
+//     responseTimeoutSeconds: 300
+//     maxOracleFee: 0.08          # LINK
+//     alpha: 500                  # 0-1000
+//     baseFeePct: 1               # 1-100
+//     maxFeeBasedScalingFactor: 10
+//     timelockDelay: 86400        # seconds; see lib/timelock.js
+//   keeper:
+//     shortlistSize: 20
+//     slashAmount: 10             # wVDKA
+//     lockDuration: 7200          # seconds
+//     severeThreshold: -40
+//     mildThreshold: -20
+//     maxScoreHistory: 10
+//     timelockDelay: 86400
+//
+// planParameters reads the current values, merges the desired ones over them
+// and checks the cross-field rules on the result before anything is sent:
+// clusterSize <= requiredResponses <= oraclesToPoll and severeThreshold <=
+// mildThreshold. applyParameters then sends only the setters whose values
+// change; the four setConfig values go in one setConfig call.
+//
+// Timelocked setters (lib/timelock.js) are sent directly while the contract's
+// timelockDelay is 0 and queued with queueChange otherwise; the queued changes
+// are executed later with scripts/timelock-cl.js. A timelockDelay change is
+// sent after the other setters of its contract, so raising the delay from 0
+// does not turn the rest of the same plan into queued changes.
+
+const { loadManifest } = require('./registration');
+const { isTimelocked, encodeChange } = require('./timelock');
+const { sendOrBatch } = require('./batch');
+
+// name → { unit, setter, check }. Units: 'link' and 'vdka' are given in whole
+// tokens and compared in wei; 'uint' and 'int' are plain integers.
+const PARAMETERS = {
+  aggregator: {
+    oraclesToPoll:            { unit: 'uint', setter: 'setConfig', check: v => v > 0n || 'must be > 0' },
+    requiredResponses:        { unit: 'uint', setter: 'setConfig', check: v => v > 0n || 'must be > 0' },
+    clusterSize:              { unit: 'uint', setter: 'setConfig' },
+    responseTimeoutSeconds:   { unit: 'uint', setter: 'setConfig', check: v => v > 0n || 'must be > 0' },
+    maxOracleFee:             { unit: 'link', setter: 'setMaxOracleFee', check: v => v > 0n || 'must be > 0' },
+    alpha:                    { unit: 'uint', setter: 'setAlpha', check: v => v <= 1000n || 'must be between 0 and 1000' },
+    baseFeePct:               { unit: 'uint', setter: 'setBaseFeePct', check: v => (v > 0n && v <= 100n) || 'must be between 1 and 100' },
+    maxFeeBasedScalingFactor: { unit: 'uint', setter: 'setMaxFeeBasedScalingFactor', check: v => v >= 1n || 'must be at least 1' },
+    timelockDelay:            { unit: 'uint', setter: 'setTimelockDelay' }
+  },
+  keeper: {
+    shortlistSize:   { unit: 'uint', setter: 'setShortlistSize', check: v => v > 0n || 'must be > 0' },
+    slashAmount:     { unit: 'vdka', setter: 'setSlashAmount' },
+    lockDuration:    { unit: 'uint', setter: 'setLockDuration' },
+    severeThreshold: { unit: 'int', setter: 'setSevereThreshold' },
+    mildThreshold:   { unit: 'int', setter: 'setMildThreshold' },
+    maxScoreHistory: { unit: 'uint', setter: 'setMaxScoreHistory', check: v => v > 0n || 'must be > 0' },
+    timelockDelay:   { unit: 'uint', setter: 'setTimelockDelay' }
+  }
+};
+
+const SET_CONFIG_ORDER = ['oraclesToPoll', 'requiredResponses', 'clusterSize', 'responseTimeoutSeconds'];
+
+function toValue(web3, unit, raw, where) {
+  const text = String(raw).trim();
+  try {
+    if (unit === 'link' || unit === 'vdka') return BigInt(web3.utils.toWei(text, 'ether').toString());
+    if (!/^-?\d+$/.test(text)) throw new Error();
+    const value = BigInt(text);
+    if (unit === 'uint' && value < 0n) throw new Error();
+    return value;
+  } catch (error) {
+    throw new Error(`${where}: invalid value "${raw}"`);
+  }
+}
+
+// Validate a parsed parameters file and convert it to
+// { aggregator: { name: BigInt }, keeper: { name: BigInt } } (token amounts in wei).
+function normalizeParameters(web3, file) {
+  if (!file || typeof file !== 'object') throw new Error('Parameters file must contain an object');
+  for (const section of Object.keys(file)) {
+    if (!PARAMETERS[section]) throw new Error(`Unknown section "${section}"; expected aggregator or keeper`);
+  }
+  const desired = { aggregator: {}, keeper: {} };
+  for (const [section, params] of Object.entries(PARAMETERS)) {
+    const values = file[section] || {};
+    for (const [name, raw] of Object.entries(values)) {
+      const where = `${section}.${name}`;
+      const spec = params[name];
+      if (!spec) throw new Error(`Unknown parameter ${where}`);
+      const value = toValue(web3, spec.unit, raw, where);
+      const result = spec.check ? spec.check(value) : true;
+      if (result !== true) throw new Error(`${where} ${result}`);
+      desired[section][name] = value;
+    }
+  }
+  return desired;
+}
+
+function loadParameters(web3, file) {
+  return normalizeParameters(web3, loadManifest(file));
+}
+
+async function currentParameters(aggregator, keeper) {
+  const [aggregatorConfig, keeperConfig] = await Promise.all([aggregator.getConfig(), keeper.getConfig()]);
+  const pick = (config, section) => Object.fromEntries(
+    Object.keys(PARAMETERS[section]).map(name => [name, BigInt(config[name])])
+  );
+  return { aggregator: pick(aggregatorConfig, 'aggregator'), keeper: pick(keeperConfig, 'keeper') };
+}
+
+function checkCrossFields(values) {
+  const { oraclesToPoll, requiredResponses, clusterSize } = values.aggregator;
+  const { severeThreshold, mildThreshold } = values.keeper;
+  const problems = [];
+  if (requiredResponses > oraclesToPoll) {
+    problems.push(`requiredResponses (${requiredResponses}) must not exceed oraclesToPoll (${oraclesToPoll})`);
+  }
+  if (clusterSize > requiredResponses) {
+    problems.push(`clusterSize (${clusterSize}) must not exceed requiredResponses (${requiredResponses})`);
+  }
+  if (severeThreshold > mildThreshold) {
+    problems.push(`severeThreshold (${severeThreshold}) must not be above mildThreshold (${mildThreshold})`);
+  }
+  return problems;
+}
+
+// Compare desired parameters with the contracts. Returns
+// { changes: [{ section, name, unit, current, desired }], unchanged,
+//   transactions: [{ section, setter, args, names, queue }] }
+// where `queue` marks timelocked setters that must go through queueChange,
+// and throws if the resulting configuration breaks a cross-field rule.
+async function planParameters({ aggregator, keeper, desired }) {
+  const clients = { aggregator, keeper };
+  const current = await currentParameters(aggregator, keeper);
+  const result = {
+    aggregator: { ...current.aggregator, ...desired.aggregator },
+    keeper: { ...current.keeper, ...desired.keeper }
+  };
+  const problems = checkCrossFields(result);
+  if (problems.length) throw new Error(`Invalid parameters: ${problems.join('; ')}`);
+
+  const changes = [];
+  let unchanged = 0;
+  for (const [section, params] of Object.entries(PARAMETERS)) {
+    for (const [name, spec] of Object.entries(params)) {
+      if (desired[section][name] === undefined) continue;
+      if (desired[section][name] === current[section][name]) {
+        unchanged++;
+        continue;
+      }
+      changes.push({
+        section,
+        name,
+        unit: spec.unit,
+        current: current[section][name].toString(),
+        desired: desired[section][name].toString()
+      });
+    }
+  }
+
+  const transactions = [];
+  const configChanges = changes.filter(c => PARAMETERS[c.section][c.name].setter === 'setConfig');
+  if (configChanges.length) {
+    transactions.push({
+      section: 'aggregator',
+      setter: 'setConfig',
+      args: SET_CONFIG_ORDER.map(name => result.aggregator[name].toString()),
+      names: configChanges.map(c => c.name),
+      queue: false
+    });
+  }
+  // PARAMETERS lists timelockDelay last in each section, so it follows the
+  // other setters of its contract.
+  for (const change of changes.filter(c => !configChanges.includes(c))) {
+    const setter = PARAMETERS[change.section][change.name].setter;
+    transactions.push({
+      section: change.section,
+      setter,
+      args: [change.desired],
+      names: [change.name],
+      queue: current[change.section].timelockDelay > 0n && isTimelocked(clients[change.section], setter)
+    });
+  }
+  for (const change of changes) {
+    change.queued = transactions.some(tx => tx.queue && tx.names.includes(change.name) && tx.section === change.section);
+  }
+  return { changes, unchanged, transactions };
+}
+
+function formatValue(web3, unit, value) {
+  if (unit === 'link') return `${web3.utils.fromWei(value, 'ether')} LINK`;
+  if (unit === 'vdka') return `${web3.utils.fromWei(value, 'ether')} wVDKA`;
+  return value;
+}
+
+// Human-readable plan, one line per changed parameter.
+function formatParameterPlan(web3, plan) {
+  const lines = plan.changes.map(c =>
+    `${c.queued ? 'QUEUE ' : 'CHANGE'}  ${c.section}.${c.name}: ${formatValue(web3, c.unit, c.current)} -> ${formatValue(web3, c.unit, c.desired)}`);
+  const queued = plan.transactions.filter(tx => tx.queue).length;
+  lines.push(`${plan.changes.length} to change in ${plan.transactions.length} transaction(s)` +
+    `${queued ? ` (${queued} queued behind the timelock)` : ''}, ${plan.unchanged} unchanged`);
+  return lines;
+}
+
+// Send the plan's transactions from `from`, which must own every contract the
+// plan changes (checked before anything is sent). Transactions marked `queue`
+// are sent as queueChange calls. With `batch` (lib/batch.js) the calls are added
+// to the batch instead and `from` is the
+// batch's account.
+// Returns [{ setter, names, transactionHash, queued, eta }]; eta is set for
+// queued changes that were sent, transactionHash is null when batched.
+async function applyParameters({ aggregator, keeper, plan, from, batch, log = () => {} }) {
+  const clients = { aggregator, keeper };
+  for (const section of new Set(plan.transactions.map(tx => tx.section))) {
+    const owner = await clients[section].owner();
+    if (owner.toLowerCase() !== from.toLowerCase()) {
+      throw new Error(`${from} is not the ${section} owner (${owner})`);
+    }
+  }
+
+  const results = [];
+  for (const tx of plan.transactions) {
+    const client = clients[tx.section];
+    const call = `${tx.setter}(${tx.args.join(', ')}) for ${tx.names.join(', ')}`;
+    if (tx.queue) {
+      const receipt = await sendOrBatch(client, client.methods.queueChange(encodeChange(client, tx.setter, tx.args)), {
+        from,
+        batch,
+        summary: `${client.contractName}.queueChange(${tx.setter}(${tx.args.join(', ')}))`
+      });
+      const eta = receipt ? receipt.events.ChangeQueued.returnValues.eta.toString() : null;
+      log(receipt
+        ? `queued ${call}, executable after ${new Date(Number(eta) * 1000).toISOString()} (tx ${receipt.transactionHash})`
+        : `queued ${call} (batched)`);
+      results.push({ setter: tx.setter, names: tx.names, transactionHash: receipt && receipt.transactionHash, queued: true, eta });
+      continue;
+    }
+    const receipt = await sendOrBatch(client, client.methods[tx.setter](...tx.args), { from, batch });
+    log(`${call} (${receipt ? `tx ${receipt.transactionHash}` : 'batched'})`);
+    results.push({ setter: tx.setter, names: tx.names, transactionHash: receipt && receipt.transactionHash, queued: false });
+  }
+  return results;
+}
+
+module.exports = {
+  PARAMETERS,
+  normalizeParameters,
+  loadParameters,
+  currentParameters,
+  planParameters,
+  formatParameterPlan,
+  applyParameters
+};
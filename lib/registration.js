@@ -0,0 +1,192 @@
+// lib/registration.js
+// Manifest-driven oracle registration.
+//
+// A manifest (JSON or YAML) lists oracle contracts with their job IDs, classes
+// and fee. planRegistration compares each (oracle, jobId) entry with the
+// ReputationKeeper and marks it `register` (not registered), `skip` (registered
+// with the same fee and classes) or `conflict` (registered with a different fee
+// or classes; registration never changes an existing entry). applyRegistration
+// approves the total stake once and registers the `register` entries only, so
+// re-running a manifest is safe.
+//
+// Manifest:
+//   defaults:                      # optional, applied to every oracle
+//     fee: 0.05                    # LINK per request (default 0.05)
+//     classes: [128]
+//   oracles:
+//     - address: 0xOracle1
+//       jobIds: [jobid1, jobid2]   # job ID strings, or bytes32 hex
+//       classes: [128, 129]        # 1-5 classes
+//       fee: 0.05
+
+const fs = require('fs');
+const path = require('path');
+
+const { sendOrBatch } = require('./batch');
+
+const DEFAULT_FEE = '0.05';
+const MAX_CLASSES = 5;
+
+function parseManifest(text, format = 'json') {
+  if (format === 'yaml') {
+    // Only needed for YAML manifests.
+    return require('js-yaml').safeLoad(text);
+  }
+  return JSON.parse(text);
+}
+
+function loadManifest(file) {
+  const ext = path.extname(file).toLowerCase();
+  return parseManifest(fs.readFileSync(file, 'utf8'), ext === '.yml' || ext === '.yaml' ? 'yaml' : 'json');
+}
+
+// Job IDs are given as strings (as registered by the Chainlink node job spec)
+// or as bytes32 hex.
+function encodeJobId(web3, jobId) {
+  if (/^0x[0-9a-fA-F]{64}$/.test(jobId)) return jobId.toLowerCase();
+  return web3.utils.padRight(web3.utils.fromAscii(jobId), 64).toLowerCase();
+}
+
+// Validate a parsed manifest and flatten it to one entry per (oracle, jobId):
+// { oracle, jobIdString, jobId, fee (wei), classes (numbers) }.
+function normalizeManifest(web3, manifest) {
+  if (!manifest || !Array.isArray(manifest.oracles) || manifest.oracles.length === 0) {
+    throw new Error('Manifest must contain a non-empty "oracles" list');
+  }
+  const defaults = manifest.defaults || {};
+  const entries = [];
+  const seen = new Set();
+
+  manifest.oracles.forEach((oracle, i) => {
+    const where = `oracles[${i}]`;
+    const address = oracle.address || oracle.oracle;
+    if (!address || !web3.utils.isAddress(String(address))) {
+      throw new Error(`${where}: invalid or missing address`);
+    }
+    const jobIds = oracle.jobIds || (oracle.jobId !== undefined ? [oracle.jobId] : []);
+    if (!Array.isArray(jobIds) || jobIds.length === 0) {
+      throw new Error(`${where}: at least one job ID is required`);
+    }
+    const classes = (oracle.classes || defaults.classes || []).map(Number);
+    if (classes.length === 0 || classes.length > MAX_CLASSES) {
+      throw new Error(`${where}: between 1 and ${MAX_CLASSES} classes are required`);
+    }
+    if (classes.some(c => !Number.isInteger(c) || c < 0)) {
+      throw new Error(`${where}: classes must be non-negative integers`);
+    }
+    const feeLink = String(oracle.fee !== undefined ? oracle.fee : (defaults.fee !== undefined ? defaults.fee : DEFAULT_FEE));
+    let fee;
+    try {
+      fee = web3.utils.toWei(feeLink, 'ether').toString();
+    } catch (error) {
+      throw new Error(`${where}: invalid fee "${feeLink}"`);
+    }
+    if (BigInt(fee) === 0n) throw new Error(`${where}: fee must be greater than 0`);
+
+    for (const jobIdString of jobIds.map(String)) {
+      const jobId = encodeJobId(web3, jobIdString);
+      const key = `${address.toLowerCase()}:${jobId}`;
+      if (seen.has(key)) throw new Error(`${where}: job ${jobIdString} is listed twice for ${address}`);
+      seen.add(key);
+      entries.push({ oracle: web3.utils.toChecksumAddress(address), jobIdString, jobId, fee, classes });
+    }
+  });
+  return entries;
+}
+
+const sortedClasses = classes => classes.map(Number).sort((a, b) => a - b).join(',');
+
+// Compare manifest entries with the keeper. Returns
+// { entries: [{ ...entry, action, current, differences }], register, skip, conflict,
+//   stakeRequired } where stakeRequired is the wVDKA needed for the registrations.
+async function planRegistration(keeper, entries) {
+  const planned = [];
+  for (const entry of entries) {
+    if (!(await keeper.isRegistered(entry.oracle, entry.jobId))) {
+      planned.push({ ...entry, action: 'register', current: null, differences: [] });
+      continue;
+    }
+    const info = await keeper.getOracleInfo(entry.oracle, entry.jobId);
+    const classes = await keeper.getOracleClasses(entry.oracle, entry.jobId);
+    const current = { fee: info.fee, classes: classes.map(Number), isActive: info.isActive, blocked: info.blocked };
+    const differences = [];
+    if (current.fee !== entry.fee) differences.push('fee');
+    if (sortedClasses(current.classes) !== sortedClasses(entry.classes)) differences.push('classes');
+    planned.push({ ...entry, action: differences.length ? 'conflict' : 'skip', current, differences });
+  }
+
+  const count = action => planned.filter(e => e.action === action).length;
+  const register = count('register');
+  const stake = register > 0 ? BigInt(await keeper.stakeRequirement()) : 0n;
+  return {
+    entries: planned,
+    register,
+    skip: count('skip'),
+    conflict: count('conflict'),
+    stakeRequired: (stake * BigInt(register)).toString()
+  };
+}
+
+// Human-readable plan, one line per entry.
+function formatPlan(web3, plan) {
+  const link = wei => `${web3.utils.fromWei(wei, 'ether')} LINK`;
+  const lines = plan.entries.map(e => {
+    const id = `${e.oracle} job ${e.jobIdString}`;
+    if (e.action === 'register') {
+      return `REGISTER  ${id}: fee ${link(e.fee)}, classes ${e.classes.join(', ')}`;
+    }
+    if (e.action === 'skip') {
+      return `SKIP      ${id}: already registered${e.current.isActive ? '' : ' (paused)'}`;
+    }
+    const details = [];
+    if (e.differences.includes('fee')) details.push(`fee ${link(e.current.fee)} on chain, ${link(e.fee)} in manifest`);
+    if (e.differences.includes('classes')) {
+      details.push(`classes ${e.current.classes.join(', ')} on chain, ${e.classes.join(', ')} in manifest`);
+    }
+    return `CONFLICT  ${id}: ${details.join('; ')}`;
+  });
+  lines.push(`${plan.register} to register, ${plan.skip} unchanged, ${plan.conflict} conflicting; ` +
+    `stake required ${web3.utils.fromWei(plan.stakeRequired, 'ether')} wVDKA`);
+  return lines;
+}
+
+// Register the plan's `register` entries from `from`, approving the keeper for
+// the total stake once (only if the current allowance is short). With `batch`
+// (lib/batch.js) the calls are added to the batch instead and `from` is the
+// batch's account. Returns [{ oracle, jobIdString, transactionHash }] (null hash when batched).
+async function applyRegistration({ keeper, stakeToken, plan, from, batch, log = () => {} }) {
+  const toRegister = plan.entries.filter(e => e.action === 'register');
+  if (toRegister.length === 0) return [];
+
+  const total = BigInt(plan.stakeRequired);
+  const balance = BigInt(await stakeToken.balanceOf(from));
+  if (balance < total) {
+    throw new Error(`Insufficient wVDKA balance: ${balance} available, ${total} required for ${toRegister.length} registration(s)`);
+  }
+  const allowance = BigInt(await stakeToken.allowance(from, keeper.address));
+  // With a batch the calls below cannot be estimated until the approval is mined.
+  const dependsOnBatch = allowance < total;
+  if (allowance < total) {
+    await sendOrBatch(stakeToken, stakeToken.methods.approve(keeper.address, total.toString()), { from, batch });
+    log(`Approved keeper to stake ${total} wVDKA wei`);
+  }
+
+  const results = [];
+  for (const entry of toRegister) {
+    const receipt = await sendOrBatch(keeper,
+      keeper.methods.registerOracle(entry.oracle, entry.jobId, entry.fee, entry.classes), { from, batch, dependsOnBatch });
+    log(`Registered ${entry.oracle} job ${entry.jobIdString} (${receipt ? `tx ${receipt.transactionHash}` : 'batched'})`);
+    results.push({ oracle: entry.oracle, jobIdString: entry.jobIdString, transactionHash: receipt && receipt.transactionHash });
+  }
+  return results;
+}
+
+module.exports = {
+  parseManifest,
+  loadManifest,
+  normalizeManifest,
+  encodeJobId,
+  planRegistration,
+  formatPlan,
+  applyRegistration
+};
@@ -0,0 +1,155 @@
+// lib/safe.js
+// Safe (multisig) Transaction Builder batches.
+//
+// When the contracts are owned by a Safe, the scripts cannot send owner calls
+// from accounts[0]. With --safe-batch <file> --safe <address> they write the
+// calls to a Transaction Builder JSON file instead, to be loaded in the Safe
+// app ("Transaction Builder" → drag the file in), reviewed and signed:
+//
+//   {
+//     "version": "1.0",
+//     "chainId": "84532",
+//     "createdAt": 1752400000000,
+//     "meta": {
+//       "name": "configure-parameters",
+//       "description": "1. ReputationAggregator.setConfig(6, 3, 2, 300)\n...",
+//       "txBuilderVersion": "1.16.5",
+//       "createdFromSafeAddress": "0x…",
+//       "createdFromOwnerAddress": ""
+//     },
+//     "transactions": [
+//       { "to": "0x…", "value": "0", "data": "0x…",
+//         "contractMethod": { "name": "setConfig", "inputs": [...], "payable": false },
+//         "contractInputsValues": { "_oraclesToPoll": "6", ... } }
+//     ]
+//   }
+//
+// Every transaction carries its encoded calldata and the decoded method and
+// arguments; meta.description holds the readable summary the scripts also
+// print. The script options are added by lib/batch.js.
+
+const fs = require('fs');
+const path = require('path');
+
+const { toStr } = require('./contract');
+
+const TX_BUILDER_VERSION = '1.16.5';
+
+// Accepts a lib client or Truffle instance (both expose .contract) or a web3 contract.
+function web3Contract(target) {
+  return target.options ? target : target.contract;
+}
+
+// Decoded argument → Transaction Builder value: strings for scalars, nested
+// arrays for arrays and tuples.
+function plainValue(param, value) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) return Array.from(value, item => plainValue({ ...param, type: array[1] }, item));
+  if (param.type === 'tuple') return param.components.map((component, i) => plainValue(component, value[i]));
+  return typeof value === 'boolean' ? value : toStr(value);
+}
+
+// Decode a contract call for review. Returns { to, data, fn, args, summary }
+// where args are plain values (see plainValue) and summary reads
+// "Contract.method(arg, ...)".
+function describeCall(web3, target, method) {
+  const contract = web3Contract(target);
+  const abi = web3.eth.abi;
+  const data = method.encodeABI();
+  const selector = data.slice(0, 10).toLowerCase();
+  const fn = contract.options.jsonInterface.find(item =>
+    item.type === 'function' && abi.encodeFunctionSignature(item).toLowerCase() === selector);
+  if (!fn) throw new Error(`No function with selector ${selector} in the contract ABI`);
+
+  const decoded = abi.decodeParameters(fn.inputs, '0x' + data.slice(10));
+  const args = fn.inputs.map((input, i) => plainValue(input, decoded[i]));
+  const contractName = target.contractName || (target.constructor && target.constructor.contractName) || 'Contract';
+  const summary = `${contractName}.${fn.name}(${args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(', ')})`;
+  return { to: contract.options.address, data, fn, args, summary };
+}
+
+class SafeBatch {
+  constructor(web3, { chainId, safe, name, description = '' }) {
+    this.web3 = web3;
+    this.chainId = toStr(chainId);
+    this.safe = safe;
+    this.name = name;
+    this.description = description;
+    this.transactions = [];
+  }
+
+  // Add a contract call, e.g. batch.add(keeper, keeper.methods.setSlashAmount(x)).
+  // `summary` replaces the generated "Contract.method(args)" line. The Safe
+  // executes the whole batch at once, so nothing is estimated here.
+  add(target, method, { value = '0', summary } = {}) {
+    const call = describeCall(this.web3, target, method);
+    const { data, fn, args } = call;
+    const contractInputsValues = {};
+    fn.inputs.forEach((input, i) => {
+      contractInputsValues[input.name || `arg${i}`] = typeof args[i] === 'string' ? args[i] : JSON.stringify(args[i]);
+    });
+
+    const transaction = {
+      to: call.to,
+      value: toStr(value),
+      data,
+      contractMethod: {
+        name: fn.name,
+        inputs: fn.inputs.map(({ name, type, internalType, components }) =>
+          ({ name, type, internalType, ...(components ? { components } : {}) })),
+        payable: fn.stateMutability === 'payable'
+      },
+      contractInputsValues,
+      summary: summary || call.summary
+    };
+    this.transactions.push(transaction);
+    return transaction;
+  }
+
+  // The account the scripts act as.
+  get from() {
+    return this.safe;
+  }
+
+  get length() {
+    return this.transactions.length;
+  }
+
+  summaryLines() {
+    return this.transactions.map((tx, i) => `${i + 1}. ${tx.summary} on ${tx.to}`);
+  }
+
+  toJSON() {
+    return {
+      version: '1.0',
+      chainId: this.chainId,
+      createdAt: Date.now(),
+      meta: {
+        name: this.name,
+        description: [this.description, ...this.summaryLines()].filter(Boolean).join('\n'),
+        txBuilderVersion: TX_BUILDER_VERSION,
+        createdFromSafeAddress: this.safe,
+        createdFromOwnerAddress: ''
+      },
+      transactions: this.transactions.map(({ summary, ...tx }) => tx)
+    };
+  }
+
+  write(file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(this, null, 2) + '\n');
+  }
+}
+
+async function createSafeBatch(web3, { safe, name, description }) {
+  if (!web3.utils.isAddress(safe || '')) throw new Error(`Invalid Safe address: ${safe}`);
+  const chainId = await web3.eth.getChainId();
+  return new SafeBatch(web3, { chainId, safe: web3.utils.toChecksumAddress(safe), name, description });
+}
+
+module.exports = {
+  TX_BUILDER_VERSION,
+  SafeBatch,
+  createSafeBatch,
+  describeCall
+};
@@ -0,0 +1,227 @@
+// lib/selection.js
+// Off-chain port of ReputationKeeper oracle selection.
+//
+// SelectionSimulator mirrors getSelectionScore, the eligibility filter and the
+// two-stage selection in selectOracles (random shortlist, then _weightedSelect)
+// on a snapshot of keeper state. It can replay a selection exactly for a given
+// block (timestamp and prevrandao), and estimate each eligible oracle's
+// selection odds by treating the block hash inputs as uniformly random.
+//
+// All contract arithmetic is done with BigInt so integer division and clamping
+// match Solidity exactly.
+
+const MIN_SCORE_FOR_SELECTION = 1n;
+const MAX_SCORE_FOR_SELECTION = 400n;
+const WAD = 10n ** 18n;
+
+const toBigInt = value => BigInt(value.toString());
+
+// Normalise selection parameters (alpha, maxFee, estimatedBaseCost,
+// maxFeeBasedScalingFactor) to BigInt.
+function toSelectionParams(params) {
+  return {
+    alpha: toBigInt(params.alpha),
+    maxFee: toBigInt(params.maxFee),
+    estimatedBaseCost: toBigInt(params.estimatedBaseCost),
+    maxFeeBasedScalingFactor: toBigInt(params.maxFeeBasedScalingFactor)
+  };
+}
+
+class SelectionSimulator {
+  // snapshot: {
+  //   oracles: [{ oracle, jobId, classes, info }]  (in registeredOracles order)
+  //   shortlistSize, timestamp,
+  //   stakeRequirement  (optional, wei; oracles staking less are not eligible)
+  // }
+  constructor(web3, snapshot) {
+    this.web3 = web3;
+    this.oracles = snapshot.oracles;
+    this.shortlistSize = Number(snapshot.shortlistSize);
+    this.timestamp = toBigInt(snapshot.timestamp);
+    this.stakeRequirement = toBigInt(snapshot.stakeRequirement || 0);
+  }
+
+  // Read the registered oracles, shortlistSize, stake requirement and block
+  // timestamp from a VerdiktaKeeper client.
+  static async fromKeeper(keeper) {
+    const block = await keeper.web3.eth.getBlock('latest');
+    return new SelectionSimulator(keeper.web3, {
+      oracles: await keeper.listOracles(),
+      shortlistSize: await keeper.methods.shortlistSize().call(),
+      stakeRequirement: await keeper.stakeRequirement(),
+      timestamp: block.timestamp
+    });
+  }
+
+  _isLocked(info) {
+    return info.blocked && this.timestamp < toBigInt(info.lockedUntil);
+  }
+
+  // Mirror of ReputationKeeper.getSelectionScore.
+  selectionScore(entry, params) {
+    const p = toSelectionParams(params);
+    const info = entry.info;
+    if (!info.isActive) return 0n;
+    if (this._isLocked(info)) return 0n;
+
+    let weightedScore = ((1000n - p.alpha) * toBigInt(info.qualityScore) +
+                         p.alpha * toBigInt(info.timelinessScore)) / 1000n;
+    if (weightedScore < MIN_SCORE_FOR_SELECTION) weightedScore = MIN_SCORE_FOR_SELECTION;
+    if (weightedScore > MAX_SCORE_FOR_SELECTION) weightedScore = MAX_SCORE_FOR_SELECTION;
+
+    const oracleFee = toBigInt(info.fee);
+    let feeWeightingFactor = WAD;
+    if (oracleFee > p.estimatedBaseCost && p.maxFee > p.estimatedBaseCost) {
+      const ratio = (p.maxFee - p.estimatedBaseCost) * WAD / (oracleFee - p.estimatedBaseCost);
+      const maxScaling = p.maxFeeBasedScalingFactor * WAD;
+      if (ratio > maxScaling) {
+        feeWeightingFactor = maxScaling;
+      } else if (ratio > WAD) {
+        feeWeightingFactor = ratio;
+      }
+    }
+    return weightedScore * feeWeightingFactor / WAD;
+  }
+
+  // Oracles passing the selectOracles filter, in registry order.
+  eligibleOracles(maxFee, requestedClass) {
+    const fee = toBigInt(maxFee);
+    const cls = String(requestedClass);
+    return this.oracles.filter(entry =>
+      entry.info.isActive &&
+      toBigInt(entry.info.fee) <= fee &&
+      toBigInt(entry.info.stakeAmount) >= this.stakeRequirement &&
+      !this._isLocked(entry.info) &&
+      entry.classes.map(String).includes(cls)
+    );
+  }
+
+  _validate(params) {
+    const p = toSelectionParams(params);
+    if (!(p.estimatedBaseCost < p.maxFee)) throw new Error('Base cost must be less than max fee');
+    if (p.maxFeeBasedScalingFactor < 1n) throw new Error('Max scaling factor must be at least 1');
+  }
+
+  _eligibleOrThrow(params, requestedClass) {
+    this._validate(params);
+    const eligible = this.eligibleOracles(params.maxFee, requestedClass);
+    if (eligible.length === 0) {
+      throw new Error('No active oracles available with fee <= maxFee and requested class');
+    }
+    return eligible;
+  }
+
+  // keccak256(abi.encodePacked(block.timestamp, block.prevrandao, i))
+  _seed(block, i) {
+    const hash = this.web3.utils.soliditySha3(
+      { t: 'uint256', v: block.timestamp.toString() },
+      { t: 'uint256', v: block.prevrandao.toString() },
+      { t: 'uint256', v: i.toString() }
+    );
+    return BigInt(hash);
+  }
+
+  // Mirror of the shortlist stage of selectOracles for a given block.
+  shortlist(eligible, block) {
+    if (eligible.length <= this.shortlistSize) return eligible;
+    const pool = eligible.slice();
+    const count = BigInt(pool.length);
+    for (let i = 0; i < this.shortlistSize; i++) {
+      const randIndex = i + Number(this._seed(block, i) % (count - BigInt(i)));
+      [pool[i], pool[randIndex]] = [pool[randIndex], pool[i]];
+    }
+    return pool.slice(0, this.shortlistSize);
+  }
+
+  // Mirror of ReputationKeeper._weightedSelect for a given block.
+  weightedSelect(shortlist, params, count, block) {
+    const weights = shortlist.map(entry => this.selectionScore(entry, params));
+    const totalWeight = weights.reduce((a, b) => a + b, 0n);
+    const selected = [];
+    for (let i = 0; i < count; i++) {
+      const selection = this._seed(block, i) % totalWeight;
+      let sum = 0n;
+      let pick = shortlist[0];
+      for (let j = 0; j < shortlist.length; j++) {
+        sum += weights[j];
+        if (sum > selection) {
+          pick = shortlist[j];
+          break;
+        }
+      }
+      selected.push(pick);
+    }
+    return selected;
+  }
+
+  // Replay selectOracles exactly. block is { timestamp, prevrandao } of the
+  // block the selection runs in (for eth_call, the latest block's timestamp
+  // and mixHash).
+  selectOracles(count, params, requestedClass, block) {
+    const eligible = this._eligibleOrThrow(params, requestedClass);
+    const shortlist = this.shortlist(eligible, block);
+    return this.weightedSelect(shortlist, params, count, block).map(entry => ({
+      oracle: entry.oracle,
+      jobId: entry.jobId
+    }));
+  }
+
+  // Estimate selection odds for every eligible oracle.
+  //
+  // For each draw the contract picks oracle j with probability w_j / W over the
+  // shortlist; draws are made with replacement, so an oracle can fill more than
+  // one of the `count` slots. When the eligible set fits in the shortlist the
+  // odds are exact; otherwise the shortlist is sampled `iterations` times.
+  //
+  // Returns [{ oracle, jobId, fee, classes, weight, perDraw, expectedSlots, atLeastOnce }]
+  // sorted by perDraw descending.
+  odds(count, params, requestedClass, { iterations = 10000, random = Math.random } = {}) {
+    const eligible = this._eligibleOrThrow(params, requestedClass);
+    const weights = eligible.map(entry => this.selectionScore(entry, params));
+    const perDraw = new Array(eligible.length).fill(0);
+    const atLeastOnce = new Array(eligible.length).fill(0);
+
+    const accumulate = (indices, scale) => {
+      const total = indices.reduce((sum, idx) => sum + Number(weights[idx]), 0);
+      for (const idx of indices) {
+        const p = Number(weights[idx]) / total;
+        perDraw[idx] += p * scale;
+        atLeastOnce[idx] += (1 - Math.pow(1 - p, count)) * scale;
+      }
+    };
+
+    if (eligible.length <= this.shortlistSize) {
+      accumulate(eligible.map((_, idx) => idx), 1);
+    } else {
+      const indices = eligible.map((_, idx) => idx);
+      for (let n = 0; n < iterations; n++) {
+        // Partial Fisher-Yates, as in the contract's shortlist stage.
+        for (let i = 0; i < this.shortlistSize; i++) {
+          const r = i + Math.floor(random() * (indices.length - i));
+          [indices[i], indices[r]] = [indices[r], indices[i]];
+        }
+        accumulate(indices.slice(0, this.shortlistSize), 1 / iterations);
+      }
+    }
+
+    return eligible
+      .map((entry, idx) => ({
+        oracle: entry.oracle,
+        jobId: entry.jobId,
+        fee: entry.info.fee,
+        classes: entry.classes,
+        weight: weights[idx].toString(),
+        perDraw: perDraw[idx],
+        expectedSlots: perDraw[idx] * count,
+        atLeastOnce: atLeastOnce[idx]
+      }))
+      .sort((a, b) => b.perDraw - a.perDraw);
+  }
+}
+
+module.exports = {
+  SelectionSimulator,
+  toSelectionParams,
+  MIN_SCORE_FOR_SELECTION,
+  MAX_SCORE_FOR_SELECTION
+};
@@ -0,0 +1,117 @@
+// lib/stake.js
+// Stake top-ups and stake accounting for the ReputationKeeper.
+//
+// Slashing reduces an identity's stake below the keeper's STAKE_REQUIREMENT,
+// and selectOracles skips identities staking less than that. planTopUps lists
+// each identity's stake and deficit; applyTopUps approves the total deficit
+// once and calls topUpStake for every identity that is short.
+//
+// The slashed VDKA stays in the keeper as slashedFunds until withdrawn to the
+// treasury. reconcileStake checks the keeper's token balance against the sum
+// of all stakes plus slashedFunds.
+
+const { sendOrBatch } = require('./batch');
+
+// Compare the keeper's registered identities (optionally filtered by oracle
+// and job ID) with the stake requirement. Returns
+// { requirement, entries: [{ oracle, jobId, stakeAmount, deficit }], short, totalDeficit }.
+async function planTopUps(keeper, { oracle, jobIds } = {}) {
+  const requirement = BigInt(await keeper.stakeRequirement());
+  const wanted = jobIds ? new Set(jobIds.map(j => j.toLowerCase())) : null;
+
+  const entries = [];
+  for (const identity of await keeper.getRegisteredOracles()) {
+    if (oracle && identity.oracle.toLowerCase() !== oracle.toLowerCase()) continue;
+    if (wanted && !wanted.has(identity.jobId.toLowerCase())) continue;
+    const info = await keeper.getOracleInfo(identity.oracle, identity.jobId);
+    const stake = BigInt(info.stakeAmount);
+    const deficit = stake < requirement ? requirement - stake : 0n;
+    entries.push({
+      oracle: identity.oracle,
+      jobId: identity.jobId,
+      stakeAmount: stake.toString(),
+      deficit: deficit.toString()
+    });
+  }
+
+  const short = entries.filter(e => e.deficit !== '0');
+  return {
+    requirement: requirement.toString(),
+    entries,
+    short: short.length,
+    totalDeficit: short.reduce((sum, e) => sum + BigInt(e.deficit), 0n).toString()
+  };
+}
+
+// Human-readable plan, one line per identity.
+function formatTopUps(web3, plan) {
+  const vdka = wei => `${web3.utils.fromWei(wei, 'ether')} wVDKA`;
+  const lines = plan.entries.map(e => {
+    const id = `${e.oracle} job ${e.jobId}`;
+    if (e.deficit === '0') return `OK        ${id}: stake ${vdka(e.stakeAmount)}`;
+    return `TOP UP    ${id}: stake ${vdka(e.stakeAmount)}, short ${vdka(e.deficit)} (not eligible for selection)`;
+  });
+  lines.push(`${plan.short} of ${plan.entries.length} below the ${vdka(plan.requirement)} requirement; ` +
+    `total top-up ${vdka(plan.totalDeficit)}`);
+  return lines;
+}
+
+// Top up every identity in the plan that is short, approving the keeper for the
+// total deficit once (only if the current allowance is short). `from` must be
+// the keeper owner or the owner of each oracle contract. With `batch`
+// (lib/batch.js) the calls are added to the batch instead and `from` is the
+// batch's account. Returns [{ oracle, jobId, amount, transactionHash }] (null hash when batched).
+async function applyTopUps({ keeper, stakeToken, plan, from, batch, log = () => {} }) {
+  const toTopUp = plan.entries.filter(e => e.deficit !== '0');
+  if (toTopUp.length === 0) return [];
+
+  const total = BigInt(plan.totalDeficit);
+  const balance = BigInt(await stakeToken.balanceOf(from));
+  if (balance < total) {
+    throw new Error(`Insufficient wVDKA balance: ${balance} available, ${total} required for ${toTopUp.length} top-up(s)`);
+  }
+  const allowance = BigInt(await stakeToken.allowance(from, keeper.address));
+  // With a batch the calls below cannot be estimated until the approval is mined.
+  const dependsOnBatch = allowance < total;
+  if (allowance < total) {
+    await sendOrBatch(stakeToken, stakeToken.methods.approve(keeper.address, total.toString()), { from, batch });
+    log(`Approved keeper to take ${total} wVDKA wei`);
+  }
+
+  const results = [];
+  for (const entry of toTopUp) {
+    const receipt = await sendOrBatch(keeper,
+      keeper.methods.topUpStake(entry.oracle, entry.jobId, entry.deficit), { from, batch, dependsOnBatch });
+    log(`Topped up ${entry.oracle} job ${entry.jobId} by ${entry.deficit} wei ` +
+      `(${receipt ? `tx ${receipt.transactionHash}` : 'batched'})`);
+    results.push({ oracle: entry.oracle, jobId: entry.jobId, amount: entry.deficit, transactionHash: receipt && receipt.transactionHash });
+  }
+  return results;
+}
+
+// Compare the keeper's wVDKA balance with what it should hold. Returns
+// { balance, totalStaked, slashedFunds, expected, difference, oracles } with
+// amounts as wei strings; difference is balance - expected (negative when the
+// keeper holds less than it owes, positive for tokens sent to it directly).
+async function reconcileStake(keeper, stakeToken) {
+  const oracles = await keeper.listOracles();
+  const totalStaked = oracles.reduce((sum, o) => sum + BigInt(o.info.stakeAmount), 0n);
+  const slashedFunds = BigInt(await keeper.slashedFunds());
+  const balance = BigInt(await stakeToken.balanceOf(keeper.address));
+  const expected = totalStaked + slashedFunds;
+  return {
+    balance: balance.toString(),
+    totalStaked: totalStaked.toString(),
+    slashedFunds: slashedFunds.toString(),
+    expected: expected.toString(),
+    difference: (balance - expected).toString(),
+    oracles: oracles.length
+  };
+}
+
+module.exports = {
+  planTopUps,
+  formatTopUps,
+  applyTopUps,
+  reconcileStake
+};
@@ -0,0 +1,101 @@
+// lib/timelock.js
+// Timelocked owner changes on the aggregator and keeper (OwnerTimelock.sol).
+//
+// A change is the ABI-encoded call to a timelocked setter. The owner queues it
+// with queueChange(data); executeChange(data) runs it once timelockDelay has
+// passed, and cancelChange(data) drops it. The contracts only keep
+// pendingChanges[keccak256(data)] = eta, so pending changes are listed from the
+// ChangeQueued / ChangeExecuted / ChangeCancelled events and confirmed against
+// that mapping.
+//
+// The helpers take a VerdiktaAggregator or VerdiktaKeeper client.
+
+const { toStr } = require('./contract');
+
+// Setters behind the timelock once timelockDelay > 0, per contract.
+const TIMELOCKED_SETTERS = {
+  ReputationAggregator: ['setReputationKeeper', 'setTimelockDelay'],
+  ReputationKeeper: [
+    'setSlashAmount',
+    'setLockDuration',
+    'setSevereThreshold',
+    'setMildThreshold',
+    'setTreasury',
+    'setVerdiktaToken',
+    'approveContract',
+    'setTimelockDelay'
+  ]
+};
+
+const TIMELOCK_EVENTS = ['ChangeQueued', 'ChangeExecuted', 'ChangeCancelled'];
+
+function isTimelocked(client, setter) {
+  return (TIMELOCKED_SETTERS[client.contractName] || []).includes(setter);
+}
+
+async function timelockDelay(client) {
+  return toStr(await client.methods.timelockDelay().call());
+}
+
+function encodeChange(client, setter, args) {
+  if (!isTimelocked(client, setter)) {
+    throw new Error(`${client.contractName}.${setter} is not timelocked`);
+  }
+  return client.methods[setter](...args).encodeABI();
+}
+
+// Decode change data into { setter, args } using the client's ABI; args are
+// strings (addresses and numbers) in parameter order.
+function decodeChange(client, data) {
+  const abi = client.web3.eth.abi;
+  const selector = data.slice(0, 10).toLowerCase();
+  const fn = client.contract.options.jsonInterface.find(item =>
+    item.type === 'function' && abi.encodeFunctionSignature(item).toLowerCase() === selector);
+  if (!fn) return { setter: null, args: [] };
+  const decoded = abi.decodeParameters(fn.inputs, '0x' + data.slice(10));
+  return { setter: fn.name, args: fn.inputs.map((_, i) => toStr(decoded[i])) };
+}
+
+// Changes queued and neither executed nor cancelled. Returns
+// [{ id, data, setter, args, eta, ready, blockNumber, transactionHash }] in
+// queue order; `ready` compares eta with the latest block's timestamp.
+async function listPendingChanges(client, { fromBlock = 0, toBlock, chunkSize } = {}) {
+  const web3 = client.web3;
+  const head = toBlock !== undefined ? Number(toBlock) : Number(await web3.eth.getBlockNumber());
+  const now = BigInt((await web3.eth.getBlock(head)).timestamp);
+
+  const events = [];
+  for (const name of TIMELOCK_EVENTS) {
+    events.push(...await client.getPastEventsInChunks(name, { fromBlock, toBlock: head, chunkSize }));
+  }
+  events.sort((a, b) => Number(a.blockNumber) - Number(b.blockNumber) ||
+    Number(a.logIndex) - Number(b.logIndex));
+
+  const pending = new Map();
+  for (const event of events) {
+    const { id, data } = event.returnValues;
+    if (event.event === 'ChangeQueued') {
+      pending.set(id, { id, data, blockNumber: Number(event.blockNumber), transactionHash: event.transactionHash });
+    } else {
+      pending.delete(id);
+    }
+  }
+
+  const changes = [];
+  for (const change of pending.values()) {
+    const eta = toStr(await client.methods.pendingChanges(change.id).call());
+    if (eta === '0') continue;
+    changes.push({ ...change, ...decodeChange(client, change.data), eta, ready: now >= BigInt(eta) });
+  }
+  return changes;
+}
+
+module.exports = {
+  TIMELOCKED_SETTERS,
+  TIMELOCK_EVENTS,
+  isTimelocked,
+  timelockDelay,
+  encodeChange,
+  decodeChange,
+  listPendingChanges
+};
@@ -0,0 +1,50 @@
+// lib/tokens.js
+// Clients for the ERC20 tokens used by Verdikta: wrapped VDKA (staked in the
+// ReputationKeeper) and LINK (paid to oracles through the aggregator).
+
+const { ContractClient, toStr } = require('./contract');
+
+class Erc20Client extends ContractClient {
+  async balanceOf(account) {
+    return toStr(await this.methods.balanceOf(account).call());
+  }
+
+  async allowance(owner, spender) {
+    return toStr(await this.methods.allowance(owner, spender).call());
+  }
+}
+
+class WrappedVdka extends Erc20Client {
+  constructor(web3, address, options) {
+    super(web3, address, 'WrappedVerdiktaToken', options);
+  }
+
+  async name() {
+    return this.methods.name().call();
+  }
+
+  async symbol() {
+    return this.methods.symbol().call();
+  }
+
+  async totalSupply() {
+    return toStr(await this.methods.totalSupply().call());
+  }
+
+  async l1Token() {
+    return this.methods.l1Token().call();
+  }
+}
+
+class LinkToken extends Erc20Client {
+  constructor(web3, address, options) {
+    // LinkToken.sol is an interface-only artifact covering balance, allowance
+    // and transfer functions.
+    super(web3, address, 'LinkToken', options);
+  }
+}
+
+module.exports = {
+  WrappedVdka,
+  LinkToken
+};
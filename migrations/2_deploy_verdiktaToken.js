@@ -2,6 +2,7 @@
 const VerdiktaToken = artifacts.require("VerdiktaToken");
 const fs = require('fs');
 const path = require('path');
+const { recordDeployedContract } = require('../lib/deployments');
 
 module.exports = async function(deployer, network) {
 
@@ -41,5 +42,8 @@ module.exports = async function(deployer, network) {
   
   // Write back to file
   fs.writeFileSync(deploymentPath, JSON.stringify(deploymentAddresses, null, 2));
+
+  // Record it in the per-network deployment registry (deployments/<network>.json)
+  await recordDeployedContract(web3, network, "verdiktaToken", verdiktaToken);
 };
 
@@ -2,6 +2,7 @@
 const WrappedVerdiktaToken = artifacts.require("WrappedVerdiktaToken");
 const fs = require('fs');
 const path = require('path');
+const { readDeployment, recordDeployedContract } = require('../lib/deployments');
 
 // Base Standard Bridge addresses
 // const L1_BRIDGE_ADDRESS = "0xfd0Bf71F60660E2f608ed56e1659C450eB113120"; // Sepolia Standard Bridge
@@ -46,11 +47,13 @@ module.exports = async function(deployer, network, accounts) {
   if (!l1Net) throw new Error(`Unknown partner for ${network}`);
   const L1_BRIDGE_ADDRESS = L1_BRIDGE[l1Net];
 
-  // Fetch the canonical token address for that L1
-  let L1_TOKEN_ADDRESS;
+  // Fetch the canonical token address for that L1, preferring the deployment
+  // registry and falling back to deployment-addresses.json
+  const l1Deployment = readDeployment(l1Net);
+  let L1_TOKEN_ADDRESS = l1Deployment?.contracts.verdiktaToken?.address;
   const deploymentPath = path.join(__dirname, '../deployment-addresses.json');
   
-  if (fs.existsSync(deploymentPath)) {
+  if (!L1_TOKEN_ADDRESS && fs.existsSync(deploymentPath)) {
     const deploymentAddresses = JSON.parse(fs.readFileSync(deploymentPath));
     // Use sepolia network's address since that's where the L1 token is
     // if (deploymentAddresses['sepolia'] && deploymentAddresses['sepolia'].verdiktaTokenAddress) {
@@ -97,5 +100,7 @@ module.exports = async function(deployer, network, accounts) {
   fs.writeFileSync(deploymentPath, JSON.stringify(deploymentAddresses, null, 2));
   
   console.log(`\nWrappedVerdiktaToken address saved to deployment file for ${network}`);
+
+  await recordDeployedContract(web3, network, "wrappedVerdiktaToken", wrappedToken);
 };
 
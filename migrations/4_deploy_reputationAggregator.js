@@ -1,5 +1,6 @@
 
 const ReputationAggregator = artifacts.require("ReputationAggregator");
+const { recordDeployment, recordDeployedContract } = require("../lib/deployments");
 
 module.exports = async function(deployer, network) {
 
@@ -31,5 +32,12 @@ module.exports = async function(deployer, network) {
   );
   const reputationAggregator = await ReputationAggregator.deployed();
   console.log("ReputationAggregator deployed at:", reputationAggregator.address);
+
+  // Record the aggregator and the LINK token it uses in deployments/<network>.json.
+  // LINK is not deployed here, so it has no deploy block or transaction.
+  await recordDeployedContract(web3, network, "reputationAggregator", reputationAggregator);
+  if (!/^0x0{40}$/.test(LINK_TOKEN_ADDRESS[network])) {
+    recordDeployment(network, "linkToken", { address: LINK_TOKEN_ADDRESS[network] });
+  }
 };
 
@@ -2,6 +2,7 @@
 const WrappedVerdiktaToken = artifacts.require("WrappedVerdiktaToken");
 const ReputationKeeper = artifacts.require("ReputationKeeper");
 const ReputationAggregator = artifacts.require("ReputationAggregator");
+const { readDeployment, recordDeployedContract } = require("../lib/deployments");
 
 module.exports = async function(deployer, network) {
 
@@ -15,6 +16,10 @@ module.exports = async function(deployer, network) {
     // Get the already deployed WrappedVerdiktaToken and ReputationAggregator
     const wrappedVerdiktaToken = await WrappedVerdiktaToken.deployed();
     console.log("Found WrappedVerdiktaToken at:", wrappedVerdiktaToken.address);
+    // wVDKA is usually migrated in an earlier run; make sure the registry has it
+    if (!readDeployment(network)?.contracts.wrappedVerdiktaToken) {
+      await recordDeployedContract(web3, network, "wrappedVerdiktaToken", wrappedVerdiktaToken);
+    }
     
     const reputationAggregator = await ReputationAggregator.deployed();
     console.log("Found ReputationAggregator at:", reputationAggregator.address);
@@ -23,6 +28,7 @@ module.exports = async function(deployer, network) {
     await deployer.deploy(ReputationKeeper, wrappedVerdiktaToken.address);
     const reputationKeeper = await ReputationKeeper.deployed();
     console.log("ReputationKeeper deployed at:", reputationKeeper.address);
+    await recordDeployedContract(web3, network, "reputationKeeper", reputationKeeper);
     
     // Approve ReputationAggregator in ReputationKeeper
     await reputationKeeper.approveContract(reputationAggregator.address);
@@ -1 +1,2 @@
 truffle exec scripts/configure-contracts.js --network base_sepolia  
+truffle exec scripts/configure-parameters-cl.js --profile base_sepolia --apply --network base_sepolia
@@ -1,7 +1,13 @@
 // scripts/bridge-tokens.js
+// If the tokens are held by a Safe, add --safe 0xSafeAddress --safe-batch bridge-batch.json
+// to write the approval and deposit as a Safe Transaction Builder batch instead of sending them.
 const VerdiktaToken = artifacts.require("VerdiktaToken");
 const fs = require('fs');
 const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { withTransactionBatch, openTransactionBatch, saveTransactionBatch } = require('../lib');
 
 // Base Standard Bridge on Sepolia
 // const L1_BRIDGE_ADDRESS = "0x8E5E40f8f9103168C7d7CF361C6C0fcBCB8b9b2b";
@@ -26,11 +32,14 @@ const BRIDGE_ABI = [
 
 module.exports = async function(callback) {
   try {
+    const argv = withTransactionBatch(yargs(hideBin(process.argv))).help().argv;
+    const batch = await openTransactionBatch(web3, argv, 'bridge-tokens');
+
     console.log('Starting token bridging process...');
     
     // Get accounts
     const accounts = await web3.eth.getAccounts();
-    const deployer = accounts[0];
+    const deployer = batch ? batch.from : accounts[0];
     console.log('Using account:', deployer);
     
     // This script should be run on Sepolia network
@@ -90,6 +99,22 @@ module.exports = async function(callback) {
     const currentAllowance = await verdiktaToken.allowance(deployer, L1_BRIDGE_ADDRESS);
     console.log('Current bridge allowance:', web3.utils.fromWei(currentAllowance, 'ether'));
     
+    // Bridge parameters
+    const minGasLimit = 800000; // Minimum gas for the L2 execution
+    const extraData = "0x"; // No extra data needed
+
+    if (batch) {
+      if (web3.utils.toBN(currentAllowance).lt(web3.utils.toBN(amountToBridge))) {
+        await batch.add(verdiktaToken, verdiktaToken.contract.methods.approve(L1_BRIDGE_ADDRESS, amountToBridge));
+      }
+      await batch.add(bridge, bridge.methods.depositERC20(L1_TOKEN_ADDRESS, L2_TOKEN_ADDRESS, amountToBridge, minGasLimit, extraData), {
+        summary: `L1StandardBridge.depositERC20(${web3.utils.fromWei(amountToBridge, 'ether')} VDKA to ${L2_TOKEN_ADDRESS})`,
+        dependsOnBatch: true
+      });
+      saveTransactionBatch(batch);
+      return callback();
+    }
+
     // Approve the bridge to spend tokens if needed
     if (web3.utils.toBN(currentAllowance).lt(web3.utils.toBN(amountToBridge))) {
       console.log('Approving bridge to spend tokens...');
@@ -104,10 +129,6 @@ module.exports = async function(callback) {
       console.log('Bridge already has sufficient allowance');
     }
     
-    // Bridge parameters
-    const minGasLimit = 800000; // Minimum gas for the L2 execution
-    const extraData = "0x"; // No extra data needed
-    
     console.log('Preparing bridge transaction with parameters:');
     console.log('- L1 Token:', L1_TOKEN_ADDRESS);
     console.log('- L2 Token:', L2_TOKEN_ADDRESS);
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// scripts/broadcast-transactions.js
+// Sends a file signed with scripts/sign-transactions.js and waits for each
+// receipt. No keys are needed: the transactions are already signed.
+//
+// Transactions go out in nonce order, one at a time; the script stops at the
+// first revert. Transactions that are already mined are skipped, so an
+// interrupted broadcast can simply be run again.
+//
+// Usage example (run with node, not truffle exec):
+// node scripts/broadcast-transactions.js \
+//   --network base_sepolia \
+//   --signed signed.json
+//
+// Add --dry-run to list the transactions without sending them.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  SIGNED_KIND,
+  connect,
+  readTransactionFile,
+  formatTransactions,
+  broadcastTransactions,
+  withProfile
+} = require('../lib');
+
+async function main() {
+  const argv = withProfile(yargs(hideBin(process.argv)), ['network'])
+    .option('network', {
+      alias: 'n',
+      type: 'string',
+      description: 'Network name from truffle-config.js'
+    })
+    .option('rpc', {
+      type: 'string',
+      description: 'RPC URL (instead of a truffle-config network)'
+    })
+    .option('signed', {
+      alias: 's',
+      type: 'string',
+      description: 'Signed-transactions file written by sign-transactions.js'
+    })
+    .option('dry-run', {
+      type: 'boolean',
+      default: false,
+      description: 'List the transactions without sending them'
+    })
+    .demandOption(['signed'], 'Please provide the signed-transactions file.')
+    .check(args => {
+      if (!args.network && !args.rpc) throw new Error('Please provide --network or --rpc.');
+      return true;
+    })
+    .help()
+    .argv;
+
+  const signed = readTransactionFile(argv.signed, SIGNED_KIND);
+  console.log(`${signed.transactions.length} signed transaction(s) "${signed.name}" from ${signed.from} on chain ${signed.chainId}:`);
+  formatTransactions(signed).forEach(line => console.log(`  ${line}`));
+  if (argv.dryRun) return;
+
+  const { web3, close } = connect({ network: argv.network, rpcUrl: argv.rpc });
+  try {
+    console.log('');
+    const results = await broadcastTransactions(web3, signed, { log: message => console.log(message) });
+    const sent = results.filter(r => r.status === 'mined').length;
+    console.log(`\nDone: ${sent} sent, ${results.length - sent} already mined.`);
+  } finally {
+    close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error broadcasting transactions:', error);
+    process.exit(1);
+  });
+}
@@ -1,10 +1,20 @@
 // scripts/configure-contracts-base.js
+// If the contracts are owned by a Safe, add --safe 0xSafeAddress --safe-batch configure-batch.json
+// to write the calls as a Safe Transaction Builder batch instead of sending them.
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { withTransactionBatch, openTransactionBatch, saveTransactionBatch } = require('../lib');
+
 const WrappedVerdiktaToken = artifacts.require("WrappedVerdiktaToken");
 const ReputationKeeper = artifacts.require("ReputationKeeper");
 const ReputationAggregator = artifacts.require("ReputationAggregator");
 
 module.exports = async function(callback) {
   try {
+    const argv = withTransactionBatch(yargs(hideBin(process.argv))).help().argv;
+    const batch = await openTransactionBatch(web3, argv, 'configure-contracts');
+
     console.log('Starting post-deployment configuration for Base Sepolia...');
     
     // Get deployed contracts on Base Sepolia
@@ -18,17 +28,18 @@ module.exports = async function(callback) {
     console.log('Keeper:', keeper.address);
     console.log('Aggregator:', aggregator.address);
     
+    if (batch) {
+      await batch.add(keeper, keeper.contract.methods.setVerdiktaToken(wrappedToken.address));
+      await batch.add(keeper, keeper.contract.methods.approveContract(aggregator.address));
+      saveTransactionBatch(batch);
+      return callback();
+    }
+
     // Set the token in the ReputationKeeper
     console.log('Setting WrappedVerdiktaToken in ReputationKeeper...');
     await keeper.setVerdiktaToken(wrappedToken.address);
     console.log('Token address set in ReputationKeeper');
     
-    // Configure aggregator
-    console.log('Configuring aggregator...');
-    await aggregator.setConfig(4, 3, 2, 300);
-    await aggregator.setMaxOracleFee(web3.utils.toWei('0.08', 'ether'));
-    console.log('Aggregator configured');
-    
     // Approve aggregator to use keeper
     console.log('Approving aggregator in keeper...');
     await keeper.approveContract(aggregator.address);
@@ -37,6 +48,9 @@ module.exports = async function(callback) {
     // Note: For token transfers, you'll need to mint or bridge tokens first
     // The wrappedToken doesn't have the same supply as the original
     
+    // Aggregator and keeper parameters are set from config/<network>.yaml:
+    //   truffle exec scripts/configure-parameters-cl.js -a <aggregator> --apply --network <network>
+
     console.log('Post-deployment configuration completed successfully');
     callback();
   } catch (error) {
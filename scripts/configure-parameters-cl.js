@@ -0,0 +1,114 @@
+// scripts/configure-parameters-cl.js
+// Brings the aggregator and keeper parameters in line with a parameters file
+// (config/<network>.yaml by default; see lib/parameters.js for the format).
+//
+// Without --apply the script only prints the plan: every parameter whose
+// on-chain value differs from the file. With --apply it sends the setters for
+// those parameters only. Cross-field rules (clusterSize <= requiredResponses
+// <= oraclesToPoll, severeThreshold <= mildThreshold) are checked on the
+// resulting configuration first, and nothing is sent if one fails.
+//
+// Usage example (plan):
+// truffle exec scripts/configure-parameters-cl.js \
+//   --aggregator 0xAggregatorAddress --network base_sepolia
+//
+// Apply, with addresses from the deployment registry and an explicit file:
+// truffle exec scripts/configure-parameters-cl.js --profile base_sepolia \
+//   --parameters config/base_sepolia.yaml --apply --network base_sepolia
+//
+// When the contracts are owned by a Safe, write the changes as a Safe
+// Transaction Builder batch instead of sending them (see lib/safe.js):
+// truffle exec scripts/configure-parameters-cl.js --profile base_sepolia --apply \
+//   --safe 0xSafeAddress --safe-batch parameters-batch.json --network base_sepolia
+
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  loadParameters,
+  planParameters,
+  formatParameterPlan,
+  applyParameters,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+function defaultConfigFile(network) {
+  const candidates = ['yaml', 'yml', 'json'].map(ext => path.join(CONFIG_DIR, `${network}.${ext}`));
+  const found = candidates.find(file => fs.existsSync(file));
+  if (!found) throw new Error(`No parameters file for ${network} in ${CONFIG_DIR}; pass --parameters`);
+  return found;
+}
+
+module.exports = async function(callback) {
+  try {
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('parameters', {
+        type: 'string',
+        description: 'Parameters file (default: config/<network>.yaml)'
+      })
+      .option('apply', {
+        type: 'boolean',
+        default: false,
+        description: 'Send the changed setters (default: print the plan only)'
+      })
+      .help()
+      .argv;
+
+    const file = argv.parameters || defaultConfigFile(argv.network);
+    console.log('Parameters file:', file);
+    const desired = loadParameters(web3, file);
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log('Derived ReputationKeeper address:', keeper.address);
+
+    const plan = await planParameters({ aggregator, keeper, desired });
+    console.log('\nPlan:');
+    formatParameterPlan(web3, plan).forEach(line => console.log(`  ${line}`));
+
+    if (plan.transactions.length === 0) {
+      console.log('\nNothing to change.');
+      return callback();
+    }
+    if (!argv.apply) {
+      console.log('\nRe-run with --apply to send these changes.');
+      return callback();
+    }
+
+    const accounts = await web3.eth.getAccounts();
+    const batch = await openTransactionBatch(web3, argv, 'configure-parameters');
+    const owner = batch ? batch.from : accounts[0];
+    console.log(`\nApplying as ${owner}...`);
+    const results = await applyParameters({
+      aggregator,
+      keeper,
+      plan,
+      from: owner,
+      batch,
+      log: message => console.log(`  ${message}`)
+    });
+    if (batch) {
+      saveTransactionBatch(batch);
+    } else {
+      console.log(`\nSent ${results.length} transaction(s).`);
+    }
+    callback();
+  } catch (error) {
+    console.error('Error configuring parameters:', error);
+    callback(error);
+  }
+};
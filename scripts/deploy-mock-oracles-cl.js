@@ -0,0 +1,139 @@
+// scripts/deploy-mock-oracles-cl.js
+// Sets up mock Chainlink oracles on a development network so the aggregator
+// can be run end to end without a Chainlink node:
+//   1. deploys MockLinkToken and points the aggregator at it (unless --link
+//      names an existing LINK with transferAndCall),
+//   2. deploys --count MockOperator contracts, authorizes the responder
+//      account on them and registers each in the ReputationKeeper,
+//   3. writes a behaviour file for scripts/mock-oracle-responder.js.
+//
+// Usage example:
+// truffle exec scripts/deploy-mock-oracles-cl.js \
+//   --aggregator 0xAggregatorAddress \
+//   --count 4 --classes 128 \
+//   --out mock-oracles.json --network development
+//
+// node scripts/mock-oracle-responder.js --network development --config mock-oracles.json
+//
+// Edit the behaviour file to give each operator fixed or random vectors,
+// delays, no response or a wrong vector length (see lib/mockoracle.js).
+
+const fs = require('fs');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { VerdiktaAggregator, WrappedVdka, withProfile } = require('../lib');
+
+const MockLinkToken = artifacts.require('MockLinkToken');
+const MockOperator = artifacts.require('MockOperator');
+
+// Send with an estimated gas limit plus a 20% buffer.
+async function send(method, from) {
+  const gas = await method.estimateGas({ from });
+  return method.send({ from, gas: Math.floor(Number(gas) * 1.2) });
+}
+
+module.exports = async function(callback) {
+  try {
+    const argv = withProfile(yargs(hideBin(process.argv)), ['aggregator'])
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('link', {
+        alias: 'l',
+        type: 'string',
+        description: 'Existing LINK token with transferAndCall (default: deploy MockLinkToken)'
+      })
+      .option('count', {
+        type: 'number',
+        default: 4,
+        description: 'Number of mock operators to deploy'
+      })
+      .option('jobid', {
+        alias: 'j',
+        type: 'string',
+        default: 'mockjob',
+        description: 'Job ID string registered for every operator'
+      })
+      .option('classes', {
+        alias: 'c',
+        type: 'array',
+        default: [128],
+        description: 'Classes registered for every operator'
+      })
+      .option('fee', {
+        type: 'string',
+        default: '0.05',
+        description: 'Oracle fee in LINK'
+      })
+      .option('responder-account', {
+        type: 'number',
+        default: 0,
+        description: 'Index of the account the responder sends from'
+      })
+      .option('out', {
+        alias: 'o',
+        type: 'string',
+        default: 'mock-oracles.json',
+        description: 'Behaviour file to write'
+      })
+      .help()
+      .argv;
+
+    const accounts = await web3.eth.getAccounts();
+    const owner = accounts[0];
+    const responder = accounts[argv.responderAccount];
+    if (!responder) throw new Error(`No account at index ${argv.responderAccount}`);
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log(`Aggregator: ${aggregator.address}`);
+    console.log(`ReputationKeeper: ${keeper.address}`);
+
+    // LINK token with transferAndCall.
+    let linkAddress = argv.link;
+    if (!linkAddress) {
+      const link = await MockLinkToken.new({ from: owner });
+      linkAddress = link.address;
+      console.log(`Deployed MockLinkToken at ${linkAddress}`);
+    }
+    if ((await aggregator.linkTokenAddress()).toLowerCase() !== linkAddress.toLowerCase()) {
+      await send(aggregator.methods.setChainlinkToken(linkAddress), owner);
+      console.log(`Aggregator LINK token set to ${linkAddress}`);
+    }
+
+    // Stake for all registrations.
+    const stakeToken = new WrappedVdka(web3, await keeper.verdiktaToken());
+    const stake = web3.utils.toBN(await keeper.stakeRequirement());
+    const totalStake = stake.muln(argv.count);
+    if (web3.utils.toBN(await stakeToken.balanceOf(owner)).lt(totalStake)) {
+      throw new Error(`Insufficient stake token balance: ${argv.count} registrations need ${web3.utils.fromWei(totalStake)}`);
+    }
+    await send(stakeToken.methods.approve(keeper.address, totalStake.toString()), owner);
+
+    const jobId = web3.utils.padRight(web3.utils.fromAscii(argv.jobid), 64);
+    const classes = argv.classes.map(Number);
+    const fee = web3.utils.toWei(String(argv.fee), 'ether');
+    const operators = [];
+    for (let i = 0; i < argv.count; i++) {
+      const operator = await MockOperator.new(linkAddress, { from: owner });
+      await operator.setAuthorizedSenders([responder], { from: owner });
+      await send(keeper.methods.registerOracle(operator.address, jobId, fee, classes), owner);
+      console.log(`Operator ${i + 1}: ${operator.address} registered (job ${argv.jobid}, classes ${classes.join(', ')})`);
+      operators.push({ address: operator.address, likelihoods: [60, 40] });
+    }
+
+    fs.writeFileSync(argv.out, `${JSON.stringify({ link: linkAddress, operators }, null, 2)}\n`);
+    console.log(`\nWrote ${argv.out}. Start the responder with:`);
+    console.log(`node scripts/mock-oracle-responder.js --network <network> --config ${argv.out}` +
+      (argv.responderAccount ? ` --account ${argv.responderAccount}` : ''));
+
+    callback();
+  } catch (error) {
+    console.error('Error deploying mock oracles:', error);
+    callback(error);
+  }
+};
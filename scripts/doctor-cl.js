@@ -0,0 +1,78 @@
+// scripts/doctor-cl.js
+// Validates a live deployment and reports PASS, WARN or FAIL for each check:
+// contract code at every address, the aggregator configuration
+// (requiredResponses <= oraclesToPoll, clusterSize <= requiredResponses), the
+// LINK token, the keeper link and its approval of the aggregator, the keeper's
+// stake token against the expected wVDKA, the keeper's stake balance, and the
+// number of eligible oracles in each class against oraclesToPoll. See
+// lib/doctor.js.
+//
+// Exits non-zero when any check fails; warnings alone do not.
+//
+// Usage example:
+// truffle exec scripts/doctor-cl.js \
+//   --aggregator 0xAggregatorAddress \
+//   --wrappedverdikta 0xWrappedVerdiktaAddress \
+//   --network base_sepolia
+//
+// or with the recorded deployment: --profile base_sepolia --network base_sepolia
+// Add --class 128 129 to require eligible oracles in classes nobody registered yet.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { VerdiktaAggregator, runDoctor, formatDoctorReport, withProfile } = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withProfile(yargs(hideBin(process.argv)))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('wrappedverdikta', {
+        alias: 'w',
+        type: 'string',
+        description: 'Expected WrappedVerdiktaToken address (the keeper\'s stake token)'
+      })
+      .option('link', {
+        alias: 'l',
+        type: 'string',
+        description: 'Expected LINK token address'
+      })
+      .option('class', {
+        alias: 'c',
+        type: 'array',
+        default: [],
+        description: 'Classes that must have eligible oracles'
+      })
+      .option('json', {
+        type: 'boolean',
+        default: false,
+        description: 'Print the results as JSON'
+      })
+      .help()
+      .argv;
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const results = await runDoctor({
+      aggregator,
+      wrappedVerdikta: argv.wrappedverdikta,
+      link: argv.link,
+      classes: argv.class
+    });
+
+    console.log(argv.json ? JSON.stringify(results, null, 2) : formatDoctorReport(results));
+
+    const failed = results.filter(r => r.status === 'fail').length;
+    if (failed > 0) {
+      return callback(new Error(`${failed} check(s) failed`));
+    }
+    callback();
+  } catch (error) {
+    console.error('Error running doctor:', error);
+    callback(error);
+  }
+};
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// scripts/event-indexer.js
+// Builds and queries a local index of ReputationKeeper and ReputationAggregator
+// events (see lib/indexer.js).
+//
+// `sync` reads every event of the aggregator and of the keeper it points to in
+// block chunks and appends them to a JSONL store under --dir, with a
+// per-contract checkpoint. Re-running it continues where the previous run
+// stopped; --watch keeps it running. Chain reorganisations are detected from
+// the checkpoint's block hashes and rolled back.
+//
+// `query` prints stored events, optionally filtered by contract, event name,
+// block range and event argument.
+//
+// Usage examples (run with node, not truffle exec):
+// node scripts/event-indexer.js sync \
+//   --network base_sepolia \
+//   --aggregator 0xAggregatorAddress \
+//   --from-block 12345678
+//
+// node scripts/event-indexer.js query \
+//   --network base_sepolia \
+//   --event ScoreUpdated --where oracle=0xOracleAddress
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  EventIndexer,
+  openEventStore,
+  connect,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_INDEX_DIR,
+  withProfile
+} = require('../lib');
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+// Parse repeated --where key=value options into an object.
+function parseWhere(where) {
+  const result = {};
+  for (const clause of [].concat(where || [])) {
+    const eq = clause.indexOf('=');
+    if (eq <= 0) throw new Error(`Invalid --where clause (expected key=value): ${clause}`);
+    result[clause.slice(0, eq)] = clause.slice(eq + 1);
+  }
+  return result;
+}
+
+async function sync(argv, web3) {
+  const store = await openEventStore(web3, argv.dir);
+  const indexer = new EventIndexer({
+    web3,
+    store,
+    chunkSize: argv.chunkSize,
+    confirmations: argv.confirmations,
+    log
+  });
+  await indexer.trackAggregator(new VerdiktaAggregator(web3, argv.aggregator), { startBlock: argv.fromBlock });
+  log(`Indexing into ${store.dir}`);
+
+  let stopping = false;
+  const stop = () => {
+    if (stopping) return;
+    stopping = true;
+    log('Stopping...');
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!stopping) {
+    try {
+      const added = await indexer.sync();
+      for (const cp of store.checkpoints()) {
+        if (added[cp.address] !== undefined) {
+          log(`${cp.contract} ${cp.address}: ${added[cp.address]} new event(s), indexed to block ${cp.lastBlock}`);
+        }
+      }
+    } catch (error) {
+      log(`Sync failed: ${error.message}`);
+      if (!argv.watch) throw error;
+    }
+    if (!argv.watch) break;
+    for (let waited = 0; waited < argv.interval && !stopping; waited++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+async function query(argv, web3) {
+  const store = await openEventStore(web3, argv.dir);
+  const events = store.query({
+    address: argv.address,
+    contract: argv.contract,
+    event: argv.event,
+    fromBlock: argv.fromBlock,
+    toBlock: argv.toBlock,
+    where: parseWhere(argv.where)
+  });
+  const shown = argv.limit ? events.slice(-argv.limit) : events;
+
+  if (argv.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  for (const cp of store.checkpoints()) {
+    console.log(`${cp.contract} ${cp.address}: indexed to block ${cp.lastBlock}`);
+  }
+  console.log(`\n${events.length} matching event(s)${shown.length < events.length ? `, showing last ${shown.length}` : ''}`);
+  for (const e of shown) {
+    const time = e.timestamp ? new Date(e.timestamp * 1000).toISOString() : '';
+    console.log(`\n${e.contract}.${e.event}  block ${e.blockNumber}  ${time}`);
+    console.log(`  tx ${e.transactionHash}`);
+    for (const [key, value] of Object.entries(e.args)) {
+      console.log(`  ${key}: ${Array.isArray(value) ? `[${value.join(', ')}]` : value}`);
+    }
+  }
+}
+
+async function main() {
+  const connection = {
+    network: {
+      alias: 'n',
+      type: 'string',
+      description: 'Network name from truffle-config.js'
+    },
+    rpc: {
+      type: 'string',
+      description: 'RPC URL (instead of a truffle-config network)'
+    },
+    dir: {
+      alias: 'd',
+      type: 'string',
+      default: DEFAULT_INDEX_DIR,
+      description: 'Index directory'
+    }
+  };
+
+  const argv = withProfile(yargs(hideBin(process.argv)), ['aggregator', 'network'])
+    .command('sync', 'Index new events', y => y
+      .options(connection)
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        demandOption: true,
+        description: 'ReputationAggregator contract address (its keeper is indexed too)'
+      })
+      .option('from-block', {
+        type: 'number',
+        default: 0,
+        description: 'First block to index when a contract has no checkpoint yet'
+      })
+      .option('chunk-size', {
+        type: 'number',
+        default: DEFAULT_CHUNK_SIZE,
+        description: 'Block range per log query'
+      })
+      .option('confirmations', {
+        type: 'number',
+        default: 0,
+        description: 'Blocks to stay behind the chain head'
+      })
+      .option('watch', {
+        type: 'boolean',
+        default: false,
+        description: 'Keep running and index new blocks'
+      })
+      .option('interval', {
+        alias: 'i',
+        type: 'number',
+        default: 30,
+        description: 'Seconds between passes with --watch'
+      }))
+    .command('query', 'Print indexed events', y => y
+      .options(connection)
+      .option('address', {
+        type: 'string',
+        description: 'Only events of this contract address'
+      })
+      .option('contract', {
+        type: 'string',
+        choices: ['ReputationKeeper', 'ReputationAggregator'],
+        description: 'Only events of this contract type'
+      })
+      .option('event', {
+        alias: 'e',
+        type: 'array',
+        description: 'Event name(s)'
+      })
+      .option('from-block', {
+        type: 'number',
+        description: 'First block'
+      })
+      .option('to-block', {
+        type: 'number',
+        description: 'Last block'
+      })
+      .option('where', {
+        alias: 'w',
+        type: 'array',
+        description: 'Argument filter key=value (repeatable)'
+      })
+      .option('limit', {
+        type: 'number',
+        description: 'Show only the last N events'
+      })
+      .option('json', {
+        type: 'boolean',
+        default: false,
+        description: 'Print JSON'
+      }))
+    .demandCommand(1, 'Please choose a command: sync or query.')
+    .check(args => {
+      if (!args.network && !args.rpc) throw new Error('Please provide --network or --rpc.');
+      return true;
+    })
+    .strict()
+    .help()
+    .argv;
+
+  const { web3, close } = connect({ network: argv.network, rpcUrl: argv.rpc });
+  try {
+    if (argv._[0] === 'sync') await sync(argv, web3);
+    else await query(argv, web3);
+  } finally {
+    close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Indexer error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,185 @@
+// scripts/explain-cluster-cl.js
+// Explains how the aggregator clustered the responses of a past request and
+// what score change each polled oracle received.
+//
+// Responses are recovered by decoding the fulfill() calldata of the
+// transactions behind NewOracleResponseRecorded. The script then replays
+// _calculateDistance for every pair of selected responses, shows the pair that
+// _findBestClusterFromResponses picked, and rebuilds the averaged likelihoods
+// and the _processPollSlot outcome for every poll slot. For a finalized request
+// the replay is checked against the FulfillAIEvaluation event.
+//
+// Usage example:
+// truffle exec scripts/explain-cluster-cl.js \
+//   --aggregator 0xYourReputationAggregatorAddress \
+//   --request 0xAggregatorRequestId \
+//   --from-block 12345678 \
+//   --network base_sepolia
+//
+// Pass --tx with the request transaction hash instead of --from-block to skip
+// the event search, and --json for machine-readable output. When the local
+// event index (scripts/event-indexer.js) has the request, it is used instead
+// of searching the chain.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  explainRequest,
+  openEventStore,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_INDEX_DIR,
+  withProfile
+} = require('../lib');
+
+const short = value => (value ? `${value.slice(0, 10)}…` : 'unknown');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withProfile(yargs(hideBin(process.argv)))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('request', {
+        alias: 'r',
+        type: 'string',
+        description: 'Aggregator request ID',
+        demandOption: true
+      })
+      .option('tx', {
+        type: 'string',
+        description: 'Hash of the request transaction (skips the event search)'
+      })
+      .option('from-block', {
+        type: 'number',
+        default: 0,
+        description: 'First block to search for the request'
+      })
+      .option('chunk-size', {
+        type: 'number',
+        default: DEFAULT_CHUNK_SIZE,
+        description: 'Block range per log query'
+      })
+      .option('index', {
+        type: 'string',
+        default: DEFAULT_INDEX_DIR,
+        description: 'Event index directory used to locate the request'
+      })
+      .option('json', {
+        type: 'boolean',
+        default: false,
+        description: 'Print the trace and replay as JSON'
+      })
+      .help()
+      .argv;
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    let txHash = argv.tx;
+    if (!txHash) {
+      const store = await openEventStore(web3, argv.index);
+      const [indexed] = store.query({
+        address: aggregator.address,
+        event: 'RequestAIEvaluation',
+        where: { requestId: argv.request }
+      });
+      if (indexed) txHash = indexed.transactionHash;
+    }
+    const { trace, replay, matchesChain } = await explainRequest(aggregator, argv.request, {
+      fromBlock: argv.fromBlock,
+      txHash,
+      chunkSize: argv.chunkSize
+    });
+
+    if (argv.json) {
+      console.log(JSON.stringify({ trace, replay, matchesChain }, (key, value) => {
+        if (typeof value === 'bigint') return value.toString();
+        if (value instanceof Set) return [...value];
+        return value;
+      }, 2));
+      return callback();
+    }
+
+    const { evaluation } = trace;
+    console.log(`Request ${trace.requestId}`);
+    console.log(`  requested in block ${trace.requestBlock} (tx ${trace.requestTransactionHash})`);
+    console.log(`  requiredResponses: ${evaluation.requiredResponses}, clusterSize: ${evaluation.clusterSize}, ` +
+      `responses: ${evaluation.responseCount}, complete: ${evaluation.isComplete}`);
+
+    console.log('\n=== Poll slots ===');
+    console.table(trace.slots.map((slot, index) => ({
+      slot: index,
+      oracle: slot.oracle,
+      jobId: slot.jobId ? web3.utils.hexToUtf8(slot.jobId) : 'unknown',
+      fee: `${web3.utils.fromWei(slot.fee, 'ether')} LINK`,
+      operatorRequestId: short(slot.operatorRequestId)
+    })));
+
+    console.log('\n=== Responses (in recorded order) ===');
+    if (trace.responses.length === 0) {
+      console.log('No responses recorded.');
+    } else {
+      console.table(trace.responses.map((resp, index) => ({
+        response: index,
+        slot: resp.pollIndex,
+        block: resp.blockNumber,
+        selected: replay.selectedIndices.includes(index),
+        likelihoods: resp.likelihoods.join(','),
+        justificationCID: resp.justificationCID
+      })));
+    }
+
+    console.log('\n=== Pairwise distances (selected responses) ===');
+    if (!replay.clustering) {
+      console.log('Fewer than 2 selected responses: no cluster is formed.');
+    } else {
+      console.table(replay.clustering.pairs.map(pair => ({
+        responseA: pair.responseA,
+        slotA: trace.responses[pair.responseA].pollIndex,
+        responseB: pair.responseB,
+        slotB: trace.responses[pair.responseB].pollIndex,
+        distance: pair.distance.toString(),
+        best: pair === replay.clustering.best ? '*' : ''
+      })));
+      const best = replay.clustering.best;
+      console.log(`Cluster: responses ${best.responseA} and ${best.responseB} ` +
+        `(slots ${trace.responses[best.responseA].pollIndex} and ${trace.responses[best.responseB].pollIndex}), ` +
+        `distance ${best.distance}`);
+    }
+
+    console.log('\n=== Score changes per slot ===');
+    console.table(replay.slotOutcomes.map(o => ({
+      slot: o.slot,
+      oracle: o.oracle,
+      outcome: o.outcome,
+      quality: o.qualityChange,
+      timeliness: o.timelinessChange,
+      bonus: `${web3.utils.fromWei(o.bonus, 'ether')} LINK`
+    })));
+
+    console.log('\n=== Aggregated result ===');
+    console.log(`Replayed likelihoods: [${replay.aggregatedLikelihoods.join(', ')}] ` +
+      `(average of ${replay.clusterCount} clustered response(s))`);
+    console.log(`Replayed justification CIDs: ${replay.combinedJustificationCIDs}`);
+    if (trace.finalization) {
+      const fin = trace.finalization;
+      console.log(`On-chain likelihoods: [${fin.aggregatedLikelihoods.join(', ')}] ` +
+        `(block ${fin.blockNumber}, tx ${fin.transactionHash})`);
+      console.log(`On-chain justification CIDs: ${fin.combinedJustificationCIDs}`);
+      for (const skip of fin.skipped) {
+        console.log(`Skipped: ${skip.oracle} (${short(skip.jobId)}): ${skip.reason}`);
+      }
+      console.log(matchesChain ? 'Replay matches the on-chain result.' : 'WARNING: replay does NOT match the on-chain result.');
+    } else {
+      console.log('Request not finalized yet; outcomes are projected from the responses so far.');
+    }
+
+    callback();
+  } catch (error) {
+    console.error('Error:', error);
+    callback(error);
+  }
+};
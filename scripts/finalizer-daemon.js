@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// scripts/finalizer-daemon.js
+// Long-running process that finalizes timed-out evaluations.
+//
+// fulfill() finalizes an evaluation from within the oracle callback; when that
+// does not happen, finalizeEvaluationTimeout must be called by hand once
+// responseTimeoutSeconds have passed. This daemon follows RequestAIEvaluation,
+// NewOracleResponseRecorded and FulfillAIEvaluation events, computes each
+// pending request's deadline and sends finalizeEvaluationTimeout when the
+// deadline has passed.
+//
+// Requests that reach their deadline with fewer than requiredResponses answers
+// are marked failed by the same call (EvaluationFailed); the oracles that never
+// answered get a timeliness penalty.
+//
+// Progress (last processed block and pending requests) is kept in a JSON state
+// file, so the daemon can be stopped and restarted without missing requests.
+//
+// Usage example (run with node, not truffle exec):
+// node scripts/finalizer-daemon.js \
+//   --network base_sepolia \
+//   --aggregator 0xAggregatorAddress \
+//   --state finalizer-state.json \
+//   --interval 30
+//
+// Add --once to run a single pass and exit (e.g. from cron).
+
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { VerdiktaAggregator, connect, DEFAULT_CHUNK_SIZE, withProfile } = require('../lib');
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function loadState(file, aggregatorAddress) {
+  if (fs.existsSync(file)) {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (state.aggregator && state.aggregator.toLowerCase() !== aggregatorAddress.toLowerCase()) {
+      throw new Error(`State file ${file} belongs to aggregator ${state.aggregator}`);
+    }
+    return state;
+  }
+  return { aggregator: aggregatorAddress, lastProcessedBlock: null, requests: {} };
+}
+
+// Write through a temporary file so a crash never leaves a truncated state file.
+function saveState(file, state) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function byChainOrder(a, b) {
+  return Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex);
+}
+
+class Finalizer {
+  constructor({ web3, aggregator, from, state, stateFile, chunkSize = DEFAULT_CHUNK_SIZE, confirmations = 0 }) {
+    this.web3 = web3;
+    this.aggregator = aggregator;
+    this.from = from;
+    this.state = state;
+    this.stateFile = stateFile;
+    this.chunkSize = chunkSize;
+    this.confirmations = confirmations;
+  }
+
+  save() {
+    if (this.stateFile) saveState(this.stateFile, this.state);
+  }
+
+  // Read new events and update the set of pending requests.
+  async syncEvents() {
+    const latest = Number(await this.web3.eth.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.state.lastProcessedBlock === null ? latest : this.state.lastProcessedBlock + 1;
+    if (latest < fromBlock) return;
+
+    const range = { fromBlock, toBlock: latest, chunkSize: this.chunkSize };
+    const events = [
+      ...await this.aggregator.getPastEventsInChunks('RequestAIEvaluation', range),
+      ...await this.aggregator.getPastEventsInChunks('NewOracleResponseRecorded', range),
+      ...await this.aggregator.getPastEventsInChunks('FulfillAIEvaluation', range),
+      ...await this.aggregator.getPastEventsInChunks('EvaluationFailed', range)
+    ].sort(byChainOrder);
+
+    for (const event of events) {
+      const values = event.returnValues;
+      if (event.event === 'RequestAIEvaluation') {
+        const evaluation = await this.aggregator.getAggregatedEvaluation(values.requestId);
+        this.state.requests[values.requestId] = {
+          blockNumber: Number(event.blockNumber),
+          startTimestamp: evaluation.startTimestamp,
+          requiredResponses: evaluation.requiredResponses,
+          responses: 0,
+          status: 'pending'
+        };
+        log(`Tracking request ${values.requestId} (block ${event.blockNumber})`);
+      } else if (event.event === 'NewOracleResponseRecorded') {
+        // The event carries the operator request ID; map it to the aggregator ID.
+        const aggregatorId = await this.aggregator.aggregatorRequestIdFor(values.requestId);
+        const entry = this.state.requests[aggregatorId];
+        if (entry) {
+          entry.responses++;
+          log(`Response ${entry.responses}/${entry.requiredResponses} for ${aggregatorId} (slot ${values.pollIndex})`);
+        }
+      } else if (event.event === 'FulfillAIEvaluation') {
+        if (this.state.requests[values.requestId]) {
+          delete this.state.requests[values.requestId];
+          log(`Request ${values.requestId} completed`);
+        }
+      } else if (event.event === 'EvaluationFailed') {
+        if (this.state.requests[values.aggregatorRequestId]) {
+          delete this.state.requests[values.aggregatorRequestId];
+          log(`Request ${values.aggregatorRequestId} failed`);
+        }
+      }
+    }
+
+    this.state.lastProcessedBlock = latest;
+    this.save();
+  }
+
+  // Finalize every pending request whose deadline has passed.
+  async finalizeDue() {
+    const ids = Object.keys(this.state.requests);
+    if (ids.length === 0) return;
+
+    const block = await this.web3.eth.getBlock('latest');
+    const now = Number(block.timestamp);
+    // The contract compares against the current timeout, not the one in force
+    // when the request was made, so re-read it on every pass.
+    const timeout = Number(await this.aggregator.methods.responseTimeoutSeconds().call());
+
+    for (const id of ids) {
+      const entry = this.state.requests[id];
+      const deadline = Number(entry.startTimestamp) + timeout;
+      if (now < deadline) continue;
+
+      const evaluation = await this.aggregator.getAggregatedEvaluation(id);
+      if (evaluation.isComplete || evaluation.failed) {
+        delete this.state.requests[id];
+        log(`Request ${id} already ${evaluation.failed ? 'failed' : 'completed'}`);
+        this.save();
+        continue;
+      }
+
+      entry.responses = Number(evaluation.responseCount);
+      const failing = entry.responses < Number(evaluation.requiredResponses);
+      try {
+        log(`${failing ? 'Marking failed' : 'Finalizing'} request ${id} ` +
+          `(${entry.responses}/${evaluation.requiredResponses} responses)`);
+        const call = this.aggregator.methods.finalizeEvaluationTimeout(id);
+        const gas = await call.estimateGas({ from: this.from });
+        const receipt = await call.send({ from: this.from, gas: Math.floor(Number(gas) * 1.2) });
+        delete this.state.requests[id];
+        log(`${failing ? 'Failed' : 'Finalized'} request ${id} in tx ${receipt.transactionHash}`);
+      } catch (error) {
+        entry.lastError = error.message;
+        log(`Failed to finalize request ${id}: ${error.message}`);
+      }
+      this.save();
+    }
+  }
+
+  async tick() {
+    await this.syncEvents();
+    await this.finalizeDue();
+  }
+}
+
+async function main() {
+  const argv = withProfile(yargs(hideBin(process.argv)), ['aggregator', 'network'])
+    .option('network', {
+      alias: 'n',
+      type: 'string',
+      description: 'Network name from truffle-config.js'
+    })
+    .option('rpc', {
+      type: 'string',
+      description: 'RPC URL (instead of a truffle-config network)'
+    })
+    .option('aggregator', {
+      alias: 'a',
+      type: 'string',
+      description: 'ReputationAggregator contract address'
+    })
+    .option('state', {
+      alias: 's',
+      type: 'string',
+      default: 'finalizer-state.json',
+      description: 'Path of the state file'
+    })
+    .option('from-block', {
+      type: 'number',
+      description: 'Block to start from when there is no state file (default: current block)'
+    })
+    .option('interval', {
+      alias: 'i',
+      type: 'number',
+      default: 30,
+      description: 'Seconds between passes'
+    })
+    .option('chunk-size', {
+      type: 'number',
+      default: DEFAULT_CHUNK_SIZE,
+      description: 'Block range per log query'
+    })
+    .option('confirmations', {
+      type: 'number',
+      default: 0,
+      description: 'Blocks to stay behind the chain head'
+    })
+    .option('account', {
+      type: 'number',
+      default: 0,
+      description: 'Index of the sending account'
+    })
+    .option('once', {
+      type: 'boolean',
+      default: false,
+      description: 'Run a single pass and exit'
+    })
+    .demandOption(['aggregator'], 'Please provide the aggregator address.')
+    .check(args => {
+      if (!args.network && !args.rpc) throw new Error('Please provide --network or --rpc.');
+      return true;
+    })
+    .help()
+    .argv;
+
+  const { web3, close } = connect({ network: argv.network, rpcUrl: argv.rpc });
+  const accounts = await web3.eth.getAccounts();
+  const from = accounts[argv.account];
+  if (!from) throw new Error(`No account at index ${argv.account}`);
+
+  const stateFile = path.resolve(argv.state);
+  const state = loadState(stateFile, argv.aggregator);
+  if (state.lastProcessedBlock === null && argv.fromBlock !== undefined) {
+    state.lastProcessedBlock = argv.fromBlock - 1;
+  }
+
+  const finalizer = new Finalizer({
+    web3,
+    aggregator: new VerdiktaAggregator(web3, argv.aggregator),
+    from,
+    state,
+    stateFile,
+    chunkSize: argv.chunkSize,
+    confirmations: argv.confirmations
+  });
+
+  log(`Finalizer started for aggregator ${argv.aggregator} using account ${from}`);
+  log(`State file: ${stateFile} (${Object.keys(state.requests).length} pending)`);
+
+  let stopping = false;
+  const stop = () => {
+    if (stopping) return;
+    stopping = true;
+    log('Stopping...');
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!stopping) {
+    try {
+      await finalizer.tick();
+    } catch (error) {
+      log(`Pass failed: ${error.message}`);
+    }
+    if (argv.once) break;
+    for (let waited = 0; waited < argv.interval && !stopping; waited++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  finalizer.save();
+  close();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Finalizer error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { Finalizer, loadState, saveState };
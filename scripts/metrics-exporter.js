@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// scripts/metrics-exporter.js
+// HTTP service exposing Prometheus metrics for a ReputationAggregator and its
+// ReputationKeeper at /metrics (see lib/metrics.js):
+//   - per oracle/jobId: quality and timeliness scores, call count, stake,
+//     fee, lockedUntil, blocked and active flags
+//   - aggregator config: oraclesToPoll, requiredResponses, clusterSize,
+//     alpha, maxOracleFee, responseTimeoutSeconds
+//   - pending evaluations and bonus payment counters, from aggregator events
+//     since --from-block (use the event index or the aggregator's deployment
+//     block to avoid scanning from genesis)
+//
+// Usage example (run with node, not truffle exec):
+// node scripts/metrics-exporter.js \
+//   --network base_sepolia \
+//   --aggregator 0xAggregatorAddress \
+//   --from-block 12345678 \
+//   --port 9464
+//
+// Prometheus scrape config:
+//   - job_name: verdikta
+//     static_configs:
+//       - targets: ['localhost:9464']
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  MetricsCollector,
+  createMetricsServer,
+  openEventStore,
+  connect,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_INDEX_DIR,
+  withProfile
+} = require('../lib');
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+async function main() {
+  const argv = withProfile(yargs(hideBin(process.argv)), ['aggregator', 'network'])
+    .option('network', {
+      alias: 'n',
+      type: 'string',
+      description: 'Network name from truffle-config.js'
+    })
+    .option('rpc', {
+      type: 'string',
+      description: 'RPC URL (instead of a truffle-config network)'
+    })
+    .option('aggregator', {
+      alias: 'a',
+      type: 'string',
+      description: 'ReputationAggregator contract address'
+    })
+    .option('port', {
+      alias: 'p',
+      type: 'number',
+      default: 9464,
+      description: 'HTTP port'
+    })
+    .option('host', {
+      type: 'string',
+      default: '0.0.0.0',
+      description: 'HTTP listen address'
+    })
+    .option('from-block', {
+      type: 'number',
+      default: 0,
+      description: 'First block for pending-evaluation and bonus metrics'
+    })
+    .option('index', {
+      type: 'string',
+      default: DEFAULT_INDEX_DIR,
+      description: 'Event index directory (used when it covers the aggregator)'
+    })
+    .option('chunk-size', {
+      type: 'number',
+      default: DEFAULT_CHUNK_SIZE,
+      description: 'Block range per log query'
+    })
+    .option('confirmations', {
+      type: 'number',
+      default: 0,
+      description: 'Blocks to stay behind the chain head'
+    })
+    .option('cache-seconds', {
+      type: 'number',
+      default: 10,
+      description: 'Reuse chain reads for scrapes within this many seconds'
+    })
+    .demandOption(['aggregator'], 'Please provide the aggregator address.')
+    .check(args => {
+      if (!args.network && !args.rpc) throw new Error('Please provide --network or --rpc.');
+      return true;
+    })
+    .help()
+    .argv;
+
+  const { web3, close } = connect({ network: argv.network, rpcUrl: argv.rpc });
+  const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+  const collector = new MetricsCollector({
+    aggregator,
+    store: await openEventStore(web3, argv.index),
+    fromBlock: argv.fromBlock,
+    chunkSize: argv.chunkSize,
+    confirmations: argv.confirmations
+  });
+
+  // Read the event history once before serving, so the first scrape does not
+  // time out on a long catch-up.
+  log(`Reading aggregator events from block ${argv.fromBlock}...`);
+  await collector.collect();
+  log(`Caught up to block ${collector.lastBlock} (${collector.pending.size} pending evaluation(s))`);
+
+  const server = createMetricsServer(collector, { cacheSeconds: argv.cacheSeconds, log });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(argv.port, argv.host, resolve);
+  });
+  log(`Serving metrics for aggregator ${argv.aggregator} on http://${argv.host}:${argv.port}/metrics`);
+
+  const stop = () => {
+    log('Stopping...');
+    server.close(() => {
+      close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Metrics exporter error:', error);
+    process.exit(1);
+  });
+}
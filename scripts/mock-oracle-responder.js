@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// scripts/mock-oracle-responder.js
+// Stand-in for the Chainlink nodes behind MockOperator contracts on a local
+// network (see lib/mockoracle.js and contracts/mocks/MockOperator.sol).
+//
+// Watches OracleRequest events on the operators listed in the config file,
+// reads the `cid` request parameter and answers through fulfillOracleRequest2,
+// which calls ReputationAggregator.fulfill. Each operator's behaviour is set in
+// the config file:
+//
+// {
+//   "operators": [
+//     { "address": "0xOperator1", "likelihoods": [60, 40] },
+//     { "address": "0xOperator2", "random": { "outcomes": 2 } },
+//     { "address": "0xOperator3", "likelihoods": [58, 42], "delaySeconds": 120 },
+//     { "address": "0xOperator4", "respond": false },
+//     { "address": "0xOperator5", "likelihoods": [60, 40], "vectorLength": 3 },
+//     { "address": "0xOperator6", "byCid": { "QmCase1": [90, 10] }, "likelihoods": [50, 50] }
+//   ]
+// }
+//
+// scripts/deploy-mock-oracles-cl.js deploys and registers the operators and
+// writes such a file.
+//
+// Usage example (run with node, not truffle exec):
+// node scripts/mock-oracle-responder.js \
+//   --network development \
+//   --config mock-oracles.json
+//
+// The sending account (--account) must be the operators' owner or one of their
+// authorized senders.
+
+const fs = require('fs');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { MockOperator, MockOracleResponder, connect, DEFAULT_CHUNK_SIZE, withProfile } = require('../lib');
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+async function main() {
+  const argv = withProfile(yargs(hideBin(process.argv)), ['network'])
+    .option('network', {
+      alias: 'n',
+      type: 'string',
+      description: 'Network name from truffle-config.js'
+    })
+    .option('rpc', {
+      type: 'string',
+      description: 'RPC URL (instead of a truffle-config network)'
+    })
+    .option('config', {
+      alias: 'c',
+      type: 'string',
+      default: 'mock-oracles.json',
+      description: 'Operator behaviour file'
+    })
+    .option('account', {
+      type: 'number',
+      default: 0,
+      description: 'Index of the sending account'
+    })
+    .option('from-block', {
+      type: 'number',
+      description: 'First block to answer requests from (default: current block)'
+    })
+    .option('interval', {
+      alias: 'i',
+      type: 'number',
+      default: 2,
+      description: 'Seconds between passes'
+    })
+    .option('chunk-size', {
+      type: 'number',
+      default: DEFAULT_CHUNK_SIZE,
+      description: 'Block range per log query'
+    })
+    .option('gas-limit', {
+      type: 'number',
+      default: 3000000,
+      description: 'Gas limit for fulfillOracleRequest2 (covers the aggregator callback)'
+    })
+    .option('once', {
+      type: 'boolean',
+      default: false,
+      description: 'Run a single pass and exit'
+    })
+    .check(args => {
+      if (!args.network && !args.rpc) throw new Error('Please provide --network or --rpc.');
+      return true;
+    })
+    .help()
+    .argv;
+
+  const config = JSON.parse(fs.readFileSync(argv.config, 'utf8'));
+  if (!Array.isArray(config.operators) || config.operators.length === 0) {
+    throw new Error(`${argv.config} lists no operators`);
+  }
+
+  const { web3, close } = connect({ network: argv.network, rpcUrl: argv.rpc });
+  const accounts = await web3.eth.getAccounts();
+  const from = accounts[argv.account];
+  if (!from) throw new Error(`No account at index ${argv.account}`);
+
+  const operators = [];
+  for (const { address, ...behaviour } of config.operators) {
+    const client = new MockOperator(web3, address);
+    const owner = await client.owner();
+    if (owner.toLowerCase() !== from.toLowerCase() && !await client.isAuthorizedSender(from)) {
+      throw new Error(`${from} is neither the owner nor an authorized sender of operator ${address}`);
+    }
+    operators.push({ client, behaviour });
+    log(`Operator ${address}: ${JSON.stringify(behaviour)}`);
+  }
+
+  const responder = new MockOracleResponder({
+    web3,
+    from,
+    operators,
+    fromBlock: argv.fromBlock,
+    chunkSize: argv.chunkSize,
+    gasLimit: argv.gasLimit,
+    log
+  });
+  log(`Responding to ${operators.length} operator(s) from account ${from}`);
+
+  let stopping = false;
+  const stop = () => {
+    if (stopping) return;
+    stopping = true;
+    log('Stopping...');
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (!stopping) {
+    try {
+      await responder.tick();
+    } catch (error) {
+      log(`Pass failed: ${error.message}`);
+    }
+    if (argv.once) break;
+    for (let waited = 0; waited < argv.interval && !stopping; waited++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  if (responder.queue.length > 0) {
+    log(`${responder.queue.length} delayed response(s) not sent`);
+  }
+  close();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Responder error:', error);
+    process.exit(1);
+  });
+}
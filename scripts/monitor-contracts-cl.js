@@ -12,180 +12,98 @@
 //   -w 0x6bF578606493b03026473F838bCD3e3b5bBa5515 \
 //   -a 0x59067815e006e245449E1A24a1091dF176b3CF09 \
 //   --network base_sepolia
+//
+// Event history is read from the local event index (scripts/event-indexer.js)
+// when it covers the contracts; the blocks after its checkpoint, or all blocks
+// from --from-block when there is no index, are fetched in chunks.
+// --from-block defaults to the keeper's deploy block from the deployment
+// registry (deployments/<network>.json); when the registry does not know the
+// keeper, reads start at block 0 (cheap when the index covers the keeper).
+//
+// Watch mode: after the snapshot, keep checking alert rules on new blocks
+// every --interval seconds (see lib/alerts.js) until interrupted. OracleSlashed, EvaluationTimedOut
+// and EvaluationFailed alerts, and an alert while the aggregator is paused, are on by default; thresholds are added with flags or a rules file:
+// truffle exec scripts/monitor-contracts-cl.js -w 0xToken -a 0xAggregator \
+//   --watch --min-eligible 128:3 --min-link 5 \
+//   --min-allowance 0xRequester:1 \
+//   --webhook http://localhost:9000/alerts \
+//   --network base_sepolia
+//
+// A rules file is a JSON array of rules such as
+//   [{ "type": "min-eligible", "class": 128, "min": 3 },
+//    { "type": "link-balance", "min": "5000000000000000000" }]
+// and is combined with the rules given as flags.
 
+const fs = require('fs');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
-//
-// Minimal ABIs
-//
+const {
+  VerdiktaAggregator,
+  WrappedVdka,
+  openEventStore,
+  readEvents,
+  AlertWatcher,
+  consoleNotifier,
+  webhookNotifier,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_INDEX_DIR,
+  findDeployBlock,
+  withProfile
+} = require('../lib');
 
-// WrappedVerdiktaToken (ERC20 minimal) ABI: supports name, symbol, totalSupply.
-const WrappedVerdiktaTokenABI = [
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "name",
-    "outputs": [{"name": "", "type": "string"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "symbol",
-    "outputs": [{"name": "", "type": "string"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "totalSupply",
-    "outputs": [{"name": "", "type": "uint256"}],
-    "type": "function"
-  }
-];
+// Split "left:right" flag values such as 128:3 or 0xRequester:1.
+function splitPair(value, flag) {
+  const [left, right] = String(value).split(':');
+  if (!left || right === undefined) throw new Error(`Invalid --${flag} value: ${value}`);
+  return [left, right];
+}
 
-// ReputationKeeper ABI: supports owner, getOracleInfo, getOracleClassesByKey,
-// and includes the OracleRegistered event.
-const ReputationKeeperABI = [
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "owner",
-    "outputs": [{"name": "", "type": "address"}],
-    "type": "function"
-  },
-  {
-    "inputs": [
-      { "name": "_oracle", "type": "address" },
-      { "name": "_jobId", "type": "bytes32" }
-    ],
-    "name": "getOracleInfo",
-    "outputs": [
-      { "name": "isActive", "type": "bool" },
-      { "name": "qualityScore", "type": "int256" },
-      { "name": "timelinessScore", "type": "int256" },
-      { "name": "callCount", "type": "uint256" },
-      { "name": "jobId", "type": "bytes32" },
-      { "name": "fee", "type": "uint256" },
-      { "name": "stakeAmount", "type": "uint256" },
-      { "name": "lockedUntil", "type": "uint256" },
-      { "name": "blocked", "type": "bool" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      { "name": "_oracle", "type": "address" },
-      { "name": "_jobId", "type": "bytes32" }
-    ],
-    "name": "getOracleClassesByKey",
-    "outputs": [
-      { "name": "", "type": "uint64[]" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      { "indexed": true, "name": "oracle", "type": "address" },
-      { "indexed": false, "name": "jobId", "type": "bytes32" },
-      { "indexed": false, "name": "fee", "type": "uint256" }
-    ],
-    "name": "OracleRegistered",
-    "type": "event"
+function buildRules(argv) {
+  const rules = argv.rules ? JSON.parse(fs.readFileSync(argv.rules, 'utf8')) : [];
+  if (argv.alertSlashed) rules.push({ type: 'slashed' });
+  if (argv.alertTimeouts) rules.push({ type: 'timeout' });
+  if (argv.alertFailed) rules.push({ type: 'failed' });
+  if (argv.alertPaused) rules.push({ type: 'paused' });
+  for (const value of argv.minEligible || []) {
+    const [cls, min] = splitPair(value, 'min-eligible');
+    rules.push({ type: 'min-eligible', class: cls, min: Number(min) });
+  }
+  if (argv.minLink !== undefined) {
+    rules.push({ type: 'link-balance', min: web3.utils.toWei(String(argv.minLink), 'ether') });
+  }
+  for (const value of argv.minAllowance || []) {
+    const [owner, min] = splitPair(value, 'min-allowance');
+    rules.push({ type: 'allowance', owner, min: web3.utils.toWei(min, 'ether') });
   }
-];
+  return rules;
+}
 
-// ReputationAggregator ABI: supports owner, oraclesToPoll, requiredResponses,
-// clusterSize, responseTimeoutSeconds, maxOracleFee, getContractConfig, and
-// the reputationKeeper getter to extract the keeper address.
-const ReputationAggregatorABI = [
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "owner",
-    "outputs": [{"name": "", "type": "address"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "oraclesToPoll",
-    "outputs": [{"name": "", "type": "uint256"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "requiredResponses",
-    "outputs": [{"name": "", "type": "uint256"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "clusterSize",
-    "outputs": [{"name": "", "type": "uint256"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "responseTimeoutSeconds",
-    "outputs": [{"name": "", "type": "uint256"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "maxOracleFee",
-    "outputs": [{"name": "", "type": "uint256"}],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "getContractConfig",
-    "outputs": [
-      { "name": "oracleAddr", "type": "address" },
-      { "name": "linkAddr", "type": "address" },
-      { "name": "jobId", "type": "bytes32" },
-      { "name": "fee", "type": "uint256" }
-    ],
-    "type": "function"
-  },
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "reputationKeeper",
-    "outputs": [
-      { "name": "", "type": "address" }
-    ],
-    "type": "function"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      { "indexed": true, "internalType": "bytes32", "name": "requestId", "type": "bytes32" },
-      { "indexed": false, "internalType": "string[]", "name": "cids", "type": "string[]" }
-    ],
-    "name": "RequestAIEvaluation",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      { "indexed": true, "internalType": "bytes32", "name": "requestId", "type": "bytes32" },
-      { "indexed": false, "internalType": "uint256[]", "name": "aggregatedLikelihoods", "type": "uint256[]" },
-      { "indexed": false, "internalType": "string", "name": "combinedJustificationCIDs", "type": "string" }
-    ],
-    "name": "FulfillAIEvaluation",
-    "type": "event"
+async function watch(argv, aggregator, keeper) {
+  const notifiers = [consoleNotifier()];
+  if (argv.webhook) notifiers.push(webhookNotifier(argv.webhook));
+  const watcher = new AlertWatcher({
+    aggregator,
+    keeper,
+    rules: buildRules(argv),
+    notifiers,
+    chunkSize: argv.chunkSize,
+    repeatAfter: argv.repeatAfter,
+    log: message => console.log(message)
+  });
+  console.log(`\n=== Watching (${watcher.rules.map(r => r.type).join(', ')}) ===`);
+  if (argv.webhook) console.log(`Webhook: ${argv.webhook}`);
+
+  // Runs until the process is interrupted (Ctrl-C).
+  for (;;) {
+    try {
+      await watcher.check();
+    } catch (error) {
+      console.error(`Alert check failed: ${error.message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, argv.interval * 1000));
   }
-];
+}
 
 module.exports = async function(callback) {
   try {
@@ -193,7 +111,7 @@ module.exports = async function(callback) {
 
     // Parse command-line options for contract addresses.
     // Only require WrappedVerdiktaToken and ReputationAggregator addresses.
-    const argv = yargs(hideBin(process.argv))
+    const argv = withProfile(yargs(hideBin(process.argv)))
       .option('wrappedverdikta', {
         alias: 'w',
         type: 'string',
@@ -204,18 +122,117 @@ module.exports = async function(callback) {
         type: 'string',
         description: 'ReputationAggregator contract address'
       })
+      .option('index', {
+        type: 'string',
+        default: DEFAULT_INDEX_DIR,
+        description: 'Event index directory (used when it covers the contracts)'
+      })
+      .option('from-block', {
+        type: 'number',
+        description: "First block to read OracleRegistered events from (default: the keeper's deploy block)"
+      })
+      .option('recent-blocks', {
+        type: 'number',
+        default: 1000,
+        description: 'Number of recent blocks to show aggregator events for'
+      })
+      .option('chunk-size', {
+        type: 'number',
+        default: DEFAULT_CHUNK_SIZE,
+        description: 'Block range per log query'
+      })
+      .option('watch', {
+        type: 'boolean',
+        default: false,
+        description: 'Keep running and check alert rules on new blocks'
+      })
+      .option('interval', {
+        type: 'number',
+        default: 15,
+        description: 'Seconds between checks in watch mode'
+      })
+      .option('rules', {
+        type: 'string',
+        description: 'JSON file with alert rules'
+      })
+      .option('alert-slashed', {
+        type: 'boolean',
+        default: true,
+        description: 'Alert on OracleSlashed (--no-alert-slashed to disable)'
+      })
+      .option('alert-timeouts', {
+        type: 'boolean',
+        default: true,
+        description: 'Alert on EvaluationTimedOut (--no-alert-timeouts to disable)'
+      })
+      .option('alert-failed', {
+        type: 'boolean',
+        default: true,
+        description: 'Alert on EvaluationFailed (--no-alert-failed to disable)'
+      })
+      .option('alert-paused', {
+        type: 'boolean',
+        default: true,
+        description: 'Alert while the aggregator is paused (--no-alert-paused to disable)'
+      })
+      .option('min-eligible', {
+        type: 'array',
+        description: 'Alert when a class has fewer eligible oracles, as class:count'
+      })
+      .option('min-link', {
+        type: 'number',
+        description: "Alert when the aggregator's LINK balance drops below this (LINK)"
+      })
+      .option('min-allowance', {
+        type: 'array',
+        description: 'Alert when a requester\'s LINK allowance to the aggregator drops below this, as address:LINK'
+      })
+      .option('webhook', {
+        type: 'string',
+        description: 'URL to POST alerts to as JSON'
+      })
+      .option('repeat-after', {
+        type: 'number',
+        default: 0,
+        description: 'Repeat an alert for a condition still failing after this many seconds (0 = never)'
+      })
       .demandOption(['wrappedverdikta', 'aggregator'], 'Please provide both the wrappedverdikta and aggregator addresses.')
       .help()
       .argv;
 
     // Instantiate contracts using user-supplied addresses.
-    const token = new web3.eth.Contract(WrappedVerdiktaTokenABI, argv.wrappedverdikta);
-    const aggregator = new web3.eth.Contract(ReputationAggregatorABI, argv.aggregator);
+    const token = new WrappedVdka(web3, argv.wrappedverdikta);
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
 
     // Extract the ReputationKeeper address from the aggregator.
-    const keeperAddress = await aggregator.methods.reputationKeeper().call();
+    const keeper = await aggregator.keeper();
+    const keeperAddress = keeper.address;
     console.log(`Derived ReputationKeeper address: ${keeperAddress}`);
-    const keeper = new web3.eth.Contract(ReputationKeeperABI, keeperAddress);
+
+    const store = await openEventStore(web3, argv.index);
+    for (const client of [aggregator, keeper]) {
+      const checkpoint = store.checkpoint(client.address);
+      if (checkpoint) {
+        console.log(`Event index for ${client.contractName}: up to block ${checkpoint.lastBlock}`);
+      }
+    }
+
+    // Nothing is logged before the contracts were deployed, so start there.
+    const registry = { network: argv.profile || argv.network, chainId: await web3.eth.getChainId() };
+    const aggregatorBlock = findDeployBlock(aggregator.address, registry);
+    let fromBlock = argv.fromBlock;
+    if (fromBlock === undefined) {
+      fromBlock = findDeployBlock(keeperAddress, registry);
+      if (fromBlock !== null) {
+        console.log(`Reading keeper events from its deploy block ${fromBlock}`);
+      } else {
+        fromBlock = 0;
+        if (!store.checkpoint(keeperAddress)) {
+          console.warn(`Warning: the deploy block of ReputationKeeper ${keeperAddress} is not in the deployment ` +
+            'registry; reading from block 0. Pass --from-block or record the keeper with scripts/record-deployment-cl.js.');
+        }
+      }
+    }
 
     // Network information.
     const networkId = await web3.eth.net.getId();
@@ -225,9 +242,9 @@ module.exports = async function(callback) {
 
     // WrappedVerdiktaToken information.
     console.log('\n=== WrappedVerdiktaToken Information ===');
-    const tokenName = await token.methods.name().call();
-    const tokenSymbol = await token.methods.symbol().call();
-    const totalSupply = await token.methods.totalSupply().call();
+    const tokenName = await token.name();
+    const tokenSymbol = await token.symbol();
+    const totalSupply = await token.totalSupply();
     console.log(`Address: ${argv.wrappedverdikta}`);
     console.log(`Name: ${tokenName}`);
     console.log(`Symbol: ${tokenSymbol}`);
@@ -236,24 +253,26 @@ module.exports = async function(callback) {
     // ReputationKeeper information.
     console.log('\n=== ReputationKeeper Information ===');
     const keeperBalance = await web3.eth.getBalance(keeperAddress);
-    const keeperOwner = await keeper.methods.owner().call();
+    const keeperOwner = await keeper.owner();
     console.log(`Address: ${keeperAddress}`);
     console.log(`Owner: ${keeperOwner}`);
     console.log(`Balance: ${web3.utils.fromWei(keeperBalance, 'ether')} ETH`);
 
     // Retrieve registered oracles via OracleRegistered events.
     console.log('\n=== Registered Oracles Information ===');
-    const registeredEvents = await keeper.getPastEvents('OracleRegistered', {
-      fromBlock: 0,
-      toBlock: 'latest'
+    const registeredEvents = await readEvents(keeper, {
+      events: ['OracleRegistered'],
+      fromBlock,
+      store,
+      chunkSize: argv.chunkSize
     });
 
     // Use a Map to store unique oracle/jobID pairs.
     const uniqueOracles = new Map();
     for (const event of registeredEvents) {
-      const oracle = event.returnValues.oracle;
-      const jobId = event.returnValues.jobId; // bytes32 hex string
-      const fee = event.returnValues.fee;
+      const oracle = event.args.oracle;
+      const jobId = event.args.jobId; // bytes32 hex string
+      const fee = event.args.fee;
       const key = `${oracle}-${jobId}`;
       if (!uniqueOracles.has(key)) {
         uniqueOracles.set(key, { oracle, jobId, fee });
@@ -266,7 +285,7 @@ module.exports = async function(callback) {
       console.log("Active registered oracles:");
       let activeCount = 0;
       for (const [key, oracleEntry] of uniqueOracles.entries()) {
-        const oracleInfo = await keeper.methods.getOracleInfo(oracleEntry.oracle, oracleEntry.jobId).call();
+        const oracleInfo = await keeper.getOracleInfo(oracleEntry.oracle, oracleEntry.jobId);
         if (oracleInfo.isActive) {
           console.log(`\nOracle Address: ${oracleEntry.oracle}`);
           console.log(`Job ID (raw bytes32): ${oracleEntry.jobId}`);
@@ -275,7 +294,7 @@ module.exports = async function(callback) {
           console.log(`Call Count: ${oracleInfo.callCount.toString()}`);
           console.log(`Fee: ${oracleInfo.fee.toString()}`);
           try {
-            const classes = await keeper.methods.getOracleClassesByKey(oracleEntry.oracle, oracleEntry.jobId).call();
+            const classes = await keeper.getOracleClasses(oracleEntry.oracle, oracleEntry.jobId);
             console.log(`Classes: ${classes}`);
           } catch (err) {
             console.log(`Classes: Not available`);
@@ -291,16 +310,19 @@ module.exports = async function(callback) {
     // ReputationAggregator information.
     console.log('\n=== ReputationAggregator Information ===');
     const aggBalance = await web3.eth.getBalance(argv.aggregator);
-    const aggOwner = await aggregator.methods.owner().call();
-    const oraclesToPoll = await aggregator.methods.oraclesToPoll().call();
-    const requiredResponses = await aggregator.methods.requiredResponses().call();
-    const clusterSize = await aggregator.methods.clusterSize().call();
-    const responseTimeout = await aggregator.methods.responseTimeoutSeconds().call();
-    const maxOracleFee = await aggregator.methods.maxOracleFee().call();
+    const aggOwner = await aggregator.owner();
+    const paused = await aggregator.paused();
+    const {
+      oraclesToPoll,
+      requiredResponses,
+      clusterSize,
+      responseTimeoutSeconds: responseTimeout,
+      maxOracleFee
+    } = await aggregator.getConfig();
 
     try {
-      const config = await aggregator.methods.getContractConfig().call();
-      console.log(`Aggregator's LINK Token: ${config.linkAddr}`);
+      const linkAddr = await aggregator.linkTokenAddress();
+      console.log(`Aggregator's LINK Token: ${linkAddr}`);
     } catch (error) {
       console.log('No active configuration for LINK Token address found');
     }
@@ -308,6 +330,7 @@ module.exports = async function(callback) {
     console.log('\nAggregator Configuration:');
     console.log(`Address: ${argv.aggregator}`);
     console.log(`Owner: ${aggOwner}`);
+    console.log(`Status: ${paused ? 'PAUSED (new requests are rejected; in-flight requests can still finish)' : 'active'}`);
     console.log(`Oracles to Poll: ${oraclesToPoll}`);
     console.log(`Required Responses: ${requiredResponses}`);
     console.log(`Cluster Size: ${clusterSize}`);
@@ -315,18 +338,18 @@ module.exports = async function(callback) {
     console.log(`Max Oracle Fee: ${web3.utils.fromWei(maxOracleFee.toString(), 'ether')} LINK`);
     console.log(`Aggregator Balance: ${web3.utils.fromWei(aggBalance, 'ether')} ETH`);
 
-    // Retrieve recent aggregator events (from the last 1000 blocks).
-    const currentBlock = await web3.eth.getBlockNumber();
-    const fromBlock = currentBlock - 1000;
-    const events = await aggregator.getPastEvents('allEvents', {
-      fromBlock: fromBlock,
-      toBlock: 'latest'
+    // Retrieve recent aggregator events.
+    const currentBlock = Number(await web3.eth.getBlockNumber());
+    const events = await readEvents(aggregator, {
+      fromBlock: Math.max(currentBlock - argv.recentBlocks, aggregatorBlock || 0),
+      store,
+      chunkSize: argv.chunkSize
     });
 
     console.log('\nRecent Aggregator Events:');
     events.forEach(event => {
       console.log(`\nEvent: ${event.event}`);
-      console.log('Parameters:', event.returnValues);
+      console.log('Parameters:', event.args);
       console.log(`Block: ${event.blockNumber}`);
       console.log(`Transaction: ${event.transactionHash}`);
     });
@@ -335,6 +358,10 @@ module.exports = async function(callback) {
     const gasPrice = await web3.eth.getGasPrice();
     console.log(`\nCurrent Gas Price: ${web3.utils.fromWei(gasPrice, 'gwei')} gwei`);
 
+    if (argv.watch) {
+      await watch(argv, aggregator, keeper);
+    }
+
     console.log('\nMonitoring completed successfully');
     callback();
   } catch (error) {
@@ -105,6 +105,7 @@ module.exports = async function(callback) {
     console.log('\nAggregator Configuration:');
     console.log(`Address: ${aggregator.address}`);
     console.log(`Owner: ${aggOwner}`);
+    console.log(`Status: ${(await aggregator.paused()) ? 'PAUSED (new requests are rejected)' : 'active'}`);
     console.log(`Oracles to Poll: ${oraclesToPoll}`);
     console.log(`Required Responses: ${requiredResponses}`);
     console.log(`Cluster Size: ${clusterSize}`);
@@ -12,98 +12,11 @@
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
-// Minimal ABI for the aggregator contract to extract the keeper address.
-const AggregatorABI = [
-  {
-    "inputs": [],
-    "name": "reputationKeeper",
-    "outputs": [
-      { "internalType": "address", "name": "", "type": "address" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-// Minimal ABI for the ReputationKeeper contract.
-const ReputationKeeperABI = [
-  // Public array registeredOracles(uint256) returns (OracleIdentity)
-  {
-    "constant": true,
-    "inputs": [{ "name": "", "type": "uint256" }],
-    "name": "registeredOracles",
-    "outputs": [
-      { "name": "oracle", "type": "address" },
-      { "name": "jobId", "type": "bytes32" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  // getOracleInfo(address _oracle, bytes32 _jobId)
-  {
-    "inputs": [
-      { "name": "_oracle", "type": "address" },
-      { "name": "_jobId", "type": "bytes32" }
-    ],
-    "name": "getOracleInfo",
-    "outputs": [
-      { "name": "isActive", "type": "bool" },
-      { "name": "qualityScore", "type": "int256" },
-      { "name": "timelinessScore", "type": "int256" },
-      { "name": "callCount", "type": "uint256" },
-      { "name": "jobId", "type": "bytes32" },
-      { "name": "fee", "type": "uint256" },
-      { "name": "stakeAmount", "type": "uint256" },
-      { "name": "lockedUntil", "type": "uint256" },
-      { "name": "blocked", "type": "bool" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  // getOracleClassesByKey(address _oracle, bytes32 _jobId)
-  {
-    "inputs": [
-      { "name": "_oracle", "type": "address" },
-      { "name": "_jobId", "type": "bytes32" }
-    ],
-    "name": "getOracleClassesByKey",
-    "outputs": [
-      { "name": "", "type": "uint64[]" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  // owner() function
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
-      { "name": "", "type": "address" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-// Minimal ABI for calling owner() on an oracle contract.
-const minimalOwnerABI = [
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
-      { "name": "", "type": "address" }
-    ],
-    "payable": false,
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+const { VerdiktaAggregator, ChainlinkOperator, withProfile } = require('../lib');
 
 module.exports = async function(callback) {
   try {
-    const argv = yargs(hideBin(process.argv))
+    const argv = withProfile(yargs(hideBin(process.argv)))
       .option('aggregator', {
         alias: 'a',
         type: 'string',
@@ -115,34 +28,18 @@ module.exports = async function(callback) {
 
     // Extract the ReputationKeeper address from the aggregator.
     console.log(`Looking up ReputationKeeper from Aggregator at: ${argv.aggregator}`);
-    const aggregator = new web3.eth.Contract(AggregatorABI, argv.aggregator);
-    const keeperAddress = await aggregator.methods.reputationKeeper().call();
-    console.log(`Found ReputationKeeper at: ${keeperAddress}`);
-    const keeper = new web3.eth.Contract(ReputationKeeperABI, keeperAddress);
-    console.log(`Connected to ReputationKeeper at: ${keeperAddress}`);
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log(`Found ReputationKeeper at: ${keeper.address}`);
 
-    // Attempt to read registered oracles directly from the keeper's public array.
-    console.log("\nAttempting to get oracles directly from registeredOracles array...");
-    let i = 0;
-    let foundOracles = [];
-    while (i < 10) {
-      try {
-        const oracleIdentity = await keeper.methods.registeredOracles(i).call();
-        // Check that the oracle address is not the zero address.
-        if (oracleIdentity.oracle && oracleIdentity.oracle !== '0x0000000000000000000000000000000000000000') {
-          const info = await keeper.methods.getOracleInfo(oracleIdentity.oracle, oracleIdentity.jobId).call();
-          foundOracles.push({
-            address: oracleIdentity.oracle,
-            jobId: oracleIdentity.jobId,
-            info: info
-          });
-        }
-      } catch (error) {
-        // Likely reached the end of the registeredOracles array.
-        break;
-      }
-      i++;
-    }
+    // Read every registered oracle identity from the keeper's registeredOracles array.
+    console.log("\nReading oracles from registeredOracles array...");
+    const foundOracles = (await keeper.listOracles()).map(entry => ({
+      address: entry.oracle,
+      jobId: entry.jobId,
+      classes: entry.classes,
+      info: entry.info
+    }));
 
     if (foundOracles.length === 0) {
       console.log("\nNo oracles found.");
@@ -156,21 +53,19 @@ module.exports = async function(callback) {
         console.log(`\nOracle ${index + 1}:`);
         console.log(`Address: ${oracle.address}`);
         console.log(`Active: ${oracle.info.isActive}`);
-        console.log(`Quality Score: ${oracle.info.qualityScore.toString()}`);
-        console.log(`Timeliness Score: ${oracle.info.timelinessScore.toString()}`);
-        console.log(`Call Count: ${oracle.info.callCount.toString()}`);
-        console.log(`Locked Until: ${oracle.info.lockedUntil.toString()}`);
+        console.log(`Quality Score: ${oracle.info.qualityScore}`);
+        console.log(`Timeliness Score: ${oracle.info.timelinessScore}`);
+        console.log(`Call Count: ${oracle.info.callCount}`);
+        console.log(`Locked Until: ${oracle.info.lockedUntil}`);
         console.log(`Blocked: ${oracle.info.blocked}`);
         // Convert jobId from bytes32 to a readable string.
         console.log(`Job ID: ${web3.utils.hexToAscii(oracle.jobId)}`);
-        const classes = await keeper.methods.getOracleClassesByKey(oracle.address, oracle.jobId).call();
-        console.log(`Capability Classes: ${classes}`);
-        console.log(`Fee: ${oracle.info.fee.toString()}`);
-        // Retrieve the oracle contract's owner using a minimal ABI instance.
+        console.log(`Capability Classes: ${oracle.classes}`);
+        console.log(`Fee: ${oracle.info.fee}`);
+        // Retrieve the oracle contract's owner.
         let ownerAddress;
         try {
-          const ownerContract = new web3.eth.Contract(minimalOwnerABI, oracle.address);
-          ownerAddress = await ownerContract.methods.owner().call();
+          ownerAddress = await new ChainlinkOperator(web3, oracle.address).owner();
         } catch (error) {
           ownerAddress = "Error retrieving owner";
         }
@@ -8,6 +8,8 @@ const ReputationKeeper = artifacts.require('ReputationKeeper');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
+const { withProfile } = require('../lib');
+
 // Minimal ABI for the aggregator contract
 const AggregatorABI = [
   {
@@ -45,7 +47,7 @@ const minimalOwnerABI = [
 
 module.exports = async function(callback) {
   try {
-    const argv = yargs(hideBin(process.argv))
+    const argv = withProfile(yargs(hideBin(process.argv)))
       .option('aggregator', {
         alias: 'a',
         type: 'string',
@@ -0,0 +1,90 @@
+// scripts/pause-aggregator-cl.js
+// Shows whether a ReputationAggregator is paused, and pauses or unpauses it.
+//
+// Pausing is the emergency stop for incidents such as a bad oracle set or a
+// fee bug: requestAIEvaluationWithApproval is rejected while paused, but
+// fulfill, finalizeEvaluationTimeout and the owner functions (withdrawLink,
+// setters) keep working, so requests already in flight can finish. Only the
+// aggregator owner can pause or unpause.
+//
+// Usage example (status):
+// truffle exec scripts/pause-aggregator-cl.js -a 0xAggregatorAddress --network base_sepolia
+//
+// Pause, and unpause once the incident is resolved:
+// truffle exec scripts/pause-aggregator-cl.js -a 0xAggregatorAddress --pause --network base_sepolia
+// truffle exec scripts/pause-aggregator-cl.js -a 0xAggregatorAddress --unpause --network base_sepolia
+//
+// Add --safe 0xSafeAddress --safe-batch pause-batch.json to write the call as
+// a Safe Transaction Builder batch instead of sending it.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  sendOrBatch,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('pause', {
+        type: 'boolean',
+        description: 'Pause new evaluation requests'
+      })
+      .option('unpause', {
+        type: 'boolean',
+        description: 'Accept new evaluation requests again'
+      })
+      .conflicts('pause', 'unpause')
+      .help()
+      .argv;
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const owner = await aggregator.owner();
+    const paused = await aggregator.paused();
+    console.log(`ReputationAggregator ${aggregator.address}`);
+    console.log(`Owner: ${owner}`);
+    console.log(`Status: ${paused ? 'PAUSED (new requests are rejected)' : 'active'}`);
+
+    if (!argv.pause && !argv.unpause) {
+      callback();
+      return;
+    }
+    if (Boolean(argv.pause) === paused) {
+      console.log(`\nAlready ${paused ? 'paused' : 'active'}; nothing to do.`);
+      callback();
+      return;
+    }
+
+    const accounts = await web3.eth.getAccounts();
+    const batch = await openTransactionBatch(web3, argv, argv.pause ? 'pause-aggregator' : 'unpause-aggregator');
+    const sender = batch ? batch.from : accounts[0];
+    if (sender.toLowerCase() !== owner.toLowerCase()) {
+      throw new Error(`${sender} is not the aggregator owner (${owner})`);
+    }
+
+    const method = argv.pause ? aggregator.methods.pause() : aggregator.methods.unpause();
+    console.log(`\n${argv.pause ? 'Pausing' : 'Unpausing'} as ${sender}...`);
+    const receipt = await sendOrBatch(aggregator, method, { from: sender, batch });
+    if (batch) {
+      saveTransactionBatch(batch);
+    } else {
+      console.log(`${argv.pause ? 'Paused' : 'Unpaused'}, tx: ${receipt.transactionHash}`);
+    }
+    callback();
+  } catch (error) {
+    console.error('Error pausing or unpausing the aggregator:', error);
+    callback(error);
+  }
+};
@@ -0,0 +1,76 @@
+// scripts/reconcile-keeper-cl.js
+// Reconciles the ReputationKeeper's wVDKA balance against what it should hold:
+// the sum of all oracle stakes plus the slashed funds not yet withdrawn to the
+// treasury. A positive difference is wVDKA sent to the keeper directly; a
+// negative one is a shortfall and makes the script fail.
+//
+// Usage example:
+// truffle exec scripts/reconcile-keeper-cl.js \
+//   --aggregator 0xAggregatorAddress \
+//   --network your_network
+//
+// Add --verbose to list the stake of every registered oracle identity.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { VerdiktaAggregator, WrappedVdka, reconcileStake, withProfile } = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withProfile(yargs(hideBin(process.argv)))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'Reputation Aggregator contract address',
+        demandOption: true
+      })
+      .option('verbose', {
+        alias: 'v',
+        type: 'boolean',
+        default: false,
+        description: 'List the stake of every registered oracle identity'
+      })
+      .help()
+      .argv;
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log('Derived ReputationKeeper address:', keeper.address);
+
+    const stakeToken = new WrappedVdka(web3, await keeper.verdiktaToken());
+    console.log('Stake token:', stakeToken.address);
+    console.log('Treasury:', await keeper.treasury());
+
+    if (argv.verbose) {
+      console.log('\nStakes:');
+      for (const { oracle, jobId, info } of await keeper.listOracles()) {
+        console.log(`  ${oracle} job ${jobId}: ${web3.utils.fromWei(info.stakeAmount, 'ether')} wVDKA`);
+      }
+    }
+
+    const report = await reconcileStake(keeper, stakeToken);
+    const vdka = wei => `${web3.utils.fromWei(wei, 'ether')} wVDKA`;
+    const difference = BigInt(report.difference);
+    console.log('\nReconciliation:');
+    [
+      [`Oracle stakes (${report.oracles} identities)`, report.totalStaked],
+      ['Slashed funds', report.slashedFunds],
+      ['Expected balance', report.expected],
+      ['Keeper balance', report.balance]
+    ].forEach(([label, wei]) => console.log(`  ${(label + ':').padEnd(34)}${vdka(wei)}`));
+
+    if (difference === 0n) {
+      console.log('\nBalanced.');
+    } else if (difference > 0n) {
+      console.log(`\nSurplus of ${vdka(report.difference)} not attributed to stakes or slashed funds.`);
+    } else {
+      console.error(`\nShortfall of ${vdka((-difference).toString())}: the keeper holds less than it owes.`);
+      return callback(new Error('Keeper balance does not cover stakes and slashed funds'));
+    }
+    callback();
+  } catch (error) {
+    console.error('Error during keeper reconciliation:', error);
+    callback(error);
+  }
+};
@@ -0,0 +1,93 @@
+// scripts/record-deployment-cl.js
+// Records a contract in the deployment registry (deployments/<network>.json)
+// that the migrations did not write, e.g. for networks deployed before the
+// registry existed. With --tx the address and deploy block are read from the
+// deployment transaction's receipt; contracts deployed by someone else (the
+// LINK token) are recorded with --address only.
+//
+// Usage example:
+// truffle exec scripts/record-deployment-cl.js \
+//   --contract reputationAggregator --tx 0xDeployTransactionHash \
+//   --network base_sepolia
+//
+// truffle exec scripts/record-deployment-cl.js \
+//   --contract linkToken --address 0xE4aB69C077896252FAFBD49EFD26B5D171A32410 \
+//   --network base_sepolia
+//
+// Without --contract the recorded profile for the network is printed. Other
+// scripts then take their addresses from it with --profile base_sepolia.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { CONTRACT_NAMES, readDeployment, recordDeployment } = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = yargs(hideBin(process.argv))
+      .option('network', {
+        type: 'string',
+        description: 'Network name (also the profile name)',
+        demandOption: true
+      })
+      .option('contract', {
+        alias: 'c',
+        type: 'string',
+        choices: CONTRACT_NAMES,
+        description: 'Registry name of the contract to record'
+      })
+      .option('tx', {
+        type: 'string',
+        description: 'Deployment transaction hash'
+      })
+      .option('address', {
+        type: 'string',
+        description: 'Contract address (default: from the deployment receipt)'
+      })
+      .check(args => {
+        if (args.contract && !args.tx && !args.address) {
+          throw new Error('Provide --tx or --address for the contract.');
+        }
+        return true;
+      })
+      .help()
+      .argv;
+
+    if (argv.contract) {
+      let entry = { address: argv.address };
+      if (argv.tx) {
+        const receipt = await web3.eth.getTransactionReceipt(argv.tx);
+        if (!receipt) throw new Error(`Transaction ${argv.tx} not found on ${argv.network}`);
+        const deployed = receipt.contractAddress;
+        if (!deployed && !argv.address) {
+          throw new Error(`Transaction ${argv.tx} did not create a contract; pass --address as well`);
+        }
+        if (deployed && argv.address && deployed.toLowerCase() !== argv.address.toLowerCase()) {
+          throw new Error(`Transaction ${argv.tx} created ${deployed}, not ${argv.address}`);
+        }
+        entry = { address: argv.address || deployed, blockNumber: receipt.blockNumber, transactionHash: argv.tx };
+      }
+      if ((await web3.eth.getCode(entry.address)) === '0x') {
+        throw new Error(`No contract code at ${entry.address} on ${argv.network}`);
+      }
+      recordDeployment(argv.network, argv.contract, entry, { chainId: await web3.eth.getChainId() });
+      console.log(`Recorded ${argv.contract} at ${entry.address}` +
+        (entry.blockNumber !== undefined ? ` (block ${entry.blockNumber})` : ''));
+    }
+
+    const deployment = readDeployment(argv.network);
+    if (!deployment) {
+      console.log(`No deployments recorded for ${argv.network}.`);
+      return callback();
+    }
+    console.log(`\nProfile ${argv.network} (chain ID ${deployment.chainId}, updated ${deployment.updatedAt}):`);
+    console.table(CONTRACT_NAMES.filter(name => deployment.contracts[name]).map(name => ({
+      contract: name,
+      ...deployment.contracts[name]
+    })));
+    callback();
+  } catch (error) {
+    console.error('Error recording deployment:', error);
+    callback(error);
+  }
+};
@@ -1,5 +1,12 @@
 // scripts/register-oracle.js
 // Registers jobs with an oracle on Base Sepolia using the wrapped token
+// If the keeper is owned by a Safe, add --safe 0xSafeAddress --safe-batch register-batch.json
+// to write the approvals and registrations as a Safe Transaction Builder batch instead of sending them.
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { withTransactionBatch, openTransactionBatch, saveTransactionBatch } = require('../lib');
+
 const WrappedVerdiktaToken = artifacts.require("WrappedVerdiktaToken");
 const ReputationKeeper = artifacts.require("ReputationKeeper");
 const ReputationAggregator = artifacts.require("ReputationAggregator");
@@ -7,11 +14,14 @@ const LinkTokenInterface = artifacts.require("LinkTokenInterface");
 
 module.exports = async function(callback) {
   try {
+    const argv = withTransactionBatch(yargs(hideBin(process.argv))).help().argv;
+    const batch = await openTransactionBatch(web3, argv, 'register-oracle');
+
     console.log('Starting oracle registration on Base Sepolia...');
 
     // Get accounts
     const accounts = await web3.eth.getAccounts();
-    const owner = accounts[0];
+    const owner = batch ? batch.from : accounts[0];
     console.log('Using owner account:', owner);
 
     // Oracle contract address
@@ -75,8 +85,12 @@ module.exports = async function(callback) {
             spender: keeper.address,
             amount: vdkaStake
         });
-        await verdikta.approve(keeper.address, vdkaStake, { from: owner });
-        console.log('wVDKA spend approved');
+        if (batch) {
+          await batch.add(verdikta, verdikta.contract.methods.approve(keeper.address, vdkaStake));
+        } else {
+          await verdikta.approve(keeper.address, vdkaStake, { from: owner });
+          console.log('wVDKA spend approved');
+        }
 
         // Register oracle with the current jobId
         // Note: We now pass [128] as the oracle's class vector.
@@ -89,11 +103,21 @@ module.exports = async function(callback) {
             from: owner,
             keeper: keeper.address
         });
+        if (batch) {
+          await batch.add(keeper, keeper.contract.methods.registerOracle(oracleAddress, jobId, linkFee, [128,129+i]),
+            { dependsOnBatch: true });
+          continue;
+        }
         await keeper.registerOracle(oracleAddress, jobId, linkFee, [128,129+i], { from: owner });
         console.log(`Oracle registered successfully for jobID ${currentJobIdString}`);
       }
     }
 
+    if (batch) {
+      saveTransactionBatch(batch);
+      return callback();
+    }
+
     // Set up LINK approval for the aggregator
     console.log('\nSetting up LINK token approval...');
     const aggregator = await ReputationAggregator.deployed();
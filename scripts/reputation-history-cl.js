@@ -0,0 +1,181 @@
+// scripts/reputation-history-cl.js
+// Prints or exports the full reputation history of one or more oracle
+// identities, rebuilt from ReputationKeeper events (see lib/history.js):
+// quality and timeliness after every ScoreUpdated, with lock periods
+// (OracleSlashed) and pauses (OracleActiveStatusUpdated) marked.
+//
+// Events come from the local event index (scripts/event-indexer.js) where it
+// covers the keeper, and from the chain in chunks otherwise.
+//
+// Usage examples:
+// truffle exec scripts/reputation-history-cl.js \
+//   --aggregator 0xYourReputationAggregatorAddress \
+//   --oracle 0xOracleA:jobid1 0xOracleB \
+//   --network base_sepolia
+//
+// Export for plotting (one column group per identity):
+// truffle exec scripts/reputation-history-cl.js -a 0xAggregator \
+//   --oracle 0xOracleA:jobid1 0xOracleB:jobid2 \
+//   --format csv --layout wide --out history.csv --network base_sepolia
+//
+// An oracle given without ":jobid" selects all of its jobs. Job IDs may be
+// given as the ASCII job ID or as bytes32 hex. Without --oracle every identity
+// is included.
+
+const fs = require('fs');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  openEventStore,
+  readEvents,
+  buildReputationHistory,
+  historyToCsv,
+  historyToWideCsv,
+  KEEPER_HISTORY_EVENTS,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_INDEX_DIR,
+  withProfile
+} = require('../lib');
+
+function parseIdentity(spec) {
+  const [oracle, job] = spec.split(':');
+  if (!web3.utils.isAddress(oracle)) throw new Error(`Invalid oracle address: ${oracle}`);
+  let jobId = null;
+  if (job) {
+    jobId = /^0x[0-9a-fA-F]{64}$/.test(job) ? job : web3.utils.padRight(web3.utils.fromAscii(job), 64);
+  }
+  return { oracle, jobId };
+}
+
+function jobLabel(jobId) {
+  return jobId ? web3.utils.hexToUtf8(jobId) : 'unknown job';
+}
+
+function seriesLabel(s) {
+  return `${s.oracle.slice(0, 10)}/${jobLabel(s.jobId)}`;
+}
+
+function time(timestamp) {
+  return timestamp === null ? '?' : new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+function printSeries(s) {
+  console.log(`\n=== ${s.oracle} / ${jobLabel(s.jobId)} ===`);
+  const scores = s.timeline.filter(t => t.type === 'score');
+  const last = s.timeline[s.timeline.length - 1];
+  console.log(`Score updates: ${scores.length}, current quality ${last.quality}, timeliness ${last.timeliness}`);
+  if (scores.some(t => t.inferred)) {
+    console.log('Note: some updates were attributed to this job by score continuity (marked ~).');
+  }
+  for (const lock of s.locks) {
+    console.log(`Lock: ${time(lock.start)} until ${time(lock.until)} ` +
+      `(${lock.blocked ? `blocked, slashed ${web3.utils.fromWei(lock.slashAmount, 'ether')} VDKA` : 'not blocked'})`);
+  }
+  for (const pause of s.pauses) {
+    console.log(`Paused: ${time(pause.start)} until ${pause.end === null ? 'now' : time(pause.end)}`);
+  }
+
+  console.table(s.timeline.map(t => ({
+    block: t.blockNumber,
+    time: time(t.timestamp),
+    event: t.type,
+    quality: t.quality,
+    timeliness: t.timeliness,
+    change: t.type === 'score' ? `${t.qualityChange >= 0 ? '+' : ''}${t.qualityChange}/` +
+      `${t.timelinessChange >= 0 ? '+' : ''}${t.timelinessChange}${t.inferred ? ' ~' : ''}` : '',
+    state: !t.active ? 'paused' : t.blocked ? 'blocked' : t.locked ? 'locked' : ''
+  })));
+}
+
+module.exports = async function(callback) {
+  try {
+    const argv = withProfile(yargs(hideBin(process.argv)))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('oracle', {
+        alias: 'o',
+        type: 'array',
+        description: 'Oracle identities as address[:jobid] (default: all)'
+      })
+      .option('format', {
+        alias: 'f',
+        choices: ['table', 'csv', 'json'],
+        default: 'table',
+        description: 'Output format'
+      })
+      .option('layout', {
+        choices: ['long', 'wide'],
+        default: 'long',
+        description: 'CSV layout: one row per entry, or identities side by side'
+      })
+      .option('out', {
+        type: 'string',
+        description: 'Write CSV/JSON output to this file instead of stdout'
+      })
+      .option('from-block', {
+        type: 'number',
+        default: 0,
+        description: 'First block to read keeper events from'
+      })
+      .option('index', {
+        type: 'string',
+        default: DEFAULT_INDEX_DIR,
+        description: 'Event index directory'
+      })
+      .option('chunk-size', {
+        type: 'number',
+        default: DEFAULT_CHUNK_SIZE,
+        description: 'Block range per log query'
+      })
+      .help()
+      .argv;
+
+    const identities = (argv.oracle || []).map(spec => parseIdentity(String(spec)));
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    const store = await openEventStore(web3, argv.index);
+    const events = await readEvents(keeper, {
+      events: KEEPER_HISTORY_EVENTS,
+      fromBlock: argv.fromBlock,
+      store,
+      chunkSize: argv.chunkSize,
+      timestamps: true
+    });
+    const history = buildReputationHistory(events, { identities });
+    if (history.length === 0) {
+      throw new Error('No history found for the requested oracle identities');
+    }
+
+    let output = null;
+    if (argv.format === 'json') {
+      output = `${JSON.stringify(history, null, 2)}\n`;
+    } else if (argv.format === 'csv') {
+      const toCsv = argv.layout === 'wide' ? historyToWideCsv : historyToCsv;
+      output = toCsv(history, { label: seriesLabel });
+    } else {
+      console.log(`ReputationKeeper ${keeper.address}: ${events.length} event(s)`);
+      history.forEach(printSeries);
+    }
+
+    if (output !== null) {
+      if (argv.out) {
+        fs.writeFileSync(argv.out, output);
+        console.log(`Wrote ${history.length} series to ${argv.out}`);
+      } else {
+        process.stdout.write(output);
+      }
+    }
+
+    callback();
+  } catch (error) {
+    console.error('Error:', error);
+    callback(error);
+  }
+};
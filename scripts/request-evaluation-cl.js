@@ -0,0 +1,201 @@
+// scripts/request-evaluation-cl.js
+// Submits an AI evaluation request to a ReputationAggregator and waits for the
+// aggregated verdict.
+//
+// The script checks that the aggregator is not paused and the request is within
+// its CID/addendum limits, approves LINK for maxTotalFee(maxfee), calls
+// requestAIEvaluationWithApproval, reads the aggregator request ID from the
+// RequestAIEvaluation event and then waits for FulfillAIEvaluation (or gives
+// up after --timeout seconds).
+//
+// Usage example:
+// truffle exec scripts/request-evaluation-cl.js \
+//   --aggregator 0xAggregatorAddress \
+//   --cids QmCid1 QmCid2 \
+//   --addendum "Optional extra text" \
+//   --alpha 500 --maxfee 0.08 --class 128 \
+//   --network your_network
+//
+// Example:
+// truffle exec scripts/request-evaluation-cl.js -a 0x59067815e006e245449E1A24a1091dF176b3CF09 \
+//   --cids QmSnynnZVufbeb9GVNLBjxBJ45FyHgjPYUHTvMK5VmQZcS \
+//   --maxfee 0.05 --class 128 --network base_sepolia
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { VerdiktaAggregator, withProfile } = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    console.log('Starting evaluation request...');
+
+    const argv = withProfile(yargs(hideBin(process.argv)))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address'
+      })
+      .option('cids', {
+        alias: 'c',
+        type: 'array',
+        description: 'Evidence CIDs (e.g. --cids QmA QmB)'
+      })
+      .option('addendum', {
+        alias: 't',
+        type: 'string',
+        default: '',
+        description: 'Addendum text appended to the CID list'
+      })
+      .option('alpha', {
+        type: 'number',
+        description: 'Reputation weight 0-1000 (defaults to the aggregator alpha)'
+      })
+      .option('maxfee', {
+        alias: 'f',
+        type: 'string',
+        description: 'Maximum fee per oracle in LINK (defaults to the aggregator maxOracleFee)'
+      })
+      .option('class', {
+        alias: 'k',
+        type: 'number',
+        default: 128,
+        description: 'Requested oracle class'
+      })
+      .option('timeout', {
+        type: 'number',
+        default: 600,
+        description: 'Seconds to wait for the aggregated result'
+      })
+      .option('poll', {
+        type: 'number',
+        default: 5,
+        description: 'Seconds between checks for the result'
+      })
+      .demandOption(['aggregator', 'cids'], 'Please provide the aggregator address and at least one CID.')
+      .help()
+      .argv;
+
+    const cids = argv.cids.map(String);
+    const addendum = argv.addendum;
+
+    const accounts = await web3.eth.getAccounts();
+    const requester = accounts[0];
+    console.log('Using requester account:', requester);
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const config = await aggregator.getConfig();
+    const limits = await aggregator.getLimits();
+
+    // Check the request against the contract state and limits before spending gas.
+    if (await aggregator.paused()) {
+      throw new Error('The aggregator is paused and not accepting new requests');
+    }
+    if (cids.length === 0) {
+      throw new Error('CIDs array must not be empty');
+    }
+    if (cids.length > Number(limits.maxCidCount)) {
+      throw new Error(`Too many CIDs provided (${cids.length} > MAX_CID_COUNT ${limits.maxCidCount})`);
+    }
+    for (const cid of cids) {
+      if (Buffer.byteLength(cid, 'utf8') > Number(limits.maxCidLength)) {
+        throw new Error(`CID string too long (> MAX_CID_LENGTH ${limits.maxCidLength}): ${cid}`);
+      }
+    }
+    if (Buffer.byteLength(addendum, 'utf8') > Number(limits.maxAddendumLength)) {
+      throw new Error(`Addendum text too long (> MAX_ADDENDUM_LENGTH ${limits.maxAddendumLength})`);
+    }
+
+    if (argv.alpha !== undefined && (argv.alpha < 0 || argv.alpha > 1000)) {
+      throw new Error('Alpha must be between 0 and 1000');
+    }
+    // Selection parameters follow the aggregator's own fee settings.
+    const { alpha, maxFee: maxOracleFee, estimatedBaseCost, maxFeeBasedScalingFactor } =
+      await aggregator.getSelectionParams({
+        alpha: argv.alpha,
+        maxFee: argv.maxfee !== undefined ? web3.utils.toWei(String(argv.maxfee), 'ether') : undefined
+      });
+
+    console.log('Request parameters:', {
+      cids,
+      addendum,
+      alpha,
+      maxOracleFee: `${web3.utils.fromWei(maxOracleFee, 'ether')} LINK`,
+      estimatedBaseCost: `${web3.utils.fromWei(estimatedBaseCost, 'ether')} LINK`,
+      maxFeeBasedScalingFactor,
+      requestedClass: argv.class
+    });
+
+    // Approve the aggregator for the worst-case total fee.
+    const linkToken = await aggregator.linkToken();
+    const totalFee = await aggregator.maxTotalFee(maxOracleFee);
+    const linkBalance = await linkToken.balanceOf(requester);
+    console.log(`Max total fee: ${web3.utils.fromWei(totalFee, 'ether')} LINK`);
+    console.log(`Requester LINK balance: ${web3.utils.fromWei(linkBalance, 'ether')} LINK`);
+    if (web3.utils.toBN(linkBalance).lt(web3.utils.toBN(totalFee))) {
+      throw new Error('Insufficient LINK balance for maxTotalFee');
+    }
+
+    const currentAllowance = await linkToken.allowance(requester, aggregator.address);
+    if (web3.utils.toBN(currentAllowance).lt(web3.utils.toBN(totalFee))) {
+      console.log('Approving aggregator to spend LINK...');
+      await linkToken.methods.approve(aggregator.address, totalFee).send({ from: requester });
+      console.log('LINK spend approved');
+    } else {
+      console.log('Existing LINK allowance is sufficient');
+    }
+
+    // Send the request.
+    const request = aggregator.methods.requestAIEvaluationWithApproval(
+      cids,
+      addendum,
+      alpha,
+      maxOracleFee,
+      estimatedBaseCost,
+      maxFeeBasedScalingFactor,
+      argv.class
+    );
+    const gas = await request.estimateGas({ from: requester });
+    console.log(`Estimated gas: ${gas}`);
+
+    console.log('\nSending evaluation request...');
+    const receipt = await request.send({
+      from: requester,
+      gas: Math.floor(Number(gas) * 1.2) // Add 20% buffer
+    });
+    console.log('TX Hash:', receipt.transactionHash);
+
+    const requestEvent = receipt.events && receipt.events.RequestAIEvaluation;
+    if (!requestEvent) {
+      throw new Error('RequestAIEvaluation event not found in transaction receipt');
+    }
+    const requestId = requestEvent.returnValues.requestId;
+    console.log('Aggregator request ID:', requestId);
+
+    // Wait for the aggregated result.
+    console.log(`\nWaiting up to ${argv.timeout} seconds for FulfillAIEvaluation...`);
+    const result = await aggregator.waitForFulfillment(requestId, {
+      fromBlock: receipt.blockNumber,
+      timeoutMs: argv.timeout * 1000,
+      pollMs: argv.poll * 1000
+    });
+
+    if (!result) {
+      console.log(`No result within ${argv.timeout} seconds.`);
+      console.log(`Once ${config.responseTimeoutSeconds} seconds have passed since the request, ` +
+        'finalizeEvaluationTimeout can be called to finalize it, or to mark it failed if too few oracles responded.');
+      return callback(new Error('Timed out waiting for FulfillAIEvaluation'));
+    }
+
+    console.log('\n=== Aggregated Result ===');
+    console.log(`Block: ${result.blockNumber}`);
+    console.log(`Transaction: ${result.transactionHash}`);
+    console.log(`Aggregated Likelihoods: ${result.likelihoods.join(', ')}`);
+    console.log(`Justification CIDs: ${result.justificationCIDs}`);
+
+    callback();
+  } catch (error) {
+    console.error('Error during evaluation request:', error);
+    callback(error);
+  }
+};
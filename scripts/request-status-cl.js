@@ -0,0 +1,102 @@
+// scripts/request-status-cl.js
+// Shows the status of one or more aggregator requests from getRequestStatus:
+// state (unknown, pending, expired, complete or failed), requester, start time
+// and deadline, the polled oracle identities with their fees, and which poll
+// slots have responded. For a complete request the aggregated result is shown
+// as well.
+//
+// An expired request is past the response timeout but has not been finalized;
+// finalizeEvaluationTimeout will finalize it, or mark it failed when it has
+// fewer than requiredResponses answers (see stuck-requests-cl.js).
+//
+// Usage example:
+// truffle exec scripts/request-status-cl.js \
+//   --aggregator 0xYourReputationAggregatorAddress \
+//   --request 0xAggregatorRequestId \
+//   --network base_sepolia
+//
+// Several request IDs may be given; add --json for machine-readable output.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { VerdiktaAggregator, withProfile } = require('../lib');
+
+const time = seconds => new Date(Number(seconds) * 1000).toISOString();
+
+module.exports = async function(callback) {
+  try {
+    const argv = withProfile(yargs(hideBin(process.argv)))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('request', {
+        alias: 'r',
+        type: 'array',
+        string: true,
+        description: 'Aggregator request ID(s)',
+        demandOption: true
+      })
+      .option('json', {
+        type: 'boolean',
+        default: false,
+        description: 'Print the status as JSON'
+      })
+      .help()
+      .argv;
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const now = Number((await web3.eth.getBlock('latest')).timestamp);
+
+    const statuses = [];
+    for (const requestId of argv.request.map(String)) {
+      const status = await aggregator.getRequestStatus(requestId);
+      const evaluation = status.state === 'complete' ? await aggregator.getEvaluation(requestId) : null;
+      statuses.push({ requestId, ...status, evaluation });
+    }
+
+    if (argv.json) {
+      console.log(JSON.stringify(statuses, null, 2));
+      return callback();
+    }
+
+    for (const status of statuses) {
+      console.log(`\nRequest ${status.requestId}`);
+      console.log(`  state:     ${status.state}`);
+      if (status.state === 'unknown') continue;
+
+      const remaining = Number(status.deadline) - now;
+      console.log(`  requester: ${status.requester}`);
+      console.log(`  started:   ${time(status.startTimestamp)}`);
+      console.log(`  deadline:  ${time(status.deadline)}` +
+        (remaining > 0 ? ` (in ${remaining}s)` : ` (${-remaining}s ago)`));
+      console.log(`  responses: ${status.responseCount}/${status.requiredResponses} required, ` +
+        `${status.expectedResponses} polled, cluster size ${status.clusterSize}`);
+      console.log(`  fees:      ${web3.utils.fromWei(status.totalFee, 'ether')} LINK`);
+
+      console.table(status.slots.map(slot => ({
+        slot: slot.slot,
+        oracle: slot.oracle,
+        jobId: web3.utils.hexToUtf8(slot.jobId),
+        fee: `${web3.utils.fromWei(slot.fee, 'ether')} LINK`,
+        responded: slot.responded ? time(slot.responseTimestamp) : '-'
+      })));
+
+      if (status.evaluation) {
+        console.log(`  result:    [${status.evaluation.likelihoods.join(', ')}]`);
+        console.log(`  CIDs:      ${status.evaluation.justificationCID}`);
+      } else if (status.state === 'expired') {
+        console.log(`  Past the deadline: finalizeEvaluationTimeout will ` +
+          (BigInt(status.responseCount) < BigInt(status.requiredResponses) ? 'mark it failed.' : 'finalize it.'));
+      }
+    }
+
+    callback();
+  } catch (error) {
+    console.error('Error:', error);
+    callback(error);
+  }
+};
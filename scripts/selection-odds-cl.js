@@ -0,0 +1,107 @@
+// scripts/selection-odds-cl.js
+// Prints each eligible oracle's chance of being selected for a request, using
+// an off-chain port of ReputationKeeper.selectOracles (lib/selection.js) on the
+// live keeper state.
+//
+// Alpha and max fee default to the aggregator's own settings; the estimated
+// base cost and fee scaling factor are derived from the aggregator as they are
+// for a real request. When more oracles are eligible than the keeper's
+// shortlistSize, the random shortlist is sampled --iterations times.
+//
+// Usage example:
+// truffle exec scripts/selection-odds-cl.js \
+//   --aggregator 0xYourReputationAggregatorAddress \
+//   --alpha 500 --maxfee 0.08 --class 128 \
+//   --network base_sepolia
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { VerdiktaAggregator, SelectionSimulator, withProfile } = require('../lib');
+
+const pct = p => `${(p * 100).toFixed(2)}%`;
+
+module.exports = async function(callback) {
+  try {
+    const argv = withProfile(yargs(hideBin(process.argv)))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('alpha', {
+        type: 'number',
+        description: 'Reputation weight 0-1000 (defaults to the aggregator alpha)'
+      })
+      .option('maxfee', {
+        alias: 'f',
+        type: 'number',
+        description: 'Max oracle fee in LINK (defaults to the aggregator maxOracleFee)'
+      })
+      .option('class', {
+        alias: 'k',
+        type: 'number',
+        default: 128,
+        description: 'Requested oracle class'
+      })
+      .option('count', {
+        type: 'number',
+        description: 'Number of poll slots (defaults to the aggregator oraclesToPoll)'
+      })
+      .option('iterations', {
+        type: 'number',
+        default: 10000,
+        description: 'Shortlist samples when eligible oracles exceed shortlistSize'
+      })
+      .help()
+      .argv;
+
+    if (argv.alpha !== undefined && (argv.alpha < 0 || argv.alpha > 1000)) {
+      throw new Error('Alpha must be between 0 and 1000');
+    }
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const config = await aggregator.getConfig();
+    const params = await aggregator.getSelectionParams({
+      alpha: argv.alpha,
+      maxFee: argv.maxfee !== undefined ? web3.utils.toWei(String(argv.maxfee), 'ether') : undefined
+    });
+    const count = argv.count !== undefined ? argv.count : Number(config.oraclesToPoll);
+
+    const keeper = await aggregator.keeper();
+    const simulator = await SelectionSimulator.fromKeeper(keeper);
+
+    console.log('Selection parameters:', {
+      alpha: params.alpha,
+      maxFee: `${web3.utils.fromWei(params.maxFee, 'ether')} LINK`,
+      estimatedBaseCost: `${web3.utils.fromWei(params.estimatedBaseCost, 'ether')} LINK`,
+      maxFeeBasedScalingFactor: params.maxFeeBasedScalingFactor,
+      requestedClass: argv.class,
+      slots: count
+    });
+
+    const eligibleCount = simulator.eligibleOracles(params.maxFee, argv.class).length;
+    console.log(`\nRegistered oracles: ${simulator.oracles.length}, eligible: ${eligibleCount}, ` +
+      `shortlistSize: ${simulator.shortlistSize}`);
+    if (eligibleCount > simulator.shortlistSize) {
+      console.log(`Shortlist is random; odds estimated from ${argv.iterations} samples.`);
+    }
+
+    const odds = simulator.odds(count, params, argv.class, { iterations: argv.iterations });
+    console.table(odds.map(o => ({
+      oracle: o.oracle,
+      jobId: web3.utils.hexToUtf8(o.jobId),
+      fee: `${web3.utils.fromWei(o.fee, 'ether')} LINK`,
+      weight: o.weight,
+      perSlot: pct(o.perDraw),
+      expectedSlots: o.expectedSlots.toFixed(3),
+      atLeastOnce: pct(o.atLeastOnce)
+    })));
+
+    callback();
+  } catch (error) {
+    console.error('Error:', error);
+    callback(error);
+  }
+};
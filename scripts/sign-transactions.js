@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// scripts/sign-transactions.js
+// Signs an unsigned-transactions file with a V3 keystore. Meant for an
+// air-gapped machine: it makes no RPC calls and needs no truffle-config
+// network or .env keys.
+//
+// The file comes from a state-changing script run online with
+// --unsigned <file> --from <address>; the signed file goes back online to
+// scripts/broadcast-transactions.js.
+//
+// Usage example (run with node, not truffle exec):
+// node scripts/sign-transactions.js \
+//   --unsigned unsigned.json \
+//   --keystore keystore.json \
+//   --password-file keystore-password.txt \
+//   --out signed.json
+//
+// The password can also be given in VERDIKTA_KEYSTORE_PASSWORD. The
+// transactions are listed before signing; add --yes to skip the confirmation.
+
+const fs = require('fs');
+const readline = require('readline');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  UNSIGNED_KIND,
+  createOfflineWeb3,
+  readTransactionFile,
+  writeTransactionFile,
+  formatTransactions,
+  signTransactions
+} = require('../lib');
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(/^y(es)?$/i.test(answer.trim()));
+  }));
+}
+
+function readPassword(argv) {
+  if (argv.passwordFile) return fs.readFileSync(argv.passwordFile, 'utf8').replace(/\r?\n$/, '');
+  if (process.env.VERDIKTA_KEYSTORE_PASSWORD !== undefined) return process.env.VERDIKTA_KEYSTORE_PASSWORD;
+  throw new Error('Please provide --password-file or set VERDIKTA_KEYSTORE_PASSWORD.');
+}
+
+async function main() {
+  const argv = yargs(hideBin(process.argv))
+    .option('unsigned', {
+      alias: 'u',
+      type: 'string',
+      description: 'Unsigned-transactions file written with --unsigned'
+    })
+    .option('keystore', {
+      alias: 'k',
+      type: 'string',
+      description: 'V3 keystore JSON file of the sending account'
+    })
+    .option('password-file', {
+      type: 'string',
+      description: 'File holding the keystore password (default: VERDIKTA_KEYSTORE_PASSWORD)'
+    })
+    .option('out', {
+      alias: 'o',
+      type: 'string',
+      default: 'signed.json',
+      description: 'Path of the signed-transactions file'
+    })
+    .option('yes', {
+      alias: 'y',
+      type: 'boolean',
+      default: false,
+      description: 'Sign without asking for confirmation'
+    })
+    .demandOption(['unsigned', 'keystore'], 'Please provide the unsigned-transactions file and the keystore.')
+    .help()
+    .argv;
+
+  const unsigned = readTransactionFile(argv.unsigned, UNSIGNED_KIND);
+  const keystore = JSON.parse(fs.readFileSync(argv.keystore, 'utf8'));
+  const password = readPassword(argv);
+
+  console.log(`${unsigned.transactions.length} transaction(s) "${unsigned.name}" from ${unsigned.from} on chain ${unsigned.chainId}` +
+    ` (built ${unsigned.createdAt}):`);
+  formatTransactions(unsigned).forEach(line => console.log(`  ${line}`));
+
+  if (!argv.yes && !(await confirm('\nSign these transactions? [y/N] '))) {
+    console.log('Not signed.');
+    return;
+  }
+
+  const signed = await signTransactions(createOfflineWeb3(), unsigned, keystore, password);
+  writeTransactionFile(argv.out, signed);
+  console.log(`\nWrote ${signed.transactions.length} signed transaction(s) to ${argv.out}.`);
+  console.log('Send them with scripts/broadcast-transactions.js on an online machine.');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error signing transactions:', error);
+    process.exit(1);
+  });
+}
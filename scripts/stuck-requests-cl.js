@@ -0,0 +1,95 @@
+// scripts/stuck-requests-cl.js
+// Lists evaluation requests that can never complete: the response timeout has
+// passed with fewer than requiredResponses answers and nobody has marked them
+// failed yet. With --fail, finalizeEvaluationTimeout is sent for each of them,
+// which marks the evaluation failed (EvaluationFailed) and applies a timeliness
+// penalty to the oracles that never answered. Anyone may send it.
+//
+// Usage example:
+// truffle exec scripts/stuck-requests-cl.js \
+//   --aggregator 0xAggregatorAddress \
+//   --from-block 12345678 \
+//   --network base_sepolia
+//
+// Add --fail to mark the listed requests failed, and --safe 0xSafeAddress
+// --safe-batch fail-batch.json to write those calls as a Safe Transaction
+// Builder batch instead of sending them.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  DEFAULT_CHUNK_SIZE,
+  sendOrBatch,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'Reputation Aggregator contract address',
+        demandOption: true
+      })
+      .option('from-block', {
+        type: 'number',
+        default: 0,
+        description: 'First block to scan for RequestAIEvaluation events'
+      })
+      .option('chunk-size', {
+        type: 'number',
+        default: DEFAULT_CHUNK_SIZE,
+        description: 'Block range per log query'
+      })
+      .option('fail', {
+        type: 'boolean',
+        default: false,
+        description: 'Mark the stuck requests failed'
+      })
+      .help()
+      .argv;
+
+    const accounts = await web3.eth.getAccounts();
+    const batch = await openTransactionBatch(web3, argv, 'stuck-requests');
+    const sender = batch ? batch.from : accounts[0];
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const stuck = await aggregator.findStuckRequests({ fromBlock: argv.fromBlock, chunkSize: argv.chunkSize });
+    if (stuck.length === 0) {
+      console.log('No stuck requests.');
+      return callback();
+    }
+
+    console.log(`${stuck.length} stuck request(s):`);
+    for (const request of stuck) {
+      console.log(`  ${request.requestId}`);
+      console.log(`    block ${request.blockNumber}, started ${new Date(Number(request.startTimestamp) * 1000).toISOString()}, ` +
+        `timed out ${new Date(Number(request.deadline) * 1000).toISOString()}`);
+      console.log(`    responses ${request.responseCount}/${request.requiredResponses} required ` +
+        `(${request.expectedResponses} polled)`);
+    }
+
+    if (!argv.fail) {
+      console.log('\nRe-run with --fail to mark them failed.');
+      return callback();
+    }
+
+    console.log(`\nMarking failed using account ${sender}...`);
+    for (const request of stuck) {
+      const method = aggregator.methods.finalizeEvaluationTimeout(request.requestId);
+      const receipt = await sendOrBatch(aggregator, method, { from: sender, batch });
+      if (receipt) console.log(`  ${request.requestId}: tx ${receipt.transactionHash}`);
+    }
+    if (batch) saveTransactionBatch(batch);
+    callback();
+  } catch (error) {
+    console.error('Error listing stuck requests:', error);
+    callback(error);
+  }
+};
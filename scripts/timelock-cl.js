@@ -0,0 +1,143 @@
+// scripts/timelock-cl.js
+// Lists the timelocked owner changes pending on the aggregator and its keeper
+// (see contracts/OwnerTimelock.sol and lib/timelock.js) and executes the ones
+// whose delay has passed.
+//
+// Changes are queued by scripts/configure-parameters-cl.js --apply once a
+// contract's timelockDelay is above 0, or here with --queue.
+//
+// Usage example (list):
+// truffle exec scripts/timelock-cl.js -a 0xAggregatorAddress --network base_sepolia
+//
+// Execute every ready change:
+// truffle exec scripts/timelock-cl.js -a 0xAggregatorAddress --execute --network base_sepolia
+//
+// Queue a change by hand, or cancel a pending one by id:
+// truffle exec scripts/timelock-cl.js -a 0xAggregatorAddress \
+//   --queue keeper setVerdiktaToken 0xNewTokenAddress --network base_sepolia
+// truffle exec scripts/timelock-cl.js -a 0xAggregatorAddress --cancel 0xChangeId --network base_sepolia
+//
+// Add --safe 0xSafeAddress --safe-batch timelock-batch.json to write the
+// queue, execute and cancel calls as a Safe Transaction Builder batch instead
+// of sending them.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  TIMELOCKED_SETTERS,
+  timelockDelay,
+  encodeChange,
+  listPendingChanges,
+  sendOrBatch,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
+
+function formatEta(eta) {
+  return new Date(Number(eta) * 1000).toISOString();
+}
+
+module.exports = async function(callback) {
+  try {
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'ReputationAggregator contract address',
+        demandOption: true
+      })
+      .option('execute', {
+        type: 'boolean',
+        default: false,
+        description: 'Execute every pending change whose delay has passed'
+      })
+      .option('queue', {
+        array: true,
+        string: true,
+        description: 'Queue a change: <aggregator|keeper> <setter> [args...]'
+      })
+      .option('cancel', {
+        array: true,
+        string: true,
+        description: 'Cancel pending changes by id'
+      })
+      .option('from-block', {
+        type: 'number',
+        default: 0,
+        description: 'First block to scan for queued changes'
+      })
+      .option('chunk-size', {
+        type: 'number',
+        description: 'Blocks per getPastEvents call'
+      })
+      .help()
+      .argv;
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log('Derived ReputationKeeper address:', keeper.address);
+    const clients = { aggregator, keeper };
+
+    const accounts = await web3.eth.getAccounts();
+    const batch = await openTransactionBatch(web3, argv, 'timelock');
+    const sender = batch ? batch.from : accounts[0];
+
+    if (argv.queue) {
+      const [section, setter, ...args] = argv.queue;
+      const client = clients[section];
+      if (!client) throw new Error(`--queue: unknown contract "${section}"; expected aggregator or keeper`);
+      if (!TIMELOCKED_SETTERS[client.contractName].includes(setter)) {
+        throw new Error(`--queue: ${setter} is not timelocked; choose one of ${TIMELOCKED_SETTERS[client.contractName].join(', ')}`);
+      }
+      const result = await sendOrBatch(client, client.methods.queueChange(encodeChange(client, setter, args)), {
+        from: sender,
+        batch,
+        summary: `${client.contractName}.queueChange(${setter}(${args.join(', ')}))`
+      });
+      if (result) {
+        const { id, eta } = result.events.ChangeQueued.returnValues;
+        console.log(`Queued ${section}.${setter}(${args.join(', ')}) as ${id}, ready at ${formatEta(eta)}, tx: ${result.transactionHash}`);
+      }
+    }
+
+    const scan = { fromBlock: argv.fromBlock, chunkSize: argv.chunkSize };
+    for (const [section, client] of Object.entries(clients)) {
+      console.log(`\n${client.contractName} ${client.address} (timelockDelay ${await timelockDelay(client)}s)`);
+      const pending = await listPendingChanges(client, scan);
+      if (pending.length === 0) {
+        console.log('  No pending changes');
+        continue;
+      }
+
+      for (const change of pending) {
+        const call = `${change.setter || 'unknown'}(${change.args.join(', ')})`;
+        console.log(`  ${change.ready ? 'READY  ' : 'WAITING'}  ${call}  eta ${formatEta(change.eta)}  id ${change.id}`);
+
+        if (argv.cancel && argv.cancel.map(id => id.toLowerCase()).includes(change.id.toLowerCase())) {
+          const result = await sendOrBatch(client, client.methods.cancelChange(change.data), {
+            from: sender,
+            batch,
+            summary: `${client.contractName}.cancelChange(${call})`
+          });
+          if (result) console.log(`    cancelled, tx: ${result.transactionHash}`);
+        } else if (argv.execute && change.ready) {
+          const result = await sendOrBatch(client, client.methods.executeChange(change.data), {
+            from: sender,
+            batch,
+            summary: `${client.contractName}.executeChange(${call})`
+          });
+          if (result) console.log(`    executed ${section}.${call}, tx: ${result.transactionHash}`);
+        }
+      }
+    }
+    if (batch) saveTransactionBatch(batch);
+    callback();
+  } catch (error) {
+    console.error('Error handling timelocked changes:', error);
+    callback(error);
+  }
+};
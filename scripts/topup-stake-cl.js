@@ -0,0 +1,112 @@
+// scripts/topup-stake-cl.js
+// Shows the wVDKA stake of registered oracle identities against the keeper's
+// stake requirement and tops up the ones that are short. Identities staking
+// less than the requirement (e.g. after slashing) stay registered but are not
+// selected until topped up.
+//
+// Without --top-up the script only prints the stake and deficit of each
+// identity. With --top-up it approves the total deficit once and calls
+// topUpStake for every identity that is short. The caller must be the
+// ReputationKeeper owner or the owner of each oracle contract.
+//
+// Usage example:
+// truffle exec scripts/topup-stake-cl.js \
+//   --aggregator 0xAggregatorAddress \
+//   --network your_network
+//
+// Top up the job IDs of one oracle:
+// truffle exec scripts/topup-stake-cl.js -a 0xAggregatorAddress \
+//   -o 0xOracleAddress --jobids "38f19572c51041baa5f2dea284614590" \
+//   --top-up --network base_sepolia
+//
+// Add --safe 0xSafeAddress --safe-batch topup-batch.json to write the approval
+// and top-ups as a Safe Transaction Builder batch instead of sending them.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  WrappedVdka,
+  encodeJobId,
+  planTopUps,
+  formatTopUps,
+  applyTopUps,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'Reputation Aggregator contract address',
+        demandOption: true
+      })
+      .option('oracle', {
+        alias: 'o',
+        type: 'string',
+        description: 'Only show this oracle contract'
+      })
+      .option('jobids', {
+        alias: 'j',
+        type: 'array',
+        description: 'Only show these job IDs'
+      })
+      .option('top-up', {
+        type: 'boolean',
+        default: false,
+        description: 'Top up every identity below the stake requirement'
+      })
+      .help()
+      .argv;
+
+    const accounts = await web3.eth.getAccounts();
+    const batch = await openTransactionBatch(web3, argv, 'topup-stake');
+    const caller = batch ? batch.from : accounts[0];
+    console.log('Using caller account:', caller);
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log('Derived ReputationKeeper address:', keeper.address);
+
+    const plan = await planTopUps(keeper, {
+      oracle: argv.oracle,
+      jobIds: argv.jobids && argv.jobids.map(j => encodeJobId(web3, String(j)))
+    });
+    if (plan.entries.length === 0) {
+      console.log('No registered oracle identities match.');
+      return callback();
+    }
+    console.log('\nStake:');
+    formatTopUps(web3, plan).forEach(line => console.log(`  ${line}`));
+
+    if (!argv.topUp) {
+      if (plan.short > 0) console.log('\nRe-run with --top-up to restore the required stake.');
+      return callback();
+    }
+
+    const stakeToken = new WrappedVdka(web3, await keeper.verdiktaToken());
+    const results = await applyTopUps({
+      keeper,
+      stakeToken,
+      plan,
+      from: caller,
+      batch,
+      log: message => console.log(message)
+    });
+    if (batch) {
+      saveTransactionBatch(batch);
+    } else {
+      console.log(`\nTopped up ${results.length} identit${results.length === 1 ? 'y' : 'ies'}.`);
+    }
+    callback();
+  } catch (error) {
+    console.error('Error during stake top-up:', error);
+    callback(error);
+  }
+};
@@ -17,114 +17,29 @@
 //   -o 0xD67D6508D4E5611cd6a463Dd0969Fa153Be91101 \
 //   --jobids "38f19572c51041baa5f2dea284614590" "39515f75ac2947beb7f2eeae4d8eaf3e" \
 //   --network base_sepolia
+//
+// Add --safe 0xSafeAddress --safe-batch unregister-batch.json to write the
+// deregistrations as a Safe Transaction Builder batch instead of sending them;
+// the Safe must be the keeper owner or the oracle contract owner.
 
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
-//
-// Minimal ABIs
-//
-
-// Aggregator: used only to derive the ReputationKeeper address.
-const AggregatorABI = [
-  {
-    "inputs": [],
-    "name": "reputationKeeper",
-    "outputs": [
-      { "internalType": "address", "name": "", "type": "address" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getContractConfig",
-    "outputs": [
-      { "internalType": "address", "name": "oracleAddr", "type": "address" },
-      { "internalType": "address", "name": "linkAddr", "type": "address" },
-      { "internalType": "bytes32", "name": "jobId", "type": "bytes32" },
-      { "internalType": "uint256", "name": "fee", "type": "uint256" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-// ReputationKeeper: updated minimal functions for deregistration and info query.
-const ReputationKeeperABI = [
-  {
-    "inputs": [
-      { "internalType": "address", "name": "_oracle", "type": "address" },
-      { "internalType": "bytes32", "name": "_jobId", "type": "bytes32" }
-    ],
-    "name": "deregisterOracle",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      { "internalType": "address", "name": "_oracle", "type": "address" },
-      { "internalType": "bytes32", "name": "_jobId", "type": "bytes32" }
-    ],
-    "name": "getOracleInfo",
-    "outputs": [
-      { "internalType": "bool", "name": "isActive", "type": "bool" },
-      { "internalType": "int256", "name": "qualityScore", "type": "int256" },
-      { "internalType": "int256", "name": "timelinessScore", "type": "int256" },
-      { "internalType": "uint256", "name": "callCount", "type": "uint256" },
-      { "internalType": "bytes32", "name": "jobId", "type": "bytes32" },
-      { "internalType": "uint256", "name": "fee", "type": "uint256" },
-      { "internalType": "uint256", "name": "stakeAmount", "type": "uint256" },
-      { "internalType": "uint256", "name": "lockedUntil", "type": "uint256" },
-      { "internalType": "bool", "name": "blocked", "type": "bool" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
-      { "internalType": "address", "name": "", "type": "address" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-// WrappedVerdiktaToken: minimal function for balance checking.
-const WrappedVerdiktaTokenABI = [
-  {
-    "constant": true,
-    "inputs": [{ "name": "account", "type": "address" }],
-    "name": "balanceOf",
-    "outputs": [{ "name": "", "type": "uint256" }],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-// Minimal ABI for calling owner() on an oracle contract.
-const minimalOwnerABI = [
-  {
-    "constant": true,
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
-      { "name": "", "type": "address" }
-    ],
-    "payable": false,
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
+const {
+  VerdiktaAggregator,
+  WrappedVdka,
+  ChainlinkOperator,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
 
 module.exports = async function(callback) {
   try {
     console.log('Starting oracle deregistration and wVDKA reclaim process...');
 
-    const argv = yargs(hideBin(process.argv))
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
       .option('aggregator', {
         alias: 'a',
         type: 'string',
@@ -154,27 +69,24 @@ module.exports = async function(callback) {
 
     // Get the caller account.
     const accounts = await web3.eth.getAccounts();
-    const caller = accounts[0];
+    const batch = await openTransactionBatch(web3, argv, 'unregister-oracle');
+    const caller = batch ? batch.from : accounts[0];
     console.log('Using caller account:', caller);
 
     // Instantiate the Aggregator contract and derive the ReputationKeeper address.
-    const aggregator = new web3.eth.Contract(AggregatorABI, argv.aggregator);
-    const keeperAddress = await aggregator.methods.reputationKeeper().call();
-    console.log('Derived ReputationKeeper address:', keeperAddress);
-
-    // Instantiate the ReputationKeeper contract.
-    const keeper = new web3.eth.Contract(ReputationKeeperABI, keeperAddress);
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log('Derived ReputationKeeper address:', keeper.address);
 
     // Instantiate the WrappedVerdiktaToken contract.
-    const wrappedVerdikta = new web3.eth.Contract(WrappedVerdiktaTokenABI, argv.wrappedverdikta);
+    const wrappedVerdikta = new WrappedVdka(web3, argv.wrappedverdikta);
 
-    // Instantiate a minimal contract to fetch the oracle contract's owner.
-    const oracleOwnerContract = new web3.eth.Contract(minimalOwnerABI, argv.oracle);
-    const oracleOwner = await oracleOwnerContract.methods.owner().call();
+    // Fetch the oracle contract's owner.
+    const oracleOwner = await new ChainlinkOperator(web3, argv.oracle).owner();
     console.log("Oracle contract owner:", oracleOwner);
 
     // Retrieve the ReputationKeeper owner.
-    const keeperOwner = await keeper.methods.owner().call();
+    const keeperOwner = await keeper.owner();
     console.log("ReputationKeeper owner:", keeperOwner);
 
     // Check if the caller is authorized: must be either the keeper owner or the oracle owner.
@@ -187,8 +99,8 @@ module.exports = async function(callback) {
     }
 
     // Check the caller's initial wVDKA balance.
-    const initialBalance = await wrappedVerdikta.methods.balanceOf(caller).call();
-    console.log('Initial wVDKA balance:', initialBalance.toString());
+    const initialBalance = await wrappedVerdikta.balanceOf(caller);
+    console.log('Initial wVDKA balance:', initialBalance);
 
     // Process each job ID.
     const jobIdStrings = argv.jobids;
@@ -201,33 +113,35 @@ module.exports = async function(callback) {
       console.log(`\nProcessing jobID ${currentJobIdString} (bytes32: ${jobId})`);
 
       // Retrieve registration info.
-      const oracleInfo = await keeper.methods.getOracleInfo(argv.oracle, jobId).call();
+      const oracleInfo = await keeper.getOracleInfo(argv.oracle, jobId);
       console.log(`Oracle registration status for jobID ${currentJobIdString}:`, {
-        isActive: oracleInfo.isActive,
-        qualityScore: oracleInfo.qualityScore,
-        timelinessScore: oracleInfo.timelinessScore,
-        callCount: oracleInfo.callCount,
-        jobId: web3.utils.hexToAscii(oracleInfo.jobId),
-        fee: oracleInfo.fee,
-        stakeAmount: oracleInfo.stakeAmount,
-        lockedUntil: oracleInfo.lockedUntil,
-        blocked: oracleInfo.blocked
+        ...oracleInfo,
+        jobId: web3.utils.hexToAscii(oracleInfo.jobId)
       });
 
-      if (!oracleInfo.isActive) {
+      if (!(await keeper.isRegistered(argv.oracle, jobId))) {
         console.log(`Oracle for jobID ${currentJobIdString} is not registered. Skipping...`);
         continue;
       }
 
       // Call deregisterOracle with the oracle address and jobId.
       console.log(`Deregistering oracle for jobID ${currentJobIdString}...`);
+      if (batch) {
+        await batch.add(keeper, keeper.methods.deregisterOracle(argv.oracle, jobId));
+        continue;
+      }
       const tx = await keeper.methods.deregisterOracle(argv.oracle, jobId).send({ from: caller });
       console.log(`Deregister transaction for jobID ${currentJobIdString} hash:`, tx.transactionHash || tx.tx);
     }
 
+    if (batch) {
+      saveTransactionBatch(batch);
+      return callback();
+    }
+
     // Check the caller's final wVDKA balance after reclaiming the stake(s).
-    const finalBalance = await wrappedVerdikta.methods.balanceOf(caller).call();
-    console.log('Final wVDKA balance:', finalBalance.toString());
+    const finalBalance = await wrappedVerdikta.balanceOf(caller);
+    console.log('Final wVDKA balance:', finalBalance);
 
     console.log('Oracle deregistration and wVDKA reclaim completed successfully.');
     callback();
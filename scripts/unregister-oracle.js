@@ -1,6 +1,13 @@
 // scripts/unregister-oracle.js
 // Unregisters one or more oracle identities (address/jobID combinations)
 // and reclaims the staked 100 wVDKA tokens for each.
+// If the keeper or oracle is owned by a Safe, add --safe 0xSafeAddress --safe-batch unregister-batch.json
+// to write the deregistrations as a Safe Transaction Builder batch instead of sending them.
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const { withTransactionBatch, openTransactionBatch, saveTransactionBatch } = require('../lib');
+
 const WrappedVerdiktaToken = artifacts.require("WrappedVerdiktaToken");
 const ReputationKeeper = artifacts.require("ReputationKeeper");
 
@@ -24,11 +31,14 @@ const minimalOwnerABI = [
 
 module.exports = async function(callback) {
   try {
+    const argv = withTransactionBatch(yargs(hideBin(process.argv))).help().argv;
+    const batch = await openTransactionBatch(web3, argv, 'unregister-oracle');
+
     console.log('Starting oracle deregistration and wVDKA reclaim process...');
 
     // Get accounts.
     const accounts = await web3.eth.getAccounts();
-    const caller = accounts[0];
+    const caller = batch ? batch.from : accounts[0];
     console.log('Using caller account:', caller);
 
     // Specify the oracle address for which to deregister.
@@ -96,10 +106,19 @@ module.exports = async function(callback) {
 
       // Call deregisterOracle with the oracle address and jobId.
       console.log(`Deregistering oracle for jobID ${currentJobIdString}...`);
+      if (batch) {
+        await batch.add(keeper, keeper.contract.methods.deregisterOracle(oracleAddress, jobId));
+        continue;
+      }
       const tx = await keeper.deregisterOracle(oracleAddress, jobId, { from: caller });
       console.log(`Deregister transaction for jobID ${currentJobIdString} hash:`, tx.tx);
     }
 
+    if (batch) {
+      saveTransactionBatch(batch);
+      return callback();
+    }
+
     // Check the caller's final wVDKA balance after reclaiming the stake(s).
     const finalBalance = await verdikta.balanceOf(caller);
     console.log('Final wVDKA balance:', finalBalance.toString());
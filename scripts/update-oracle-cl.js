@@ -0,0 +1,148 @@
+// scripts/update-oracle-cl.js
+// Changes the LINK fee and/or the classes of registered oracle identities
+// (address/jobID combinations) in place. Unlike deregistering and registering
+// again, the stake, scores and lock state are kept.
+//
+// For each job ID the current and proposed values are shown before anything is
+// sent; identities already matching the request are left alone. The caller must
+// be the ReputationKeeper owner or the oracle contract owner.
+//
+// Usage example:
+// truffle exec scripts/update-oracle-cl.js \
+//   --aggregator 0xAggregatorAddress \
+//   --oracle 0xOracleAddress \
+//   --jobids "38f19572c51041baa5f2dea284614590" \
+//   --fee 0.08 --classes 128 129 \
+//   --network your_network
+//
+// Add --dry-run to show the change without sending transactions, or
+// --safe 0xSafeAddress --safe-batch update-batch.json to write the updates as a
+// Safe Transaction Builder batch instead of sending them.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  ChainlinkOperator,
+  encodeJobId,
+  sendOrBatch,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'Reputation Aggregator contract address'
+      })
+      .option('oracle', {
+        alias: 'o',
+        type: 'string',
+        description: 'Oracle contract address'
+      })
+      .option('jobids', {
+        alias: 'j',
+        type: 'array',
+        description: 'Job ID strings (as an array)'
+      })
+      .option('fee', {
+        type: 'string',
+        description: 'New oracle fee in LINK'
+      })
+      .option('classes', {
+        alias: 'c',
+        type: 'array',
+        description: 'New class values, replacing the current ones (e.g. --classes 128 129)'
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        default: false,
+        description: 'Show the change without sending transactions'
+      })
+      .demandOption(
+        ['aggregator', 'oracle', 'jobids'],
+        'Please provide the aggregator and oracle addresses and at least one job id.'
+      )
+      .check(args => {
+        if (args.fee === undefined && !args.classes) throw new Error('Please provide --fee and/or --classes.');
+        if (args.classes && (args.classes.length === 0 || args.classes.length > 5)) {
+          throw new Error('Between 1 and 5 classes are required.');
+        }
+        return true;
+      })
+      .help()
+      .argv;
+
+    const accounts = await web3.eth.getAccounts();
+    const batch = await openTransactionBatch(web3, argv, 'update-oracle');
+    const caller = batch ? batch.from : accounts[0];
+    console.log('Using caller account:', caller);
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log('Derived ReputationKeeper address:', keeper.address);
+
+    // Authorization: keeper owner or oracle contract owner.
+    const keeperOwner = await keeper.owner();
+    if (caller.toLowerCase() !== keeperOwner.toLowerCase()) {
+      const oracleOwner = await new ChainlinkOperator(web3, argv.oracle).owner();
+      if (caller.toLowerCase() !== oracleOwner.toLowerCase()) {
+        return callback(new Error('Not authorized: the caller must be the ReputationKeeper owner or the oracle contract owner'));
+      }
+    }
+
+    const newFee = argv.fee !== undefined ? web3.utils.toWei(String(argv.fee), 'ether') : null;
+    const newClasses = argv.classes ? argv.classes.map(Number) : null;
+    const sameClasses = (a, b) => [...a].sort((x, y) => x - y).join(',') === [...b].sort((x, y) => x - y).join(',');
+    const send = method => sendOrBatch(keeper, method, { from: caller, batch });
+
+    for (const jobIdString of argv.jobids.map(String)) {
+      const jobId = encodeJobId(web3, jobIdString);
+      if (!(await keeper.isRegistered(argv.oracle, jobId))) {
+        console.log(`\nJob ${jobIdString}: not registered, skipping.`);
+        continue;
+      }
+      const info = await keeper.getOracleInfo(argv.oracle, jobId);
+      const classes = (await keeper.getOracleClasses(argv.oracle, jobId)).map(Number);
+
+      const feeChange = newFee !== null && newFee !== info.fee;
+      const classesChange = newClasses !== null && !sameClasses(newClasses, classes);
+      console.log(`\nJob ${jobIdString}:`);
+      console.log(`  fee:     ${web3.utils.fromWei(info.fee, 'ether')} LINK` +
+        (feeChange ? ` -> ${web3.utils.fromWei(newFee, 'ether')} LINK` : ' (unchanged)'));
+      console.log(`  classes: ${classes.join(', ')}` +
+        (classesChange ? ` -> ${newClasses.join(', ')}` : ' (unchanged)'));
+
+      if (!feeChange && !classesChange) {
+        console.log('  Nothing to update.');
+        continue;
+      }
+      if (argv.dryRun) continue;
+
+      if (feeChange) {
+        const tx = await send(keeper.methods.updateOracleFee(argv.oracle, jobId, newFee));
+        if (tx) console.log('  Fee updated, tx:', tx.transactionHash);
+      }
+      if (classesChange) {
+        const tx = await send(keeper.methods.updateOracleClasses(argv.oracle, jobId, newClasses));
+        if (tx) console.log('  Classes updated, tx:', tx.transactionHash);
+      }
+    }
+
+    if (argv.dryRun) {
+      console.log('\nDry run: no transactions sent.');
+    } else if (batch) {
+      saveTransactionBatch(batch);
+    }
+    callback();
+  } catch (error) {
+    console.error('Error during oracle update:', error);
+    callback(error);
+  }
+};
@@ -1,55 +1,17 @@
 // Withdraws LINK from the Ranking Aggregator. To run it, enter the aggregator contract address and withdraw address as follows:
 // truffle exec scripts/withdraw-link-from-aggregator.js -a 0xbabE69DdF8CBbe63fEDB6f49904efB35522667Af -d 0xYourDepositAddress --network base_sepolia
 //
+// If the aggregator is owned by a Safe, add --safe 0xSafeAddress --safe-batch withdraw-link.json
+// to write the withdrawal as a Safe Transaction Builder batch instead of sending it.
+//
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
-const AggregatorABI = [
-  {
-    "inputs": [],
-    "name": "getContractConfig",
-    "outputs": [
-      { "name": "oracleAddr", "type": "address" },
-      { "name": "linkAddr", "type": "address" },
-      { "name": "jobId", "type": "bytes32" },
-      { "name": "fee", "type": "uint256" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address payable",
-        "name": "_to",
-        "type": "address"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_amount",
-        "type": "uint256"
-      }
-    ],
-    "name": "withdrawLink",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  }
-];
-
-const LinkTokenABI = [
-  {
-    "constant": true,
-    "inputs": [{"name": "account", "type": "address"}],
-    "name": "balanceOf",
-    "outputs": [{"name": "", "type": "uint256"}],
-    "type": "function"
-  }
-];
+const { VerdiktaAggregator, withProfile, withTransactionBatch, openTransactionBatch, saveTransactionBatch } = require('../lib');
 
 module.exports = async function(callback) {
   try {
-    const argv = yargs(hideBin(process.argv))
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
       .option('aggregator', {
         alias: 'a',
         type: 'string',
@@ -65,22 +27,20 @@ module.exports = async function(callback) {
 
     // Get account that will send the transaction
     const accounts = await web3.eth.getAccounts();
-    const sender = accounts[0];
+    const batch = await openTransactionBatch(web3, argv, 'withdraw-link-from-aggregator');
+    const sender = batch ? batch.from : accounts[0];
     console.log(`Using account: ${sender}`);
 
     console.log(`\nConnecting to Aggregator at: ${argv.aggregator}`);
-    const aggregator = new web3.eth.Contract(AggregatorABI, argv.aggregator);
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
 
     console.log('\nTrying to get LINK token address...');
     try {
-      const config = await aggregator.methods.getContractConfig().call();
-      const linkTokenAddress = config.linkAddr;
-      console.log(`LINK token address: ${linkTokenAddress}`);
-
-      const linkToken = new web3.eth.Contract(LinkTokenABI, linkTokenAddress);
+      const linkToken = await aggregator.linkToken();
+      console.log(`LINK token address: ${linkToken.address}`);
       
       console.log('\nChecking LINK balance...');
-      const balance = await linkToken.methods.balanceOf(argv.aggregator).call();
+      const balance = await linkToken.balanceOf(argv.aggregator);
       console.log(`LINK balance: ${web3.utils.fromWei(balance, 'ether')} LINK`);
 
       if (balance === '0') {
@@ -94,6 +54,13 @@ module.exports = async function(callback) {
       console.log(`To: ${argv.deposit}`);
       console.log(`Amount: ${web3.utils.fromWei(balance, 'ether')} LINK`);
 
+      if (batch) {
+        await batch.add(aggregator, aggregator.methods.withdrawLink(argv.deposit, balance));
+        saveTransactionBatch(batch);
+        callback();
+        return;
+      }
+
       const gas = await aggregator.methods.withdrawLink(argv.deposit, balance)
         .estimateGas({ from: sender });
       console.log(`Estimated gas: ${gas}`);
@@ -109,8 +76,8 @@ module.exports = async function(callback) {
       console.log('TX Hash:', result.transactionHash);
 
       // Verify final balances
-      const newBalance = await linkToken.methods.balanceOf(argv.aggregator).call();
-      const depositBalance = await linkToken.methods.balanceOf(argv.deposit).call();
+      const newBalance = await linkToken.balanceOf(argv.aggregator);
+      const depositBalance = await linkToken.balanceOf(argv.deposit);
       console.log('\nFinal balances:');
       console.log(`Aggregator: ${web3.utils.fromWei(newBalance, 'ether')} LINK`);
       console.log(`Deposit address: ${web3.utils.fromWei(depositBalance, 'ether')} LINK`);
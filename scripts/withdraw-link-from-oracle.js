@@ -4,70 +4,17 @@
 // Here is an example using Base Sepoia:
 // truffle exec scripts/withdraw-link-from-oracle.js -a 0xD67D6508D4E5611cd6a463Dd0969Fa153Be91101 -d 0xFBDE840eb654E0f8B9F3e6c69C354B309A9ffE6b -l 0xE4aB69C077896252FAFBD49EFD26B5D171A32410 --network base_sepolia
 // Note you might have to change the index in sender = accounts[0] below to use another account configured for Truffle
+// If the operator is owned by a Safe, add --safe 0xSafeAddress --safe-batch withdraw-link.json
+// to write the withdrawal as a Safe Transaction Builder batch instead of sending it.
 
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
-const OperatorABI = [
-  {
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address payable",
-        "name": "_recipient",
-        "type": "address"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_amount",
-        "type": "uint256"
-      }
-    ],
-    "name": "withdraw",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "withdrawable",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-const LinkTokenABI = [
-  {
-    "constant": true,
-    "inputs": [{ "name": "account", "type": "address" }],
-    "name": "balanceOf",
-    "outputs": [{ "name": "", "type": "uint256" }],
-    "type": "function"
-  }
-];
+const { ChainlinkOperator, LinkToken, withProfile, withTransactionBatch, openTransactionBatch, saveTransactionBatch } = require('../lib');
 
 module.exports = async function(callback) {
   try {
-    const argv = yargs(hideBin(process.argv))
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv)), ['link']))
       .option('operator', {
         alias: 'a',
         type: 'string',
@@ -93,14 +40,15 @@ module.exports = async function(callback) {
 
     // Get account that will send the transaction
     const accounts = await web3.eth.getAccounts();
-    const sender = accounts[0]; // change this to another index if needed
+    const batch = await openTransactionBatch(web3, argv, 'withdraw-link-from-oracle');
+    const sender = batch ? batch.from : accounts[0]; // change this to another index if needed
     console.log(`Using account: ${sender}`);
 
     console.log(`\nConnecting to Operator at: ${argv.operator}`);
-    const operator = new web3.eth.Contract(OperatorABI, argv.operator);
+    const operator = new ChainlinkOperator(web3, argv.operator);
 
     // These lines get and print owner and sender addresses
-    const ownerAddress = await operator.methods.owner().call();
+    const ownerAddress = await operator.owner();
     console.log(`\nOracle owner address: ${ownerAddress}`);
     console.log(`Sender address: ${sender}`);
     console.log(`Are they the same? ${ownerAddress.toLowerCase() === sender.toLowerCase() ? 'Yes' : 'No'}`);
@@ -109,14 +57,14 @@ module.exports = async function(callback) {
     const linkTokenAddress = argv.link;
     console.log(`LINK token address provided: ${linkTokenAddress}`);
 
-    const linkToken = new web3.eth.Contract(LinkTokenABI, linkTokenAddress);
+    const linkToken = new LinkToken(web3, linkTokenAddress);
 
     console.log('\nChecking LINK balance in the Operator contract...');
-    const totalBalance = await linkToken.methods.balanceOf(argv.operator).call();
+    const totalBalance = await linkToken.balanceOf(argv.operator);
     console.log(`Total LINK balance: ${web3.utils.fromWei(totalBalance, 'ether')} LINK`);
 
     // Instead of using the total balance, get the withdrawable amount.
-    const withdrawableAmount = await operator.methods.withdrawable().call();
+    const withdrawableAmount = await operator.withdrawable();
     console.log(`Withdrawable LINK balance: ${web3.utils.fromWei(withdrawableAmount, 'ether')} LINK`);
 
     if (withdrawableAmount === '0') {
@@ -129,6 +77,12 @@ module.exports = async function(callback) {
     console.log(`To: ${argv.deposit}`);
     console.log(`Amount: ${web3.utils.fromWei(withdrawableAmount, 'ether')} LINK`);
 
+    if (batch) {
+      await batch.add(operator, operator.methods.withdraw(argv.deposit, withdrawableAmount));
+      saveTransactionBatch(batch);
+      return callback();
+    }
+
     const estimatedGas = await operator.methods.withdraw(argv.deposit, withdrawableAmount)
       .estimateGas({ from: sender });
     console.log(`Estimated gas: ${estimatedGas}`);
@@ -144,8 +98,8 @@ module.exports = async function(callback) {
     console.log('TX Hash:', result.transactionHash);
 
     // Verify final balances
-    const operatorFinalBalance = await linkToken.methods.balanceOf(argv.operator).call();
-    const depositFinalBalance = await linkToken.methods.balanceOf(argv.deposit).call();
+    const operatorFinalBalance = await linkToken.balanceOf(argv.operator);
+    const depositFinalBalance = await linkToken.balanceOf(argv.deposit);
     console.log('\nFinal balances:');
     console.log(`Operator: ${web3.utils.fromWei(operatorFinalBalance, 'ether')} LINK`);
     console.log(`Deposit address: ${web3.utils.fromWei(depositFinalBalance, 'ether')} LINK`);
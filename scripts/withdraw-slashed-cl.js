@@ -0,0 +1,105 @@
+// scripts/withdraw-slashed-cl.js
+// Withdraws slashed wVDKA from the ReputationKeeper to its treasury. Oracle
+// stakes are not touched. The caller must be the keeper owner or the treasury.
+//
+// Usage example (withdraw everything):
+// truffle exec scripts/withdraw-slashed-cl.js -a 0xAggregatorAddress --network base_sepolia
+//
+// Withdraw part of it, optionally setting a new treasury first (owner only):
+// truffle exec scripts/withdraw-slashed-cl.js -a 0xAggregatorAddress \
+//   --amount 25 --treasury 0xTreasuryAddress --network base_sepolia
+//
+// Add --safe 0xSafeAddress --safe-batch withdraw-batch.json to write the calls
+// as a Safe Transaction Builder batch instead of sending them.
+//
+// setTreasury is timelocked: once the keeper's timelockDelay is above 0 a new
+// treasury is queued with scripts/timelock-cl.js instead of --treasury.
+
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+const {
+  VerdiktaAggregator,
+  WrappedVdka,
+  timelockDelay,
+  sendOrBatch,
+  withProfile,
+  withTransactionBatch,
+  openTransactionBatch,
+  saveTransactionBatch
+} = require('../lib');
+
+module.exports = async function(callback) {
+  try {
+    const argv = withTransactionBatch(withProfile(yargs(hideBin(process.argv))))
+      .option('aggregator', {
+        alias: 'a',
+        type: 'string',
+        description: 'Reputation Aggregator contract address',
+        demandOption: true
+      })
+      .option('amount', {
+        type: 'string',
+        description: 'wVDKA to withdraw (default: all slashed funds)'
+      })
+      .option('treasury', {
+        alias: 't',
+        type: 'string',
+        description: 'Set this treasury address before withdrawing (owner only)'
+      })
+      .help()
+      .argv;
+
+    const accounts = await web3.eth.getAccounts();
+    const batch = await openTransactionBatch(web3, argv, 'withdraw-slashed');
+    const sender = batch ? batch.from : accounts[0];
+    console.log(`Using account: ${sender}`);
+
+    const aggregator = new VerdiktaAggregator(web3, argv.aggregator);
+    const keeper = await aggregator.keeper();
+    console.log('Derived ReputationKeeper address:', keeper.address);
+    const stakeToken = new WrappedVdka(web3, await keeper.verdiktaToken());
+
+    const send = method => sendOrBatch(keeper, method, { from: sender, batch });
+
+    if (argv.treasury) {
+      if (BigInt(await timelockDelay(keeper)) > 0n) {
+        return callback(new Error('setTreasury is timelocked on this keeper; queue it with ' +
+          `scripts/timelock-cl.js -a ${argv.aggregator} --queue keeper setTreasury ${argv.treasury}`));
+      }
+      const result = await send(keeper.methods.setTreasury(argv.treasury));
+      console.log(`Treasury set to ${argv.treasury}, ${result ? `tx: ${result.transactionHash}` : 'added to the batch'}`);
+    }
+    const treasury = batch && argv.treasury ? argv.treasury : await keeper.treasury();
+    console.log('Treasury:', treasury);
+
+    const slashedFunds = await keeper.slashedFunds();
+    console.log(`Slashed funds: ${web3.utils.fromWei(slashedFunds, 'ether')} wVDKA`);
+    const amount = argv.amount !== undefined ? web3.utils.toWei(String(argv.amount), 'ether').toString() : slashedFunds;
+    if (amount === '0') {
+      console.log('No slashed funds to withdraw');
+      if (batch) saveTransactionBatch(batch);
+      return callback();
+    }
+    if (BigInt(amount) > BigInt(slashedFunds)) {
+      return callback(new Error('Amount exceeds slashed funds'));
+    }
+
+    // A treasury set in the same batch must be in place before the withdrawal.
+    const result = await sendOrBatch(keeper, keeper.methods.withdrawSlashed(amount), {
+      from: sender,
+      batch,
+      dependsOnBatch: Boolean(argv.treasury)
+    });
+    if (batch) {
+      saveTransactionBatch(batch);
+      return callback();
+    }
+    console.log(`Withdrew ${web3.utils.fromWei(amount, 'ether')} wVDKA, tx: ${result.transactionHash}`);
+    console.log(`Treasury balance: ${web3.utils.fromWei(await stakeToken.balanceOf(treasury), 'ether')} wVDKA`);
+    callback();
+  } catch (error) {
+    console.error('Error withdrawing slashed funds:', error);
+    callback(error);
+  }
+};
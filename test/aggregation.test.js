@@ -0,0 +1,287 @@
+// test/aggregation.test.js
+// End-to-end aggregation: requests go out through MockOperator contracts and are
+// answered by MockOracleResponder, so fulfill, _finalizeAggregation,
+// _processPollSlot, _payBonus and finalizeEvaluationTimeout run as on a live
+// network. Selection draws with replacement, so responses are planned per poll
+// slot and expected score changes are summed per oracle identity.
+const truffleAssert        = require('truffle-assertions');
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+
+const { MockOracleResponder, VerdiktaAggregator } = require('../lib');
+const { advanceTime, deployFixture } = require('./helpers');
+
+// Score changes applied per poll slot at finalization: [quality, timeliness].
+const CLUSTERED   = [4, 4];
+const OUTSIDE     = [-4, 0];
+const NO_RESPONSE = [0, -4];
+
+contract("ReputationAggregator end-to-end aggregation", accounts => {
+  const owner     = accounts[0];
+  const requester = accounts[1];
+  const responderAccount = accounts[2];
+  const { toBN, toWei } = web3.utils;
+  const fee    = toWei("0.05", "ether");
+  const maxFee = toWei("0.1", "ether");
+  const job    = web3.utils.padRight(web3.utils.asciiToHex("e2e"), 64);
+
+  let link, keeper, aggregator, operators;
+
+  const answer = (likelihoods, extra = {}) => ({ likelihoods, ...extra });
+
+  beforeEach(async () => {
+    ({ link, keeper, aggregator, operators } =
+      await deployFixture({ owner, job, fee, operators: 4, responder: responderAccount }));
+    await link.transfer(requester, toWei("10", "ether"), { from: owner });
+  });
+
+  // Send a request and return it with a responder answering slot i with plan[i]
+  // (null for no answer). The justification of slot i is "j-<i>".
+  async function request(plan, allowance) {
+    await link.approve(aggregator.address, allowance || await aggregator.maxTotalFee(maxFee), { from: requester });
+    const tx = await aggregator.requestAIEvaluationWithApproval(
+      ["QmCase"], "", 500, maxFee, toWei("0.01", "ether"), 5, 128, { from: requester }
+    );
+    const requestId = tx.logs.find(l => l.event === "RequestAIEvaluation").args.requestId;
+    const responder = new MockOracleResponder({
+      web3,
+      from: responderAccount,
+      operators,
+      behaviourFor: req => plan[req.slot] ? { ...plan[req.slot], justificationCID: `j-${req.slot}` } : { respond: false },
+      fromBlock: tx.receipt.blockNumber
+    });
+    const first = await responder.tick();
+    const slots = first.requests.map(r => r.operator);
+    assert.equal(slots.length, 4, "one operator request per poll slot");
+    return { requestId, responder, first, slots, fromBlock: tx.receipt.blockNumber };
+  }
+
+  // Scores of every distinct operator in `slots`, optionally at a past block
+  // (responses are answered within request(), so "before" is the request block).
+  async function snapshot(slots, blockNumber = "latest") {
+    const info = {};
+    for (const operator of new Set(slots)) {
+      const r = await keeper.contract.methods.getOracleInfo(operator, job).call({}, blockNumber);
+      info[operator] = { quality: Number(r.qualityScore), timeliness: Number(r.timelinessScore), calls: Number(r.callCount) };
+    }
+    return info;
+  }
+
+  // Check the score changes since `before`, given the outcome of each slot
+  // (null when the slot was not scored).
+  async function assertScoreChanges(before, slots, outcomes) {
+    const expected = {};
+    slots.forEach((operator, slot) => {
+      const e = expected[operator] = expected[operator] || { quality: before[operator].quality, timeliness: before[operator].timeliness, calls: before[operator].calls };
+      if (!outcomes[slot]) return;
+      e.quality += outcomes[slot][0];
+      e.timeliness += outcomes[slot][1];
+      e.calls += 1;
+    });
+    assert.deepEqual(await snapshot(slots), expected);
+  }
+
+  const eventsSince = (name, fromBlock) => aggregator.getPastEvents(name, { fromBlock });
+
+  async function assertBonuses(fromBlock, slots, clusteredSlots) {
+    const bonuses = await eventsSince("BonusPayment", fromBlock);
+    assert.deepEqual(
+      bonuses.map(e => [e.args.operator, e.args.bonusFee.toString()]),
+      clusteredSlots.map(slot => [slots[slot], fee])
+    );
+  }
+
+  it("pays the first closest pair when all oracles agree and rejects the answer after completion", async () => {
+    const same = answer([60, 40]);
+    const { requestId, first, slots, fromBlock } = await request([same, same, same, same]);
+    const before = await snapshot(slots, fromBlock);
+
+    // Responses 1-3 complete the evaluation; the fourth callback reverts.
+    assert.deepEqual(first.fulfilled.map(r => r.success), [true, true, true, false]);
+
+    const [fulfilled] = await eventsSince("FulfillAIEvaluation", fromBlock);
+    assert.equal(fulfilled.args.requestId, requestId);
+    assert.deepEqual(fulfilled.args.aggregatedLikelihoods.map(String), ["60", "40"]);
+    assert.equal(fulfilled.args.combinedJustificationCIDs, "j-0,j-1");
+    assert.lengthOf(await eventsSince("NewOracleResponseRecorded", fromBlock), 3);
+    await assertBonuses(fromBlock, slots, [0, 1]);
+
+    // Slot 2 agrees but is outside the two-member cluster.
+    await assertScoreChanges(before, slots, [CLUSTERED, CLUSTERED, OUTSIDE, NO_RESPONSE]);
+  });
+
+  it("leaves an outlier out of the cluster", async () => {
+    const { requestId, slots, fromBlock } = await request([answer([60, 40]), answer([10, 90]), answer([62, 38]), null]);
+    const before = await snapshot(slots, fromBlock);
+
+    const evaluation = await aggregator.getEvaluation(requestId);
+    assert.deepEqual(evaluation.likelihoods.map(String), ["61", "39"]);
+    assert.equal(evaluation.justificationCID, "j-0,j-2");
+    await assertBonuses(fromBlock, slots, [0, 2]);
+    await assertScoreChanges(before, slots, [CLUSTERED, OUTSIDE, CLUSTERED, NO_RESPONSE]);
+  });
+
+  it("penalizes the outlier and the non-responder", async () => {
+    const plan = [null, answer([60, 40]), answer([58, 42]), answer([20, 80])];
+    const { requestId, slots, fromBlock } = await request(plan);
+    const before = await snapshot(slots, fromBlock);
+
+    const [fulfilled] = await eventsSince("FulfillAIEvaluation", fromBlock);
+    assert.equal(fulfilled.args.requestId, requestId);
+    assert.deepEqual(fulfilled.args.aggregatedLikelihoods.map(String), ["59", "41"]);
+    assert.equal(fulfilled.args.combinedJustificationCIDs, "j-1,j-2");
+    await assertBonuses(fromBlock, slots, [1, 2]);
+    await assertScoreChanges(before, slots, [NO_RESPONSE, CLUSTERED, CLUSTERED, OUTSIDE]);
+  });
+
+  it("ignores responses arriving after requiredResponses", async () => {
+    const plan = [answer([60, 40]), answer([60, 40]), answer([30, 70]), answer([61, 39], { delaySeconds: 30 })];
+    const { requestId, responder, first, slots, fromBlock } = await request(plan);
+    const before = await snapshot(slots, fromBlock);
+    assert.deepEqual(first.fulfilled.map(r => r.success), [true, true, true]);
+    await assertScoreChanges(before, slots, [CLUSTERED, CLUSTERED, OUTSIDE, NO_RESPONSE]);
+    const afterFinalization = await snapshot(slots);
+
+    await advanceTime(30);
+    const late = await responder.tick();
+    assert.lengthOf(late.fulfilled, 1);
+    assert.isFalse(late.fulfilled[0].success, "aggregator callback reverts once complete");
+
+    const agg = await aggregator.aggregatedEvaluations(requestId);
+    assert.equal(agg.responseCount.toNumber(), 3);
+    assert.lengthOf(await eventsSince("NewOracleResponseRecorded", fromBlock), 3);
+    assert.lengthOf(await eventsSince("FulfillAIEvaluation", fromBlock), 1);
+    await assertBonuses(fromBlock, slots, [0, 1]);
+    assert.deepEqual(await snapshot(slots), afterFinalization);
+  });
+
+  it("marks an evaluation failed on timeout with too few responses and penalizes the silent oracles", async () => {
+    const plan = [answer([60, 40]), null, answer([55, 45]), answer([50, 50], { delaySeconds: 400 })];
+    const { requestId, responder, slots, fromBlock } = await request(plan);
+    const before = await snapshot(slots, fromBlock);
+
+    await truffleAssert.reverts(aggregator.finalizeEvaluationTimeout(requestId), "Evaluation not yet timed out");
+    await advanceTime(300);
+    const tx = await aggregator.finalizeEvaluationTimeout(requestId);
+    truffleAssert.eventEmitted(tx, "EvaluationFailed", ev =>
+      ev.aggregatorRequestId === requestId && ev.responseCount.toNumber() === 2 && ev.requiredResponses.toNumber() === 3
+    );
+    truffleAssert.eventNotEmitted(tx, "EvaluationTimedOut");
+
+    // Only the slots that never answered are scored; responders keep their scores.
+    await assertScoreChanges(before, slots, [null, NO_RESPONSE, null, NO_RESPONSE]);
+    assert.lengthOf(await eventsSince("BonusPayment", fromBlock), 0);
+    assert.lengthOf(await eventsSince("FulfillAIEvaluation", fromBlock), 0);
+
+    const agg = await aggregator.aggregatedEvaluations(requestId);
+    assert.isTrue(agg.failed);
+    assert.isFalse(agg.isComplete);
+    const evaluation = await aggregator.getEvaluation(requestId);
+    assert.isTrue(evaluation.failed);
+    assert.isTrue(evaluation.exists);
+    assert.lengthOf(evaluation.likelihoods, 0);
+
+    // A late answer and a second timeout call are both rejected.
+    await advanceTime(100);
+    const late = await responder.tick();
+    assert.lengthOf(late.fulfilled, 1);
+    assert.isFalse(late.fulfilled[0].success, "aggregator callback reverts once failed");
+    await truffleAssert.reverts(aggregator.finalizeEvaluationTimeout(requestId), "Evaluation already failed");
+    assert.equal((await aggregator.aggregatedEvaluations(requestId)).responseCount.toNumber(), 2);
+  });
+
+  it("lists timed-out requests that cannot complete until they are marked failed", async () => {
+    const client = new VerdiktaAggregator(web3, aggregator.address, { abi: ReputationAggregator.abi });
+    const stuck = await request([answer([60, 40]), null, null, null]);
+    const done  = await request([answer([60, 40]), answer([60, 40]), answer([60, 40]), null]);
+    assert.isTrue((await aggregator.aggregatedEvaluations(done.requestId)).isComplete);
+    assert.lengthOf(await client.findStuckRequests({ fromBlock: stuck.fromBlock }), 0, "not timed out yet");
+
+    await advanceTime(300);
+    const found = await client.findStuckRequests({ fromBlock: stuck.fromBlock });
+    assert.deepEqual(found.map(r => [r.requestId, r.responseCount, r.requiredResponses]), [[stuck.requestId, "1", "3"]]);
+
+    await aggregator.finalizeEvaluationTimeout(stuck.requestId);
+    assert.lengthOf(await client.findStuckRequests({ fromBlock: stuck.fromBlock }), 0);
+  });
+
+  it("reports the request status through each state", async () => {
+    const client = new VerdiktaAggregator(web3, aggregator.address, { abi: ReputationAggregator.abi });
+    const unknown = await client.getRequestStatus(web3.utils.padRight("0x01", 64));
+    assert.equal(unknown.state, "unknown");
+    assert.lengthOf(unknown.slots, 0);
+
+    // Pending with no responses is distinguishable from an unknown ID.
+    const silent = await request([null, null, null, null]);
+    let status = await client.getRequestStatus(silent.requestId);
+    const started = Number((await web3.eth.getBlock(silent.fromBlock)).timestamp);
+    assert.include(status, {
+      state: "pending", requester, startTimestamp: String(started), deadline: String(started + 300),
+      responseCount: "0", requiredResponses: "3", expectedResponses: "4", clusterSize: "2"
+    });
+    assert.deepEqual(status.slots.map(s => s.oracle), silent.slots);
+    assert.deepEqual(status.slots.map(s => s.responded), [false, false, false, false]);
+    assert.equal(status.totalFee, toBN(fee).muln(4).toString());
+
+    await advanceTime(300);
+    assert.equal((await client.getRequestStatus(silent.requestId)).state, "expired");
+    await aggregator.finalizeEvaluationTimeout(silent.requestId);
+    assert.equal((await client.getRequestStatus(silent.requestId)).state, "failed");
+
+    const done = await request([answer([60, 40]), null, answer([60, 40]), answer([61, 39])]);
+    status = await client.getRequestStatus(done.requestId);
+    assert.equal(status.state, "complete");
+    assert.deepEqual(status.slots.map(s => s.responded), [true, false, true, true]);
+    assert.equal(status.slots[1].responseTimestamp, "0");
+    assert.isAbove(Number(status.slots[0].responseTimestamp), 0);
+    assert.deepEqual(status.slots[0].classes, ["128"]);
+  });
+
+  it("has nothing left to finalize on timeout once requiredResponses have answered", async () => {
+    // fulfill finalizes as soon as requiredResponses answers are recorded, so
+    // an evaluation with enough responses is already complete at the timeout.
+    const { requestId, slots, fromBlock } = await request([answer([60, 40]), answer([58, 42]), answer([20, 80]), null]);
+    const before = await snapshot(slots);
+
+    await advanceTime(300);
+    await truffleAssert.reverts(aggregator.finalizeEvaluationTimeout(requestId), "Aggregation already completed");
+    assert.lengthOf(await eventsSince("EvaluationTimedOut", fromBlock), 0);
+    assert.lengthOf(await eventsSince("FulfillAIEvaluation", fromBlock), 1);
+    assert.deepEqual(await snapshot(slots), before);
+  });
+
+  it("rolls back the finalizing response when the bonus transferFrom fails", async () => {
+    const pollFees = toBN(fee).muln(4);
+    const plan = [answer([60, 40]), answer([20, 80]), answer([40, 60]), answer([61, 39], { delaySeconds: 30 })];
+    const balanceBefore = await link.balanceOf(requester);
+    // Allowance covers the poll fees only.
+    const { requestId, responder, first, slots, fromBlock } = await request(plan, pollFees);
+    const before = await snapshot(slots, fromBlock);
+
+    assert.deepEqual(first.fulfilled.map(r => r.success), [true, true, false]);
+    let agg = await aggregator.aggregatedEvaluations(requestId);
+    assert.equal(agg.responseCount.toNumber(), 2, "third response is rolled back");
+    assert.isFalse(agg.isComplete);
+    assert.lengthOf(await eventsSince("BonusPayment", fromBlock), 0);
+    assert.deepEqual(await snapshot(slots), before);
+
+    // With the bonus allowance in place the fourth response finalizes; slot 2's
+    // operator commitment is spent, so it counts as not responding.
+    await link.approve(aggregator.address, toBN(fee).muln(2), { from: requester });
+    await advanceTime(30);
+    const second = await responder.tick();
+    assert.deepEqual(second.fulfilled.map(r => r.success), [true]);
+
+    agg = await aggregator.aggregatedEvaluations(requestId);
+    assert.isTrue(agg.isComplete);
+    const evaluation = await aggregator.getEvaluation(requestId);
+    assert.deepEqual(evaluation.likelihoods.map(String), ["60", "39"]);
+    assert.equal(evaluation.justificationCID, "j-0,j-3");
+    await assertBonuses(fromBlock, slots, [0, 3]);
+    await assertScoreChanges(before, slots, [CLUSTERED, OUTSIDE, NO_RESPONSE, CLUSTERED]);
+    assert.equal(
+      balanceBefore.sub(await link.balanceOf(requester)).toString(),
+      toBN(fee).muln(6).toString(),
+      "requester pays four poll fees and two bonuses"
+    );
+  });
+});
@@ -0,0 +1,154 @@
+// test/alerts.test.js
+const http = require('http');
+
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+
+const { VerdiktaKeeper, LinkToken, AlertWatcher, webhookNotifier, validateRules } = require('../lib');
+
+contract("AlertWatcher (watch-mode alert rules)", accounts => {
+  let keeper, token, server, url, watcher;
+  const received = [];
+  const owner = accounts[0];
+  const [oracleA, oracleB, requester, spender] = [accounts[1], accounts[2], accounts[5], accounts[6]];
+  const fee   = web3.utils.toWei("0.01", "ether");
+  const one   = web3.utils.toWei("1", "ether");
+  const job1  = web3.utils.padRight(web3.utils.asciiToHex("job1"), 64);
+
+  const rpc = (method, params = []) => new Promise((resolve, reject) =>
+    web3.currentProvider.send(
+      { jsonrpc: "2.0", method, params, id: Date.now() },
+      (err, res) => (err ? reject(err) : resolve(res.result))
+    )
+  );
+  const summary = alerts => alerts.map(a => `${a.rule}:${a.status}`).sort();
+
+  before(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    await token.approve(keeper.address, web3.utils.toWei("1000", "ether"), { from: owner });
+    await keeper.approveContract(owner, { from: owner });
+    for (const oracle of [oracleA, oracleB]) {
+      await keeper.registerOracle(oracle, job1, fee, [128], { from: owner });
+    }
+    await keeper.recordUsedOracles([{ oracle: oracleA, jobId: job1, classes: [128] }], { from: owner });
+
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        received.push(JSON.parse(body));
+        res.end("ok");
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/alerts`;
+
+    watcher = new AlertWatcher({
+      keeper: new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi }),
+      // Any ERC20 will do for the LINK balance and allowance rules.
+      linkToken: new LinkToken(web3, token.address, { abi: VerdiktaToken.abi }),
+      rules: [
+        { type: "slashed" },
+        { type: "min-eligible", class: 128, min: 2, maxFee: fee },
+        { type: "link-balance", account: requester, min: one },
+        { type: "allowance", owner: requester, spender, min: one }
+      ],
+      notifiers: [webhookNotifier(url)]
+    });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it("rejects malformed rules", () => {
+    assert.throws(() => validateRules([{ type: "gas-price" }]), /Unknown alert rule type/);
+    assert.throws(() => validateRules([{ type: "min-eligible", min: 1 }]), /needs a "class"/);
+    assert.throws(() => validateRules([{ type: "allowance", min: 1 }]), /needs an "owner"/);
+  });
+
+  it("fires condition alerts once and delivers them to the webhook", async () => {
+    const alerts = await watcher.check();
+    assert.deepEqual(summary(alerts), ["allowance:firing", "link-balance:firing"]);
+    assert.equal(received.length, 2);
+    assert.equal(received[0].source, "verdikta-monitor");
+    assert.include(received.map(a => a.key), `link-balance:${requester.toLowerCase()}`);
+
+    // Still failing on the next block: suppressed.
+    await rpc("evm_mine");
+    assert.deepEqual(await watcher.check(), []);
+    assert.equal(received.length, 2);
+  });
+
+  it("alerts once per slashing and on the eligibility drop it causes", async () => {
+    await keeper.updateScores(oracleA, job1, -50, 0, { from: owner });
+    const alerts = await watcher.check();
+    assert.deepEqual(summary(alerts), ["min-eligible:firing", "slashed:firing"]);
+    const slashed = alerts.find(a => a.rule === "slashed");
+    assert.equal(slashed.details.oracle, oracleA);
+    assert.isTrue(slashed.details.blocked);
+    assert.equal(alerts.find(a => a.rule === "min-eligible").details.eligible, 1);
+
+    // Further blocks (and further score updates while locked) stay quiet.
+    await keeper.updateScores(oracleA, job1, -5, 0, { from: owner });
+    await rpc("evm_mine");
+    assert.deepEqual(await watcher.check(), []);
+    assert.equal(received.length, 4);
+    assert.equal(watcher.seen.size, 0, "event keys of earlier blocks are dropped");
+  });
+
+  it("sends a resolved alert when a condition clears", async () => {
+    await token.transfer(requester, web3.utils.toWei("2", "ether"), { from: owner });
+    await token.approve(spender, one, { from: requester });
+    const alerts = await watcher.check();
+    assert.deepEqual(summary(alerts), ["allowance:resolved", "link-balance:resolved"]);
+    assert.equal(received[received.length - 1].status, "resolved");
+  });
+
+  it("tracks min-eligible per rule and class, and fires again after recovering", async () => {
+    const oracleC = accounts[3];
+    const perClass = new AlertWatcher({
+      keeper: new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi }),
+      rules: [
+        { type: "min-eligible", class: 128, min: 2, maxFee: fee },
+        { type: "min-eligible", class: 128, min: 1, maxFee: fee },
+        { type: "min-eligible", class: [128, 129], min: 1, maxFee: fee }
+      ]
+    });
+    const firing = alerts => alerts.map(a => `${a.key}:${a.status}`);
+    // oracleA is still locked, so class 128 has one eligible oracle and 129 none.
+    assert.deepEqual(firing(await perClass.check()), ["min-eligible:0:128:firing", "min-eligible:2:129:firing"]);
+
+    await keeper.registerOracle(oracleC, job1, fee, [129], { from: owner });
+    assert.deepEqual(firing(await perClass.check()), ["min-eligible:2:129:resolved"]);
+    await keeper.deregisterOracle(oracleC, job1, { from: owner });
+    assert.deepEqual(firing(await perClass.check()), ["min-eligible:2:129:firing"]);
+    assert.throws(() => validateRules([{ type: "min-eligible", class: [], min: 1 }]), /needs a "class"/);
+  });
+
+  it("repeats a failing condition after repeatAfter seconds", async () => {
+    const repeating = new AlertWatcher({
+      keeper: new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi }),
+      rules: [{ type: "min-eligible", class: 128, min: 2, maxFee: fee }],
+      repeatAfter: 600
+    });
+    assert.equal((await repeating.check()).length, 1);
+    assert.equal((await repeating.check()).length, 0);
+    await rpc("evm_increaseTime", [601]);
+    await rpc("evm_mine");
+    assert.equal((await repeating.check()).length, 1);
+  });
+
+  it("logs a failing webhook without stopping other notifiers", async () => {
+    const logs = [];
+    const delivered = [];
+    const failing = new AlertWatcher({
+      keeper: new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi }),
+      rules: [{ type: "min-eligible", class: 128, min: 5, maxFee: fee }],
+      notifiers: [webhookNotifier("http://127.0.0.1:1/alerts"), async alert => delivered.push(alert)],
+      log: message => logs.push(message)
+    });
+    await failing.check();
+    assert.equal(delivered.length, 1);
+    assert(logs.some(m => m.startsWith("Alert notification failed")));
+  });
+});
@@ -0,0 +1,102 @@
+// test/cluster.test.js
+const {
+  calculateDistance,
+  findBestCluster,
+  replayFinalization,
+  decodeFulfillCalls
+} = require('../lib');
+
+contract("Cluster replay (off-chain port of _finalizeAggregation)", accounts => {
+  const fee   = web3.utils.toWei("0.01", "ether");
+  const slots = [1, 2, 3, 4].map(i => ({ oracle: accounts[i], jobId: web3.utils.padRight(web3.utils.asciiToHex(`job${i}`), 64), fee }));
+  const resp  = (pollIndex, likelihoods, cid = `Qm${pollIndex}`) =>
+    ({ pollIndex, likelihoods: likelihoods.map(String), justificationCID: cid, operator: slots[pollIndex].oracle });
+
+  it("computes squared distances and rejects mismatched lengths", () => {
+    assert.equal(calculateDistance(["60", "40"], ["58", "42"]).toString(), "8");
+    assert.equal(calculateDistance(["0", "100"], ["100", "0"]).toString(), "20000");
+    assert.throws(() => calculateDistance(["1"], ["1", "2"]), /Array length mismatch/);
+  });
+
+  it("keeps the first closest pair on ties", () => {
+    const responses = [resp(0, [50, 50]), resp(1, [52, 48]), resp(2, [48, 52])];
+    const { best, clusterResults, pairs } = findBestCluster(responses, [0, 1, 2]);
+    assert.equal(pairs.length, 3);
+    assert.deepEqual([best.responseA, best.responseB], [0, 1]);
+    assert.deepEqual(clusterResults, [1, 1, 0]);
+  });
+
+  it("scores clustered, outlier and silent slots like _processPollSlot", () => {
+    const responses = [resp(2, [60, 40]), resp(0, [10, 90]), resp(1, [58, 42])];
+    const replay = replayFinalization({ slots, responses, requiredResponses: 3 });
+
+    assert.deepEqual(
+      replay.slotOutcomes.map(o => [o.outcome, o.qualityChange, o.timelinessChange, o.bonus]),
+      [
+        ["outside cluster", -4, 0, "0"],
+        ["in cluster", 4, 4, fee],
+        ["in cluster", 4, 4, fee],
+        ["no response", 0, -4, "0"]
+      ]
+    );
+    assert.deepEqual(replay.aggregatedLikelihoods, ["59", "41"]);
+    assert.equal(replay.combinedJustificationCIDs, "Qm2,Qm1");
+  });
+
+  it("penalises timeliness for responses beyond requiredResponses", () => {
+    const responses = [resp(0, [70, 30]), resp(1, [70, 30]), resp(3, [71, 29])];
+    const replay = replayFinalization({ slots, responses, requiredResponses: 2 });
+    assert.deepEqual(replay.selectedIndices, [0, 1]);
+    assert.equal(replay.slotOutcomes[3].outcome, "responded, not selected");
+    assert.equal(replay.slotOutcomes[3].timelinessChange, -4);
+    assert.deepEqual(replay.aggregatedLikelihoods, ["70", "30"]);
+  });
+
+  it("skips inactive slots without dropping their CIDs", () => {
+    const responses = [resp(0, [80, 20]), resp(1, [81, 19]), resp(2, [10, 90])];
+    const replay = replayFinalization({ slots, responses, requiredResponses: 3, inactiveSlots: new Set([1]) });
+    assert.equal(replay.slotOutcomes[1].outcome, "inactive at finalization (skipped)");
+    assert.equal(replay.slotOutcomes[1].qualityChange, 0);
+    assert.equal(replay.clusterCount, 1);
+    assert.deepEqual(replay.aggregatedLikelihoods, ["80", "20"]);
+    assert.equal(replay.combinedJustificationCIDs, "Qm0,Qm1");
+  });
+
+  it("forms no cluster from a single selected response", () => {
+    const replay = replayFinalization({ slots, responses: [resp(0, [50, 50])], requiredResponses: 1 });
+    assert.isNull(replay.clustering);
+    assert.equal(replay.slotOutcomes[0].outcome, "outside cluster");
+    // Nothing is clustered, so the aggregate stays zeroed.
+    assert.deepEqual(replay.aggregatedLikelihoods, ["0", "0"]);
+    assert.equal(replay.combinedJustificationCIDs, "");
+  });
+
+  it("decodes fulfill calldata sent directly, through an Operator and through a forwarder", () => {
+    const abi = web3.eth.abi;
+    const requestId = web3.utils.randomHex(32);
+    const direct = abi.encodeFunctionCall(
+      { name: "fulfill", type: "function", inputs: [
+        { type: "bytes32", name: "id" }, { type: "uint256[]", name: "l" }, { type: "string", name: "cid" }] },
+      [requestId, ["25", "75"], "QmJust"]
+    );
+    const selector = direct.slice(0, 10);
+    const viaOperator = abi.encodeFunctionCall(
+      { name: "fulfillOracleRequest2", type: "function", inputs: [
+        { type: "bytes32", name: "id" }, { type: "uint256", name: "payment" }, { type: "address", name: "cb" },
+        { type: "bytes4", name: "fn" }, { type: "uint256", name: "exp" }, { type: "bytes", name: "data" }] },
+      [requestId, fee, accounts[0], selector, "0", `0x${direct.slice(10)}`]
+    );
+    const viaForwarder = abi.encodeFunctionCall(
+      { name: "forward", type: "function", inputs: [{ type: "address", name: "to" }, { type: "bytes", name: "data" }] },
+      [accounts[0], viaOperator]
+    );
+
+    for (const input of [direct, viaOperator, viaForwarder]) {
+      const [call] = decodeFulfillCalls(web3, input);
+      assert.equal(call.operatorRequestId, requestId);
+      assert.deepEqual(call.likelihoods, ["25", "75"]);
+      assert.equal(call.justificationCID, "QmJust");
+    }
+    assert.deepEqual(decodeFulfillCalls(web3, "0x12345678"), []);
+  });
+});
@@ -0,0 +1,97 @@
+// test/deployments.test.js
+// The per-network deployment registry and --profile address resolution.
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const VerdiktaToken = artifacts.require("VerdiktaToken");
+
+const {
+  loadDeployment,
+  recordDeployment,
+  recordDeployedContract,
+  findDeployBlock,
+  applyProfile,
+  withProfile,
+  listProfiles
+} = require('../lib');
+
+contract("Deployment registry", accounts => {
+  const owner = accounts[0];
+  const link  = "0xE4aB69C077896252FAFBD49EFD26B5D171A32410";
+  let dir, savedDir;
+
+  beforeEach(() => {
+    savedDir = process.env.VERDIKTA_DEPLOYMENTS_DIR;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "verdikta-deployments-"));
+    process.env.VERDIKTA_DEPLOYMENTS_DIR = dir;
+  });
+
+  afterEach(() => {
+    if (savedDir === undefined) delete process.env.VERDIKTA_DEPLOYMENTS_DIR;
+    else process.env.VERDIKTA_DEPLOYMENTS_DIR = savedDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records deployed contracts with their deploy block and transaction", async () => {
+    const token = await VerdiktaToken.new({ from: owner });
+    const receipt = await web3.eth.getTransactionReceipt(token.transactionHash);
+
+    await recordDeployedContract(web3, "local", "wrappedVerdiktaToken", token);
+    recordDeployment("local", "linkToken", { address: link });
+
+    const deployment = loadDeployment("local");
+    assert.equal(deployment.network, "local");
+    assert.equal(deployment.chainId, Number(await web3.eth.getChainId()));
+    assert.deepEqual(deployment.contracts.wrappedVerdiktaToken, {
+      address: token.address,
+      blockNumber: Number(receipt.blockNumber),
+      transactionHash: token.transactionHash
+    });
+    assert.deepEqual(deployment.contracts.linkToken, { address: link, blockNumber: null, transactionHash: null });
+    assert.deepEqual(listProfiles(), ["local"]);
+
+    assert.throws(() => recordDeployment("local", "operator", { address: link }), /Unknown contract operator/);
+    assert.throws(() => recordDeployment("local", "linkToken", { address: "0x1234" }), /Invalid address/);
+    assert.throws(() => loadDeployment("base_sepolia"), /No deployments recorded for base_sepolia.*known profiles: local/);
+  });
+
+  it("fills addresses from the profile, letting explicit flags override", () => {
+    const aggregator = "0x" + "a".repeat(40);
+    const explicit   = "0x" + "b".repeat(40);
+    recordDeployment("base_sepolia", "reputationAggregator", { address: aggregator, blockNumber: 7, transactionHash: "0x01" });
+    recordDeployment("base_sepolia", "linkToken", { address: link });
+
+    assert.deepEqual(applyProfile({ profile: "base_sepolia" }), { profile: "base_sepolia", aggregator, link });
+    assert.equal(applyProfile({ profile: "base_sepolia", aggregator: explicit }).aggregator, explicit);
+    assert.deepEqual(applyProfile({ aggregator: explicit }), { aggregator: explicit }, "no profile, no change");
+    // Only the requested options are filled; the network only when no RPC is given.
+    assert.deepEqual(applyProfile({ profile: "base_sepolia" }, ["aggregator", "network"]),
+      { profile: "base_sepolia", aggregator, network: "base_sepolia" });
+    assert.equal(applyProfile({ profile: "base_sepolia", rpc: "http://x" }, ["network"]).network, undefined);
+
+    const parse = args => withProfile(yargs(args))
+      .option("aggregator", { alias: "a", type: "string", demandOption: true })
+      .option("link", { alias: "l", type: "string" })
+      .exitProcess(false)
+      .fail((msg, err) => { throw err || new Error(msg); })
+      .parse();
+    const argv = parse(["--profile", "base_sepolia", "-l", explicit]);
+    assert.equal(argv.aggregator, aggregator, "satisfies a required option");
+    assert.equal(argv.link, explicit);
+    assert.throws(() => parse([]), /Missing required argument: aggregator/);
+  });
+
+  it("finds a contract's deploy block by address", () => {
+    const keeper = "0x" + "c".repeat(40);
+    recordDeployment("base_sepolia", "reputationKeeper", { address: keeper, blockNumber: 42, transactionHash: "0x01" }, { chainId: 84532 });
+    recordDeployment("base_sepolia-fork", "reputationKeeper", { address: keeper, blockNumber: 90, transactionHash: "0x02" }, { chainId: 84532 });
+    recordDeployment("base_sepolia", "linkToken", { address: link });
+
+    assert.equal(findDeployBlock("0x" + "C".repeat(40)), 42, "any address case");
+    assert.equal(findDeployBlock(keeper, { network: "base_sepolia-fork" }), 90, "the given network first");
+    assert.isNull(findDeployBlock(keeper, { chainId: 1 }), "other chains are skipped");
+    assert.isNull(findDeployBlock(link), "no block recorded");
+    assert.isNull(findDeployBlock("0x" + "d".repeat(40)));
+  });
+});
@@ -0,0 +1,102 @@
+// test/doctor.test.js
+// runDoctor against healthy and broken deployments.
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+const VerdiktaToken        = artifacts.require("VerdiktaToken");
+const MockLinkToken        = artifacts.require("MockLinkToken");
+
+const { VerdiktaAggregator, runDoctor, formatDoctorReport } = require('../lib');
+const { deployFixture } = require('./helpers');
+
+contract("Deployment doctor", accounts => {
+  const owner = accounts[0];
+  const oracles = accounts.slice(1, 5);
+  const { toWei } = web3.utils;
+  const fee = toWei("0.05", "ether");
+  const job = web3.utils.padRight(web3.utils.asciiToHex("job1"), 64);
+  const ZERO = "0x0000000000000000000000000000000000000000";
+
+  let stake, link, keeper, aggregator, client, artifactsDir, savedDir;
+
+  // runDoctor builds keeper and token clients from the addresses it finds, so
+  // give it the test artifacts' ABIs.
+  before(() => {
+    savedDir = process.env.VERDIKTA_ARTIFACTS_DIR;
+    artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), "verdikta-artifacts-"));
+    const abis = {
+      ReputationAggregator: ReputationAggregator.abi,
+      ReputationKeeper: ReputationKeeper.abi,
+      WrappedVerdiktaToken: VerdiktaToken.abi,
+      LinkToken: MockLinkToken.abi
+    };
+    for (const [name, abi] of Object.entries(abis)) {
+      fs.writeFileSync(path.join(artifactsDir, `${name}.json`), JSON.stringify({ abi }));
+    }
+    process.env.VERDIKTA_ARTIFACTS_DIR = artifactsDir;
+  });
+
+  after(() => {
+    if (savedDir === undefined) delete process.env.VERDIKTA_ARTIFACTS_DIR;
+    else process.env.VERDIKTA_ARTIFACTS_DIR = savedDir;
+    fs.rmSync(artifactsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    ({ stake, link, keeper, aggregator } = await deployFixture({ owner, job, fee, oracles, stakeAllowance: "500" }));
+    client = new VerdiktaAggregator(web3, aggregator.address);
+  });
+
+  const byName = results => Object.fromEntries(results.map(r => [r.name, r]));
+
+  it("passes a correctly wired deployment", async () => {
+    const results = await runDoctor({ aggregator: client, wrappedVerdikta: stake.address, link: link.address });
+    assert.deepEqual(results.filter(r => r.status !== "pass"), []);
+    assert.deepEqual(results.map(r => r.name), [
+      "aggregator contract", "aggregator config", "LINK token", "keeper contract",
+      "aggregator approved in keeper", "keeper stake token", "stake reconciliation",
+      "registered oracles", "class 128 eligibility"
+    ]);
+    assert.match(formatDoctorReport(results), /^PASS  aggregator contract +ReputationAggregator at 0x/);
+    assert.match(formatDoctorReport(results), /9 passed, 0 warning\(s\), 0 failed$/);
+  });
+
+  it("fails on wiring mistakes and warns on thin classes", async () => {
+    const other = await VerdiktaToken.new({ from: owner });
+    await keeper.removeContract(aggregator.address, { from: owner });
+    await keeper.deregisterOracle(oracles[0], job, { from: owner });
+    await keeper.registerOracle(oracles[0], job, fee, [129], { from: owner });
+
+    const results = byName(await runDoctor({
+      aggregator: client,
+      wrappedVerdikta: other.address,
+      classes: [130]
+    }));
+    assert.equal(results["aggregator approved in keeper"].status, "fail");
+    assert.equal(results["keeper stake token"].status, "fail");
+    assert.include(results["keeper stake token"].message, `expected wVDKA ${other.address}`);
+    assert.isUndefined(results["stake reconciliation"], "skipped for the wrong stake token");
+    assert.equal(results["class 128 eligibility"].status, "warn");
+    assert.include(results["class 128 eligibility"].message, "3 eligible oracle(s) at maxOracleFee, oraclesToPoll is 4");
+    assert.equal(results["class 129 eligibility"].status, "warn");
+    assert.equal(results["class 130 eligibility"].status, "fail");
+    assert.equal(results["LINK token"].status, "pass");
+  });
+
+  it("stops at a missing keeper and reports an unset LINK token", async () => {
+    const unwired = await ReputationAggregator.new(ZERO, ZERO, { from: owner });
+    const results = await runDoctor({ aggregator: new VerdiktaAggregator(web3, unwired.address) });
+    assert.deepEqual(results.map(r => [r.name, r.status]), [
+      ["aggregator contract", "pass"],
+      ["aggregator config", "pass"],
+      ["LINK token", "fail"],
+      ["keeper contract", "fail"]
+    ]);
+    assert.equal(results[2].message, "The aggregator has no LINK token set");
+
+    const missing = await runDoctor({ aggregator: new VerdiktaAggregator(web3, accounts[9]) });
+    assert.deepEqual(missing.map(r => r.status), ["fail"]);
+  });
+});
@@ -0,0 +1,64 @@
+// test/helpers.js
+// Shared by the suites: JSON-RPC calls to the test node, time travel, and the
+// stake token / LINK / keeper / aggregator deployment most suites start from.
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+const VerdiktaToken        = artifacts.require("VerdiktaToken");
+const MockLinkToken        = artifacts.require("MockLinkToken");
+const MockOperator         = artifacts.require("MockOperator");
+
+const { MockOperator: MockOperatorClient } = require('../lib');
+
+// Send a raw JSON-RPC request (evm_mine, evm_snapshot, ...) and return its result.
+const rpc = (method, params = []) => new Promise((resolve, reject) =>
+  web3.currentProvider.send(
+    { jsonrpc: "2.0", method, params, id: Date.now() },
+    (err, res) => (err ? reject(err) : resolve(res.result))
+  )
+);
+
+const mineBlock = () => rpc("evm_mine");
+
+// Move the chain clock forward and mine a block at the new time.
+async function advanceTime(seconds) {
+  await rpc("evm_increaseTime", [seconds]);
+  await mineBlock();
+}
+
+// Deploy a stake token, a MockLinkToken, a keeper and an aggregator approved
+// in it, then register the oracles on `job` at `fee`:
+// - `oracles`: plain addresses, registered as they are;
+// - `operators`: a number of MockOperator contracts that accept fulfillments
+//   from `responder`, returned in the shape MockOracleResponder takes.
+// The owner approves `stakeAllowance` VDKA for the registration stakes.
+async function deployFixture({
+  owner,
+  job,
+  fee,
+  oracles = [],
+  operators = 0,
+  responder,
+  classes = [128],
+  stakeAllowance = "400"
+}) {
+  const stake      = await VerdiktaToken.new({ from: owner });
+  const link       = await MockLinkToken.new({ from: owner });
+  const keeper     = await ReputationKeeper.new(stake.address, { from: owner });
+  const aggregator = await ReputationAggregator.new(link.address, keeper.address, { from: owner });
+  await keeper.approveContract(aggregator.address, { from: owner });
+  await stake.approve(keeper.address, web3.utils.toWei(stakeAllowance, "ether"), { from: owner });
+
+  for (const oracle of oracles) {
+    await keeper.registerOracle(oracle, job, fee, classes, { from: owner });
+  }
+  const mockOperators = [];
+  for (let i = 0; i < operators; i++) {
+    const operator = await MockOperator.new(link.address, { from: owner });
+    await operator.setAuthorizedSenders([responder], { from: owner });
+    await keeper.registerOracle(operator.address, job, fee, classes, { from: owner });
+    mockOperators.push({ client: new MockOperatorClient(web3, operator.address, { abi: MockOperator.abi }), behaviour: {} });
+  }
+  return { stake, link, keeper, aggregator, operators: mockOperators };
+}
+
+module.exports = { rpc, mineBlock, advanceTime, deployFixture };
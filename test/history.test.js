@@ -0,0 +1,144 @@
+// test/history.test.js
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+
+const {
+  VerdiktaKeeper,
+  readEvents,
+  buildReputationHistory,
+  historyToCsv,
+  historyToWideCsv,
+  KEEPER_HISTORY_EVENTS
+} = require('../lib');
+
+contract("Reputation history (from keeper events)", accounts => {
+  let keeper, token, events, history;
+  const owner = accounts[0];
+  const [oracleA, oracleB] = [accounts[1], accounts[2]];
+  const fee   = web3.utils.toWei("0.01", "ether");
+  const jobId = name => web3.utils.padRight(web3.utils.asciiToHex(name), 64);
+  const job1  = jobId("job1");
+  const job2  = jobId("job2");
+
+  const rpc = (method, params = []) => new Promise((resolve, reject) =>
+    web3.currentProvider.send(
+      { jsonrpc: "2.0", method, params, id: Date.now() },
+      (err, res) => (err ? reject(err) : resolve(res.result))
+    )
+  );
+  const identity = (oracle, job) => ({ oracle, jobId: job, classes: [128] });
+  const score = (oracle, job, q, t) => keeper.updateScores(oracle, job, q, t, { from: owner });
+  const find  = (oracle, job) => history.find(s => s.oracle === oracle && s.jobId === job);
+
+  before(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    await token.approve(keeper.address, web3.utils.toWei("1000", "ether"), { from: owner });
+    await keeper.approveContract(owner, { from: owner });
+
+    // oracleA serves two jobs, oracleB one.
+    await keeper.registerOracle(oracleA, job1, fee, [128], { from: owner });
+    await keeper.registerOracle(oracleA, job2, fee, [128], { from: owner });
+    await keeper.registerOracle(oracleB, job1, fee, [128], { from: owner });
+    await keeper.recordUsedOracles(
+      [identity(oracleA, job1), identity(oracleA, job2), identity(oracleB, job1)],
+      { from: owner }
+    );
+
+    await score(oracleA, job1, 10, 5);
+    await score(oracleA, job2, -3, 0);
+    await score(oracleA, job1, 2, 1);
+    await score(oracleB, job1, 4, 4);
+    await keeper.setOracleActive(oracleB, job1, false, { from: owner });
+    await score(oracleA, job2, -50, 0);   // severe: slashed and blocked
+    await keeper.setOracleActive(oracleB, job1, true, { from: owner });
+    await score(oracleB, job1, -25, 0);   // mild: locked, not blocked
+
+    // Let the locks expire, then deregister and re-register oracleB.
+    await rpc("evm_increaseTime", [3 * 3600]);
+    await rpc("evm_mine");
+    await keeper.deregisterOracle(oracleB, job1, { from: owner });
+    await keeper.registerOracle(oracleB, job1, fee, [128], { from: owner });
+
+    const client = new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi });
+    events = await readEvents(client, { events: KEEPER_HISTORY_EVENTS, chunkSize: 5, timestamps: true });
+    history = buildReputationHistory(events);
+  });
+
+  it("builds one series per oracle identity ending at the on-chain scores", async () => {
+    assert.equal(history.length, 3);
+    for (const [oracle, job] of [[oracleA, job1], [oracleA, job2]]) {
+      const s = find(oracle, job);
+      const info = await keeper.getOracleInfo(oracle, job);
+      const last = s.timeline[s.timeline.length - 1];
+      assert.equal(last.quality, info.qualityScore.toNumber());
+      assert.equal(last.timeliness, info.timelinessScore.toNumber());
+    }
+  });
+
+  it("attributes updates of a multi-job oracle to the right job", () => {
+    const scores = find(oracleA, job2).timeline.filter(t => t.type === "score");
+    assert.deepEqual(scores.map(t => [t.quality, t.qualityChange]), [[-3, -3], [-53, -50]]);
+    assert.deepEqual(
+      find(oracleA, job1).timeline.filter(t => t.type === "score").map(t => [t.quality, t.timeliness]),
+      [[10, 5], [12, 6]]
+    );
+    assert.isTrue(history.every(s => s.timeline.every(t => !t.inferred)));
+  });
+
+  it("infers the job of ScoreUpdated logs without a job ID", () => {
+    // Keepers deployed before ScoreUpdated carried the job ID.
+    const legacy = events.map(e => {
+      if (e.event !== "ScoreUpdated") return e;
+      const { jobId, ...args } = e.args;
+      return { ...e, args };
+    });
+    const inferredHistory = buildReputationHistory(legacy);
+    const scores = (oracle, job) => inferredHistory
+      .find(s => s.oracle === oracle && s.jobId === job)
+      .timeline.filter(t => t.type === "score");
+
+    assert.deepEqual(scores(oracleA, job2).map(t => [t.quality, t.inferred]), [[-3, true], [-53, false]]);
+    assert.deepEqual(scores(oracleA, job1).map(t => [t.quality, t.timeliness]), [[10, 5], [12, 6]]);
+    assert.isFalse(scores(oracleB, job1)[0].inferred, "single registered job");
+  });
+
+  it("marks lock periods, slashes and pauses", () => {
+    const a2 = find(oracleA, job2);
+    assert.equal(a2.locks.length, 1);
+    assert.isTrue(a2.locks[0].blocked);
+    assert.equal(a2.locks[0].slashAmount, web3.utils.toWei("10", "ether"));
+    const slashedPoint = a2.timeline.filter(t => t.type === "score").pop();
+    assert.isTrue(slashedPoint.locked && slashedPoint.blocked);
+
+    const b = find(oracleB, job1);
+    assert.equal(b.locks.length, 1);
+    assert.isFalse(b.locks[0].blocked);
+    assert.equal(b.pauses.length, 1);
+    assert.isNotNull(b.pauses[0].end);
+    assert.includeMembers(b.timeline.map(t => t.type), ["paused", "resumed", "deregistered"]);
+  });
+
+  it("restarts scores on re-registration", () => {
+    const b = find(oracleB, job1);
+    assert.equal(b.registrations.length, 2);
+    assert.isNotNull(b.registrations[0].end);
+    const last = b.timeline[b.timeline.length - 1];
+    assert.equal(last.type, "registered");
+    assert.deepEqual([last.quality, last.timeliness], [0, 0]);
+  });
+
+  it("filters identities and exports long and wide CSV", () => {
+    const selected = buildReputationHistory(events, { identities: [{ oracle: oracleA.toLowerCase(), jobId: null }] });
+    assert.deepEqual(selected.map(s => s.jobId), [job1, job2]);
+    assert.equal(buildReputationHistory(events, { identities: [{ oracle: oracleB, jobId: job2 }] }).length, 0);
+
+    const long = historyToCsv(selected).trim().split("\n");
+    assert.equal(long.length, 1 + selected.reduce((n, s) => n + s.timeline.length, 0));
+    assert(long[0].startsWith("series,oracle,jobId,type"));
+
+    const wide = historyToWideCsv(selected, { label: s => web3.utils.hexToUtf8(s.jobId) }).trim().split("\n");
+    assert.equal(wide[0], "blockNumber,timestamp,time,job1 quality,job1 timeliness,job1 state,job2 quality,job2 timeliness,job2 state");
+    assert.equal(wide[wide.length - 1].split(",").slice(-3).join(","), "-53,0,blocked");
+  });
+});
@@ -0,0 +1,110 @@
+// test/indexer.test.js
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+
+const { VerdiktaKeeper, EventIndexer, JsonlEventStore } = require('../lib');
+
+contract("EventIndexer (chunked, resumable, reorg-aware)", accounts => {
+  let keeper, token, client, dir, startBlock;
+  const owner = accounts[0];
+  const fee   = web3.utils.toWei("0.01", "ether");
+  const jobId = name => web3.utils.padRight(web3.utils.asciiToHex(name), 64);
+
+  const rpc = (method, params = []) => new Promise((resolve, reject) =>
+    web3.currentProvider.send(
+      { jsonrpc: "2.0", method, params, id: Date.now() },
+      (err, res) => (err ? reject(err) : resolve(res.result))
+    )
+  );
+
+  const register = (oracle, name) =>
+    keeper.registerOracle(oracle, jobId(name), fee, [128], { from: owner });
+
+  const newIndexer = (options = {}) => new EventIndexer({
+    web3,
+    store: new JsonlEventStore(dir, "test"),
+    chunkSize: 3,
+    ...options
+  }).track(client, { startBlock });
+
+  before(async () => {
+    dir    = fs.mkdtempSync(path.join(os.tmpdir(), "verdikta-index-"));
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    client = new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi });
+    startBlock = (await web3.eth.getTransactionReceipt(keeper.transactionHash)).blockNumber;
+
+    await token.approve(keeper.address, web3.utils.toWei("1000", "ether"), { from: owner });
+    await register(accounts[1], "job1");
+    await register(accounts[2], "job2");
+    await keeper.approveContract(owner, { from: owner });
+    await keeper.setOracleActive(accounts[2], jobId("job2"), false, { from: owner });
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("indexes every keeper event in chunks and records a checkpoint", async () => {
+    const indexer = newIndexer();
+    const added = await indexer.sync();
+    const head = await web3.eth.getBlockNumber();
+
+    const events = indexer.store.query({ address: keeper.address });
+    assert.equal(added[keeper.address], events.length);
+    assert.includeMembers(
+      events.map(e => e.event),
+      ["OracleRegistered", "ContractApproved", "OracleActiveStatusUpdated"]
+    );
+    assert.equal(indexer.store.checkpoint(keeper.address).lastBlock, head);
+
+    const registered = indexer.store.query({ event: "OracleRegistered", where: { oracle: accounts[2].toLowerCase() } });
+    assert.equal(registered.length, 1);
+    assert.equal(registered[0].args.fee, fee);
+    assert.isNumber(registered[0].timestamp);
+  });
+
+  it("resumes from the checkpoint without duplicating events", async () => {
+    const before = newIndexer().store.query({ address: keeper.address }).length;
+    await register(accounts[3], "job3");
+
+    const indexer = newIndexer();
+    const added = await indexer.sync();
+    assert.equal(added[keeper.address], 1);
+    assert.equal(indexer.store.query({ address: keeper.address }).length, before + 1);
+
+    // A second pass with no new blocks adds nothing.
+    assert.equal((await newIndexer().sync())[keeper.address], 0);
+  });
+
+  it("drops events written after the last checkpoint", async () => {
+    const store = new JsonlEventStore(dir, "test");
+    const count = store.query({ address: keeper.address }).length;
+    fs.appendFileSync(path.join(store.dir, `${keeper.address.toLowerCase()}.jsonl`), '{"partial":\n');
+
+    await newIndexer().sync();
+    assert.equal(newIndexer().store.query({ address: keeper.address }).length, count);
+  });
+
+  it("rolls back and re-reads blocks replaced by a reorg", async () => {
+    const snapshot = await rpc("evm_snapshot");
+    await register(accounts[4], "job4");
+    await newIndexer().sync();
+    assert.equal(newIndexer().store.query({ event: "OracleRegistered", where: { oracle: accounts[4] } }).length, 1);
+
+    // Replace the indexed block with a different one at the same height.
+    await rpc("evm_revert", [snapshot]);
+    await register(accounts[5], "job5");
+
+    const logs = [];
+    const indexer = newIndexer({ log: message => logs.push(message) });
+    await indexer.sync();
+
+    assert(logs.some(m => m.startsWith("Reorg detected")), "reorg should be logged");
+    assert.equal(indexer.store.query({ event: "OracleRegistered", where: { oracle: accounts[4] } }).length, 0);
+    assert.equal(indexer.store.query({ event: "OracleRegistered", where: { oracle: accounts[5] } }).length, 1);
+    assert.equal(indexer.store.checkpoint(keeper.address).lastBlock, await web3.eth.getBlockNumber());
+  });
+});
@@ -0,0 +1,137 @@
+// test/metrics.test.js
+const http = require('http');
+
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+const VerdiktaToken        = artifacts.require("VerdiktaToken");
+
+const {
+  VerdiktaAggregator,
+  VerdiktaKeeper,
+  MetricsCollector,
+  createMetricsServer,
+  renderMetrics
+} = require('../lib');
+
+contract("Prometheus metrics exporter", accounts => {
+  let keeper, aggregator, collector;
+  const owner = accounts[0];
+  const [oracleA, oracleB] = [accounts[1], accounts[2]];
+  const fee   = web3.utils.toWei("0.01", "ether");
+  const job1  = web3.utils.padRight(web3.utils.asciiToHex("job1"), 64);
+
+  const get = (server, path) => new Promise((resolve, reject) => {
+    http.get({ host: "127.0.0.1", port: server.address().port, path }, res => {
+      let body = "";
+      res.on("data", chunk => { body += chunk; });
+      res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+    }).on("error", reject);
+  });
+  const listen = server => new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const sample = (text, name, labels = "") =>
+    text.split("\n").find(line => line.startsWith(`${name}${labels} `));
+
+  before(async () => {
+    const token = await VerdiktaToken.new({ from: owner });
+    keeper     = await ReputationKeeper.new(token.address, { from: owner });
+    aggregator = await ReputationAggregator.new(token.address, keeper.address, { from: owner });
+    await token.approve(keeper.address, web3.utils.toWei("1000", "ether"), { from: owner });
+    await keeper.approveContract(owner, { from: owner });
+    await keeper.registerOracle(oracleA, job1, fee, [128], { from: owner });
+    await keeper.registerOracle(oracleB, job1, fee, [128], { from: owner });
+    await keeper.recordUsedOracles([{ oracle: oracleA, jobId: job1, classes: [128] }], { from: owner });
+    await keeper.updateScores(oracleA, job1, 4, -4, { from: owner });
+    await keeper.setOracleActive(oracleB, job1, false, { from: owner });
+
+    collector = new MetricsCollector({
+      aggregator: new VerdiktaAggregator(web3, aggregator.address, { abi: ReputationAggregator.abi }),
+      keeper: new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi })
+    });
+  });
+
+  it("exports per-oracle gauges from getOracleInfo", async () => {
+    const text = renderMetrics(await collector.collect());
+    const labelsA = `{oracle="${oracleA}",job_id="${job1}",job="job1"}`;
+    const labelsB = `{oracle="${oracleB}",job_id="${job1}",job="job1"}`;
+
+    assert.include(text, "# TYPE verdikta_oracle_quality_score gauge");
+    assert.equal(sample(text, "verdikta_oracle_quality_score", labelsA), `verdikta_oracle_quality_score${labelsA} 4`);
+    assert.equal(sample(text, "verdikta_oracle_timeliness_score", labelsA), `verdikta_oracle_timeliness_score${labelsA} -4`);
+    assert.equal(sample(text, "verdikta_oracle_call_count", labelsA), `verdikta_oracle_call_count${labelsA} 1`);
+    assert.equal(sample(text, "verdikta_oracle_stake_wei", labelsA), `verdikta_oracle_stake_wei${labelsA} ${web3.utils.toWei("100", "ether")}`);
+    assert.equal(sample(text, "verdikta_oracle_active", labelsB), `verdikta_oracle_active${labelsB} 0`);
+    assert.equal(sample(text, "verdikta_oracle_blocked", labelsB), `verdikta_oracle_blocked${labelsB} 0`);
+    assert.equal(sample(text, "verdikta_registered_oracles"), "verdikta_registered_oracles 2");
+  });
+
+  it("exports aggregator config, pending evaluations and bonus counters", async () => {
+    const text = renderMetrics(await collector.collect());
+    assert.equal(sample(text, "verdikta_aggregator_oracles_to_poll"), "verdikta_aggregator_oracles_to_poll 4");
+    assert.equal(sample(text, "verdikta_aggregator_required_responses"), "verdikta_aggregator_required_responses 3");
+    assert.equal(sample(text, "verdikta_aggregator_cluster_size"), "verdikta_aggregator_cluster_size 2");
+    assert.equal(sample(text, "verdikta_aggregator_alpha"), "verdikta_aggregator_alpha 500");
+    assert.equal(sample(text, "verdikta_aggregator_max_oracle_fee_wei"), `verdikta_aggregator_max_oracle_fee_wei ${web3.utils.toWei("0.1", "ether")}`);
+    assert.equal(sample(text, "verdikta_aggregator_pending_evaluations"), "verdikta_aggregator_pending_evaluations 0");
+    assert.equal(sample(text, "verdikta_aggregator_paused"), "verdikta_aggregator_paused 0");
+    assert.include(text, "# TYPE verdikta_aggregator_bonus_payments_total counter");
+    assert.equal(sample(text, "verdikta_metrics_last_block"), `verdikta_metrics_last_block ${await web3.eth.getBlockNumber()}`);
+  });
+
+  it("tracks pending evaluations and bonuses from aggregator events", () => {
+    const events = [
+      { event: "RequestAIEvaluation", args: { requestId: "0x01" } },
+      { event: "RequestAIEvaluation", args: { requestId: "0x02" } },
+      { event: "BonusPayment", args: { operator: oracleA, bonusFee: fee } },
+      { event: "BonusPayment", args: { operator: oracleA, bonusFee: fee } },
+      { event: "FulfillAIEvaluation", args: { requestId: "0x01" } }
+    ];
+    const tracker = new MetricsCollector({ aggregator: collector.aggregator });
+    events.forEach(event => tracker._apply(event));
+    assert.equal(tracker.pending.size, 1);
+    const bonus = tracker.bonuses.get(oracleA.toLowerCase());
+    assert.equal(bonus.count, 2);
+    assert.equal(bonus.total.toString(), web3.utils.toWei("0.02", "ether"));
+
+    tracker._apply({ event: "EvaluationTimedOut", args: { aggregatorRequestId: "0x02" } });
+    assert.equal(tracker.pending.size, 0);
+
+    tracker._apply({ event: "RequestAIEvaluation", args: { requestId: "0x03" } });
+    tracker._apply({ event: "EvaluationFailed", args: { aggregatorRequestId: "0x03" } });
+    assert.equal(tracker.pending.size, 0);
+    assert.equal(tracker.failed, 1);
+  });
+
+  it("serves /metrics over HTTP and caches chain reads", async () => {
+    let collections = 0;
+    const counting = { collect: () => { collections++; return collector.collect(); } };
+    const server = createMetricsServer(counting, { cacheSeconds: 60 });
+    await listen(server);
+    try {
+      const first = await get(server, "/metrics");
+      assert.equal(first.status, 200);
+      assert.match(first.type, /^text\/plain; version=0\.0\.4/);
+      assert.include(first.body, "verdikta_oracle_quality_score{");
+
+      await get(server, "/metrics");
+      assert.equal(collections, 1, "second scrape should be served from cache");
+      assert.equal((await get(server, "/")).status, 404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it("answers 500 when collection fails", async () => {
+    const logs = [];
+    const failing = { collect: async () => { throw new Error("RPC down"); } };
+    const server = createMetricsServer(failing, { log: message => logs.push(message) });
+    await listen(server);
+    try {
+      const res = await get(server, "/metrics");
+      assert.equal(res.status, 500);
+      assert.include(res.body, "RPC down");
+      assert.equal(logs.length, 1);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,92 @@
+// test/mockoracle.test.js
+const {
+  MockOracleResponder,
+  decodeRequestParams,
+  planResponse
+} = require('../lib');
+const { advanceTime, deployFixture } = require('./helpers');
+
+contract("Mock Chainlink operator and responder", accounts => {
+  const owner     = accounts[0];
+  const requester = accounts[1];
+  const responderAccount = accounts[2];
+  const fee    = web3.utils.toWei("0.05", "ether");
+  const maxFee = web3.utils.toWei("0.1", "ether");
+  const job    = web3.utils.padRight(web3.utils.asciiToHex("mockjob"), 64);
+
+  const request = { operator: "0xAbC0000000000000000000000000000000000001", requestId: "0x01", cid: "QmA,QmB" };
+
+  it("decodes the CBOR request parameters", () => {
+    // "cid" => "QmA,QmB", "n" => 24
+    const data = "0x63636964" + "67" + Buffer.from("QmA,QmB").toString("hex") + "616e" + "1818";
+    const params = decodeRequestParams(data);
+    assert.equal(params.cid, "QmA,QmB");
+    assert.equal(params.n, 24n);
+  });
+
+  it("plans responses from the operator behaviour", () => {
+    assert.isNull(planResponse({ respond: false }, request));
+    assert.deepEqual(planResponse({ likelihoods: [60, 40] }, request), {
+      likelihoods: [60, 40], justificationCID: `mock-${request.operator.toLowerCase()}`, delaySeconds: 0
+    });
+    assert.deepEqual(planResponse({ likelihoods: [1, 2], byCid: { "QmA,QmB": [90, 10] } }, request).likelihoods, [90, 10]);
+    assert.deepEqual(planResponse({ likelihoods: [60, 40], vectorLength: 3 }, request).likelihoods, [60, 40, 0]);
+    assert.deepEqual(planResponse({ likelihoods: [60, 40], vectorLength: 1 }, request).likelihoods, [60]);
+    assert.equal(planResponse({ likelihoods: [1], justificationCID: "{cid}/{requestId}" }, request).justificationCID, "QmA,QmB/0x01");
+    assert.equal(planResponse({ likelihoods: [1], delaySeconds: "30" }, request).delaySeconds, 30);
+
+    const values = [0.5, 0.1, 0.9];
+    const random = planResponse({ random: { outcomes: 4, total: 10 } }, request, () => values.shift());
+    assert.deepEqual(random.likelihoods, [1, 4, 4, 1]);
+  });
+
+  it("answers requests through the operators and finalizes the evaluation", async () => {
+    const { link, aggregator, operators } =
+      await deployFixture({ owner, job, fee, operators: 4, responder: responderAccount });
+
+    // Selection draws with replacement, so behaviour is set per poll slot.
+    const bySlot = [
+      { likelihoods: [60, 40] },
+      { likelihoods: [62, 38] },
+      { likelihoods: [10, 90], delaySeconds: 60 },
+      { respond: false }
+    ];
+    const responder = new MockOracleResponder({
+      web3,
+      from: responderAccount,
+      operators,
+      behaviourFor: req => bySlot[req.slot],
+      fromBlock: await web3.eth.getBlockNumber()
+    });
+
+    await link.transfer(requester, web3.utils.toWei("10", "ether"), { from: owner });
+    await link.approve(aggregator.address, await aggregator.maxTotalFee(maxFee), { from: requester });
+    const tx = await aggregator.requestAIEvaluationWithApproval(
+      ["QmCase1", "QmCase2"], "", 500, maxFee, web3.utils.toWei("0.01", "ether"), 5, 128, { from: requester }
+    );
+    const requestId = tx.logs.find(l => l.event === "RequestAIEvaluation").args.requestId;
+
+    const first = await responder.tick();
+    assert.equal(first.requests.length, 4);
+    assert.deepEqual(first.requests.map(r => r.slot), [0, 1, 2, 3]);
+    first.requests.forEach(r => assert.equal(r.cid, "QmCase1,QmCase2"));
+    assert.equal(first.fulfilled.length, 2);
+    assert.isTrue(first.fulfilled.every(r => r.success));
+    assert.equal(responder.queue.length, 1, "delayed response stays queued");
+    assert.isFalse((await aggregator.aggregatedEvaluations(requestId)).isComplete);
+
+    await advanceTime(60);
+    const second = await responder.tick();
+    assert.equal(second.fulfilled.length, 1);
+    assert.isTrue(second.fulfilled[0].success);
+
+    const evaluation = await aggregator.getEvaluation(requestId);
+    assert.isTrue((await aggregator.aggregatedEvaluations(requestId)).isComplete);
+    assert.deepEqual(evaluation.likelihoods.map(String), ["61", "39"]);
+
+    const bonuses = await aggregator.getPastEvents("BonusPayment", { fromBlock: 0 });
+    const clusterOperators = first.requests.slice(0, 2).map(r => r.operator.toLowerCase());
+    assert.sameMembers(bonuses.map(e => e.returnValues.operator.toLowerCase()), clusterOperators);
+    bonuses.forEach(e => assert.equal(e.returnValues.bonusFee, fee));
+  });
+});
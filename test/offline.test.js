@@ -0,0 +1,164 @@
+// test/offline.test.js
+// Offline signing: unsigned transactions built from a script's calls, signed
+// with a keystore by a web3 instance that has no provider, then broadcast.
+// The signer is a fresh account that owns the contracts and exists only as
+// the keystore.
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+const VerdiktaToken        = artifacts.require("VerdiktaToken");
+
+const {
+  VerdiktaAggregator,
+  VerdiktaKeeper,
+  WrappedVdka,
+  UNSIGNED_KIND,
+  SIGNED_KIND,
+  createUnsignedBatch,
+  readTransactionFile,
+  signTransactions,
+  broadcastTransactions,
+  saveTransactionBatch,
+  parseManifest,
+  normalizeParameters,
+  planParameters,
+  applyParameters,
+  normalizeManifest,
+  planRegistration,
+  applyRegistration
+} = require('../lib');
+
+contract("Offline signing", accounts => {
+  const deployer = accounts[0];
+  const oracle   = accounts[2];
+  const ZERO = "0x0000000000000000000000000000000000000000";
+  const PASSWORD = "correct horse battery staple";
+  const { toWei } = web3.utils;
+
+  let token, aggregator, keeper, stakeToken, signer, keystore, dir;
+
+  // No provider: signing must not depend on a node.
+  const offlineWeb3 = () => new web3.constructor();
+
+  beforeEach(async () => {
+    signer   = web3.eth.accounts.create();
+    keystore = await web3.eth.accounts.encrypt(signer.privateKey, PASSWORD);
+    await web3.eth.sendTransaction({ from: deployer, to: signer.address, value: toWei("1", "ether") });
+
+    token = await VerdiktaToken.new({ from: deployer });
+    const keeperC = await ReputationKeeper.new(token.address, { from: deployer });
+    const aggC = await ReputationAggregator.new(ZERO, keeperC.address, { from: deployer });
+    await keeperC.transferOwnership(signer.address, { from: deployer });
+    await aggC.transferOwnership(signer.address, { from: deployer });
+    aggregator = new VerdiktaAggregator(web3, aggC.address, { abi: ReputationAggregator.abi });
+    keeper     = new VerdiktaKeeper(web3, keeperC.address, { abi: ReputationKeeper.abi });
+    stakeToken = new WrappedVdka(web3, token.address, { abi: VerdiktaToken.abi });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "offline-"));
+  });
+
+  const parameterBatch = async yaml => {
+    const desired = normalizeParameters(web3, parseManifest(yaml, "yaml"));
+    const plan = await planParameters({ aggregator, keeper, desired });
+    const batch = await createUnsignedBatch(web3, { from: signer.address.toLowerCase(), name: "configure-parameters" });
+    await applyParameters({ aggregator, keeper, plan, from: batch.from, batch });
+    return batch;
+  };
+
+  it("builds, signs and broadcasts parameter changes", async () => {
+    const batch = await parameterBatch("aggregator:\n  oraclesToPoll: 6\n  maxOracleFee: 0.08\nkeeper:\n  slashAmount: 25\n");
+    batch.file = path.join(dir, "unsigned.json");
+    const lines = [];
+    saveTransactionBatch(batch, line => lines.push(line));
+    assert.match(lines[0], /Wrote 3 transaction\(s\) unsigned from 0x/);
+    assert.equal(await web3.eth.getTransactionCount(signer.address), 0, "nothing sent");
+
+    const unsigned = readTransactionFile(batch.file, UNSIGNED_KIND);
+    assert.equal(unsigned.from, signer.address);
+    assert.equal(unsigned.chainId, String(await web3.eth.getChainId()));
+    assert.deepEqual(unsigned.transactions.map(tx => tx.nonce), ["0", "1", "2"]);
+    assert.deepEqual(unsigned.transactions.map(tx => tx.to), [aggregator.address, aggregator.address, keeper.address]);
+    for (const tx of unsigned.transactions) {
+      assert.isTrue(tx.gasEstimated);
+      assert.isTrue(tx.gasPrice !== undefined || tx.maxFeePerGas !== undefined, "fee fields");
+    }
+    assert.throws(() => readTransactionFile(batch.file, SIGNED_KIND), /is not a verdikta-signed-transactions file/);
+
+    const signed = await signTransactions(offlineWeb3(), unsigned, keystore, PASSWORD);
+    assert.equal(signed.kind, SIGNED_KIND);
+    assert.lengthOf(signed.transactions, 3);
+    assert.equal((await aggregator.getConfig()).oraclesToPoll, "4", "signing sends nothing");
+
+    const results = await broadcastTransactions(web3, signed);
+    assert.deepEqual(results.map(r => r.status), ["mined", "mined", "mined"]);
+    assert.deepEqual(results.map(r => r.hash), signed.transactions.map(tx => tx.hash));
+    assert.equal((await aggregator.getConfig()).oraclesToPoll, "6");
+    assert.equal((await aggregator.getConfig()).maxOracleFee, toWei("0.08", "ether"));
+    assert.equal((await keeper.getConfig()).slashAmount, toWei("25", "ether"));
+
+    // Re-running an interrupted broadcast skips what is already mined.
+    const again = await broadcastTransactions(web3, signed);
+    assert.deepEqual(again.map(r => r.status), ["already mined", "already mined", "already mined"]);
+  });
+
+  it("falls back to a default gas limit for calls that depend on earlier ones", async () => {
+    await token.transfer(signer.address, toWei("200", "ether"), { from: deployer });
+    const entries = normalizeManifest(web3, { oracles: [{ address: oracle, jobIds: ["job-a"], classes: [128] }] });
+    const plan = await planRegistration(keeper, entries);
+    const batch = await createUnsignedBatch(web3, { from: signer.address, name: "register-oracle" });
+    await applyRegistration({ keeper, stakeToken, plan, from: signer.address, batch });
+
+    const unsigned = batch.toJSON();
+    assert.deepEqual(unsigned.transactions.map(tx => tx.gasEstimated), [true, false]);
+    assert.equal(unsigned.transactions[1].gas, "1000000");
+    assert.match(unsigned.transactions[1].gasNote, /depends on an earlier transaction in this file \(estimate failed: /);
+    assert.include(batch.summaryLines()[1], "not estimated: depends on an earlier transaction");
+
+    const signed = await signTransactions(offlineWeb3(), unsigned, keystore, PASSWORD);
+    await broadcastTransactions(web3, signed);
+    assert.equal(await keeper.getRegisteredOraclesCount(), 1);
+  });
+
+  it("refuses calls that would revert instead of writing them", async () => {
+    const stranger = await createUnsignedBatch(web3, { from: deployer, name: "not-owner" });
+    await assertRejects(stranger.add(keeper, keeper.methods.setSlashAmount(toWei("30", "ether"))),
+      new RegExp(`ReputationKeeper.setSlashAmount\\(30000000000000000000\\) would fail from ${deployer}: .*revert`));
+
+    // dependsOnBatch only applies after an earlier transaction in the batch.
+    const batch = await createUnsignedBatch(web3, { from: signer.address, name: "register-oracle" });
+    const register = keeper.methods.registerOracle(oracle, web3.utils.padRight("0x01", 64), toWei("0.01", "ether"), [128]);
+    await assertRejects(batch.add(keeper, register, { dependsOnBatch: true }), /would fail from/);
+    assert.equal(batch.length, 0);
+  });
+
+  it("rejects the wrong keystore, password or chain state", async () => {
+    const batch = await parameterBatch("keeper:\n  slashAmount: 30\n");
+    const unsigned = batch.toJSON();
+
+    const other = await web3.eth.accounts.encrypt(web3.eth.accounts.create().privateKey, PASSWORD);
+    await assertRejects(signTransactions(offlineWeb3(), unsigned, other, PASSWORD), /does not match the transactions' sender/);
+    await assertRejects(signTransactions(offlineWeb3(), unsigned, keystore, "wrong"), /password/i);
+
+    const signed = await signTransactions(offlineWeb3(), unsigned, keystore, PASSWORD);
+    await assertRejects(broadcastTransactions(web3, { ...signed, chainId: "1" }), /node is on chain/);
+
+    // A second file built for the same nonce cannot go out once the first has.
+    const competing = await signTransactions(offlineWeb3(), (await parameterBatch("keeper:\n  slashAmount: 35\n")).toJSON(),
+      keystore, PASSWORD);
+    await broadcastTransactions(web3, signed);
+    await assertRejects(broadcastTransactions(web3, competing), /Nonce 0 .* was used by another transaction/);
+    assert.equal((await keeper.getConfig()).slashAmount, toWei("30", "ether"));
+  });
+
+  async function assertRejects(promise, pattern) {
+    try {
+      await promise;
+    } catch (error) {
+      assert.match(error.message, pattern);
+      return;
+    }
+    assert.fail(`Expected rejection matching ${pattern}`);
+  }
+});
@@ -0,0 +1,96 @@
+// test/oracle-update.test.js
+const truffleAssert    = require('truffle-assertions');
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+const MockOperator     = artifacts.require("MockOperator");
+
+contract("ReputationKeeper fee and class updates", accounts => {
+  const owner       = accounts[0];
+  const oracleOwner = accounts[3];
+  const stranger    = accounts[4];
+  const { toWei } = web3.utils;
+  const fee = toWei("0.05", "ether");
+  const job = web3.utils.padRight(web3.utils.asciiToHex("job1"), 64);
+
+  let token, keeper, oracle;
+
+  const select = requestedClass =>
+    keeper.selectOracles(1, 500, toWei("0.1", "ether"), toWei("0.001", "ether"), 5, requestedClass, { from: owner });
+
+  beforeEach(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    // An operator contract owned by oracleOwner, registered by the keeper owner.
+    oracle = (await MockOperator.new(token.address, { from: oracleOwner })).address;
+    await token.approve(keeper.address, toWei("1000", "ether"), { from: owner });
+    await keeper.approveContract(owner, { from: owner });
+    await keeper.registerOracle(oracle, job, fee, [128], { from: owner });
+    await keeper.recordUsedOracles([{ oracle, jobId: job, classes: [128] }], { from: owner });
+  });
+
+  it("updates the fee and keeps scores and stake", async () => {
+    await keeper.updateScores(oracle, job, 8, -4, { from: owner });
+    const newFee = toWei("0.08", "ether");
+    const tx = await keeper.updateOracleFee(oracle, job, newFee, { from: owner });
+    truffleAssert.eventEmitted(tx, "OracleFeeUpdated", ev =>
+      ev.oracle === oracle && ev.jobId === job && ev.oldFee.toString() === fee && ev.newFee.toString() === newFee
+    );
+
+    const info = await keeper.getOracleInfo(oracle, job);
+    assert.equal(info.fee.toString(), newFee);
+    assert.equal(info.qualityScore.toNumber(), 8);
+    assert.equal(info.timelinessScore.toNumber(), -4);
+    assert.equal(info.stakeAmount.toString(), toWei("100", "ether"));
+    assert.isTrue(info.isActive);
+  });
+
+  it("replaces the classes in the registry used by selection", async () => {
+    const tx = await keeper.updateOracleClasses(oracle, job, [129, 130], { from: oracleOwner });
+    truffleAssert.eventEmitted(tx, "OracleClassesUpdated", ev =>
+      ev.oracle === oracle && ev.classes.map(String).join() === "129,130"
+    );
+
+    assert.deepEqual((await keeper.getOracleClassesByKey(oracle, job)).map(String), ["129", "130"]);
+    assert.deepEqual((await keeper.getOracleClasses(0)).map(String), ["129", "130"]);
+    assert.equal((await select(130))[0].oracle, oracle);
+    await truffleAssert.reverts(select(128), "No active oracles available with fee <= maxFee and requested class");
+  });
+
+  it("allows only the keeper owner or the oracle owner", async () => {
+    await keeper.updateOracleFee(oracle, job, toWei("0.06", "ether"), { from: oracleOwner });
+    await truffleAssert.reverts(
+      keeper.updateOracleFee(oracle, job, toWei("0.07", "ether"), { from: stranger }),
+      "Not authorized to update oracle"
+    );
+    await truffleAssert.reverts(
+      keeper.updateOracleClasses(oracle, job, [1], { from: stranger }),
+      "Not authorized to update oracle"
+    );
+  });
+
+  it("validates the identity and the new values", async () => {
+    const other = web3.utils.padRight(web3.utils.asciiToHex("job2"), 64);
+    await truffleAssert.reverts(keeper.updateOracleFee(oracle, other, fee, { from: owner }), "Oracle not registered");
+    await truffleAssert.reverts(keeper.updateOracleClasses(oracle, other, [1], { from: owner }), "Oracle not registered");
+    await truffleAssert.reverts(keeper.updateOracleFee(oracle, job, 0, { from: owner }), "Fee must be greater than 0");
+    await truffleAssert.reverts(keeper.updateOracleClasses(oracle, job, [], { from: owner }), "At least one class must be provided");
+    await truffleAssert.reverts(
+      keeper.updateOracleClasses(oracle, job, [1, 2, 3, 4, 5, 6], { from: owner }),
+      "A maximum of 5 classes allowed"
+    );
+  });
+
+  it("keeps an identity slashed to zero stake registered and updatable", async () => {
+    await keeper.setSlashAmount(toWei("100", "ether"), { from: owner });
+    await keeper.setSevereThreshold(-1, { from: owner });
+    await keeper.setLockDuration(1, { from: owner });
+    await keeper.updateScores(oracle, job, -2, 0, { from: owner });
+    assert.equal((await keeper.getOracleInfo(oracle, job)).stakeAmount.toString(), "0");
+
+    await truffleAssert.reverts(keeper.registerOracle(oracle, job, fee, [131], { from: owner }), "Oracle already registered");
+    await keeper.updateOracleClasses(oracle, job, [131], { from: oracleOwner });
+    assert.deepEqual((await keeper.getOracleClassesByKey(oracle, job)).map(String), ["131"]);
+    assert.deepEqual((await keeper.getOracleClasses(0)).map(String), ["131"]);
+    assert.equal((await keeper.getRegisteredOraclesCount()).toNumber(), 1);
+  });
+});
@@ -0,0 +1,111 @@
+// test/parameters.test.js
+// Declarative aggregator and keeper parameters: validation, plan and apply.
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+const VerdiktaToken        = artifacts.require("VerdiktaToken");
+
+const {
+  VerdiktaAggregator,
+  VerdiktaKeeper,
+  parseManifest,
+  normalizeParameters,
+  planParameters,
+  formatParameterPlan,
+  applyParameters
+} = require('../lib');
+
+contract("Declarative contract parameters", accounts => {
+  const owner    = accounts[0];
+  const stranger = accounts[1];
+  const ZERO = "0x0000000000000000000000000000000000000000";
+  const { toWei } = web3.utils;
+
+  let aggregator, keeper;
+
+  beforeEach(async () => {
+    const token   = await VerdiktaToken.new({ from: owner });
+    const keeperC = await ReputationKeeper.new(token.address, { from: owner });
+    const aggC    = await ReputationAggregator.new(ZERO, keeperC.address, { from: owner });
+    aggregator = new VerdiktaAggregator(web3, aggC.address, { abi: ReputationAggregator.abi });
+    keeper     = new VerdiktaKeeper(web3, keeperC.address, { abi: ReputationKeeper.abi });
+  });
+
+  const rejects = async (promise, pattern) => {
+    try {
+      await promise;
+    } catch (error) {
+      assert.match(error.message, pattern);
+      return;
+    }
+    assert.fail(`expected rejection matching ${pattern}`);
+  };
+
+  const desiredFrom = yaml => normalizeParameters(web3, parseManifest(yaml, "yaml"));
+
+  it("validates the parameters file", () => {
+    const desired = desiredFrom("aggregator:\n  maxOracleFee: 0.08\n  alpha: 300\nkeeper:\n  severeThreshold: -50\n");
+    assert.equal(desired.aggregator.maxOracleFee, BigInt(toWei("0.08", "ether")));
+    assert.equal(desired.keeper.severeThreshold, -50n);
+
+    assert.throws(() => desiredFrom("aggregator:\n  alpha: 1001\n"), /aggregator.alpha must be between 0 and 1000/);
+    assert.throws(() => desiredFrom("aggregator:\n  oraclesToPol: 4\n"), /Unknown parameter aggregator.oraclesToPol/);
+    assert.throws(() => desiredFrom("keeper:\n  lockDuration: -1\n"), /keeper.lockDuration: invalid value "-1"/);
+    assert.throws(() => desiredFrom("treasury:\n  address: 0x0\n"), /Unknown section "treasury"/);
+  });
+
+  it("plans only the changed setters and applies them", async () => {
+    const desired = desiredFrom([
+      "aggregator:",
+      "  oraclesToPoll: 6",
+      "  requiredResponses: 3",
+      "  clusterSize: 2",
+      "  maxOracleFee: 0.08",
+      "  baseFeePct: 1",
+      "keeper:",
+      "  slashAmount: 25",
+      "  mildThreshold: -20"
+    ].join("\n"));
+
+    const plan = await planParameters({ aggregator, keeper, desired });
+    assert.deepEqual(plan.changes.map(c => `${c.section}.${c.name}`),
+      ["aggregator.oraclesToPoll", "aggregator.maxOracleFee", "keeper.slashAmount"]);
+    assert.equal(plan.unchanged, 4);
+    assert.deepEqual(plan.transactions.map(tx => [tx.setter, tx.args]), [
+      ["setConfig", ["6", "3", "2", "300"]],
+      ["setMaxOracleFee", [toWei("0.08", "ether")]],
+      ["setSlashAmount", [toWei("25", "ether")]]
+    ]);
+    assert.include(formatParameterPlan(web3, plan), "CHANGE  aggregator.maxOracleFee: 0.1 LINK -> 0.08 LINK");
+
+    await rejects(
+      applyParameters({ aggregator, keeper, plan, from: stranger }),
+      /is not the aggregator owner/
+    );
+    assert.equal((await aggregator.getConfig()).oraclesToPoll, "4", "nothing sent by a non-owner");
+
+    const results = await applyParameters({ aggregator, keeper, plan, from: owner });
+    assert.deepEqual(results.map(r => r.setter), ["setConfig", "setMaxOracleFee", "setSlashAmount"]);
+    assert.equal((await aggregator.getConfig()).oraclesToPoll, "6");
+    assert.equal((await keeper.getConfig()).slashAmount, toWei("25", "ether"));
+
+    const again = await planParameters({ aggregator, keeper, desired });
+    assert.deepEqual(again.transactions, []);
+    assert.equal(again.unchanged, 7);
+  });
+
+  it("rejects configurations that break cross-field rules", async () => {
+    // requiredResponses 3 on chain is more than the new oraclesToPoll.
+    await rejects(
+      planParameters({ aggregator, keeper, desired: desiredFrom("aggregator:\n  oraclesToPoll: 2\n") }),
+      /requiredResponses \(3\) must not exceed oraclesToPoll \(2\)/
+    );
+    await rejects(
+      planParameters({ aggregator, keeper, desired: desiredFrom("aggregator:\n  clusterSize: 4\n") }),
+      /clusterSize \(4\) must not exceed requiredResponses \(3\)/
+    );
+    await rejects(
+      planParameters({ aggregator, keeper, desired: desiredFrom("keeper:\n  severeThreshold: -10\n") }),
+      /severeThreshold \(-10\) must not be above mildThreshold \(-20\)/
+    );
+  });
+});
@@ -0,0 +1,128 @@
+// test/pause.test.js
+// Emergency pause: new requests are rejected while the aggregator is paused,
+// but responses, timeout finalization and owner calls still go through, so
+// requests already in flight finish. Also the pause alert rule and gauge.
+const truffleAssert        = require('truffle-assertions');
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+
+const {
+  MockOracleResponder,
+  VerdiktaAggregator,
+  VerdiktaKeeper,
+  AlertWatcher,
+  MetricsCollector,
+  renderMetrics
+} = require('../lib');
+const { advanceTime, deployFixture } = require('./helpers');
+
+contract("ReputationAggregator emergency pause", accounts => {
+  const owner     = accounts[0];
+  const requester = accounts[1];
+  const responderAccount = accounts[2];
+  const stranger  = accounts[3];
+  const { toWei } = web3.utils;
+  const fee    = toWei("0.05", "ether");
+  const maxFee = toWei("0.1", "ether");
+  const job    = web3.utils.padRight(web3.utils.asciiToHex("pause"), 64);
+
+  let link, keeper, aggregator, client, operators;
+
+  beforeEach(async () => {
+    ({ link, keeper, aggregator, operators } =
+      await deployFixture({ owner, job, fee, operators: 4, responder: responderAccount }));
+    client = new VerdiktaAggregator(web3, aggregator.address, { abi: ReputationAggregator.abi });
+    await link.transfer(requester, toWei("10", "ether"), { from: owner });
+    await link.approve(aggregator.address, toWei("10", "ether"), { from: requester });
+  });
+
+  const sendRequest = () => aggregator.requestAIEvaluationWithApproval(
+    ["QmCase"], "", 500, maxFee, toWei("0.01", "ether"), 5, 128, { from: requester }
+  );
+
+  // Send a request answered by a responder that follows `behaviour` for every slot.
+  async function request(behaviour) {
+    const tx = await sendRequest();
+    const requestId = tx.logs.find(l => l.event === "RequestAIEvaluation").args.requestId;
+    const responder = new MockOracleResponder({
+      web3,
+      from: responderAccount,
+      operators,
+      behaviourFor: () => behaviour,
+      fromBlock: tx.receipt.blockNumber
+    });
+    await responder.tick();
+    return { requestId, responder };
+  }
+
+  it("lets only the owner pause and unpause, with events", async () => {
+    assert.isFalse(await client.paused());
+    await truffleAssert.reverts(aggregator.pause({ from: stranger }));
+
+    const paused = await aggregator.pause({ from: owner });
+    truffleAssert.eventEmitted(paused, "Paused", ev => ev.account === owner);
+    assert.isTrue(await client.paused());
+    await truffleAssert.reverts(aggregator.pause({ from: owner }));
+    await truffleAssert.reverts(aggregator.unpause({ from: stranger }));
+
+    const unpaused = await aggregator.unpause({ from: owner });
+    truffleAssert.eventEmitted(unpaused, "Unpaused", ev => ev.account === owner);
+    assert.isFalse(await client.paused());
+    await truffleAssert.reverts(aggregator.unpause({ from: owner }));
+  });
+
+  it("rejects new requests while paused but lets in-flight requests finish", async () => {
+    // Each responder only sees requests from its own block on.
+    const silent = await request({ respond: false });
+    const late = await request({ likelihoods: [60, 40], delaySeconds: 30 });
+
+    await aggregator.pause({ from: owner });
+    await truffleAssert.reverts(sendRequest());
+
+    // Responses to the earlier request still arrive and finalize it.
+    await advanceTime(30);
+    const answered = await late.responder.tick();
+    assert.isTrue(answered.fulfilled.length >= 3);
+    assert.isTrue((await client.getEvaluation(late.requestId)).exists);
+
+    // The unanswered request can still be timed out.
+    await advanceTime(300);
+    const finalized = await aggregator.finalizeEvaluationTimeout(silent.requestId, { from: stranger });
+    truffleAssert.eventEmitted(finalized, "EvaluationFailed", ev => ev.aggregatorRequestId === silent.requestId);
+
+    // Owner calls are unaffected.
+    await link.transfer(aggregator.address, toWei("1", "ether"), { from: owner });
+    await aggregator.withdrawLink(owner, toWei("1", "ether"), { from: owner });
+    assert.equal((await link.balanceOf(aggregator.address)).toString(), "0");
+    await aggregator.setAlpha(400, { from: owner });
+
+    await aggregator.unpause({ from: owner });
+    const resumed = await sendRequest();
+    truffleAssert.eventEmitted(resumed, "RequestAIEvaluation");
+  });
+
+  it("alerts while paused and exports the pause state", async () => {
+    const alerts = [];
+    const watcher = new AlertWatcher({ aggregator: client, rules: [{ type: "paused" }], notifiers: [async a => alerts.push(a)] });
+    const collector = new MetricsCollector({
+      aggregator: client,
+      keeper: new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi })
+    });
+    const gauge = async () => renderMetrics(await collector.collect()).split("\n").find(l => l.startsWith("verdikta_aggregator_paused "));
+
+    await watcher.check();
+    assert.lengthOf(alerts, 0);
+    assert.equal(await gauge(), "verdikta_aggregator_paused 0");
+
+    await aggregator.pause({ from: owner });
+    await watcher.check();
+    await watcher.check();
+    assert.deepEqual(alerts.map(a => [a.rule, a.status]), [["paused", "firing"]]);
+    assert.include(alerts[0].message, "is paused");
+    assert.equal(await gauge(), "verdikta_aggregator_paused 1");
+
+    await aggregator.unpause({ from: owner });
+    await watcher.check();
+    assert.deepEqual(alerts.map(a => a.status), ["firing", "resolved"]);
+  });
+});
@@ -0,0 +1,110 @@
+// test/registration.test.js
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+
+const {
+  VerdiktaKeeper,
+  WrappedVdka,
+  parseManifest,
+  normalizeManifest,
+  encodeJobId,
+  planRegistration,
+  formatPlan,
+  applyRegistration
+} = require('../lib');
+
+contract("Manifest-driven oracle registration", accounts => {
+  const owner = accounts[0];
+  const [oracleA, oracleB] = [accounts[1], accounts[2]];
+  const { toWei } = web3.utils;
+  let token, keeper, keeperClient, stakeToken;
+
+  const manifest = {
+    defaults: { classes: [128] },
+    oracles: [
+      { address: oracleA, jobIds: ["jobA1", "jobA2"], classes: [128, 129], fee: "0.05" },
+      { address: oracleB, jobIds: ["jobB1"], fee: 0.08 }
+    ]
+  };
+
+  before(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    keeperClient = new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi });
+    stakeToken   = new WrappedVdka(web3, token.address, { abi: VerdiktaToken.abi });
+  });
+
+  it("normalizes JSON and YAML manifests to one entry per oracle job", () => {
+    const yaml = [
+      "defaults:",
+      "  classes: [128]",
+      "oracles:",
+      `  - address: "${oracleA}"`,
+      "    jobIds: [jobA1, jobA2]",
+      "    classes: [128, 129]",
+      "    fee: '0.05'",
+      `  - address: "${oracleB}"`,
+      "    jobIds: [jobB1]",
+      "    fee: 0.08"
+    ].join("\n");
+    const fromYaml = normalizeManifest(web3, parseManifest(yaml, "yaml"));
+    const entries  = normalizeManifest(web3, manifest);
+    assert.deepEqual(fromYaml, entries);
+
+    assert.lengthOf(entries, 3);
+    assert.deepEqual(entries[0], {
+      oracle: oracleA, jobIdString: "jobA1", jobId: encodeJobId(web3, "jobA1"), fee: toWei("0.05", "ether"), classes: [128, 129]
+    });
+    assert.equal(entries[2].fee, toWei("0.08", "ether"));
+    assert.deepEqual(entries[2].classes, [128], "defaults apply");
+    assert.equal(encodeJobId(web3, entries[0].jobId), entries[0].jobId, "bytes32 job IDs pass through");
+  });
+
+  it("rejects invalid manifests", () => {
+    const bad = oracle => () => normalizeManifest(web3, { oracles: [oracle] });
+    assert.throws(() => normalizeManifest(web3, {}), /non-empty "oracles"/);
+    assert.throws(bad({ address: "0x123", jobIds: ["j"], classes: [1] }), /oracles\[0\]: invalid or missing address/);
+    assert.throws(bad({ address: oracleA, jobIds: [], classes: [1] }), /at least one job ID/);
+    assert.throws(bad({ address: oracleA, jobIds: ["j"], classes: [1, 2, 3, 4, 5, 6] }), /between 1 and 5 classes/);
+    assert.throws(bad({ address: oracleA, jobIds: ["j"], classes: [1], fee: 0 }), /fee must be greater than 0/);
+    assert.throws(bad({ address: oracleA, jobIds: ["j", "j"], classes: [1] }), /listed twice/);
+  });
+
+  it("plans, approves the total stake once and registers only missing entries", async () => {
+    // jobA1 already registered as in the manifest, jobB1 with a different fee.
+    await token.approve(keeper.address, toWei("200", "ether"), { from: owner });
+    await keeper.registerOracle(oracleA, encodeJobId(web3, "jobA1"), toWei("0.05", "ether"), [129, 128], { from: owner });
+    await keeper.registerOracle(oracleB, encodeJobId(web3, "jobB1"), toWei("0.05", "ether"), [128], { from: owner });
+
+    const plan = await planRegistration(keeperClient, normalizeManifest(web3, manifest));
+    assert.deepEqual(plan.entries.map(e => e.action), ["skip", "register", "conflict"]);
+    assert.deepEqual(plan.entries[2].differences, ["fee"]);
+    assert.equal(plan.stakeRequired, toWei("100", "ether"));
+    const lines = formatPlan(web3, plan);
+    assert.match(lines[1], /^REGISTER {2}.* job jobA2: fee 0\.05 LINK, classes 128, 129$/);
+    assert.match(lines[2], /^CONFLICT {2}.* job jobB1: fee 0\.05 LINK on chain, 0\.08 LINK in manifest$/);
+    assert.equal(lines[3], "1 to register, 1 unchanged, 1 conflicting; stake required 100 wVDKA");
+
+    const startBlock = await web3.eth.getBlockNumber();
+    const results = await applyRegistration({ keeper: keeperClient, stakeToken, plan, from: owner });
+    assert.deepEqual(results.map(r => r.jobIdString), ["jobA2"]);
+    const approvals = await token.getPastEvents("Approval", { fromBlock: startBlock + 1 });
+    assert.lengthOf(approvals, 1);
+    assert.equal(approvals[0].args.value.toString(), toWei("100", "ether"));
+
+    const info = await keeperClient.getOracleInfo(oracleA, encodeJobId(web3, "jobA2"));
+    assert.equal(info.fee, toWei("0.05", "ether"));
+    assert.deepEqual(await keeperClient.getOracleClasses(oracleA, encodeJobId(web3, "jobA2")), ["128", "129"]);
+    assert.equal((await keeperClient.getOracleInfo(oracleB, encodeJobId(web3, "jobB1"))).fee, toWei("0.05", "ether"), "conflict left unchanged");
+  });
+
+  it("is idempotent when re-applied", async () => {
+    const plan = await planRegistration(keeperClient, normalizeManifest(web3, manifest));
+    assert.deepEqual(plan.entries.map(e => e.action), ["skip", "skip", "conflict"]);
+    assert.equal(plan.stakeRequired, "0");
+
+    const block = await web3.eth.getBlockNumber();
+    assert.deepEqual(await applyRegistration({ keeper: keeperClient, stakeToken, plan, from: owner }), []);
+    assert.equal(await web3.eth.getBlockNumber(), block, "no transactions sent");
+  });
+});
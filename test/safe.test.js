@@ -0,0 +1,119 @@
+// test/safe.test.js
+// Safe Transaction Builder batches: file format, and owner actions recorded
+// instead of sent. A plain account stands in for the Safe and replays the
+// batch to check the encoded calldata.
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+const VerdiktaToken        = artifacts.require("VerdiktaToken");
+
+const {
+  VerdiktaAggregator,
+  VerdiktaKeeper,
+  WrappedVdka,
+  createSafeBatch,
+  saveTransactionBatch,
+  parseManifest,
+  normalizeParameters,
+  planParameters,
+  applyParameters,
+  normalizeManifest,
+  planRegistration,
+  applyRegistration
+} = require('../lib');
+
+contract("Safe transaction batches", accounts => {
+  const deployer = accounts[0];
+  const safe     = accounts[1];
+  const oracle   = accounts[2];
+  const ZERO = "0x0000000000000000000000000000000000000000";
+  const { toWei } = web3.utils;
+
+  let token, keeperC, aggregator, keeper, stakeToken;
+
+  beforeEach(async () => {
+    token   = await VerdiktaToken.new({ from: deployer });
+    keeperC = await ReputationKeeper.new(token.address, { from: deployer });
+    const aggC = await ReputationAggregator.new(ZERO, keeperC.address, { from: deployer });
+    await keeperC.transferOwnership(safe, { from: deployer });
+    await aggC.transferOwnership(safe, { from: deployer });
+    aggregator = new VerdiktaAggregator(web3, aggC.address, { abi: ReputationAggregator.abi });
+    keeper     = new VerdiktaKeeper(web3, keeperC.address, { abi: ReputationKeeper.abi });
+    stakeToken = new WrappedVdka(web3, token.address, { abi: VerdiktaToken.abi });
+  });
+
+  // Execute the batch's calls from the Safe account, as the Safe would.
+  const replay = async batch => {
+    for (const tx of batch.toJSON().transactions) {
+      await web3.eth.sendTransaction({ from: safe, to: tx.to, value: tx.value, data: tx.data, gas: 1000000 });
+    }
+  };
+
+  it("writes a Transaction Builder file with calldata and decoded inputs", async () => {
+    const batch = await createSafeBatch(web3, { safe: safe.toLowerCase(), name: "test" });
+    batch.add(keeper, keeper.methods.updateOracleClasses(oracle, web3.utils.padRight("0x01", 64), [128, 129]));
+    batch.add(keeper, keeper.methods.setShortlistSize(12), { summary: "Shortlist 12 oracles" });
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "safe-")), "batch.json");
+    const lines = [];
+    batch.file = file;
+    saveTransactionBatch(batch, line => lines.push(line));
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    assert.equal(json.version, "1.0");
+    assert.equal(json.chainId, String(await web3.eth.getChainId()));
+    assert.equal(json.meta.createdFromSafeAddress, safe);
+    assert.lengthOf(json.transactions, 2);
+
+    const [update, shortlist] = json.transactions;
+    assert.equal(update.to, keeper.address);
+    assert.equal(update.value, "0");
+    assert.equal(update.data, keeper.methods.updateOracleClasses(oracle, web3.utils.padRight("0x01", 64), [128, 129]).encodeABI());
+    assert.equal(update.contractMethod.name, "updateOracleClasses");
+    assert.isFalse(update.contractMethod.payable);
+    assert.equal(update.contractInputsValues._classes, '["128","129"]');
+    assert.equal(shortlist.contractInputsValues[shortlist.contractMethod.inputs[0].name], "12");
+
+    assert.include(json.meta.description, `1. ReputationKeeper.updateOracleClasses(${oracle}, `);
+    assert.include(json.meta.description, "2. Shortlist 12 oracles");
+    assert.match(lines[0], /Wrote 2 transaction\(s\) for Safe/);
+  });
+
+  it("records parameter changes for the Safe instead of sending them", async () => {
+    const desired = normalizeParameters(web3, parseManifest(
+      "aggregator:\n  oraclesToPoll: 6\n  maxOracleFee: 0.08\nkeeper:\n  slashAmount: 25\n", "yaml"));
+    const plan = await planParameters({ aggregator, keeper, desired });
+    const batch = await createSafeBatch(web3, { safe, name: "configure-parameters" });
+
+    const before = await web3.eth.getTransactionCount(safe);
+    const results = await applyParameters({ aggregator, keeper, plan, from: safe, batch });
+    assert.equal(await web3.eth.getTransactionCount(safe), before, "nothing sent");
+    assert.deepEqual(results.map(r => [r.setter, r.transactionHash]),
+      [["setConfig", null], ["setMaxOracleFee", null], ["setSlashAmount", null]]);
+    assert.equal((await aggregator.getConfig()).oraclesToPoll, "4");
+
+    await replay(batch);
+    assert.equal((await aggregator.getConfig()).oraclesToPoll, "6");
+    assert.equal((await aggregator.getConfig()).maxOracleFee, toWei("0.08", "ether"));
+    assert.equal((await keeper.getConfig()).slashAmount, toWei("25", "ether"));
+  });
+
+  it("records the stake approval and registrations for the Safe", async () => {
+    await token.transfer(safe, toWei("200", "ether"), { from: deployer });
+    const entries = normalizeManifest(web3, { oracles: [{ address: oracle, jobIds: ["job-a", "job-b"], classes: [128] }] });
+    const plan = await planRegistration(keeper, entries);
+    const batch = await createSafeBatch(web3, { safe, name: "register-oracle" });
+
+    await applyRegistration({ keeper, stakeToken, plan, from: safe, batch });
+    assert.deepEqual(batch.toJSON().transactions.map(tx => tx.contractMethod.name),
+      ["approve", "registerOracle", "registerOracle"]);
+    assert.equal(batch.transactions[0].to, token.address);
+    assert.equal(await keeper.getRegisteredOraclesCount(), 0);
+
+    await replay(batch);
+    assert.equal(await keeper.getRegisteredOraclesCount(), 2);
+  });
+});
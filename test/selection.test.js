@@ -0,0 +1,199 @@
+// test/selection.test.js
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+const truffleAssert    = require('truffle-assertions');
+
+const { VerdiktaKeeper, SelectionSimulator } = require('../lib');
+
+contract("SelectionSimulator (off-chain port of selectOracles)", accounts => {
+  let keeper, token, simulator;
+  const owner = accounts[0];
+  const link  = amount => web3.utils.toWei(amount, "ether");
+  const jobId = name => web3.utils.padRight(web3.utils.asciiToHex(name), 64);
+
+  // Oracles are plain accounts registered by the keeper owner.
+  const oracles = [
+    { oracle: accounts[1], jobId: jobId("job-a"), fee: link("0.01"), classes: [128] },
+    { oracle: accounts[2], jobId: jobId("job-b"), fee: link("0.03"), classes: [128, 64] },
+    { oracle: accounts[3], jobId: jobId("job-c"), fee: link("0.05"), classes: [128] },
+    { oracle: accounts[4], jobId: jobId("job-d"), fee: link("0.08"), classes: [128] },
+    { oracle: accounts[5], jobId: jobId("job-e"), fee: link("0.02"), classes: [64] },
+    { oracle: accounts[6], jobId: jobId("job-f"), fee: link("0.04"), classes: [128] },
+    { oracle: accounts[7], jobId: jobId("job-g"), fee: link("0.06"), classes: [128, 64] },
+    { oracle: accounts[8], jobId: jobId("job-h"), fee: link("0.02"), classes: [128] }
+  ];
+
+  const paramSets = [
+    { alpha: "500", maxFee: link("0.08"), estimatedBaseCost: link("0.008"), maxFeeBasedScalingFactor: "10" },
+    { alpha: "0",   maxFee: link("0.05"), estimatedBaseCost: link("0.005"), maxFeeBasedScalingFactor: "3" },
+    { alpha: "900", maxFee: link("0.1"),  estimatedBaseCost: link("0.03"),  maxFeeBasedScalingFactor: "1" }
+  ];
+
+  const latestBlock = async () => {
+    const block = await web3.eth.getBlock("latest");
+    // eth_call runs with the latest block's timestamp and prevrandao (mixHash).
+    return { timestamp: block.timestamp, prevrandao: web3.utils.toBN(block.mixHash).toString() };
+  };
+
+  const mine = () => new Promise((resolve, reject) =>
+    web3.currentProvider.send(
+      { jsonrpc: "2.0", method: "evm_mine", params: [], id: Date.now() },
+      (err, res) => (err ? reject(err) : resolve(res))
+    )
+  );
+
+  const onChainSelection = async (count, p, requestedClass) => {
+    const result = await keeper.selectOracles(
+      count, p.alpha, p.maxFee, p.estimatedBaseCost, p.maxFeeBasedScalingFactor, requestedClass,
+      { from: owner }
+    );
+    return result.map(r => ({ oracle: r.oracle, jobId: r.jobId }));
+  };
+
+  const snapshot = async () =>
+    SelectionSimulator.fromKeeper(new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi }));
+
+  before(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+
+    const stake = await keeper.STAKE_REQUIREMENT();
+    await token.approve(keeper.address, stake.muln(oracles.length), { from: owner });
+    for (const o of oracles) {
+      await keeper.registerOracle(o.oracle, o.jobId, o.fee, o.classes, { from: owner });
+    }
+
+    // Let the owner act as an aggregator so it can call selectOracles and
+    // move scores around.
+    await keeper.approveContract(owner, { from: owner });
+    await keeper.recordUsedOracles(
+      oracles.map(o => ({ oracle: o.oracle, jobId: o.jobId, classes: o.classes })),
+      { from: owner }
+    );
+    const score = (o, quality, timeliness) =>
+      keeper.updateScores(o.oracle, o.jobId, quality, timeliness, { from: owner });
+    await score(oracles[0], 100, 60);   // strong
+    await score(oracles[0], 100, 60);
+    await score(oracles[1], 40, -10);
+    await score(oracles[2], -30, 20);   // mild lock: still selectable
+    await score(oracles[3], -60, 0);    // severe: blocked while locked
+    await score(oracles[5], 127, 127);
+    await score(oracles[5], 127, 127);
+    await score(oracles[5], 127, 127);  // clamped at MAX_SCORE_FOR_SELECTION
+    await score(oracles[7], 5, 90);
+    await keeper.setOracleActive(oracles[6].oracle, oracles[6].jobId, false, { from: owner });
+
+    simulator = await snapshot();
+  });
+
+  it("computes the same selection score as getSelectionScore", async () => {
+    for (const p of paramSets) {
+      for (const entry of simulator.oracles) {
+        const onChain = await keeper.getSelectionScore(entry.oracle, entry.jobId, p);
+        assert.equal(
+          simulator.selectionScore(entry, p).toString(),
+          onChain.toString(),
+          `score mismatch for ${entry.oracle} with alpha ${p.alpha}`
+        );
+      }
+    }
+  });
+
+  it("filters eligible oracles like selectOracles", async () => {
+    const eligible = simulator.eligibleOracles(link("0.08"), 128).map(e => e.oracle);
+    assert.deepEqual(eligible, [accounts[1], accounts[2], accounts[3], accounts[6], accounts[8]]);
+
+    const cheap = simulator.eligibleOracles(link("0.02"), 64).map(e => e.oracle);
+    assert.deepEqual(cheap, [accounts[5]]);
+  });
+
+  it("replays selectOracles when every eligible oracle fits in the shortlist", async () => {
+    const block = await latestBlock();
+    for (const p of paramSets) {
+      for (const requestedClass of [128, 64]) {
+        const expected = await onChainSelection(6, p, requestedClass);
+        const replayed = simulator.selectOracles(6, p, requestedClass, block);
+        assert.deepEqual(replayed, expected, `alpha ${p.alpha}, class ${requestedClass}`);
+      }
+    }
+  });
+
+  it("replays the random shortlist when eligible oracles exceed shortlistSize", async () => {
+    await keeper.setShortlistSize(2, { from: owner });
+    try {
+      simulator = await snapshot();
+      // Mine a few blocks so the replay is checked against several seeds.
+      for (let n = 0; n < 3; n++) {
+        if (n > 0) await mine();
+        const block = await latestBlock();
+        for (const p of paramSets) {
+          const expected = await onChainSelection(5, p, 128);
+          const replayed = simulator.selectOracles(5, p, 128, block);
+          assert.deepEqual(replayed, expected, `block ${block.timestamp}, alpha ${p.alpha}`);
+        }
+      }
+    } finally {
+      await keeper.setShortlistSize(20, { from: owner });
+      simulator = await snapshot();
+    }
+  });
+
+  it("rejects the same requests as selectOracles", async () => {
+    const block = await latestBlock();
+    const noClass = paramSets[0];
+    await truffleAssert.reverts(
+      onChainSelection(3, noClass, 7),
+      "No active oracles available with fee <= maxFee and requested class"
+    );
+    assert.throws(
+      () => simulator.selectOracles(3, noClass, 7, block),
+      /No active oracles available with fee <= maxFee and requested class/
+    );
+
+    const badBase = { ...noClass, estimatedBaseCost: noClass.maxFee };
+    await truffleAssert.reverts(onChainSelection(3, badBase, 128), "Base cost must be less than max fee");
+    assert.throws(() => simulator.selectOracles(3, badBase, 128, block), /Base cost must be less than max fee/);
+  });
+
+  it("reports exact odds proportional to selection scores", async () => {
+    const p = paramSets[0];
+    const odds = simulator.odds(4, p, 128);
+    const eligible = simulator.eligibleOracles(p.maxFee, 128);
+    const total = eligible.reduce((sum, e) => sum + Number(simulator.selectionScore(e, p)), 0);
+
+    assert.equal(odds.length, eligible.length);
+    for (const o of odds) {
+      const expected = Number(o.weight) / total;
+      assert.closeTo(o.perDraw, expected, 1e-12);
+      assert.closeTo(o.expectedSlots, 4 * expected, 1e-12);
+      assert.closeTo(o.atLeastOnce, 1 - Math.pow(1 - expected, 4), 1e-12);
+    }
+    for (let i = 1; i < odds.length; i++) {
+      assert(odds[i - 1].perDraw >= odds[i].perDraw, "sorted by probability");
+    }
+  });
+
+  it("estimates shortlist odds that agree with replayed selections", async () => {
+    const p = paramSets[0];
+    const shortlisted = new SelectionSimulator(web3, {
+      oracles: simulator.oracles,
+      shortlistSize: 2,
+      timestamp: simulator.timestamp
+    });
+    const odds = shortlisted.odds(1, p, 128, { iterations: 20000 });
+    assert.closeTo(odds.reduce((sum, o) => sum + o.perDraw, 0), 1, 1e-9);
+
+    // Replay the contract's selection over many pseudo-random blocks and
+    // compare observed frequencies with the estimate.
+    const rounds = 3000;
+    const counts = {};
+    for (let n = 0; n < rounds; n++) {
+      const block = { timestamp: 1700000000 + n, prevrandao: web3.utils.toBN(web3.utils.randomHex(32)).toString() };
+      const [picked] = shortlisted.selectOracles(1, p, 128, block);
+      counts[picked.oracle] = (counts[picked.oracle] || 0) + 1;
+    }
+    for (const o of odds) {
+      assert.closeTo((counts[o.oracle] || 0) / rounds, o.perDraw, 0.04, `odds for ${o.oracle}`);
+    }
+  });
+});
@@ -0,0 +1,199 @@
+// test/slashing.test.js
+// Penalty branches of ReputationKeeper.updateScores: mild lock, severe slash,
+// worsening-trend slash and stake exhaustion, with Ganache time travel for the
+// lock period. The owner acts as the approved contract reporting scores.
+const truffleAssert    = require('truffle-assertions');
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+
+const { advanceTime } = require('./helpers');
+
+contract("ReputationKeeper slashing and locks", accounts => {
+  const owner = accounts[0];
+  const [oracleA, oracleB] = [accounts[1], accounts[2]];
+  const { toBN, toWei } = web3.utils;
+  const fee   = toWei("0.01", "ether");
+  const stake = toWei("100", "ether");
+  const job   = web3.utils.padRight(web3.utils.asciiToHex("job1"), 64);
+  const LOCK  = 2 * 60 * 60;
+
+  let token, keeper;
+
+  const blockTime = async tx => Number((await web3.eth.getBlock(tx.receipt.blockNumber)).timestamp);
+
+  // selectOracles(count, alpha, maxFee, estimatedBaseCost, maxFeeBasedScalingFactor, class)
+  const select = () => keeper.selectOracles(4, 500, toWei("0.1", "ether"), toWei("0.001", "ether"), 5, 128, { from: owner });
+  const selectionScore = oracle =>
+    keeper.getSelectionScore(oracle, job, { alpha: 500, maxFee: toWei("0.1", "ether"), estimatedBaseCost: toWei("0.001", "ether"), maxFeeBasedScalingFactor: 5 });
+
+  const update = (oracle, quality, timeliness) => keeper.updateScores(oracle, job, quality, timeliness, { from: owner });
+
+  async function register(oracle) {
+    await keeper.registerOracle(oracle, job, fee, [128], { from: owner });
+    await keeper.recordUsedOracles([{ oracle, jobId: job, classes: [128] }], { from: owner });
+  }
+
+  beforeEach(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    await token.approve(keeper.address, toWei("1000", "ether"), { from: owner });
+    await keeper.approveContract(owner, { from: owner });
+    await register(oracleA);
+  });
+
+  it("locks without slashing below the mild threshold and refuses deregistration until the lock expires", async () => {
+    await keeper.setMildThreshold(-10, { from: owner });
+    await update(oracleA, -8, 0);
+    let tx = await update(oracleA, -4, 0);
+    const lockedUntil = (await blockTime(tx)) + LOCK;
+    truffleAssert.eventEmitted(tx, "OracleSlashed", ev =>
+      ev.oracle === oracleA && ev.slashAmount.isZero() && ev.lockedUntil.toNumber() === lockedUntil && ev.blocked === false
+    );
+
+    let info = await keeper.getOracleInfo(oracleA, job);
+    assert.equal(info.qualityScore.toNumber(), -12);
+    assert.equal(info.stakeAmount.toString(), stake);
+    assert.equal(info.lockedUntil.toNumber(), lockedUntil);
+    assert.isFalse(info.blocked);
+    // A mild lock does not remove the oracle from selection.
+    assert((await selectionScore(oracleA)).gtn(0));
+    assert.equal((await select())[0].oracle, oracleA);
+
+    await truffleAssert.reverts(keeper.deregisterOracle(oracleA, job, { from: owner }), "Oracle is locked and cannot be unregistered");
+
+    // Further updates while locked are recorded but not penalized again.
+    tx = await update(oracleA, -4, 0);
+    truffleAssert.eventNotEmitted(tx, "OracleSlashed");
+    info = await keeper.getOracleInfo(oracleA, job);
+    assert.equal(info.qualityScore.toNumber(), -16);
+    assert.equal(info.lockedUntil.toNumber(), lockedUntil);
+
+    await advanceTime(LOCK + 1);
+    const balanceBefore = await token.balanceOf(owner);
+    tx = await keeper.deregisterOracle(oracleA, job, { from: owner });
+    truffleAssert.eventEmitted(tx, "OracleDeregistered");
+    assert.equal((await token.balanceOf(owner)).sub(balanceBefore).toString(), stake);
+  });
+
+  it("slashes and blocks below the severe threshold and excludes the oracle from selection while locked", async () => {
+    await keeper.setSevereThreshold(-30, { from: owner });
+    await keeper.setMildThreshold(-10, { from: owner });
+    await register(oracleB);
+
+    let tx = await update(oracleA, 0, -31);
+    let lockedUntil = (await blockTime(tx)) + LOCK;
+    truffleAssert.eventEmitted(tx, "OracleSlashed", ev =>
+      ev.oracle === oracleA && ev.slashAmount.toString() === toWei("10", "ether") && ev.lockedUntil.toNumber() === lockedUntil && ev.blocked === true
+    );
+
+    let info = await keeper.getOracleInfo(oracleA, job);
+    assert.equal(info.stakeAmount.toString(), toWei("90", "ether"));
+    assert.isTrue(info.blocked);
+    assert((await selectionScore(oracleA)).isZero());
+    const selected = await select();
+    assert.lengthOf(selected, 4);
+    selected.forEach(id => assert.equal(id.oracle, oracleB, "blocked oracle is never selected"));
+    await truffleAssert.reverts(keeper.deregisterOracle(oracleA, job, { from: owner }), "Oracle is locked and cannot be unregistered");
+
+    // No second slash inside the lock period.
+    tx = await update(oracleA, 0, -4);
+    truffleAssert.eventNotEmitted(tx, "OracleSlashed");
+    assert.equal((await keeper.getOracleInfo(oracleA, job)).stakeAmount.toString(), toWei("90", "ether"));
+
+    // After the lock the oracle scores again, though still flagged blocked, but
+    // stays out of selection until its stake is back at the requirement...
+    await advanceTime(LOCK + 1);
+    info = await keeper.getOracleInfo(oracleA, job);
+    assert.isTrue(info.blocked);
+    assert((await selectionScore(oracleA)).gtn(0));
+    await keeper.setOracleActive(oracleB, job, false, { from: owner });
+    await truffleAssert.reverts(select(), "No active oracles available with fee <= maxFee and requested class");
+    await keeper.topUpStake(oracleA, job, toWei("10", "ether"), { from: owner });
+    assert.equal((await select())[0].oracle, oracleA);
+
+    // ...and the next update below the threshold slashes it again.
+    tx = await update(oracleA, 0, 0);
+    lockedUntil = (await blockTime(tx)) + LOCK;
+    truffleAssert.eventEmitted(tx, "OracleSlashed", ev => ev.blocked === true && ev.lockedUntil.toNumber() === lockedUntil);
+    info = await keeper.getOracleInfo(oracleA, job);
+    assert.equal(info.stakeAmount.toString(), toWei("90", "ether"));
+    assert.equal(info.lockedUntil.toNumber(), lockedUntil);
+    await truffleAssert.reverts(select(), "No active oracles available with fee <= maxFee and requested class");
+  });
+
+  it("honours a shorter lock duration", async () => {
+    await keeper.setLockDuration(600, { from: owner });
+    await keeper.setSevereThreshold(-5, { from: owner });
+    const tx = await update(oracleA, -6, 0);
+    assert.equal((await keeper.getOracleInfo(oracleA, job)).lockedUntil.toNumber(), (await blockTime(tx)) + 600);
+
+    await advanceTime(500);
+    await truffleAssert.reverts(keeper.deregisterOracle(oracleA, job, { from: owner }), "Oracle is locked and cannot be unregistered");
+    await advanceTime(200);
+    await keeper.deregisterOracle(oracleA, job, { from: owner });
+    assert.equal((await keeper.getOracleInfo(oracleA, job)).stakeAmount.toString(), "0");
+  });
+
+  it("slashes a strictly worsening trend across maxScoreHistory entries", async () => {
+    await keeper.setMaxScoreHistory(3, { from: owner });
+
+    // A flat step breaks the trend.
+    await update(oracleA, -2, 0);
+    await update(oracleA, 0, 0);
+    let tx = await update(oracleA, -2, 0);
+    truffleAssert.eventNotEmitted(tx, "OracleSlashed");
+    assert.lengthOf(await keeper.getRecentScores(oracleA, job), 3);
+
+    // History is now [-2, -2, -4]; one more drop leaves [-2, -4, -6].
+    tx = await update(oracleA, -2, 0);
+    const lockedUntil = (await blockTime(tx)) + LOCK;
+    truffleAssert.eventEmitted(tx, "OracleSlashed", ev =>
+      ev.slashAmount.toString() === toWei("10", "ether") && ev.lockedUntil.toNumber() === lockedUntil && ev.blocked === true
+    );
+
+    const info = await keeper.getOracleInfo(oracleA, job);
+    assert.equal(info.qualityScore.toNumber(), -6, "trend slash does not need a threshold breach");
+    assert.equal(info.stakeAmount.toString(), toWei("90", "ether"));
+    assert.isTrue(info.blocked);
+    assert.lengthOf(await keeper.getRecentScores(oracleA, job), 0, "history is cleared after a trend slash");
+  });
+
+  it("takes the stake down to zero when the slash exceeds it", async () => {
+    await keeper.setSlashAmount(toWei("60", "ether"), { from: owner });
+    await keeper.setSevereThreshold(-10, { from: owner });
+
+    await update(oracleA, -11, 0);
+    assert.equal((await keeper.getOracleInfo(oracleA, job)).stakeAmount.toString(), toWei("40", "ether"));
+
+    await advanceTime(LOCK + 1);
+    const tx = await update(oracleA, 0, 0);
+    // The event reports the 40 VDKA actually taken, not the configured amount.
+    truffleAssert.eventEmitted(tx, "OracleSlashed", ev => ev.slashAmount.toString() === toWei("40", "ether"));
+    const info = await keeper.getOracleInfo(oracleA, job);
+    assert.equal(info.stakeAmount.toString(), "0");
+    assert.isTrue(info.blocked);
+
+    // With no stake left the identity is still registered...
+    await advanceTime(LOCK + 1);
+    assert.isTrue(await keeper.isRegistered(oracleA, job));
+    await truffleAssert.reverts(keeper.registerOracle(oracleA, job, fee, [128], { from: owner }), "Oracle already registered");
+
+    // ...deregisters without returning anything...
+    const before = toBN(await token.balanceOf(owner));
+    await keeper.deregisterOracle(oracleA, job, { from: owner });
+    assert.equal(toBN(await token.balanceOf(owner)).toString(), before.toString());
+    assert.isFalse(await keeper.isRegistered(oracleA, job));
+    assert.equal((await keeper.getRegisteredOraclesCount()).toNumber(), 0);
+
+    // ...and can be registered again with a fresh stake, resetting its scores.
+    await keeper.registerOracle(oracleA, job, fee, [128], { from: owner });
+    const fresh = await keeper.getOracleInfo(oracleA, job);
+    assert.equal(fresh.stakeAmount.toString(), stake);
+    assert.equal(fresh.qualityScore.toNumber(), 0);
+    assert.isFalse(fresh.blocked);
+    assert.equal((await keeper.getRegisteredOraclesCount()).toNumber(), 1);
+    // The slashed VDKA stays in the keeper as slashed funds.
+    assert.equal(toBN(await token.balanceOf(keeper.address)).toString(), toWei("200", "ether"));
+    assert.equal((await keeper.slashedFunds()).toString(), stake);
+  });
+});
@@ -0,0 +1,107 @@
+// test/stake.test.js
+// Stake top-ups and the minimum-stake eligibility rule: a slashed identity
+// stays registered but is not selected until its stake is back at
+// STAKE_REQUIREMENT.
+const truffleAssert    = require('truffle-assertions');
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+const MockOperator     = artifacts.require("MockOperator");
+
+const { VerdiktaKeeper, WrappedVdka, SelectionSimulator, planTopUps, formatTopUps, applyTopUps } = require('../lib');
+const { advanceTime } = require('./helpers');
+
+contract("ReputationKeeper stake top-ups", accounts => {
+  const owner       = accounts[0];
+  const oracleOwner = accounts[3];
+  const stranger    = accounts[4];
+  const oracleB     = accounts[2];
+  const { toWei } = web3.utils;
+  const fee = toWei("0.01", "ether");
+  const job = web3.utils.padRight(web3.utils.asciiToHex("job1"), 64);
+  const params = { alpha: "500", maxFee: toWei("0.1", "ether"), estimatedBaseCost: toWei("0.001", "ether"), maxFeeBasedScalingFactor: "5" };
+
+  let token, keeper, keeperClient, oracleA;
+
+  const select = () => keeper.selectOracles(3, params.alpha, params.maxFee, params.estimatedBaseCost, params.maxFeeBasedScalingFactor, 128, { from: owner });
+
+  async function register(oracle) {
+    await keeper.registerOracle(oracle, job, fee, [128], { from: owner });
+    await keeper.recordUsedOracles([{ oracle, jobId: job, classes: [128] }], { from: owner });
+  }
+
+  // Slash oracleA by 10 VDKA, then let the lock expire.
+  async function slashA() {
+    await keeper.setSevereThreshold(-1, { from: owner });
+    await keeper.setLockDuration(1, { from: owner });
+    await keeper.updateScores(oracleA, job, -2, 0, { from: owner });
+    await keeper.setSevereThreshold(-1000, { from: owner });
+    await advanceTime(2);
+  }
+
+  beforeEach(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    keeperClient = new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi });
+    oracleA = (await MockOperator.new(token.address, { from: oracleOwner })).address;
+    await token.approve(keeper.address, toWei("1000", "ether"), { from: owner });
+    await keeper.approveContract(owner, { from: owner });
+    await register(oracleA);
+    await register(oracleB);
+  });
+
+  it("adds to the stake and emits StakeToppedUp", async () => {
+    await token.transfer(oracleOwner, toWei("5", "ether"), { from: owner });
+    await token.approve(keeper.address, toWei("5", "ether"), { from: oracleOwner });
+    const tx = await keeper.topUpStake(oracleA, job, toWei("5", "ether"), { from: oracleOwner });
+    truffleAssert.eventEmitted(tx, "StakeToppedUp", ev =>
+      ev.oracle === oracleA && ev.jobId === job &&
+      ev.amount.toString() === toWei("5", "ether") && ev.newStakeAmount.toString() === toWei("105", "ether")
+    );
+    assert.equal((await keeper.getOracleInfo(oracleA, job)).stakeAmount.toString(), toWei("105", "ether"));
+    assert.equal((await token.balanceOf(keeper.address)).toString(), toWei("205", "ether"));
+  });
+
+  it("validates the caller, the identity and the amount", async () => {
+    const other = web3.utils.padRight(web3.utils.asciiToHex("job2"), 64);
+    await truffleAssert.reverts(keeper.topUpStake(oracleA, job, 1, { from: stranger }), "Not authorized to top up stake");
+    await truffleAssert.reverts(keeper.topUpStake(oracleA, other, 1, { from: owner }), "Oracle not registered");
+    await truffleAssert.reverts(keeper.topUpStake(oracleA, job, 0, { from: owner }), "Amount must be greater than 0");
+  });
+
+  it("leaves an identity below the stake requirement out of selection until topped up", async () => {
+    await slashA();
+    assert.isTrue(await keeper.isRegistered(oracleA, job));
+    assert.equal((await keeper.getOracleInfo(oracleA, job)).stakeAmount.toString(), toWei("90", "ether"));
+
+    const selected = await select();
+    selected.forEach(id => assert.equal(id.oracle, oracleB, "under-staked oracle is never selected"));
+    const simulator = await SelectionSimulator.fromKeeper(keeperClient);
+    assert.deepEqual(simulator.eligibleOracles(params.maxFee, 128).map(e => e.oracle), [oracleB]);
+
+    await keeper.topUpStake(oracleA, job, toWei("10", "ether"), { from: owner });
+    await keeper.setOracleActive(oracleB, job, false, { from: owner });
+    assert.equal((await select())[0].oracle, oracleA);
+    const after = await SelectionSimulator.fromKeeper(keeperClient);
+    assert.deepEqual(after.eligibleOracles(params.maxFee, 128).map(e => e.oracle), [oracleA]);
+  });
+
+  it("plans and applies top-ups for the identities that are short", async () => {
+    await slashA();
+    const stakeToken = new WrappedVdka(web3, token.address, { abi: VerdiktaToken.abi });
+
+    const plan = await planTopUps(keeperClient);
+    assert.deepEqual(plan.entries.map(e => e.deficit), [toWei("10", "ether"), "0"]);
+    assert.equal(plan.short, 1);
+    assert.equal(plan.totalDeficit, toWei("10", "ether"));
+    const lines = formatTopUps(web3, plan);
+    assert.match(lines[0], /^TOP UP {4}.*: stake 90 wVDKA, short 10 wVDKA/);
+    assert.match(lines[1], /^OK {8}.*: stake 100 wVDKA$/);
+    assert.equal(lines[2], "1 of 2 below the 100 wVDKA requirement; total top-up 10 wVDKA");
+    assert.lengthOf((await planTopUps(keeperClient, { oracle: oracleB })).entries, 1);
+
+    const results = await applyTopUps({ keeper: keeperClient, stakeToken, plan, from: owner });
+    assert.deepEqual(results.map(r => r.oracle), [oracleA]);
+    assert.equal((await keeperClient.getOracleInfo(oracleA, job)).stakeAmount, toWei("100", "ether"));
+    assert.equal((await planTopUps(keeperClient)).short, 0);
+  });
+});
@@ -0,0 +1,178 @@
+// test/timelock.test.js
+// Timelocked owner setters (OwnerTimelock): direct calls while the delay is 0,
+// queue / execute / cancel once it is set, with Ganache time travel for the
+// delay, plus the lib/timelock.js listing and the queued parameters plan.
+const truffleAssert        = require('truffle-assertions');
+const ReputationAggregator = artifacts.require("ReputationAggregator");
+const ReputationKeeper     = artifacts.require("ReputationKeeper");
+const VerdiktaToken        = artifacts.require("VerdiktaToken");
+
+const {
+  VerdiktaAggregator,
+  VerdiktaKeeper,
+  encodeChange,
+  listPendingChanges,
+  parseManifest,
+  normalizeParameters,
+  planParameters,
+  formatParameterPlan,
+  applyParameters
+} = require('../lib');
+const { advanceTime } = require('./helpers');
+
+contract("Timelocked owner changes", accounts => {
+  const owner    = accounts[0];
+  const stranger = accounts[1];
+  const ZERO  = "0x0000000000000000000000000000000000000000";
+  const DELAY = 24 * 60 * 60;
+  const { toWei } = web3.utils;
+
+  let keeperC, aggC, aggregator, keeper;
+
+  beforeEach(async () => {
+    const token = await VerdiktaToken.new({ from: owner });
+    keeperC = await ReputationKeeper.new(token.address, { from: owner });
+    aggC    = await ReputationAggregator.new(ZERO, keeperC.address, { from: owner });
+    aggregator = new VerdiktaAggregator(web3, aggC.address, { abi: ReputationAggregator.abi });
+    keeper     = new VerdiktaKeeper(web3, keeperC.address, { abi: ReputationKeeper.abi });
+  });
+
+  it("allows direct owner calls until a delay is set", async () => {
+    await keeperC.setSlashAmount(toWei("20", "ether"), { from: owner });
+    assert.equal((await keeper.getConfig()).slashAmount, toWei("20", "ether"));
+    await truffleAssert.reverts(keeperC.setSlashAmount(1, { from: stranger }));
+
+    await keeperC.setTimelockDelay(DELAY, { from: owner });
+    assert.equal((await keeper.getConfig()).timelockDelay, String(DELAY));
+    await truffleAssert.reverts(keeperC.setSlashAmount(1, { from: owner }), "Change must be queued");
+    await truffleAssert.reverts(keeperC.setMildThreshold(-10, { from: owner }), "Change must be queued");
+    await truffleAssert.reverts(keeperC.setTimelockDelay(0, { from: owner }), "Change must be queued");
+    await truffleAssert.reverts(keeperC.approveContract(stranger, { from: owner }), "Change must be queued");
+    await truffleAssert.reverts(keeperC.setTreasury(stranger, { from: owner }), "Change must be queued");
+
+    // Setters outside the timelock are unaffected.
+    await keeperC.setShortlistSize(10, { from: owner });
+    assert.equal((await keeper.getConfig()).shortlistSize, "10");
+  });
+
+  it("approves contracts and changes the treasury through the queue, but revokes at once", async () => {
+    await keeperC.approveContract(aggC.address, { from: owner });
+    await keeperC.setTimelockDelay(DELAY, { from: owner });
+
+    const approve  = encodeChange(keeper, "approveContract", [stranger]);
+    const treasury = encodeChange(keeper, "setTreasury", [stranger]);
+    await keeperC.queueChange(approve, { from: owner });
+    await keeperC.queueChange(treasury, { from: owner });
+    await advanceTime(DELAY);
+    const executed = await keeperC.executeChange(approve, { from: owner });
+    truffleAssert.eventEmitted(executed, "ContractApproved", ev => ev.contractAddress === stranger);
+    await keeperC.executeChange(treasury, { from: owner });
+    assert.isTrue(await keeper.isContractApproved(stranger));
+    assert.equal(await keeperC.treasury(), stranger);
+
+    // Removing an approval is not delayed, so a bad contract can be cut off.
+    await keeperC.removeContract(aggC.address, { from: owner });
+    assert.isFalse(await keeper.isContractApproved(aggC.address));
+  });
+
+  it("executes a queued change only after the delay", async () => {
+    await keeperC.setTimelockDelay(DELAY, { from: owner });
+    const data = encodeChange(keeper, "setSlashAmount", [toWei("25", "ether")]);
+
+    await truffleAssert.reverts(keeperC.queueChange(data, { from: stranger }));
+    const queued = await keeperC.queueChange(data, { from: owner });
+    const id = web3.utils.keccak256(data);
+    truffleAssert.eventEmitted(queued, "ChangeQueued", ev => ev.id === id && ev.data === data);
+    await truffleAssert.reverts(keeperC.queueChange(data, { from: owner }), "Change already queued");
+
+    await truffleAssert.reverts(keeperC.executeChange(data, { from: owner }), "Change not ready");
+    await advanceTime(DELAY - 60);
+    await truffleAssert.reverts(keeperC.executeChange(data, { from: owner }), "Change not ready");
+    await advanceTime(60);
+    await truffleAssert.reverts(keeperC.executeChange(data, { from: stranger }));
+
+    const executed = await keeperC.executeChange(data, { from: owner });
+    truffleAssert.eventEmitted(executed, "ChangeExecuted", ev => ev.id === id);
+    assert.equal((await keeper.getConfig()).slashAmount, toWei("25", "ether"));
+    assert.equal((await keeperC.pendingChanges(id)).toString(), "0");
+    await truffleAssert.reverts(keeperC.executeChange(data, { from: owner }), "Change not queued");
+  });
+
+  it("cancels queued changes and rejects setters outside the timelock", async () => {
+    await aggC.setTimelockDelay(DELAY, { from: owner });
+    const data = encodeChange(aggregator, "setReputationKeeper", [stranger]);
+    await aggC.queueChange(data, { from: owner });
+
+    await truffleAssert.reverts(aggC.cancelChange(data, { from: stranger }));
+    const cancelled = await aggC.cancelChange(data, { from: owner });
+    truffleAssert.eventEmitted(cancelled, "ChangeCancelled", ev => ev.id === web3.utils.keccak256(data));
+    await advanceTime(DELAY);
+    await truffleAssert.reverts(aggC.executeChange(data, { from: owner }), "Change not queued");
+    assert.equal(await aggC.reputationKeeper(), keeperC.address);
+
+    const notTimelocked = aggregator.methods.setAlpha(100).encodeABI();
+    await truffleAssert.reverts(aggC.queueChange(notTimelocked, { from: owner }), "Not a timelocked function");
+    await truffleAssert.reverts(aggC.queueChange("0x1234", { from: owner }), "Invalid change");
+    assert.throws(() => encodeChange(aggregator, "setAlpha", [100]), /setAlpha is not timelocked/);
+  });
+
+  it("bubbles up the setter's revert reason on execute", async () => {
+    await keeperC.setTimelockDelay(DELAY, { from: owner });
+    const data = encodeChange(keeper, "setVerdiktaToken", [ZERO]);
+    await keeperC.queueChange(data, { from: owner });
+    await advanceTime(DELAY);
+    await truffleAssert.reverts(keeperC.executeChange(data, { from: owner }), "Invalid token address");
+  });
+
+  it("lists pending changes with their readiness", async () => {
+    await keeperC.setTimelockDelay(DELAY, { from: owner });
+    const slash = encodeChange(keeper, "setSlashAmount", [toWei("30", "ether")]);
+    const severe = encodeChange(keeper, "setSevereThreshold", ["-80"]);
+    const lock = encodeChange(keeper, "setLockDuration", ["3600"]);
+    await keeperC.queueChange(slash, { from: owner });
+    await keeperC.queueChange(severe, { from: owner });
+    await keeperC.queueChange(lock, { from: owner });
+    await keeperC.cancelChange(lock, { from: owner });
+
+    let pending = await listPendingChanges(keeper);
+    assert.deepEqual(pending.map(c => [c.setter, c.args, c.ready]), [
+      ["setSlashAmount", [toWei("30", "ether")], false],
+      ["setSevereThreshold", ["-80"], false]
+    ]);
+
+    await advanceTime(DELAY);
+    pending = await listPendingChanges(keeper);
+    assert.deepEqual(pending.map(c => c.ready), [true, true]);
+    await keeperC.executeChange(pending[0].data, { from: owner });
+    assert.deepEqual((await listPendingChanges(keeper)).map(c => c.setter), ["setSevereThreshold"]);
+  });
+
+  it("queues timelocked parameters instead of sending them", async () => {
+    const desiredFrom = yaml => normalizeParameters(web3, parseManifest(yaml, "yaml"));
+
+    // Raising the delay from 0 goes after the keeper's other setters.
+    let plan = await planParameters({
+      aggregator, keeper, desired: desiredFrom(`keeper:\n  timelockDelay: ${DELAY}\n  slashAmount: 15\n`)
+    });
+    assert.deepEqual(plan.transactions.map(tx => [tx.setter, tx.queue]), [
+      ["setSlashAmount", false],
+      ["setTimelockDelay", false]
+    ]);
+    await applyParameters({ aggregator, keeper, plan, from: owner });
+    assert.equal((await keeper.getConfig()).timelockDelay, String(DELAY));
+
+    plan = await planParameters({
+      aggregator, keeper, desired: desiredFrom("keeper:\n  slashAmount: 40\n  shortlistSize: 12\n")
+    });
+    assert.deepEqual(plan.transactions.map(tx => [tx.setter, tx.queue]), [
+      ["setShortlistSize", false],
+      ["setSlashAmount", true]
+    ]);
+    assert.include(formatParameterPlan(web3, plan), "QUEUE   keeper.slashAmount: 15 wVDKA -> 40 wVDKA");
+
+    const results = await applyParameters({ aggregator, keeper, plan, from: owner });
+    assert.deepEqual(results.map(r => [r.setter, r.queued]), [["setShortlistSize", false], ["setSlashAmount", true]]);
+    assert.equal((await keeper.getConfig()).slashAmount, toWei("15", "ether"), "not applied until executed");
+    assert.deepEqual((await listPendingChanges(keeper)).map(c => c.setter), ["setSlashAmount"]);
+  });
+});
@@ -0,0 +1,109 @@
+// test/treasury.test.js
+// Accounting of slashed VDKA in the ReputationKeeper: slashedFunds, the
+// treasury, withdrawSlashed and the off-chain balance reconciliation.
+const truffleAssert    = require('truffle-assertions');
+const ReputationKeeper = artifacts.require("ReputationKeeper");
+const VerdiktaToken    = artifacts.require("VerdiktaToken");
+
+const { VerdiktaKeeper, WrappedVdka, reconcileStake } = require('../lib');
+const { advanceTime } = require('./helpers');
+
+contract("ReputationKeeper slashed funds and treasury", accounts => {
+  const owner    = accounts[0];
+  const [oracleA, oracleB] = [accounts[1], accounts[2]];
+  const treasury = accounts[5];
+  const stranger = accounts[6];
+  const { toWei } = web3.utils;
+  const fee = toWei("0.01", "ether");
+  const job = web3.utils.padRight(web3.utils.asciiToHex("job1"), 64);
+
+  let token, keeper, keeperClient, stakeToken;
+
+  async function register(oracle) {
+    await keeper.registerOracle(oracle, job, fee, [128], { from: owner });
+    await keeper.recordUsedOracles([{ oracle, jobId: job, classes: [128] }], { from: owner });
+  }
+
+  beforeEach(async () => {
+    token  = await VerdiktaToken.new({ from: owner });
+    keeper = await ReputationKeeper.new(token.address, { from: owner });
+    keeperClient = new VerdiktaKeeper(web3, keeper.address, { abi: ReputationKeeper.abi });
+    stakeToken   = new WrappedVdka(web3, token.address, { abi: VerdiktaToken.abi });
+    await token.approve(keeper.address, toWei("1000", "ether"), { from: owner });
+    await keeper.approveContract(owner, { from: owner });
+    await register(oracleA);
+    await register(oracleB);
+    await keeper.setSevereThreshold(-1, { from: owner });
+    await keeper.setLockDuration(1, { from: owner });
+  });
+
+  it("accrues the amount actually taken from the stake", async () => {
+    await keeper.setSlashAmount(toWei("60", "ether"), { from: owner });
+    let tx = await keeper.updateScores(oracleA, job, -2, 0, { from: owner });
+    truffleAssert.eventEmitted(tx, "SlashedFundsAccrued", ev =>
+      ev.oracle === oracleA && ev.jobId === job &&
+      ev.amount.toString() === toWei("60", "ether") && ev.slashedFunds.toString() === toWei("60", "ether")
+    );
+
+    truffleAssert.eventEmitted(tx, "OracleSlashed", ev => ev.slashAmount.toString() === toWei("60", "ether"));
+
+    await advanceTime(2);
+    tx = await keeper.updateScores(oracleA, job, 0, 0, { from: owner });
+    // Only 40 VDKA were left to take, and both events report that.
+    truffleAssert.eventEmitted(tx, "SlashedFundsAccrued", ev =>
+      ev.amount.toString() === toWei("40", "ether") && ev.slashedFunds.toString() === toWei("100", "ether")
+    );
+    truffleAssert.eventEmitted(tx, "OracleSlashed", ev => ev.slashAmount.toString() === toWei("40", "ether"));
+    assert.equal((await keeper.slashedFunds()).toString(), toWei("100", "ether"));
+    assert.equal((await keeper.getOracleInfo(oracleA, job)).stakeAmount.toString(), "0");
+  });
+
+  it("withdraws slashed funds to the treasury for the owner or the treasury only", async () => {
+    assert.equal(await keeper.treasury(), owner, "defaults to the deployer");
+    await truffleAssert.reverts(keeper.setTreasury(treasury, { from: stranger }));
+    await truffleAssert.reverts(keeper.setTreasury("0x0000000000000000000000000000000000000000", { from: owner }), "Invalid treasury address");
+    let tx = await keeper.setTreasury(treasury, { from: owner });
+    truffleAssert.eventEmitted(tx, "TreasuryUpdated", ev => ev.oldTreasury === owner && ev.newTreasury === treasury);
+
+    await keeper.updateScores(oracleA, job, -2, 0, { from: owner });
+    await truffleAssert.reverts(keeper.withdrawSlashed(1, { from: stranger }), "Not authorized to withdraw slashed funds");
+    await truffleAssert.reverts(keeper.withdrawSlashed(0, { from: owner }), "Amount must be greater than 0");
+    await truffleAssert.reverts(
+      keeper.withdrawSlashed(toWei("10.000000000000000001", "ether"), { from: owner }),
+      "Amount exceeds slashed funds"
+    );
+
+    tx = await keeper.withdrawSlashed(toWei("4", "ether"), { from: owner });
+    truffleAssert.eventEmitted(tx, "SlashedFundsWithdrawn", ev =>
+      ev.treasury === treasury && ev.amount.toString() === toWei("4", "ether") && ev.slashedFunds.toString() === toWei("6", "ether")
+    );
+    await keeper.withdrawSlashed(toWei("6", "ether"), { from: treasury });
+    assert.equal((await token.balanceOf(treasury)).toString(), toWei("10", "ether"));
+    assert.equal((await keeper.slashedFunds()).toString(), "0");
+    // The stakes are still fully covered.
+    assert.equal((await token.balanceOf(keeper.address)).toString(), toWei("190", "ether"));
+  });
+
+  it("reconciles the keeper balance with stakes plus slashed funds", async () => {
+    let report = await reconcileStake(keeperClient, stakeToken);
+    assert.equal(report.totalStaked, toWei("200", "ether"));
+    assert.equal(report.difference, "0");
+
+    await keeper.updateScores(oracleA, job, -2, 0, { from: owner });
+    report = await reconcileStake(keeperClient, stakeToken);
+    assert.deepEqual(report, {
+      balance: toWei("200", "ether"),
+      totalStaked: toWei("190", "ether"),
+      slashedFunds: toWei("10", "ether"),
+      expected: toWei("200", "ether"),
+      difference: "0",
+      oracles: 2
+    });
+
+    await keeper.withdrawSlashed(toWei("10", "ether"), { from: owner });
+    await token.transfer(keeper.address, toWei("3", "ether"), { from: owner });
+    report = await reconcileStake(keeperClient, stakeToken);
+    assert.equal(report.slashedFunds, "0");
+    assert.equal(report.difference, toWei("3", "ether"), "direct transfers show up as a surplus");
+  });
+});